@@ -0,0 +1,109 @@
+// --- ADMIN ACTIONS ---
+// Operator actions on one user account from the admin console. Each action is written in the
+// same transaction as its admin_actions log entry (who, what, before and after), so the log
+// can't miss a change. Role and suspension live on users/{uid}; checks and Pro live on the
+// usage tracker of the user's workspace, or their pre-workspace tracker if they have none.
+// Keep the action names in step with ADMIN_ACTION in src/App.jsx.
+
+import { HttpError } from './http.js';
+import { readWorkspaceUsage, legacyUsagePath } from './quota.js';
+
+export const ADMIN_ACTION = {
+    SET_ROLE: 'SET_ROLE',
+    SUSPEND: 'SUSPEND',
+    REACTIVATE: 'REACTIVATE',
+    RESET_CHECKS: 'RESET_CHECKS',
+    TOP_UP_CHECKS: 'TOP_UP_CHECKS',
+    GRANT_PRO: 'GRANT_PRO',
+    REVOKE_PRO: 'REVOKE_PRO'
+};
+
+const PLATFORM_ROLES = ['USER', 'ADMIN'];
+const MAX_TOP_UP = 100;
+const MANUAL_PLAN = 'SmartBids Pro (granted by admin)';
+
+// An admin could otherwise lock themselves (or the last admin) out of the console.
+const SELF_FORBIDDEN = [ADMIN_ACTION.SET_ROLE, ADMIN_ACTION.SUSPEND];
+
+// Returns { profile } or { usage }: the fields the action sets. Throws 400 for bad parameters.
+const planChange = (action, params, usage) => {
+    switch (action) {
+        case ADMIN_ACTION.SET_ROLE:
+            if (!PLATFORM_ROLES.includes(params.role)) throw new HttpError(400, `role must be one of ${PLATFORM_ROLES.join(', ')}.`, 'admin/invalid-role');
+            return { profile: { role: params.role } };
+        case ADMIN_ACTION.SUSPEND:
+            return { profile: { suspended: true } };
+        case ADMIN_ACTION.REACTIVATE:
+            return { profile: { suspended: false } };
+        case ADMIN_ACTION.RESET_CHECKS:
+            return { usage: { bidderChecks: 0 } };
+        case ADMIN_ACTION.TOP_UP_CHECKS: {
+            const amount = Number(params.amount);
+            if (!Number.isInteger(amount) || amount < 1 || amount > MAX_TOP_UP) throw new HttpError(400, `amount must be a whole number from 1 to ${MAX_TOP_UP}.`, 'admin/invalid-amount');
+            return { usage: { bonusChecks: (usage.bonusChecks || 0) + amount } };
+        }
+        // A manual grant is not a Stripe subscription: the webhook will overwrite it if the
+        // workspace later subscribes or cancels through Stripe.
+        case ADMIN_ACTION.GRANT_PRO:
+            return { usage: { isSubscribed: true, subscriptionStatus: 'manual', plan: MANUAL_PLAN } };
+        case ADMIN_ACTION.REVOKE_PRO:
+            return { usage: { isSubscribed: false, subscriptionStatus: 'revoked', plan: '' } };
+        default:
+            throw new HttpError(400, `action must be one of ${Object.values(ADMIN_ACTION).join(', ')}.`, 'admin/unknown-action');
+    }
+};
+
+const pick = (data, keys) => Object.fromEntries(keys.map(key => [key, data[key] ?? null]));
+
+// admin: { uid, email, role } from authenticate. request: { uid, action, params, reason } as sent
+// by the console. Returns the log entry.
+export const applyAdminAction = async ({ auth, db }, admin, request, now = Date.now()) => {
+    if (admin.role !== 'ADMIN') throw new HttpError(403, 'Only admins can manage users.', 'admin/forbidden');
+    const { uid: targetUid, action, params = {}, reason = '' } = request || {};
+    if (typeof targetUid !== 'string' || !/^[A-Za-z0-9_-]{1,128}$/.test(targetUid)) throw new HttpError(400, 'uid is missing or invalid.', 'admin/invalid-uid');
+    if (targetUid === admin.uid && SELF_FORBIDDEN.includes(action)) throw new HttpError(400, "You can't change your own role or suspend yourself.", 'admin/self');
+
+    const profileRef = db.doc(`users/${targetUid}`);
+    const logRef = db.collection('admin_actions').doc();
+    const entry = await db.runTransaction(async (transaction) => {
+        const profile = await transaction.get(profileRef);
+        if (!profile.exists) throw new HttpError(404, 'No such user.', 'admin/unknown-user');
+        const workspaceId = profile.get('workspaceId');
+        const usage = workspaceId
+            ? await readWorkspaceUsage(db, transaction, workspaceId)
+            : await transaction.get(db.doc(legacyUsagePath(targetUid))).then(snap => ({ ref: snap.ref, data: snap.exists ? snap.data() : {} }));
+        const change = planChange(action, params, usage.data);
+        const [target, current] = change.profile ? ['profile', profile.data()] : ['usage', usage.data];
+        if (change.profile) transaction.set(profileRef, change.profile, { merge: true });
+        else transaction.set(usage.ref, { ...usage.data, ...change.usage });
+        const logged = {
+            adminUid: admin.uid,
+            adminEmail: admin.email,
+            targetUid,
+            targetEmail: profile.get('email') || '',
+            action,
+            params,
+            target: target === 'usage' ? usage.ref.path : profileRef.path,
+            before: pick(current, Object.keys(change[target])),
+            after: change[target],
+            reason: String(reason).slice(0, 500),
+            createdAt: now
+        };
+        transaction.set(logRef, logged);
+        return { id: logRef.id, ...logged };
+    });
+
+    // Firebase Auth refuses sign-in for disabled accounts; revoking ends sessions already open.
+    // The profile flag is already set, so a failure here is safe to retry.
+    try {
+        if (action === ADMIN_ACTION.SUSPEND) {
+            await auth.updateUser(targetUid, { disabled: true });
+            await auth.revokeRefreshTokens(targetUid);
+        } else if (action === ADMIN_ACTION.REACTIVATE) {
+            await auth.updateUser(targetUid, { disabled: false });
+        }
+    } catch (error) {
+        throw new HttpError(502, `Saved, but the sign-in account could not be updated (${error.message}). Try again.`, 'admin/auth-update-failed');
+    }
+    return entry;
+};
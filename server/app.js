@@ -0,0 +1,133 @@
+// --- API ROUTES ---
+// POST /api/audits                 reserve one of the workspace's free-tier checks and open an audit session
+//                                  with a call budget for the RFQ's section count
+// POST /api/analyze                forward one model request that belongs to an open audit session
+// POST /api/create-portal-session  Stripe customer portal link for the signed-in user
+// POST /api/stripe-webhook         subscription events from Stripe (signed, no user token)
+// POST /api/admin/user-action      role, suspension, checks or Pro for one user (admins only, logged)
+// Every other route needs a Firebase ID token; the user id always comes from the token, never the body.
+
+import { HttpError, readBody, readJson, sendJson, sendError } from './http.js';
+import { authenticate } from './firebase.js';
+import { reserveAudit, consumeAuditCall, workspaceUsagePath } from './quota.js';
+import { createRateLimiter } from './rateLimit.js';
+import { forwardToProvider } from './providers.js';
+import { createPortalSession } from './billing.js';
+import { verifyStripeSignature, applyStripeEvent } from './stripeWebhook.js';
+import { applyAdminAction } from './admin.js';
+import { logRequest } from './log.js';
+
+const AUDIT_ROLES = ['BIDDER', 'INITIATOR'];
+
+const enforceRateLimit = (limiter, uid) => {
+    const { allowed, retryAfterMs } = limiter.hit(uid);
+    if (!allowed) {
+        const retryAfter = Math.ceil(retryAfterMs / 1000);
+        throw new HttpError(429, `Too many requests. Try again in ${retryAfter}s.`, 'rate-limit/exceeded', { 'Retry-After': String(retryAfter) });
+    }
+};
+
+// firebase: { auth, db } from initFirebaseAdmin. Returns the node:http request listener.
+export const createApiHandler = (config, firebase) => {
+    const analyzeLimiter = createRateLimiter(config.rateLimit.analyzePerMinute);
+    const auditsLimiter = createRateLimiter(config.rateLimit.auditsPerMinute);
+    setInterval(() => { analyzeLimiter.prune(); auditsLimiter.prune(); }, 5 * 60 * 1000).unref();
+
+    const routes = {
+        '/api/audits': async (req, res, log) => {
+            const user = await authenticate(firebase, req);
+            log.uid = user.uid;
+            enforceRateLimit(auditsLimiter, user.uid);
+            const { body } = await readJson(req, 64 * 1024);
+            if (!AUDIT_ROLES.includes(body.role)) throw new HttpError(400, `role must be one of ${AUDIT_ROLES.join(', ')}.`, 'request/invalid-role');
+            const sections = body.sections ?? 1;
+            if (!Number.isInteger(sections) || sections < 1) throw new HttpError(400, 'sections must be a positive whole number.', 'request/invalid-sections');
+            log.sections = sections;
+            const reservation = await reserveAudit(firebase.db, user, body.role, sections, config.quota);
+            log.auditId = reservation.auditId;
+            sendJson(res, 200, reservation);
+        },
+
+        '/api/analyze': async (req, res, log) => {
+            const user = await authenticate(firebase, req);
+            log.uid = user.uid;
+            enforceRateLimit(analyzeLimiter, user.uid);
+            const auditId = String(req.headers['x-audit-id'] || '');
+            log.auditId = auditId;
+            const { raw, body } = await readJson(req, config.maxBodyBytes);
+            log.requestBytes = raw.length;
+            log.callsLeft = await consumeAuditCall(firebase.db, user.uid, auditId);
+
+            // Cancelling the audit closes the browser's request; stop paying for the model call too.
+            const controller = new AbortController();
+            res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+            const timeout = setTimeout(() => controller.abort(), config.ai.timeoutMs);
+            try {
+                const upstream = await forwardToProvider(config.ai, body, controller.signal);
+                const text = await upstream.text();
+                log.provider = config.ai.provider;
+                log.upstreamStatus = upstream.status;
+                log.responseBytes = Buffer.byteLength(text);
+                res.writeHead(upstream.status, { 'Content-Type': upstream.headers.get('content-type') || 'application/json' });
+                res.end(text);
+            } catch (error) {
+                if (error.name === 'AbortError') throw new HttpError(504, 'The AI provider did not answer in time.', 'ai/timeout');
+                throw new HttpError(502, 'Could not reach the AI provider.', 'ai/unreachable');
+            } finally {
+                clearTimeout(timeout);
+            }
+        },
+
+        '/api/create-portal-session': async (req, res, log) => {
+            const user = await authenticate(firebase, req);
+            log.uid = user.uid;
+            // The subscription is the workspace's; only its owner manages billing.
+            const workspace = user.workspaceId ? await firebase.db.doc(`workspaces/${user.workspaceId}`).get() : null;
+            if (!workspace?.exists || workspace.get('ownerId') !== user.uid) throw new HttpError(403, 'Only the workspace owner can manage billing.', 'workspace/forbidden');
+            const usage = await firebase.db.doc(workspaceUsagePath(user.workspaceId)).get();
+            const url = await createPortalSession(config.stripe, usage.exists ? usage.get('stripeCustomerId') : null, config.appUrl);
+            sendJson(res, 200, { url });
+        },
+
+        // The signature covers the exact bytes Stripe sent, so the body is read raw.
+        '/api/stripe-webhook': async (req, res, log) => {
+            const raw = await readBody(req, config.maxBodyBytes);
+            const event = verifyStripeSignature(raw, req.headers['stripe-signature'], config.stripe.webhookSecret);
+            log.stripeEvent = event.type;
+            const { status, usagePath } = await applyStripeEvent(firebase.db, event);
+            log.usagePath = usagePath;
+            log.outcome = status;
+            if (status === 'unmatched') throw new HttpError(409, 'No workspace is linked to this Stripe customer yet.', 'stripe/unknown-customer');
+            sendJson(res, 200, { received: true, status });
+        },
+
+        '/api/admin/user-action': async (req, res, log) => {
+            const user = await authenticate(firebase, req);
+            log.uid = user.uid;
+            const { body } = await readJson(req, 64 * 1024);
+            const entry = await applyAdminAction(firebase, user, body);
+            log.adminAction = entry.action;
+            log.targetUid = entry.targetUid;
+            sendJson(res, 200, entry);
+        }
+    };
+
+    return async (req, res) => {
+        const startedAt = Date.now();
+        const path = new URL(req.url, 'http://localhost').pathname;
+        const log = { method: req.method, path };
+        try {
+            const route = routes[path];
+            if (!route) throw new HttpError(404, 'Not found.', 'request/not-found');
+            if (req.method !== 'POST') throw new HttpError(405, 'Use POST.', 'request/method-not-allowed', { Allow: 'POST' });
+            await route(req, res, log);
+        } catch (error) {
+            log.error = error instanceof HttpError ? error.code : error.message;
+            if (!(error instanceof HttpError)) console.error(error);
+            if (!res.headersSent) sendError(res, error);
+            else res.end();
+        } finally {
+            logRequest({ ...log, status: res.statusCode, durationMs: Date.now() - startedAt });
+        }
+    };
+};
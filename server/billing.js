@@ -0,0 +1,20 @@
+// --- BILLING ---
+// Stripe customer portal sessions, through Stripe's REST API so the server needs no SDK.
+
+import { HttpError } from './http.js';
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+
+// Returns the portal URL where the customer can cancel or update payment details.
+export const createPortalSession = async (stripe, customerId, returnUrl) => {
+    if (!stripe.secretKey) throw new HttpError(503, 'Billing is not configured on this server.', 'billing/not-configured');
+    if (!customerId) throw new HttpError(404, 'No Stripe subscription is linked to this account.', 'billing/no-customer');
+    const response = await fetch(`${STRIPE_API}/billing_portal/sessions`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${stripe.secretKey}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ customer: customerId, return_url: returnUrl })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.url) throw new HttpError(502, result.error?.message || 'Stripe did not return a portal session.', 'billing/stripe-error');
+    return result.url;
+};
@@ -0,0 +1,44 @@
+// --- SERVER CONFIG ---
+// Everything the API server needs comes from process.env, so the model key, Stripe key and
+// quota limits live only on the server. The browser bundle never sees them.
+
+const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const loadConfig = (env = process.env) => ({
+    port: toInt(env.PORT, 8787),
+    // Request bodies carry whole tender documents as text.
+    maxBodyBytes: toInt(env.MAX_BODY_BYTES, 20 * 1024 * 1024),
+    ai: {
+        provider: String(env.AI_PROVIDER || 'gemini').trim().toLowerCase(),
+        upstreamUrl: env.AI_UPSTREAM_URL || '',
+        model: env.AI_MODEL || '',
+        apiKey: env.AI_API_KEY || '',
+        maxTokens: toInt(env.AI_MAX_TOKENS, 8192),
+        timeoutMs: toInt(env.AI_TIMEOUT_MS, 5 * 60 * 1000)
+    },
+    quota: {
+        // Must match MAX_FREE_AUDITS in the app, which only uses it to show the paywall early.
+        freeAudits: toInt(env.FREE_AUDIT_LIMIT, 3),
+        // A session's model-call budget is sized from the RFQ's section count when it is reserved:
+        // per section the audit pass, a missing-field re-request and one retry; per audit up to four
+        // coverage re-check batches with their re-requests, plus a few retries shared by the session.
+        callsPerSection: toInt(env.AUDIT_CALLS_PER_SECTION, 3),
+        callsPerAuditBase: toInt(env.AUDIT_BASE_CALLS, 12),
+        // The section count comes from the browser, so this cap is what bounds one check's cost:
+        // at the defaults no session can spend more than 12 + 3 * 25 = 87 model calls.
+        maxSectionsPerAudit: toInt(env.AUDIT_MAX_SECTIONS, 25),
+        auditTtlMs: toInt(env.AUDIT_TTL_MINUTES, 60) * 60 * 1000
+    },
+    rateLimit: {
+        analyzePerMinute: toInt(env.RATE_LIMIT_ANALYZE_PER_MINUTE, 30),
+        auditsPerMinute: toInt(env.RATE_LIMIT_AUDITS_PER_MINUTE, 10)
+    },
+    stripe: {
+        secretKey: env.STRIPE_SECRET_KEY || '',
+        webhookSecret: env.STRIPE_WEBHOOK_SECRET || ''
+    },
+    appUrl: env.APP_URL || 'http://localhost:5173'
+});
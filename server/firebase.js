@@ -0,0 +1,41 @@
+// --- FIREBASE ADMIN ---
+// Credentials come from GOOGLE_APPLICATION_CREDENTIALS (or the host's default service account).
+// With FIREBASE_AUTH_EMULATOR_HOST and FIRESTORE_EMULATOR_HOST set, the Admin SDK talks to the
+// local emulators instead, using the same "demo-smartbid" project id as the app.
+
+import { initializeApp, applicationDefault } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+import { HttpError } from './http.js';
+
+const EMULATOR_PROJECT_ID = 'demo-smartbid';
+
+export const initFirebaseAdmin = (env = process.env) => {
+    const usingEmulators = Boolean(env.FIRESTORE_EMULATOR_HOST || env.FIREBASE_AUTH_EMULATOR_HOST);
+    const app = usingEmulators
+        ? initializeApp({ projectId: env.GCLOUD_PROJECT || EMULATOR_PROJECT_ID })
+        : initializeApp({ credential: applicationDefault(), projectId: env.GCLOUD_PROJECT || undefined });
+    return { auth: getAuth(app), db: getFirestore(app) };
+};
+
+// Reads "Authorization: Bearer <Firebase ID token>" and returns { uid, email, role, workspaceId }.
+// Role and workspace come from the user's profile document, not from anything the browser sends.
+export const authenticate = async ({ auth, db }, req) => {
+    const match = String(req.headers.authorization || '').match(/^Bearer (.+)$/);
+    if (!match) throw new HttpError(401, 'Sign in to run audits.', 'auth/missing-token');
+    let decoded;
+    try {
+        decoded = await auth.verifyIdToken(match[1]);
+    } catch {
+        throw new HttpError(401, 'Your session has expired. Please sign in again.', 'auth/invalid-token');
+    }
+    const profile = await db.doc(`users/${decoded.uid}`).get();
+    // Suspension also disables the Auth account, but tokens issued before it stay valid for up to an hour.
+    if (profile.exists && profile.get('suspended')) throw new HttpError(403, 'This account is suspended. Contact support.', 'auth/suspended');
+    return {
+        uid: decoded.uid,
+        email: decoded.email || '',
+        role: profile.exists ? profile.get('role') || 'USER' : 'USER',
+        workspaceId: profile.exists ? profile.get('workspaceId') || null : null
+    };
+};
@@ -0,0 +1,49 @@
+// --- HTTP HELPERS ---
+// Small request/response helpers over node:http, so the server needs no web framework.
+
+// Errors the handlers throw on purpose; anything else becomes a 500 without details.
+export class HttpError extends Error {
+    constructor(status, message, code = '', headers = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.headers = headers;
+    }
+}
+
+export const readBody = (req, maxBytes) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+            reject(new HttpError(413, `Request body is larger than ${Math.round(maxBytes / 1024 / 1024)} MB.`, 'request/too-large'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+export const readJson = async (req, maxBytes) => {
+    const raw = await readBody(req, maxBytes);
+    try {
+        return { raw, body: raw.length ? JSON.parse(raw.toString('utf8')) : {} };
+    } catch {
+        throw new HttpError(400, 'Request body is not valid JSON.', 'request/invalid-json');
+    }
+};
+
+export const sendJson = (res, status, body, headers = {}) => {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers });
+    res.end(payload);
+};
+
+export const sendError = (res, error) => {
+    if (error instanceof HttpError) sendJson(res, error.status, { error: error.message, code: error.code }, error.headers);
+    else sendJson(res, 500, { error: 'Internal server error.', code: 'server/internal' });
+};
@@ -0,0 +1,17 @@
+// --- API SERVER ---
+// Run with `npm run server`. The Vite dev server proxies /api here; in production put both
+// behind the same origin (the app calls /api/... relative to itself).
+
+import { createServer } from 'node:http';
+import { loadConfig } from './config.js';
+import { initFirebaseAdmin } from './firebase.js';
+import { assertUpstreamConfig } from './providers.js';
+import { createApiHandler } from './app.js';
+
+const config = loadConfig();
+assertUpstreamConfig(config.ai);
+
+const server = createServer(createApiHandler(config, initFirebaseAdmin()));
+server.listen(config.port, () => {
+    console.log(`SmartBid API listening on http://localhost:${config.port} (AI provider: ${config.ai.provider})`);
+});
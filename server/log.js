@@ -0,0 +1,7 @@
+// --- REQUEST LOG ---
+// One JSON line per API request on stdout: who, which route, how big, how long and how it ended.
+// Document text and model output are never logged.
+
+export const logRequest = (entry) => {
+    console.log(JSON.stringify({ time: new Date().toISOString(), ...entry }));
+};
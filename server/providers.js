@@ -0,0 +1,47 @@
+// --- MODEL UPSTREAMS ---
+// The browser builds the provider-shaped request (src/lib/aiProviders.js) and posts it to
+// /api/analyze; here we add the API key, pin the model and output-token cap to the server's
+// settings (so a client can't pick a pricier model) and send it to the real provider. Any model
+// the browser names is ignored.
+
+const UPSTREAMS = {
+    gemini: {
+        url: (ai) => `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(ai.model)}:generateContent`,
+        headers: (ai) => ({ 'x-goog-api-key': ai.apiKey }),
+        prepareBody: (body, ai) => ({ ...body, generationConfig: { ...body.generationConfig, maxOutputTokens: ai.maxTokens } })
+    },
+    openai: {
+        url: () => 'https://api.openai.com/v1/chat/completions',
+        headers: (ai) => ({ Authorization: `Bearer ${ai.apiKey}` }),
+        prepareBody: (body, ai) => ({ ...body, model: ai.model, max_tokens: ai.maxTokens })
+    },
+    anthropic: {
+        url: () => 'https://api.anthropic.com/v1/messages',
+        headers: (ai) => ({ 'x-api-key': ai.apiKey, 'anthropic-version': '2023-06-01' }),
+        prepareBody: (body, ai) => ({ ...body, model: ai.model, max_tokens: ai.maxTokens })
+    },
+    ollama: {
+        url: () => 'http://localhost:11434/api/chat',
+        headers: () => ({}),
+        prepareBody: (body, ai) => ({ ...body, model: ai.model, stream: false, options: { ...body.options, num_predict: ai.maxTokens } })
+    }
+};
+
+// Fails at startup rather than on the first audit.
+export const assertUpstreamConfig = (ai) => {
+    if (!UPSTREAMS[ai.provider]) throw new Error(`Unknown AI_PROVIDER "${ai.provider}". Use one of: ${Object.keys(UPSTREAMS).join(', ')}.`);
+    if (ai.provider !== 'ollama' && !ai.apiKey) throw new Error(`AI_API_KEY is required for the ${ai.provider} provider.`);
+    if (!ai.model) throw new Error('AI_MODEL is required: the server, not the browser, picks the model it pays for.');
+};
+
+// Returns the fetch Response from the provider. signal aborts the call when the browser
+// disconnects (the user cancelled the audit) or the timeout passes.
+export const forwardToProvider = (ai, body, signal) => {
+    const upstream = UPSTREAMS[ai.provider];
+    return fetch(ai.upstreamUrl || upstream.url(ai), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...upstream.headers(ai) },
+        body: JSON.stringify(upstream.prepareBody(body, ai)),
+        signal
+    });
+};
@@ -0,0 +1,88 @@
+// --- AUDIT QUOTA ---
+// The free tier is enforced here, not in the browser. Quota and subscription belong to the
+// user's workspace. Before its first model call an audit reserves a check: one transaction
+// checks the user's workspace role, reads workspaces/{id}/usage_limits/main_tracker, refuses
+// when the free limit is used up, increments the counter and opens an audit session. Every
+// /api/analyze call must name an open session, which allows a bounded number of calls (sized
+// from the RFQ's section count) for a limited time, so a session can't be reused as an
+// unlimited model key. Admins can raise a
+// workspace's limit with bonusChecks (server/admin.js).
+
+import { HttpError } from './http.js';
+
+export const USAGE_COUNTER = { BIDDER: 'bidderChecks', INITIATOR: 'initiatorChecks' };
+
+const DEFAULT_USAGE = { initiatorChecks: 0, bidderChecks: 0, isSubscribed: false };
+
+// Workspace roles that may spend the quota (WORKSPACE_ACTION.RUN_AUDIT in src/lib/workspaces.js).
+const AUDIT_ROLES = ['OWNER', 'BID_MANAGER'];
+
+export const workspaceUsagePath = (workspaceId) => `workspaces/${workspaceId}/usage_limits/main_tracker`;
+export const legacyUsagePath = (uid) => `users/${uid}/usage_limits/main_tracker`;
+const sessionRef = (db, uid, auditId) => db.doc(`users/${uid}/audit_sessions/${auditId}`);
+
+// Reads a workspace's tracker inside a transaction; returns { ref, data }. Until the workspace has
+// a tracker its owner's pre-workspace one holds the counters and subscription, so the first write
+// carries them over and moving to workspaces neither resets nor loses anything.
+export const readWorkspaceUsage = async (db, transaction, workspaceId) => {
+    const ref = db.doc(workspaceUsagePath(workspaceId));
+    const snap = await transaction.get(ref);
+    if (snap.exists) return { ref, data: { ...DEFAULT_USAGE, ...snap.data() } };
+    const workspace = await transaction.get(db.doc(`workspaces/${workspaceId}`));
+    const legacy = workspace.exists ? await transaction.get(db.doc(legacyUsagePath(workspace.get('ownerId')))) : null;
+    return { ref, data: { ...DEFAULT_USAGE, ...(legacy?.exists ? legacy.data() : {}) } };
+};
+
+export const getFreeAuditLimit = (usage, quota) => quota.freeAudits + (usage.bonusChecks || 0);
+
+// Enough model calls for every section of the RFQ, so a large audit isn't cut off partway.
+export const getAuditCallBudget = (sections, quota) => quota.callsPerAuditBase + quota.callsPerSection * sections;
+
+// user: { uid, role, workspaceId } from authenticate. role: the app's audit role (BIDDER /
+// INITIATOR). sections: how many parts the RFQ is split into. Returns { auditId, usage }.
+export const reserveAudit = (db, user, role, sections, quota, now = Date.now()) => {
+    if (!user.workspaceId) throw new HttpError(409, 'Your account is not in a workspace yet. Sign in again to set one up.', 'workspace/missing');
+    if (sections > quota.maxSectionsPerAudit) {
+        throw new HttpError(413, `This RFQ has ${sections} sections; one audit covers at most ${quota.maxSectionsPerAudit}. Split it into smaller documents.`, 'usage/audit-too-large');
+    }
+    const counter = role === 'INITIATOR' ? USAGE_COUNTER.INITIATOR : USAGE_COUNTER.BIDDER;
+    const session = db.collection(`users/${user.uid}/audit_sessions`).doc();
+    const profileRef = db.doc(`users/${user.uid}`);
+    return db.runTransaction(async (transaction) => {
+        const [member, profile] = await Promise.all([
+            transaction.get(db.doc(`workspaces/${user.workspaceId}/members/${user.uid}`)),
+            transaction.get(profileRef)
+        ]);
+        if (!member.exists || !AUDIT_ROLES.includes(member.get('role'))) {
+            throw new HttpError(403, 'Only workspace owners and bid managers can run audits.', 'workspace/forbidden');
+        }
+        const { ref: usageRef, data: usage } = await readWorkspaceUsage(db, transaction, user.workspaceId);
+        const limit = getFreeAuditLimit(usage, quota);
+        const unlimited = user.role === 'ADMIN' || usage.isSubscribed;
+        if (!unlimited && (usage[counter] || 0) >= limit) {
+            throw new HttpError(402, `The free tier allows ${limit} checks. Upgrade to SmartBids Pro to keep auditing.`, 'usage/quota-exceeded');
+        }
+        const updated = { ...usage, [counter]: (usage[counter] || 0) + 1 };
+        transaction.set(usageRef, updated);
+        transaction.set(session, { role, counter, workspaceId: user.workspaceId, sections, callsLeft: getAuditCallBudget(sections, quota), createdAt: now, expiresAt: now + quota.auditTtlMs });
+        // Per-user activity for the admin console.
+        transaction.set(profileRef, { auditCount: (profile.get('auditCount') || 0) + 1, lastAuditAt: now }, { merge: true });
+        return { auditId: session.id, usage: updated };
+    });
+};
+
+// Spends one model call from the session; throws when it is unknown, expired or used up.
+export const consumeAuditCall = (db, uid, auditId, now = Date.now()) => {
+    if (!auditId || !/^[A-Za-z0-9_-]{1,128}$/.test(auditId)) throw new HttpError(400, 'Missing audit id. Start the audit again.', 'usage/missing-audit');
+    return db.runTransaction(async (transaction) => {
+        const ref = sessionRef(db, uid, auditId);
+        const snap = await transaction.get(ref);
+        if (!snap.exists) throw new HttpError(403, 'Unknown audit. Start the audit again.', 'usage/unknown-audit');
+        const session = snap.data();
+        if (session.expiresAt <= now) throw new HttpError(403, 'This audit has expired. Start it again.', 'usage/audit-expired');
+        if (session.callsLeft <= 0) throw new HttpError(403, 'This audit has used all of its AI requests.', 'usage/audit-exhausted');
+        // The transaction retries on a concurrent call, so a plain decrement can't lose one.
+        transaction.update(ref, { callsLeft: session.callsLeft - 1, lastCallAt: now });
+        return session.callsLeft - 1;
+    });
+};
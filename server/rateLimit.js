@@ -0,0 +1,32 @@
+// --- RATE LIMITING ---
+// Sliding one-minute window per key (the user's uid), kept in memory. A single server instance
+// is assumed; put a shared store behind this if the API is ever scaled out.
+
+const WINDOW_MS = 60 * 1000;
+
+export const createRateLimiter = (limitPerMinute, now = Date.now) => {
+    const hits = new Map();
+
+    // Records a hit for key and returns { allowed, retryAfterMs }.
+    const hit = (key) => {
+        const time = now();
+        const recent = (hits.get(key) || []).filter(stamp => time - stamp < WINDOW_MS);
+        if (recent.length >= limitPerMinute) {
+            hits.set(key, recent);
+            return { allowed: false, retryAfterMs: WINDOW_MS - (time - recent[0]) };
+        }
+        recent.push(time);
+        hits.set(key, recent);
+        return { allowed: true, retryAfterMs: 0 };
+    };
+
+    // Drops keys with no hits in the window so idle users don't accumulate.
+    const prune = () => {
+        const time = now();
+        hits.forEach((stamps, key) => {
+            if (!stamps.some(stamp => time - stamp < WINDOW_MS)) hits.delete(key);
+        });
+    };
+
+    return { hit, prune };
+};
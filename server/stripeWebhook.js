@@ -0,0 +1,143 @@
+// --- STRIPE WEBHOOK ---
+// Keeps the workspace's usage_limits/main_tracker in step with Stripe. Checkout completion links
+// the Stripe customer to the workspace (the payment link carries the workspace id, or a user id
+// from before workspaces, as client_reference_id); later subscription and invoice events find
+// the workspace through that stored customer id.
+// Signatures are checked by hand (HMAC-SHA256 over "timestamp.body"), so no Stripe SDK is needed.
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { HttpError } from './http.js';
+import { workspaceUsagePath, legacyUsagePath } from './quota.js';
+
+// Stripe's own default tolerance against replayed deliveries.
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Stripe keeps retrying past_due invoices, so access continues until it gives up and cancels.
+const ACTIVE_STATUSES = ['active', 'trialing', 'past_due'];
+
+// header: the Stripe-Signature value ("t=...,v1=...,v1=..."). Returns the parsed event.
+export const verifyStripeSignature = (rawBody, header, secret, nowSeconds = Math.floor(Date.now() / 1000)) => {
+    if (!secret) throw new HttpError(503, 'Stripe webhooks are not configured on this server.', 'billing/not-configured');
+    const parts = String(header || '').split(',').map(part => part.split('='));
+    const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!timestamp || signatures.length === 0) throw new HttpError(400, 'Missing Stripe signature.', 'stripe/missing-signature');
+    if (Math.abs(nowSeconds - timestamp) > SIGNATURE_TOLERANCE_SECONDS) throw new HttpError(400, 'Stripe signature timestamp is outside the tolerance.', 'stripe/stale-signature');
+
+    const expected = createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest();
+    const matches = signatures.some(signature => {
+        const given = Buffer.from(signature, 'hex');
+        return given.length === expected.length && timingSafeEqual(given, expected);
+    });
+    if (!matches) throw new HttpError(400, 'Stripe signature does not match.', 'stripe/invalid-signature');
+    try {
+        return JSON.parse(rawBody.toString('utf8'));
+    } catch {
+        throw new HttpError(400, 'Stripe event is not valid JSON.', 'stripe/invalid-json');
+    }
+};
+
+const toMillis = (seconds) => seconds ? seconds * 1000 : null;
+
+// Newer API versions moved the billing period from the subscription onto its items.
+const periodEndOf = (subscription) => subscription.current_period_end || subscription.items?.data?.[0]?.current_period_end || null;
+
+const planOf = (subscription) => {
+    const price = subscription.items?.data?.[0]?.price || subscription.plan || {};
+    return price.nickname || price.lookup_key || price.id || '';
+};
+
+const idOf = (value) => typeof value === 'string' ? value : value?.id || null;
+
+// Turns one event into { reference, customerId, fields } (fields: what to merge into the usage
+// document), or null for events that don't change subscription state.
+export const usageUpdateFromEvent = (event) => {
+    const object = event.data?.object || {};
+    switch (event.type) {
+        case 'checkout.session.completed':
+            if (object.mode && object.mode !== 'subscription') return null;
+            return {
+                reference: object.client_reference_id || null,
+                customerId: idOf(object.customer),
+                fields: { stripeCustomerId: idOf(object.customer), stripeSubscriptionId: idOf(object.subscription), isSubscribed: true }
+            };
+        case 'customer.subscription.created':
+        case 'customer.subscription.updated':
+        case 'customer.subscription.deleted': {
+            const deleted = event.type === 'customer.subscription.deleted';
+            const status = deleted ? 'canceled' : object.status;
+            return {
+                reference: null,
+                customerId: idOf(object.customer),
+                fields: {
+                    stripeSubscriptionId: object.id,
+                    isSubscribed: !deleted && ACTIVE_STATUSES.includes(status),
+                    subscriptionStatus: status,
+                    plan: planOf(object),
+                    currentPeriodEnd: toMillis(periodEndOf(object)),
+                    cancelAtPeriodEnd: Boolean(object.cancel_at_period_end),
+                    cancelAt: toMillis(object.cancel_at),
+                    canceledAt: toMillis(object.ended_at || object.canceled_at)
+                }
+            };
+        }
+        case 'invoice.payment_failed':
+            return {
+                reference: null,
+                customerId: idOf(object.customer),
+                fields: { subscriptionStatus: 'past_due', paymentFailedAt: toMillis(object.created) || toMillis(event.created), nextPaymentAttempt: toMillis(object.next_payment_attempt) }
+            };
+        case 'invoice.paid':
+            return { reference: null, customerId: idOf(object.customer), fields: { paymentFailedAt: null, nextPaymentAttempt: null } };
+        default:
+            return null;
+    }
+};
+
+// A user who has not signed in since workspaces were introduced keeps a per-user tracker,
+// which their workspace takes over on its first audit.
+const usagePathForUser = async (db, uid) => {
+    const user = await db.doc(`users/${uid}`).get();
+    if (!user.exists) return null;
+    return user.get('workspaceId') ? workspaceUsagePath(user.get('workspaceId')) : legacyUsagePath(uid);
+};
+
+const usagePathForReference = async (db, reference) => {
+    if ((await db.doc(`workspaces/${reference}`).get()).exists) return workspaceUsagePath(reference);
+    return usagePathForUser(db, reference);
+};
+
+// The owner's old tracker keeps its customer id after being carried over, so prefer the workspace's.
+const usagePathForCustomer = async (db, customerId) => {
+    if (!customerId) return null;
+    const matches = await db.collectionGroup('usage_limits').where('stripeCustomerId', '==', customerId).get();
+    const paths = matches.docs.map(match => match.ref.path);
+    const workspacePath = paths.find(path => path.startsWith('workspaces/'));
+    if (workspacePath) return workspacePath;
+    return paths.length ? usagePathForUser(db, paths[0].split('/')[1]) : null;
+};
+
+// Applies one verified event. Returns { status: 'applied' | 'duplicate' | 'stale' | 'ignored' | 'unmatched', usagePath }.
+// Each event id is recorded once. Stripe does not guarantee delivery order, so a subscription
+// event older than the last one applied is skipped, and events for a customer that checkout has
+// not linked yet come back 'unmatched' (the route answers non-2xx so Stripe retries them later).
+export const applyStripeEvent = async (db, event) => {
+    const update = usageUpdateFromEvent(event);
+    if (!update) return { status: 'ignored', usagePath: null };
+    const usagePath = update.reference ? await usagePathForReference(db, update.reference) : await usagePathForCustomer(db, update.customerId);
+    if (!usagePath) return { status: 'unmatched', usagePath: null };
+
+    const eventRef = db.doc(`stripe_events/${event.id}`);
+    const usageRef = db.doc(usagePath);
+    const status = await db.runTransaction(async (transaction) => {
+        const [seen, usage] = await Promise.all([transaction.get(eventRef), transaction.get(usageRef)]);
+        if (seen.exists) return 'duplicate';
+        transaction.set(eventRef, { type: event.type, usagePath, receivedAt: Date.now() });
+        const isSubscriptionEvent = event.type.startsWith('customer.subscription.');
+        const lastEventAt = usage.exists ? usage.get('subscriptionEventCreated') || 0 : 0;
+        if (isSubscriptionEvent && event.created < lastEventAt) return 'stale';
+        transaction.set(usageRef, isSubscriptionEvent ? { ...update.fields, subscriptionEventCreated: event.created } : update.fields, { merge: true });
+        return 'applied';
+    });
+    return { status, usagePath };
+};
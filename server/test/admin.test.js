@@ -0,0 +1,112 @@
+// Admin console actions against an in-memory Firestore and a recording stand-in for Firebase Auth.
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyAdminAction, ADMIN_ACTION } from '../admin.js';
+import { reserveAudit } from '../quota.js';
+import { createFakeFirestore } from './fakeFirestore.js';
+
+const ADMIN = { uid: 'uid_admin', email: 'ops@smartbids.example', role: 'ADMIN' };
+const USAGE_PATH = 'workspaces/ws_1/usage_limits/main_tracker';
+const QUOTA = { freeAudits: 3, callsPerSection: 6, callsPerAuditBase: 24, maxSectionsPerAudit: 100, auditTtlMs: 60 * 60 * 1000 };
+
+const createFakeAuth = () => {
+    const calls = [];
+    return {
+        calls,
+        updateUser: async (uid, changes) => { calls.push(['updateUser', uid, changes]); },
+        revokeRefreshTokens: async (uid) => { calls.push(['revokeRefreshTokens', uid]); }
+    };
+};
+
+describe('applyAdminAction', () => {
+    let firebase;
+
+    beforeEach(() => {
+        firebase = {
+            auth: createFakeAuth(),
+            db: createFakeFirestore({
+                'users/uid_admin': { name: 'Ops', role: 'ADMIN' },
+                'users/uid_1': { name: 'Bea Bidder', email: 'bea@example.com', role: 'USER', workspaceId: 'ws_1' },
+                'users/uid_legacy': { name: 'Lee Legacy', role: 'USER' },
+                'workspaces/ws_1': { name: 'Bea Ltd', ownerId: 'uid_1' },
+                'workspaces/ws_1/members/uid_1': { role: 'OWNER' },
+                [USAGE_PATH]: { bidderChecks: 3, initiatorChecks: 1, isSubscribed: false }
+            })
+        };
+    });
+
+    const act = (request, admin = ADMIN) => applyAdminAction(firebase, admin, request, 1_700_000_000_000);
+
+    test('refuses anyone who is not an admin', async () => {
+        await assert.rejects(act({ uid: 'uid_1', action: ADMIN_ACTION.GRANT_PRO }, { uid: 'uid_1', role: 'USER' }), { code: 'admin/forbidden' });
+        assert.equal(firebase.db.dump(USAGE_PATH).isSubscribed, false);
+    });
+
+    test('logs each change with its before and after values', async () => {
+        const entry = await act({ uid: 'uid_1', action: ADMIN_ACTION.SET_ROLE, params: { role: 'ADMIN' }, reason: 'New operator' });
+        assert.equal(firebase.db.dump('users/uid_1').role, 'ADMIN');
+        assert.deepEqual(firebase.db.dump(`admin_actions/${entry.id}`), {
+            adminUid: 'uid_admin', adminEmail: 'ops@smartbids.example', targetUid: 'uid_1', targetEmail: 'bea@example.com',
+            action: 'SET_ROLE', params: { role: 'ADMIN' }, target: 'users/uid_1',
+            before: { role: 'USER' }, after: { role: 'ADMIN' }, reason: 'New operator', createdAt: 1_700_000_000_000
+        });
+    });
+
+    test('admins cannot demote or suspend themselves', async () => {
+        await assert.rejects(act({ uid: 'uid_admin', action: ADMIN_ACTION.SET_ROLE, params: { role: 'USER' } }), { code: 'admin/self' });
+        await assert.rejects(act({ uid: 'uid_admin', action: ADMIN_ACTION.SUSPEND }), { code: 'admin/self' });
+    });
+
+    test('suspension flags the profile, disables sign-in and ends open sessions', async () => {
+        await act({ uid: 'uid_1', action: ADMIN_ACTION.SUSPEND });
+        assert.equal(firebase.db.dump('users/uid_1').suspended, true);
+        assert.deepEqual(firebase.auth.calls, [['updateUser', 'uid_1', { disabled: true }], ['revokeRefreshTokens', 'uid_1']]);
+        await act({ uid: 'uid_1', action: ADMIN_ACTION.REACTIVATE });
+        assert.equal(firebase.db.dump('users/uid_1').suspended, false);
+        assert.deepEqual(firebase.auth.calls.at(-1), ['updateUser', 'uid_1', { disabled: false }]);
+    });
+
+    test('reset and top-up act on the user\'s workspace tracker', async () => {
+        await act({ uid: 'uid_1', action: ADMIN_ACTION.RESET_CHECKS });
+        await act({ uid: 'uid_1', action: ADMIN_ACTION.TOP_UP_CHECKS, params: { amount: 5 } });
+        const usage = firebase.db.dump(USAGE_PATH);
+        assert.equal(usage.bidderChecks, 0);
+        assert.equal(usage.initiatorChecks, 1);
+        assert.equal(usage.bonusChecks, 5);
+    });
+
+    test('a top-up raises the limit the server enforces', async () => {
+        const user = { uid: 'uid_1', role: 'USER', workspaceId: 'ws_1' };
+        await assert.rejects(reserveAudit(firebase.db, user, 'BIDDER', 1, QUOTA), { code: 'usage/quota-exceeded' });
+        await act({ uid: 'uid_1', action: ADMIN_ACTION.TOP_UP_CHECKS, params: { amount: 1 } });
+        const { usage } = await reserveAudit(firebase.db, user, 'BIDDER', 1, QUOTA);
+        assert.equal(usage.bidderChecks, 4);
+        assert.equal(firebase.db.dump('users/uid_1').auditCount, 1);
+    });
+
+    test('rejects top-ups outside 1 to 100', async () => {
+        await assert.rejects(act({ uid: 'uid_1', action: ADMIN_ACTION.TOP_UP_CHECKS, params: { amount: 0 } }), { code: 'admin/invalid-amount' });
+        await assert.rejects(act({ uid: 'uid_1', action: ADMIN_ACTION.TOP_UP_CHECKS, params: { amount: 1000 } }), { code: 'admin/invalid-amount' });
+    });
+
+    test('grants and revokes Pro by hand', async () => {
+        await act({ uid: 'uid_1', action: ADMIN_ACTION.GRANT_PRO });
+        assert.equal(firebase.db.dump(USAGE_PATH).isSubscribed, true);
+        assert.equal(firebase.db.dump(USAGE_PATH).subscriptionStatus, 'manual');
+        await act({ uid: 'uid_1', action: ADMIN_ACTION.REVOKE_PRO });
+        assert.equal(firebase.db.dump(USAGE_PATH).isSubscribed, false);
+    });
+
+    test('users without a workspace are charged on their own tracker', async () => {
+        const entry = await act({ uid: 'uid_legacy', action: ADMIN_ACTION.GRANT_PRO });
+        assert.equal(entry.target, 'users/uid_legacy/usage_limits/main_tracker');
+        assert.equal(firebase.db.dump(entry.target).isSubscribed, true);
+    });
+
+    test('unknown users and actions are rejected without a log entry', async () => {
+        await assert.rejects(act({ uid: 'uid_nobody', action: ADMIN_ACTION.GRANT_PRO }), { code: 'admin/unknown-user' });
+        await assert.rejects(act({ uid: 'uid_1', action: 'DELETE_EVERYTHING' }), { code: 'admin/unknown-action' });
+        assert.equal(firebase.db.dump('admin_actions/auto_1'), undefined);
+    });
+});
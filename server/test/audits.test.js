@@ -0,0 +1,160 @@
+// POST /api/audits and /api/analyze end to end: a stand-in for Firebase Auth that takes the uid
+// as the token, an in-memory Firestore and a local server in place of the model provider.
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { createApiHandler } from '../app.js';
+import { loadConfig } from '../config.js';
+import { assertUpstreamConfig } from '../providers.js';
+import { createFakeFirestore } from './fakeFirestore.js';
+
+const USAGE_PATH = 'workspaces/ws_1/usage_limits/main_tracker';
+
+const fakeAuth = { verifyIdToken: async (token) => ({ uid: token, email: `${token}@example.com` }) };
+
+const listen = async (handler) => {
+    const server = createServer(handler);
+    server.listen(0);
+    await once(server, 'listening');
+    return { server, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+describe('audit API', () => {
+    let db;
+    let api;
+    let upstream;
+    // Set by a test to hold the next provider request open instead of answering it.
+    let holdUpstream = null;
+    const upstreamRequests = [];
+
+    const start = async (env = {}) => listen(createApiHandler(loadConfig({
+        AI_PROVIDER: 'openai', AI_API_KEY: 'sk-test', AI_MODEL: 'gpt-test', AI_UPSTREAM_URL: upstream.url, ...env
+    }), { auth: fakeAuth, db }));
+
+    const post = (base, path, uid, body, headers = {}, signal) => fetch(`${base}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(uid ? { Authorization: `Bearer ${uid}` } : {}), ...headers },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    const reserve = async (uid, sections) => (await (await post(api.url, '/api/audits', uid, { role: 'BIDDER', sections })).json()).auditId;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        db = createFakeFirestore({
+            'users/uid_owner': { name: 'Olive Owner', role: 'USER', workspaceId: 'ws_1' },
+            'users/uid_viewer': { name: 'Vic Viewer', role: 'USER', workspaceId: 'ws_1' },
+            'users/uid_reviewer': { name: 'Rae Reviewer', role: 'USER', workspaceId: 'ws_1' },
+            'users/uid_suspended': { name: 'Sam Suspended', role: 'USER', workspaceId: 'ws_1', suspended: true },
+            'workspaces/ws_1': { name: 'Acme Bids', ownerId: 'uid_owner' },
+            'workspaces/ws_1/members/uid_owner': { role: 'OWNER' },
+            'workspaces/ws_1/members/uid_viewer': { role: 'VIEWER' },
+            'workspaces/ws_1/members/uid_reviewer': { role: 'REVIEWER' },
+            'workspaces/ws_1/members/uid_suspended': { role: 'OWNER' },
+            [USAGE_PATH]: { bidderChecks: 0, initiatorChecks: 0, isSubscribed: true }
+        });
+        upstream = await listen(async (req, res) => {
+            let raw = '';
+            for await (const chunk of req) raw += chunk;
+            upstreamRequests.push({ headers: req.headers, body: JSON.parse(raw) });
+            if (holdUpstream) return holdUpstream(res);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ message: { content: '{}' } }] }));
+        });
+        api = await start();
+    });
+
+    after(() => {
+        for (const { server } of [api, upstream]) {
+            server.closeAllConnections();
+            server.close();
+        }
+        mock.restoreAll();
+    });
+
+    test('reviewers and viewers cannot reserve an audit', async () => {
+        for (const uid of ['uid_reviewer', 'uid_viewer']) {
+            const response = await post(api.url, '/api/audits', uid, { role: 'BIDDER' });
+            assert.equal(response.status, 403);
+            assert.equal((await response.json()).code, 'workspace/forbidden');
+        }
+    });
+
+    test('suspended users and requests without a token are refused', async () => {
+        const suspended = await post(api.url, '/api/audits', 'uid_suspended', { role: 'BIDDER' });
+        assert.equal(suspended.status, 403);
+        assert.deepEqual(await suspended.json(), { error: 'This account is suspended. Contact support.', code: 'auth/suspended' });
+        assert.equal((await post(api.url, '/api/analyze', null, {})).status, 401);
+    });
+
+    test('sizes the session from the section count and refuses a malformed one', async () => {
+        assert.equal(db.dump(`users/uid_owner/audit_sessions/${await reserve('uid_owner', 10)}`).callsLeft, 12 + 3 * 10);
+        assert.equal(db.dump(`users/uid_owner/audit_sessions/${await reserve('uid_owner')}`).callsLeft, 12 + 3);
+        for (const sections of [0, 2.5, '10']) {
+            const response = await post(api.url, '/api/audits', 'uid_owner', { role: 'BIDDER', sections });
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).code, 'request/invalid-sections');
+        }
+    });
+
+    test('forwards a model request with the server key and model and spends one session call', async () => {
+        const auditId = await reserve('uid_owner', 1);
+        const response = await post(api.url, '/api/analyze', 'uid_owner', { model: 'gpt-most-expensive', messages: [] }, { 'X-Audit-Id': auditId });
+        assert.equal(response.status, 200);
+        assert.equal(upstreamRequests.at(-1).headers.authorization, 'Bearer sk-test');
+        assert.equal(upstreamRequests.at(-1).body.model, 'gpt-test');
+        assert.equal(db.dump(`users/uid_owner/audit_sessions/${auditId}`).callsLeft, 14);
+    });
+
+    test('refuses a model request without an open session', async () => {
+        const response = await post(api.url, '/api/analyze', 'uid_owner', { messages: [] }, { 'X-Audit-Id': 'not_reserved' });
+        assert.equal(response.status, 403);
+        assert.equal((await response.json()).code, 'usage/unknown-audit');
+    });
+
+    test('answers 429 with Retry-After once the per-minute limit is reached', async () => {
+        const limited = await start({ RATE_LIMIT_ANALYZE_PER_MINUTE: '1' });
+        try {
+            const auditId = await reserve('uid_owner');
+            const send = () => post(limited.url, '/api/analyze', 'uid_owner', { messages: [] }, { 'X-Audit-Id': auditId });
+            assert.equal((await send()).status, 200);
+            const response = await send();
+            assert.equal(response.status, 429);
+            assert.equal((await response.json()).code, 'rate-limit/exceeded');
+            const retryAfter = Number(response.headers.get('retry-after'));
+            assert.ok(retryAfter > 0 && retryAfter <= 60, `Retry-After was ${retryAfter}`);
+        } finally {
+            limited.server.closeAllConnections();
+            limited.server.close();
+        }
+    });
+
+    test('closing the browser request aborts the provider call', { timeout: 10_000 }, async () => {
+        const auditId = await reserve('uid_owner');
+        const providerClosed = new Promise(resolve => {
+            holdUpstream = (res) => res.on('close', () => resolve(res.writableEnded));
+        });
+        const reached = upstreamRequests.length;
+        const controller = new AbortController();
+        const request = post(api.url, '/api/analyze', 'uid_owner', { messages: [] }, { 'X-Audit-Id': auditId }, controller.signal);
+        try {
+            while (upstreamRequests.length === reached) await new Promise(resolve => setTimeout(resolve, 10));
+            controller.abort();
+            await assert.rejects(request, { name: 'AbortError' });
+            assert.equal(await providerClosed, false);
+        } finally {
+            holdUpstream = null;
+        }
+    });
+});
+
+describe('assertUpstreamConfig', () => {
+    test('refuses to start without a server-side model', () => {
+        assert.throws(() => assertUpstreamConfig(loadConfig({ AI_PROVIDER: 'openai', AI_API_KEY: 'sk-test' }).ai), /AI_MODEL is required/);
+        assert.throws(() => assertUpstreamConfig(loadConfig({ AI_PROVIDER: 'ollama' }).ai), /AI_MODEL is required/);
+        assert.doesNotThrow(() => assertUpstreamConfig(loadConfig({ AI_API_KEY: 'key', AI_MODEL: 'gemini-1.5-flash' }).ai));
+    });
+});
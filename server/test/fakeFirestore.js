@@ -0,0 +1,61 @@
+// In-memory stand-in for the parts of the Admin SDK's Firestore the server uses: document
+// get/set(merge), auto-id documents, collection-group equality queries and transactions (run serially).
+
+const snapshotOf = (ref, data) => ({
+    ref,
+    id: ref.id,
+    exists: data !== undefined,
+    data: () => data && { ...data },
+    get: (field) => data?.[field]
+});
+
+export const createFakeFirestore = (initial = {}) => {
+    const docs = new Map(Object.entries(initial));
+
+    const docRef = (path) => {
+        const segments = path.split('/');
+        const ref = {
+            path,
+            id: segments[segments.length - 1],
+            parent: { id: segments[segments.length - 2], parent: segments.length > 2 ? docRef(segments.slice(0, -2).join('/')) : null },
+            get: async () => snapshotOf(ref, docs.get(path))
+        };
+        return ref;
+    };
+
+    const write = (ref, value, options = {}) => {
+        docs.set(ref.path, options.merge ? { ...docs.get(ref.path), ...value } : { ...value });
+    };
+
+    const collectionGroup = (name) => {
+        const filters = [];
+        const query = {
+            where: (field, op, value) => { filters.push([field, value]); return query; },
+            limit: () => query,
+            get: async () => {
+                const matches = [...docs.entries()]
+                    .filter(([path]) => path.split('/').slice(-2, -1)[0] === name)
+                    .filter(([, data]) => filters.every(([field, value]) => data[field] === value))
+                    .map(([path, data]) => snapshotOf(docRef(path), data));
+                return { empty: matches.length === 0, docs: matches };
+            }
+        };
+        return query;
+    };
+
+    let nextId = 0;
+    const collection = (path) => ({ doc: (id = `auto_${++nextId}`) => docRef(`${path}/${id}`) });
+
+    let queue = Promise.resolve();
+    const runTransaction = (fn) => {
+        const run = queue.then(() => fn({
+            get: (ref) => ref.get(),
+            set: (ref, value, options) => write(ref, value, options),
+            update: (ref, value) => write(ref, value, { merge: true })
+        }));
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    return { doc: docRef, collection, collectionGroup, runTransaction, dump: (path) => docs.get(path) };
+};
@@ -0,0 +1,154 @@
+// Audit reservations, session spending and the rate limiter against an in-memory Firestore.
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reserveAudit, consumeAuditCall, getAuditCallBudget } from '../quota.js';
+import { createRateLimiter } from '../rateLimit.js';
+import { createFakeFirestore } from './fakeFirestore.js';
+
+const NOW = 1_700_000_000_000;
+const USAGE_PATH = 'workspaces/ws_1/usage_limits/main_tracker';
+const QUOTA = { freeAudits: 3, callsPerSection: 3, callsPerAuditBase: 12, maxSectionsPerAudit: 25, auditTtlMs: 60 * 60 * 1000 };
+
+const member = (uid, role = 'USER') => ({ uid, role, workspaceId: 'ws_1' });
+
+describe('reserveAudit', () => {
+    let db;
+
+    beforeEach(() => {
+        db = createFakeFirestore({
+            'workspaces/ws_1': { name: 'Bea Ltd', ownerId: 'uid_owner' },
+            'workspaces/ws_1/members/uid_owner': { role: 'OWNER' },
+            'workspaces/ws_1/members/uid_manager': { role: 'BID_MANAGER' },
+            'workspaces/ws_1/members/uid_reviewer': { role: 'REVIEWER' },
+            'workspaces/ws_1/members/uid_viewer': { role: 'VIEWER' },
+            [USAGE_PATH]: { bidderChecks: 2, initiatorChecks: 0, isSubscribed: false }
+        });
+    });
+
+    test('refuses reviewers and viewers without spending a check', async () => {
+        for (const uid of ['uid_reviewer', 'uid_viewer']) {
+            await assert.rejects(reserveAudit(db, member(uid), 'BIDDER', 1, QUOTA, NOW), { status: 403, code: 'workspace/forbidden' });
+        }
+        assert.equal(db.dump(USAGE_PATH).bidderChecks, 2);
+    });
+
+    test('refuses users outside a workspace', async () => {
+        assert.throws(() => reserveAudit(db, { uid: 'uid_new', role: 'USER', workspaceId: null }, 'BIDDER', 1, QUOTA, NOW), { status: 409, code: 'workspace/missing' });
+    });
+
+    test('spends the free tier, then refuses with the quota code', async () => {
+        const { auditId, usage } = await reserveAudit(db, member('uid_manager'), 'BIDDER', 1, QUOTA, NOW);
+        assert.equal(usage.bidderChecks, 3);
+        assert.deepEqual(db.dump(`users/uid_manager/audit_sessions/${auditId}`), {
+            role: 'BIDDER', counter: 'bidderChecks', workspaceId: 'ws_1', sections: 1, callsLeft: 15, createdAt: NOW, expiresAt: NOW + QUOTA.auditTtlMs
+        });
+        assert.equal(db.dump('users/uid_manager').auditCount, 1);
+        await assert.rejects(reserveAudit(db, member('uid_owner'), 'BIDDER', 1, QUOTA, NOW), { status: 402, code: 'usage/quota-exceeded' });
+        assert.equal(db.dump(USAGE_PATH).bidderChecks, 3);
+    });
+
+    test('counts initiator checks separately', async () => {
+        const { usage } = await reserveAudit(db, member('uid_owner'), 'INITIATOR', 1, QUOTA, NOW);
+        assert.equal(usage.initiatorChecks, 1);
+        assert.equal(usage.bidderChecks, 2);
+    });
+
+    test('bonus checks raise the free limit', async () => {
+        db = createFakeFirestore({
+            'workspaces/ws_1/members/uid_owner': { role: 'OWNER' },
+            [USAGE_PATH]: { bidderChecks: 3, initiatorChecks: 0, isSubscribed: false, bonusChecks: 2 }
+        });
+        await reserveAudit(db, member('uid_owner'), 'BIDDER', 1, QUOTA, NOW);
+        await reserveAudit(db, member('uid_owner'), 'BIDDER', 1, QUOTA, NOW);
+        await assert.rejects(reserveAudit(db, member('uid_owner'), 'BIDDER', 1, QUOTA, NOW), { code: 'usage/quota-exceeded' });
+        assert.equal(db.dump(USAGE_PATH).bidderChecks, 5);
+    });
+
+    test('subscribers and admins are not limited, but still counted', async () => {
+        db = createFakeFirestore({
+            'workspaces/ws_1/members/uid_owner': { role: 'OWNER' },
+            'workspaces/ws_2/members/uid_admin': { role: 'OWNER' },
+            [USAGE_PATH]: { bidderChecks: 40, initiatorChecks: 0, isSubscribed: true },
+            'workspaces/ws_2/usage_limits/main_tracker': { bidderChecks: 3, initiatorChecks: 0, isSubscribed: false }
+        });
+        assert.equal((await reserveAudit(db, member('uid_owner'), 'BIDDER', 1, QUOTA, NOW)).usage.bidderChecks, 41);
+        const admin = { uid: 'uid_admin', role: 'ADMIN', workspaceId: 'ws_2' };
+        assert.equal((await reserveAudit(db, admin, 'BIDDER', 1, QUOTA, NOW)).usage.bidderChecks, 4);
+    });
+
+    test('sizes the call budget from the section count and stops the session there', async () => {
+        const { auditId } = await reserveAudit(db, member('uid_owner'), 'BIDDER', 4, QUOTA, NOW);
+        // Each section's audit pass, re-request and a retry, four coverage batches with their
+        // re-requests, and four retries to share.
+        const budget = 4 * 3 + 4 * 2 + 4;
+        assert.equal(getAuditCallBudget(4, QUOTA), budget);
+        for (let call = 0; call < budget; call++) await consumeAuditCall(db, 'uid_owner', auditId, NOW);
+        await assert.rejects(consumeAuditCall(db, 'uid_owner', auditId, NOW), { code: 'usage/audit-exhausted' });
+    });
+
+    test('the largest audit one check can buy stays under a hundred model calls', () => {
+        assert.ok(getAuditCallBudget(QUOTA.maxSectionsPerAudit, QUOTA) < 100);
+    });
+
+    test('refuses an RFQ with more sections than one audit covers before spending a check', async () => {
+        assert.throws(() => reserveAudit(db, member('uid_owner'), 'BIDDER', 26, QUOTA, NOW), { status: 413, code: 'usage/audit-too-large' });
+        assert.equal(db.dump(USAGE_PATH).bidderChecks, 2);
+    });
+
+    test('a workspace without a tracker carries over its owner\'s pre-workspace counters', async () => {
+        db = createFakeFirestore({
+            'workspaces/ws_1': { name: 'Bea Ltd', ownerId: 'uid_owner' },
+            'workspaces/ws_1/members/uid_owner': { role: 'OWNER' },
+            'users/uid_owner/usage_limits/main_tracker': { bidderChecks: 3, initiatorChecks: 0, isSubscribed: false }
+        });
+        await assert.rejects(reserveAudit(db, member('uid_owner'), 'BIDDER', 1, QUOTA, NOW), { code: 'usage/quota-exceeded' });
+    });
+});
+
+describe('consumeAuditCall', () => {
+    const SESSION_PATH = 'users/uid_1/audit_sessions/audit_1';
+    const open = (session) => createFakeFirestore({ [SESSION_PATH]: { role: 'BIDDER', createdAt: NOW, expiresAt: NOW + 1000, ...session } });
+
+    test('spends one call per request and returns what is left', async () => {
+        const db = open({ callsLeft: 2 });
+        assert.equal(await consumeAuditCall(db, 'uid_1', 'audit_1', NOW), 1);
+        assert.equal(await consumeAuditCall(db, 'uid_1', 'audit_1', NOW), 0);
+        assert.equal(db.dump(SESSION_PATH).lastCallAt, NOW);
+    });
+
+    test('refuses once the session is used up', async () => {
+        const db = open({ callsLeft: 1 });
+        await consumeAuditCall(db, 'uid_1', 'audit_1', NOW);
+        await assert.rejects(consumeAuditCall(db, 'uid_1', 'audit_1', NOW), { status: 403, code: 'usage/audit-exhausted' });
+        assert.equal(db.dump(SESSION_PATH).callsLeft, 0);
+    });
+
+    test('refuses an expired session', async () => {
+        const db = open({ callsLeft: 10 });
+        await assert.rejects(consumeAuditCall(db, 'uid_1', 'audit_1', NOW + 1000), { status: 403, code: 'usage/audit-expired' });
+        assert.equal(db.dump(SESSION_PATH).callsLeft, 10);
+    });
+
+    test('refuses unknown, missing and malformed audit ids', async () => {
+        const db = open({ callsLeft: 10 });
+        await assert.rejects(consumeAuditCall(db, 'uid_2', 'audit_1', NOW), { code: 'usage/unknown-audit' });
+        assert.throws(() => consumeAuditCall(db, 'uid_1', '', NOW), { status: 400, code: 'usage/missing-audit' });
+        assert.throws(() => consumeAuditCall(db, 'uid_1', '../audit_1', NOW), { code: 'usage/missing-audit' });
+    });
+});
+
+describe('createRateLimiter', () => {
+    test('allows the limit per minute and says when the oldest hit leaves the window', () => {
+        let time = NOW;
+        const limiter = createRateLimiter(2, () => time);
+        assert.equal(limiter.hit('uid_1').allowed, true);
+        time += 15_000;
+        assert.equal(limiter.hit('uid_1').allowed, true);
+        time += 5_000;
+        assert.deepEqual(limiter.hit('uid_1'), { allowed: false, retryAfterMs: 40_000 });
+        assert.equal(limiter.hit('uid_2').allowed, true);
+        time += 40_000;
+        assert.equal(limiter.hit('uid_1').allowed, true);
+    });
+});
@@ -0,0 +1,283 @@
+// Runs firestore.rules against the local Firestore emulator with the client SDK, the way the
+// browser talks to it. Needs FIRESTORE_EMULATOR_HOST: `npm run test:rules` starts the emulator
+// and sets it. `npm test` does not run this suite; `npm run test:all` runs both.
+
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import {
+    doc, getDoc, setDoc, updateDoc, deleteDoc, addDoc, getDocs, collection, collectionGroup,
+    query, writeBatch, arrayUnion
+} from 'firebase/firestore';
+
+const PROJECT_ID = 'demo-smartbid-rules';
+const WORKSPACE_ID = 'ws_acme';
+const INVITE_CODE = 'ABCD-EFGH';
+
+// One workspace with a member of each role, an outsider with their own workspace, an admin
+// and a user whose reports predate workspaces.
+const SEED = {
+    'users/owner': { name: 'Olive Owner', role: 'USER', workspaceId: WORKSPACE_ID },
+    'users/manager': { name: 'Max Manager', role: 'USER', workspaceId: WORKSPACE_ID },
+    'users/reviewer': { name: 'Rae Reviewer', role: 'USER', workspaceId: WORKSPACE_ID },
+    'users/viewer': { name: 'Vic Viewer', role: 'USER', workspaceId: WORKSPACE_ID },
+    'users/outsider': { name: 'Oscar Outsider', role: 'USER', workspaceId: 'ws_other' },
+    'users/admin': { name: 'Ada Admin', role: 'ADMIN' },
+    'users/legacy': { name: 'Lee Legacy', role: 'USER' },
+    [`workspaces/${WORKSPACE_ID}`]: { name: 'Acme Bids', ownerId: 'owner', inviteCode: INVITE_CODE, createdAt: 1 },
+    [`workspaces/${WORKSPACE_ID}/members/owner`]: { name: 'Olive Owner', role: 'OWNER' },
+    [`workspaces/${WORKSPACE_ID}/members/manager`]: { name: 'Max Manager', role: 'BID_MANAGER' },
+    [`workspaces/${WORKSPACE_ID}/members/reviewer`]: { name: 'Rae Reviewer', role: 'REVIEWER' },
+    [`workspaces/${WORKSPACE_ID}/members/viewer`]: { name: 'Vic Viewer', role: 'VIEWER' },
+    [`workspaces/${WORKSPACE_ID}/compliance_reports/report_1`]: { rfqName: 'RFQ.pdf', bidName: 'Bid.pdf', ownerId: 'manager', workspaceId: WORKSPACE_ID, findings: [], overrideLog: [{ by: 'manager', at: 1 }] },
+    [`workspaces/${WORKSPACE_ID}/usage_limits/main_tracker`]: { bidderChecks: 3, initiatorChecks: 0, isSubscribed: false },
+    [`invite_codes/${INVITE_CODE}`]: { workspaceId: WORKSPACE_ID },
+    'workspaces/ws_other': { name: 'Other Ltd', ownerId: 'outsider', inviteCode: 'WXYZ-2345', createdAt: 1 },
+    'workspaces/ws_other/members/outsider': { name: 'Oscar Outsider', role: 'OWNER' },
+    'workspaces/ws_other/compliance_reports/report_other': { rfqName: 'Other.pdf', ownerId: 'outsider', workspaceId: 'ws_other', findings: [] },
+    'users/legacy/compliance_reports/legacy_1': { rfqName: 'Old.pdf', findings: [] },
+    'users/legacy/usage_limits/main_tracker': { bidderChecks: 1, isSubscribed: true }
+};
+
+// Fail rather than skip: a green run must mean the rules were checked.
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+    throw new Error('FIRESTORE_EMULATOR_HOST is not set; run this suite with npm run test:rules');
+}
+
+describe('firestore.rules', () => {
+    let testEnv;
+    const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+    const anonymous = () => testEnv.unauthenticatedContext().firestore();
+
+    before(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: PROJECT_ID,
+            firestore: { rules: readFileSync(new URL('../../../firestore.rules', import.meta.url), 'utf8') }
+        });
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await Promise.all(Object.entries(SEED).map(([path, data]) => setDoc(doc(db, path), data)));
+        });
+    });
+
+    after(() => testEnv.cleanup());
+
+    describe('user records', () => {
+        test('a user reads their own profile but not anyone else\'s', async () => {
+            await assertSucceeds(getDoc(doc(as('viewer'), 'users/viewer')));
+            await assertFails(getDoc(doc(as('viewer'), 'users/owner')));
+            await assertFails(getDoc(doc(anonymous(), 'users/viewer')));
+        });
+
+        test('only admins list user records', async () => {
+            await assertFails(getDocs(collection(as('owner'), 'users')));
+            await assertSucceeds(getDocs(collection(as('admin'), 'users')));
+        });
+
+        test('registration creates a plain user and cannot claim admin', async () => {
+            await assertSucceeds(setDoc(doc(as('newbie'), 'users/newbie'), { name: 'New', role: 'USER' }));
+            await assertFails(setDoc(doc(as('sneaky'), 'users/sneaky'), { name: 'Sneaky', role: 'ADMIN' }));
+            await assertFails(setDoc(doc(as('newbie'), 'users/someone_else'), { name: 'New', role: 'USER' }));
+        });
+
+        test('a user edits their profile but never their role, suspension or activity', async () => {
+            await assertSucceeds(updateDoc(doc(as('viewer'), 'users/viewer'), { phone: '555-0100', lastLoginAt: 5 }));
+            await assertFails(updateDoc(doc(as('viewer'), 'users/viewer'), { role: 'ADMIN' }));
+            await assertFails(updateDoc(doc(as('viewer'), 'users/viewer'), { suspended: false }));
+            await assertFails(updateDoc(doc(as('viewer'), 'users/viewer'), { auditCount: 0 }));
+        });
+
+        test('only admins read the admin action log, and nobody writes it from the browser', async () => {
+            await assertSucceeds(getDocs(collection(as('admin'), 'admin_actions')));
+            await assertFails(getDocs(collection(as('owner'), 'admin_actions')));
+            await assertFails(addDoc(collection(as('admin'), 'admin_actions'), { action: 'SET_ROLE' }));
+        });
+
+        test('a user cannot point their profile at a workspace they are not a member of', async () => {
+            await assertFails(updateDoc(doc(as('outsider'), 'users/outsider'), { workspaceId: WORKSPACE_ID }));
+        });
+
+        test('admins edit and delete user records', async () => {
+            await assertSucceeds(updateDoc(doc(as('admin'), 'users/viewer'), { role: 'ADMIN' }));
+            await assertSucceeds(deleteDoc(doc(as('admin'), 'users/legacy')));
+            await assertFails(deleteDoc(doc(as('owner'), 'users/viewer')));
+        });
+    });
+
+    describe('usage and subscription', () => {
+        test('members read the workspace tracker; outsiders do not', async () => {
+            await assertSucceeds(getDoc(doc(as('viewer'), `workspaces/${WORKSPACE_ID}/usage_limits/main_tracker`)));
+            await assertFails(getDoc(doc(as('outsider'), `workspaces/${WORKSPACE_ID}/usage_limits/main_tracker`)));
+        });
+
+        test('nobody can flip isSubscribed or reset counters from the browser', async () => {
+            const path = `workspaces/${WORKSPACE_ID}/usage_limits/main_tracker`;
+            await assertFails(updateDoc(doc(as('owner'), path), { isSubscribed: true }));
+            await assertFails(setDoc(doc(as('owner'), path), { bidderChecks: 0 }));
+            await assertFails(updateDoc(doc(as('admin'), path), { isSubscribed: true }));
+            await assertFails(updateDoc(doc(as('legacy'), 'users/legacy/usage_limits/main_tracker'), { bidderChecks: 0 }));
+        });
+
+        test('audit sessions are server-only', async () => {
+            await assertFails(setDoc(doc(as('owner'), 'users/owner/audit_sessions/a1'), { callsLeft: 1000 }));
+        });
+    });
+
+    describe('workspace reports', () => {
+        const reportPath = `workspaces/${WORKSPACE_ID}/compliance_reports/report_1`;
+        const newReport = (ownerId) => ({ rfqName: 'RFQ.pdf', bidName: 'New.pdf', ownerId, workspaceId: WORKSPACE_ID, findings: [] });
+
+        test('every member reads the library; outsiders do not', async () => {
+            await assertSucceeds(getDocs(collection(as('viewer'), `workspaces/${WORKSPACE_ID}/compliance_reports`)));
+            await assertFails(getDoc(doc(as('outsider'), reportPath)));
+        });
+
+        test('owners and bid managers save reports under their own name', async () => {
+            const reports = `workspaces/${WORKSPACE_ID}/compliance_reports`;
+            await assertSucceeds(addDoc(collection(as('manager'), reports), newReport('manager')));
+            await assertFails(addDoc(collection(as('manager'), reports), newReport('owner')));
+            await assertFails(addDoc(collection(as('reviewer'), reports), newReport('reviewer')));
+            await assertFails(addDoc(collection(as('outsider'), reports), newReport('outsider')));
+        });
+
+        test('reviewers override findings but cannot rewrite anything else', async () => {
+            const override = { findings: [{ flag: 'COMPLIANT' }], overrideLog: arrayUnion({ by: 'reviewer' }) };
+            await assertSucceeds(updateDoc(doc(as('reviewer'), reportPath), override));
+            await assertFails(updateDoc(doc(as('reviewer'), reportPath), { bidName: 'Renamed.pdf' }));
+            await assertFails(updateDoc(doc(as('viewer'), reportPath), override));
+        });
+
+        test('the override log only grows: no wiping, shortening, rewriting or unlogged overrides', async () => {
+            const findings = [{ flag: 'NON-COMPLIANT' }];
+            await assertFails(updateDoc(doc(as('reviewer'), reportPath), { findings, overrideLog: [] }));
+            await assertFails(updateDoc(doc(as('reviewer'), reportPath), { findings, overrideLog: [{ by: 'reviewer', at: 2 }] }));
+            await assertFails(updateDoc(doc(as('reviewer'), reportPath), { findings }));
+            await assertFails(updateDoc(doc(as('reviewer'), reportPath), { findings, overrideLog: [{ by: 'manager', at: 1 }] }));
+            await assertFails(updateDoc(doc(as('admin'), reportPath), { overrideLog: [{ by: 'admin', at: 2 }, { by: 'manager', at: 1 }] }));
+            await assertFails(updateDoc(doc(as('admin'), 'users/legacy/compliance_reports/legacy_1'), { findings }));
+            await assertSucceeds(updateDoc(doc(as('reviewer'), reportPath), { findings, overrideLog: [{ by: 'manager', at: 1 }, { by: 'reviewer', at: 2 }] }));
+            await assertSucceeds(updateDoc(doc(as('admin'), 'users/legacy/compliance_reports/legacy_1'), { findings, overrideLog: [{ by: 'admin', at: 2 }] }));
+        });
+
+        test('owners, bid managers and admins backfill parsed values, and nothing else with them', async () => {
+            const values = { bidValue: { raw: 'USD 1.2M', amount: 1200000, currency: 'USD' }, contractTerm: { raw: '18 months', months: 18 } };
+            await assertSucceeds(updateDoc(doc(as('manager'), reportPath), values));
+            await assertSucceeds(updateDoc(doc(as('admin'), 'users/legacy/compliance_reports/legacy_1'), values));
+            await assertFails(updateDoc(doc(as('reviewer'), reportPath), values));
+            await assertFails(updateDoc(doc(as('manager'), reportPath), { ...values, bidName: 'Renamed.pdf' }));
+        });
+
+        test('only owners, bid managers and admins delete reports', async () => {
+            await assertFails(deleteDoc(doc(as('reviewer'), reportPath)));
+            await assertFails(deleteDoc(doc(as('outsider'), reportPath)));
+            await assertSucceeds(deleteDoc(doc(as('manager'), reportPath)));
+            await assertSucceeds(deleteDoc(doc(as('admin'), 'workspaces/ws_other/compliance_reports/report_other')));
+        });
+
+        test('only admins read the cross-workspace report feed', async () => {
+            await assertFails(getDocs(query(collectionGroup(as('owner'), 'compliance_reports'))));
+            await assertSucceeds(getDocs(query(collectionGroup(as('admin'), 'compliance_reports'))));
+        });
+
+        test('legacy reports stay private to their author until moved', async () => {
+            await assertSucceeds(getDocs(collection(as('legacy'), 'users/legacy/compliance_reports')));
+            await assertFails(getDocs(collection(as('owner'), 'users/legacy/compliance_reports')));
+            await assertFails(setDoc(doc(as('legacy'), 'users/legacy/compliance_reports/new'), { rfqName: 'x' }));
+            await assertSucceeds(deleteDoc(doc(as('legacy'), 'users/legacy/compliance_reports/legacy_1')));
+        });
+    });
+
+    describe('workspace membership', () => {
+        const createWorkspace = (uid, overrides = {}) => {
+            const db = as(uid);
+            const batch = writeBatch(db);
+            const code = overrides.inviteCode || 'NEWW-CODE';
+            batch.set(doc(db, 'workspaces/ws_new'), { name: 'New Co', ownerId: uid, inviteCode: code, createdAt: 2, ...overrides.workspace });
+            batch.set(doc(db, `workspaces/ws_new/members/${uid}`), { name: 'Creator', role: 'OWNER' });
+            batch.set(doc(db, `invite_codes/${code}`), { workspaceId: 'ws_new' });
+            batch.update(doc(db, `users/${uid}`), { workspaceId: 'ws_new' });
+            return batch.commit();
+        };
+        const join = (uid, code, role = 'VIEWER') => {
+            const db = as(uid);
+            const batch = writeBatch(db);
+            batch.set(doc(db, `workspaces/${WORKSPACE_ID}/members/${uid}`), { name: uid, role, inviteCode: code });
+            batch.update(doc(db, `users/${uid}`), { workspaceId: WORKSPACE_ID });
+            return batch.commit();
+        };
+
+        test('a user creates a workspace and becomes its owner in one write', async () => {
+            await assertSucceeds(createWorkspace('legacy'));
+        });
+
+        test('nobody creates a workspace on someone else\'s behalf', async () => {
+            await assertFails(createWorkspace('legacy', { workspace: { ownerId: 'owner' } }));
+        });
+
+        test('nobody makes themselves owner of an existing workspace', async () => {
+            await assertFails(setDoc(doc(as('outsider'), `workspaces/${WORKSPACE_ID}/members/outsider`), { role: 'OWNER' }));
+        });
+
+        test('joining needs the current invite code and starts as a viewer', async () => {
+            await assertFails(join('legacy', 'WRON-GGGG'));
+            await assertFails(join('legacy', INVITE_CODE, 'BID_MANAGER'));
+            await assertSucceeds(join('legacy', INVITE_CODE));
+        });
+
+        test('a signed-in user looks up one invite code but cannot list them', async () => {
+            await assertSucceeds(getDoc(doc(as('legacy'), `invite_codes/${INVITE_CODE}`)));
+            await assertFails(getDocs(collection(as('legacy'), 'invite_codes')));
+            await assertFails(getDoc(doc(anonymous(), `invite_codes/${INVITE_CODE}`)));
+        });
+
+        test('a rotated code stops working', async () => {
+            const db = as('owner');
+            const batch = writeBatch(db);
+            batch.delete(doc(db, `invite_codes/${INVITE_CODE}`));
+            batch.set(doc(db, 'invite_codes/NEXT-CODE'), { workspaceId: WORKSPACE_ID });
+            batch.update(doc(db, `workspaces/${WORKSPACE_ID}`), { inviteCode: 'NEXT-CODE' });
+            await assertSucceeds(batch.commit());
+            await assertFails(join('legacy', INVITE_CODE));
+            await assertSucceeds(join('legacy', 'NEXT-CODE'));
+        });
+
+        test('only the owner rotates the code or renames the workspace', async () => {
+            await assertFails(updateDoc(doc(as('manager'), `workspaces/${WORKSPACE_ID}`), { inviteCode: 'MINE-MINE' }));
+            await assertFails(setDoc(doc(as('manager'), 'invite_codes/MINE-MINE'), { workspaceId: WORKSPACE_ID }));
+            await assertFails(updateDoc(doc(as('owner'), `workspaces/${WORKSPACE_ID}`), { ownerId: 'manager' }));
+            await assertSucceeds(updateDoc(doc(as('owner'), `workspaces/${WORKSPACE_ID}`), { name: 'Acme Bids Ltd' }));
+        });
+
+        test('only the owner assigns roles, and never ownership', async () => {
+            const viewer = `workspaces/${WORKSPACE_ID}/members/viewer`;
+            await assertSucceeds(updateDoc(doc(as('owner'), viewer), { role: 'BID_MANAGER' }));
+            await assertFails(updateDoc(doc(as('owner'), viewer), { role: 'OWNER' }));
+            await assertFails(updateDoc(doc(as('manager'), viewer), { role: 'REVIEWER' }));
+            await assertFails(updateDoc(doc(as('viewer'), viewer), { role: 'BID_MANAGER' }));
+        });
+
+        test('the owner removes members, members may leave, nobody removes the owner', async () => {
+            await assertSucceeds(deleteDoc(doc(as('owner'), `workspaces/${WORKSPACE_ID}/members/reviewer`)));
+            await assertSucceeds(deleteDoc(doc(as('viewer'), `workspaces/${WORKSPACE_ID}/members/viewer`)));
+            await assertFails(deleteDoc(doc(as('manager'), `workspaces/${WORKSPACE_ID}/members/owner`)));
+        });
+
+        test('a removed member loses access to the library', async () => {
+            await testEnv.withSecurityRulesDisabled(context => deleteDoc(doc(context.firestore(), `workspaces/${WORKSPACE_ID}/members/viewer`)));
+            await assertFails(getDoc(doc(as('viewer'), `workspaces/${WORKSPACE_ID}/compliance_reports/report_1`)));
+        });
+    });
+
+    test('scoring profiles are private to their user', async () => {
+        await assertSucceeds(setDoc(doc(as('owner'), 'users/owner/scoring_profiles/p1'), { name: 'Strict' }));
+        await assertFails(getDoc(doc(as('manager'), 'users/owner/scoring_profiles/p1')));
+    });
+
+    test('processed Stripe events are not visible to clients', async () => {
+        await assertFails(getDoc(doc(as('admin'), 'stripe_events/evt_1')));
+    });
+});
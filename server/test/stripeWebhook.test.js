@@ -0,0 +1,196 @@
+// Replays recorded Stripe events (test/fixtures/stripe) through POST /api/stripe-webhook,
+// signed the way Stripe signs them, against an in-memory Firestore.
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { createApiHandler } from '../app.js';
+import { loadConfig } from '../config.js';
+import { verifyStripeSignature, usageUpdateFromEvent, applyStripeEvent } from '../stripeWebhook.js';
+import { createFakeFirestore } from './fakeFirestore.js';
+
+const SECRET = 'whsec_test_fixture_secret';
+const WORKSPACE_ID = 'ws_fixture_1';
+const USAGE_PATH = `workspaces/${WORKSPACE_ID}/usage_limits/main_tracker`;
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/stripe/${name}.json`, import.meta.url));
+
+const sign = (payload, secret = SECRET, timestamp = Math.floor(Date.now() / 1000)) =>
+    `t=${timestamp},v1=${createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex')}`;
+
+describe('verifyStripeSignature', () => {
+    const payload = fixture('checkout_session_completed');
+
+    test('accepts a correctly signed event', () => {
+        assert.equal(verifyStripeSignature(payload, sign(payload), SECRET).type, 'checkout.session.completed');
+    });
+
+    test('accepts any matching v1 signature when the secret is being rolled', () => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const header = `${sign(payload, 'whsec_old', timestamp)},v1=${sign(payload, SECRET, timestamp).split('v1=')[1]}`;
+        assert.equal(verifyStripeSignature(payload, header, SECRET).id, 'evt_1PLx2aK8uYtW0qZ3cHk5Ppfa');
+    });
+
+    test('rejects a tampered body', () => {
+        const tampered = Buffer.from(payload.toString().replace(WORKSPACE_ID, 'ws_attacker'));
+        assert.throws(() => verifyStripeSignature(tampered, sign(payload), SECRET), { code: 'stripe/invalid-signature' });
+    });
+
+    test('rejects a signature made with another secret', () => {
+        assert.throws(() => verifyStripeSignature(payload, sign(payload, 'whsec_other'), SECRET), { code: 'stripe/invalid-signature' });
+    });
+
+    test('rejects a replay outside the tolerance window', () => {
+        const header = sign(payload, SECRET, Math.floor(Date.now() / 1000) - 600);
+        assert.throws(() => verifyStripeSignature(payload, header, SECRET), { code: 'stripe/stale-signature' });
+    });
+
+    test('rejects a missing header', () => {
+        assert.throws(() => verifyStripeSignature(payload, undefined, SECRET), { code: 'stripe/missing-signature' });
+    });
+});
+
+describe('usageUpdateFromEvent', () => {
+    test('reads the billing period from subscription items on newer API versions', () => {
+        const { fields } = usageUpdateFromEvent(JSON.parse(fixture('customer_subscription_updated_cancel_at_period_end')));
+        assert.equal(fields.currentPeriodEnd, 1722270400000);
+        assert.equal(fields.cancelAtPeriodEnd, true);
+    });
+
+    test('takes the checkout reference as given, to be resolved against Firestore', () => {
+        assert.equal(usageUpdateFromEvent(JSON.parse(fixture('checkout_session_completed'))).reference, WORKSPACE_ID);
+    });
+
+    test('ignores one-off payments', () => {
+        const event = JSON.parse(fixture('checkout_session_completed'));
+        event.data.object.mode = 'payment';
+        assert.equal(usageUpdateFromEvent(event), null);
+    });
+});
+
+describe('POST /api/stripe-webhook', () => {
+    const db = createFakeFirestore({
+        [`workspaces/${WORKSPACE_ID}`]: { name: 'Fixture Bidders Ltd', ownerId: 'uid_fixture_1' },
+        [USAGE_PATH]: { initiatorChecks: 0, bidderChecks: 2, isSubscribed: false }
+    });
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        const config = loadConfig({ STRIPE_WEBHOOK_SECRET: SECRET });
+        server = createServer(createApiHandler(config, { auth: {}, db }));
+        await new Promise(resolve => server.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        mock.restoreAll();
+    });
+
+    const deliver = async (name, signature) => {
+        const payload = fixture(name);
+        const response = await fetch(`${baseUrl}/api/stripe-webhook`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature || sign(payload) },
+            body: payload
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    test('rejects an unsigned delivery without touching the usage document', async () => {
+        const { status } = await deliver('checkout_session_completed', 't=1,v1=00');
+        assert.equal(status, 400);
+        assert.equal(db.dump(USAGE_PATH).isSubscribed, false);
+    });
+
+    test('asks Stripe to retry a subscription event that arrives before checkout links the customer', async () => {
+        const { status, body } = await deliver('customer_subscription_created');
+        assert.equal(status, 409);
+        assert.equal(body.code, 'stripe/unknown-customer');
+    });
+
+    test('checkout completion links the customer to the workspace and turns Pro on', async () => {
+        const { status, body } = await deliver('checkout_session_completed');
+        assert.equal(status, 200);
+        assert.equal(body.status, 'applied');
+        const usage = db.dump(USAGE_PATH);
+        assert.equal(usage.isSubscribed, true);
+        assert.equal(usage.stripeCustomerId, 'cus_QCvN7cYb2RkLmP');
+        assert.equal(usage.stripeSubscriptionId, 'sub_1PLx29K8uYtW0qZ3Yw8fGhQe');
+        assert.equal(usage.bidderChecks, 2);
+    });
+
+    test('the retried subscription event then records plan and renewal date', async () => {
+        const { body } = await deliver('customer_subscription_created');
+        assert.equal(body.status, 'applied');
+        const usage = db.dump(USAGE_PATH);
+        assert.equal(usage.plan, 'SmartBids Pro (monthly)');
+        assert.equal(usage.subscriptionStatus, 'active');
+        assert.equal(usage.currentPeriodEnd, 1719592000000);
+        assert.equal(usage.cancelAtPeriodEnd, false);
+    });
+
+    test('a failed renewal marks the subscription past due but keeps access', async () => {
+        await deliver('invoice_payment_failed');
+        await deliver('customer_subscription_updated_past_due');
+        const usage = db.dump(USAGE_PATH);
+        assert.equal(usage.subscriptionStatus, 'past_due');
+        assert.equal(usage.isSubscribed, true);
+        assert.equal(usage.paymentFailedAt, 1719592000000);
+        assert.equal(usage.nextPaymentAttempt, 1719851610000);
+        assert.equal(usage.currentPeriodEnd, 1722270400000);
+    });
+
+    test('cancellation at period end keeps Pro until the period ends', async () => {
+        await deliver('customer_subscription_updated_cancel_at_period_end');
+        const usage = db.dump(USAGE_PATH);
+        assert.equal(usage.isSubscribed, true);
+        assert.equal(usage.subscriptionStatus, 'active');
+        assert.equal(usage.cancelAtPeriodEnd, true);
+        assert.equal(usage.cancelAt, 1722270400000);
+    });
+
+    test('a redelivered event is acknowledged but not applied twice', async () => {
+        const { status, body } = await deliver('customer_subscription_updated_cancel_at_period_end');
+        assert.equal(status, 200);
+        assert.equal(body.status, 'duplicate');
+    });
+
+    test('deletion turns Pro off', async () => {
+        await deliver('customer_subscription_deleted');
+        const usage = db.dump(USAGE_PATH);
+        assert.equal(usage.isSubscribed, false);
+        assert.equal(usage.subscriptionStatus, 'canceled');
+        assert.equal(usage.canceledAt, 1722270400000);
+    });
+
+    test('an older subscription event delivered late does not undo the cancellation', async () => {
+        const payload = JSON.parse(fixture('customer_subscription_updated_past_due'));
+        payload.id = 'evt_late_redelivery_copy';
+        const raw = JSON.stringify(payload);
+        const response = await fetch(`${baseUrl}/api/stripe-webhook`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Stripe-Signature': sign(raw) },
+            body: raw
+        });
+        assert.equal((await response.json()).status, 'stale');
+        assert.equal(db.dump(USAGE_PATH).isSubscribed, false);
+    });
+
+    test('a checkout started from a pre-workspace payment link reaches the user\'s workspace', async () => {
+        const legacyDb = createFakeFirestore({
+            'users/uid_legacy': { name: 'Legacy Buyer', workspaceId: 'ws_legacy' },
+            'workspaces/ws_legacy': { name: 'Legacy Ltd', ownerId: 'uid_legacy' }
+        });
+        const event = JSON.parse(fixture('checkout_session_completed'));
+        event.data.object.client_reference_id = 'uid_legacy';
+        const { status, usagePath } = await applyStripeEvent(legacyDb, event);
+        assert.equal(status, 'applied');
+        assert.equal(usagePath, 'workspaces/ws_legacy/usage_limits/main_tracker');
+        assert.equal(legacyDb.dump(usagePath).isSubscribed, true);
+    });
+});
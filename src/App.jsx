@@ -1,39 +1,88 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import { 
     FileUp, Send, Loader2, AlertTriangle, CheckCircle, List, FileText, BarChart2,
     Save, Clock, Zap, ArrowLeft, Users, Briefcase, Layers, UserPlus, LogIn, Tag,
     Shield, User, HardDrive, Phone, Mail, Building, Trash2, Eye, DollarSign, Activity, 
-    Printer, Download, MapPin, Calendar, ThumbsUp, ThumbsDown, Gavel, Paperclip, Copy, Award, Lock, CreditCard, Info
+    Printer, Download, MapPin, Calendar, ThumbsUp, ThumbsDown, Gavel, Paperclip, Copy, Award, Lock, CreditCard, Info,
+    ArrowUp, ArrowDown, GitBranch, ListChecks
 } from 'lucide-react'; 
 
-// --- FIREBASE IMPORTS ---
-import { initializeApp } from 'firebase/app';
-import { 
-    getAuth, onAuthStateChanged, createUserWithEmailAndPassword, 
-    signInWithEmailAndPassword, signOut 
-} from 'firebase/auth';
-import { 
-    getFirestore, collection, addDoc, onSnapshot, query, doc, setDoc, 
-    runTransaction, deleteDoc, getDocs, getDoc, collectionGroup
-} from 'firebase/firestore'; 
-
-// --- FIREBASE INITIALIZATION ---
-// Using environment-provided global config to avoid build target issues
-const firebaseConfig = JSON.parse(__firebase_config);
-
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
+import { createStorage } from './lib/storage.js';
+import { selectRelevantBidText, mergeSectionReports } from './lib/chunking.js';
+import { getCompliancePercentage, getReportScore, isKnockoutFinding, DEFAULT_SCORING_PROFILE, SCORE_STATUS } from './lib/scoring.js';
+import { buildComparisonMatrix, rankBids } from './lib/comparison.js';
+import { mergeRfqQualityReports, countIssues } from './lib/rfqQuality.js';
+import { diffReports } from './lib/revisionDiff.js';
+import { parseModelJson, coerceToSchema, pickSchemaFields, isTopLevelPath, reconcileAuditFindings, ModelResponseError, ISSUE_SEVERITY } from './lib/responseValidation.js';
+import { summarizeOcr, LOW_OCR_CONFIDENCE } from './lib/ocr.js';
+import { extractFile, ACCEPTED_FILE_TYPES } from './lib/extractors.js';
+import { applyFindingOverrides, isOverridden, FLAG_DEFAULT_SCORES } from './lib/overrides.js';
+import { objectsToCsv, csvBlob } from './lib/csv.js';
+import { downloadBlob } from './lib/download.js';
+import { buildDocument, attachCitations, buildCitation, getClauseRef } from './lib/documents.js';
+import { extractRequirements, findCoverageGaps } from './lib/requirementExtractor.js';
+import { resolveProviderConfig, completeJson, AI_PROVIDER } from './lib/aiProviders.js';
+import { createAuditQueue, withPrefix, waitFor, isCancellation, AUDIT_STAGE, AUDIT_STAGE_ORDER, AUDIT_STAGE_LABELS, JOB_STATUS } from './lib/auditQueue.js';
+import { buildRfqSet, splitRfqSetSections, applyPrecedence, describeRfqSet, AMENDMENT_STATUS, CHANGE_TYPE } from './lib/addenda.js';
+import { buildMarketAnalytics, filterReports, sortReports, getFilterOptions, hasActiveFilters, getRegion, getRiskThemes, EMPTY_MARKET_FILTERS, MARKET_SORT } from './lib/marketAnalytics.js';
+import { normalizeReportValues, needsNormalization, getBidValue, getContractTerm, getNormalizedValue, formatMoney, formatContractTerm, BASE_CURRENCY, EXCHANGE_RATES_UPDATED, TAX_BASIS } from './lib/bidValues.js';
+import { canWorkspace, getReportAuthor, WORKSPACE_ACTION, WORKSPACE_ROLE, WORKSPACE_ROLE_ORDER, WORKSPACE_ROLE_LABELS } from './lib/workspaces.js';
+
+// --- STORAGE INITIALIZATION ---
+// Firestore (or its local emulators) with the environment-provided global config, or IndexedDB
+// for single-user on-premise installs. See lib/storage.js.
+const storage = createStorage(import.meta.env, typeof __firebase_config !== 'undefined' ? __firebase_config : null);
 
 // --- CONSTANTS ---
-const API_URL = '/api/analyze'; 
+// Which model backend this deployment talks to (VITE_AI_PROVIDER etc., see lib/aiProviders.js).
+const AI_CONFIG = resolveProviderConfig(import.meta.env);
 
 const CATEGORY_ENUM = ["LEGAL", "FINANCIAL", "TECHNICAL", "TIMELINE", "REPORTING", "ADMINISTRATIVE", "OTHER"];
+// Only shows the paywall early; the API server (FREE_AUDIT_LIMIT) enforces the limit.
 const MAX_FREE_AUDITS = 3; 
+const QUOTA_EXCEEDED_CODE = 'usage/quota-exceeded';
+const SUSPENDED_MESSAGE = 'This account is suspended. Contact SmartBids support.';
+
+const OVERRIDE_SOURCE = { SHEET_IMPORT: 'SHEET_IMPORT' };
+
+// Admin console actions, applied and logged by the API server (server/admin.js).
+const ADMIN_ACTION = {
+    SET_ROLE: 'SET_ROLE',
+    SUSPEND: 'SUSPEND',
+    REACTIVATE: 'REACTIVATE',
+    RESET_CHECKS: 'RESET_CHECKS',
+    TOP_UP_CHECKS: 'TOP_UP_CHECKS',
+    GRANT_PRO: 'GRANT_PRO',
+    REVOKE_PRO: 'REVOKE_PRO'
+};
+
+const ADMIN_ACTION_LABELS = {
+    SET_ROLE: 'Role changed',
+    SUSPEND: 'Suspended',
+    REACTIVATE: 'Reactivated',
+    RESET_CHECKS: 'Checks reset',
+    TOP_UP_CHECKS: 'Checks topped up',
+    GRANT_PRO: 'Pro granted',
+    REVOKE_PRO: 'Pro revoked'
+};
+
+const AUDIT_MODE = {
+    SINGLE: 'SINGLE',
+    COMPARE: 'COMPARE'
+};
+
+const ROLE = {
+    BIDDER: 'BIDDER',
+    INITIATOR: 'INITIATOR'
+};
+
+const ISSUE_TYPE_ENUM = ["AMBIGUOUS", "UNTESTABLE", "CONFLICTING", "MISSING_EVALUATION_CRITERIA", "UNREASONABLE_TERM", "OTHER"];
+const SEVERITY_ENUM = ["HIGH", "MEDIUM", "LOW"];
 
 const PAGE = {
     HOME: 'HOME',
     COMPLIANCE_CHECK: 'COMPLIANCE_CHECK', 
+    RFQ_QUALITY_CHECK: 'RFQ_QUALITY_CHECK',
     ADMIN: 'ADMIN',                     
     HISTORY: 'HISTORY' 
 };
@@ -46,14 +95,14 @@ const COMPREHENSIVE_REPORT_SCHEMA = {
         // --- ADMIN / MARKET INTEL FIELDS ---
         "projectTitle": { "type": "STRING", "description": "Official Project Title from RFQ." },
         "rfqScopeSummary": { "type": "STRING", "description": "High-level scope summary from RFQ." },
-        "grandTotalValue": { "type": "STRING", "description": "Total Bid Price/Cost." },
+        "grandTotalValue": { "type": "STRING", "description": "Total Bid Price/Cost with its ISO currency code and whether tax is included (e.g. 'USD 1,200,000 excl. VAT')." },
         "industryTag": { 
             "type": "STRING", 
             "description": "STRICTLY classify into ONE of these exact categories: 'Energy / Oil & Gas', 'Construction / Infrastructure', 'IT / SaaS / Technology', 'Healthcare / Medical', 'Logistics / Supply Chain', 'Consulting / Professional Services', 'Manufacturing / Industrial', 'Financial Services', or 'Other'."
         },
         "primaryRisk": { "type": "STRING", "description": "Biggest deal-breaker risk." },
         "projectLocation": { "type": "STRING", "description": "Geographic location." },
-        "contractDuration": { "type": "STRING", "description": "Proposed timeline." },
+        "contractDuration": { "type": "STRING", "description": "Proposed timeline, with any optional extensions stated separately (e.g. '18 months + 6 months optional')." },
         "techKeywords": { "type": "STRING", "description": "Top 3 technologies/materials." },
         "requiredCertifications": { "type": "STRING", "description": "Mandatory certs (ISO, etc.)." },
         
@@ -93,6 +142,24 @@ const COMPREHENSIVE_REPORT_SCHEMA = {
         "legalRiskAlerts": { "type": "ARRAY", "items": { "type": "STRING" } },
         "submissionChecklist": { "type": "ARRAY", "items": { "type": "STRING" } },
 
+        // --- ADDENDA FIELDS (only when the RFQ comes with addenda) ---
+        "supersededRequirements": {
+            "type": "ARRAY",
+            "description": "Clauses of this RFQ section that a later addendum replaced or deleted. Empty when no addenda are supplied.",
+            "items": {
+                "type": "OBJECT",
+                "properties": {
+                    "originalText": { "type": "STRING", "description": "EXACT TEXT of the clause that no longer applies." },
+                    "originalPageRef": { "type": "STRING", "description": "Location marker of the original clause, copied without brackets." },
+                    "changeType": { "type": "STRING", "enum": Object.values(CHANGE_TYPE) },
+                    "changedBy": { "type": "STRING", "description": "File name of the addendum that made the change." },
+                    "replacementText": { "type": "STRING", "description": "For REPLACED: EXACT TEXT of the new wording." },
+                    "bidAddressesOriginal": { "type": "BOOLEAN", "description": "True if the bid still answers the superseded version." },
+                    "note": { "type": "STRING", "description": "What the bidder must change, if anything." }
+                }
+            }
+        },
+
         // --- CORE COMPLIANCE FIELDS ---
         "executiveSummary": { "type": "STRING", "description": "Audit summary." },
         "findings": {
@@ -101,10 +168,18 @@ const COMPREHENSIVE_REPORT_SCHEMA = {
                 "type": "OBJECT",
                 "properties": {
                     "requirementFromRFQ": { "type": "STRING", "description": "EXACT TEXT of requirement." },
+                    "rfqClauseRef": { "type": "STRING", "description": "Clause number printed at or above the requirement, e.g. '4.2.3' or 'Section 7'; empty if the RFQ does not number it." },
                     "complianceScore": { "type": "NUMBER" },
                     "bidResponseSummary": { "type": "STRING" },
+                    "bidEvidenceQuote": { "type": "STRING", "description": "EXACT short quote from the Bid that supports the response (empty if nothing found)." },
+                    "rfqPageRef": { "type": "STRING", "description": "Nearest preceding RFQ location marker copied without brackets, e.g. 'Page 12', '¶ 45' or 'pricing.xlsx › Sheet \"BoQ\" › Row 7'." },
+                    "bidPageRef": { "type": "STRING", "description": "Nearest preceding Bid location marker for the evidence quote, copied without brackets, e.g. 'Page 30', '¶ 8' or 'deck.pptx › Slide 4'." },
                     "flag": { "type": "STRING", "enum": ["COMPLIANT", "PARTIAL", "NON-COMPLIANT"] },
                     "category": { "type": "STRING", "enum": CATEGORY_ENUM },
+                    "requirementSource": { "type": "STRING", "description": "File name of the RFQ document (base RFQ or addendum) the effective requirement wording comes from." },
+                    "amendmentStatus": { "type": "STRING", "enum": Object.values(AMENDMENT_STATUS), "description": "ORIGINAL unless an addendum changed (AMENDED) or introduced (ADDED) this requirement." },
+                    "amendedBy": { "type": "STRING", "description": "For AMENDED / ADDED: file name of the addendum." },
+                    "supersededText": { "type": "STRING", "description": "For AMENDED: EXACT TEXT of the earlier wording that no longer applies." },
                     "negotiationStance": { 
                         "type": "STRING", 
                         "description": "If score < 1: Act as a Sales Diplomat. 1. Identify deviation. 2. Suggest a 'Pivot Strategy' (e.g. 'Pivot to Safety'). 3. Provide a template script justifying why this deviation is acceptable/beneficial. Do NOT invent facts."
@@ -116,66 +191,411 @@ const COMPREHENSIVE_REPORT_SCHEMA = {
     "required": ["projectTitle", "rfqScopeSummary", "grandTotalValue", "industryTag", "primaryRisk", "generatedExecutiveSummary", "persuasionScore", "toneAnalysis", "procurementVerdict", "legalRiskAlerts", "submissionChecklist", "executiveSummary", "findings", "buyingPersona", "complexityScore", "trapCount", "leadTemperature"]
 };
 
+// Second pass over requirements the local extractor found but the first pass did not list.
+const COVERAGE_PASS_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        "findings": COMPREHENSIVE_REPORT_SCHEMA.properties.findings,
+        "dismissed": {
+            "type": "ARRAY",
+            "description": "Listed statements that are not obligations on the bidder.",
+            "items": {
+                "type": "OBJECT",
+                "properties": {
+                    "requirementId": { "type": "INTEGER", "description": "Number of the listed statement." },
+                    "reason": { "type": "STRING", "description": "Why the bid does not need to answer it (background, definition, obligation of the buyer...)." }
+                }
+            }
+        }
+    },
+    "required": ["findings"]
+};
+
+// Buyer-side (INITIATOR) audit of the RFQ itself.
+const RFQ_QUALITY_REPORT_SCHEMA = {
+    type: "OBJECT",
+    description: "Quality review of an RFQ/tender document from the procurement officer's perspective.",
+    properties: {
+        "projectTitle": { "type": "STRING", "description": "Official Project Title from RFQ." },
+        "rfqScopeSummary": { "type": "STRING", "description": "High-level scope summary from RFQ." },
+        "industryTag": { "type": "STRING", "description": "Same categories as the bidder audit." },
+        "qualityScore": { "type": "NUMBER", "description": "Score 0-100: how clear, testable, consistent and fair the RFQ is." },
+        "executiveSummary": { "type": "STRING", "description": "Review summary for the procurement officer." },
+        "evaluationCriteriaFound": { "type": "ARRAY", "items": { "type": "STRING" }, "description": "Evaluation/award criteria the RFQ does define." },
+        "missingEvaluationCriteria": { "type": "ARRAY", "items": { "type": "STRING" }, "description": "Criteria bidders will need but the RFQ does not define (weighting, scoring method, price/quality split...)." },
+        "issues": {
+            "type": "ARRAY",
+            "items": {
+                "type": "OBJECT",
+                "properties": {
+                    "clauseText": { "type": "STRING", "description": "EXACT TEXT of the problematic clause." },
+                    "rfqPageRef": { "type": "STRING", "description": "Nearest preceding RFQ location marker copied without brackets, e.g. 'Page 12', '¶ 45' or 'pricing.xlsx › Sheet \"BoQ\" › Row 7'." },
+                    "issueType": { "type": "STRING", "enum": ISSUE_TYPE_ENUM },
+                    "severity": { "type": "STRING", "enum": SEVERITY_ENUM },
+                    "explanation": { "type": "STRING", "description": "Why this will cause bidder questions, disputes or non-comparable bids." },
+                    "conflictsWith": { "type": "STRING", "description": "For CONFLICTING issues: EXACT TEXT of the other clause." },
+                    "suggestedRewrite": { "type": "STRING", "description": "Clear, measurable replacement wording." }
+                }
+            }
+        }
+    },
+    "required": ["projectTitle", "rfqScopeSummary", "qualityScore", "executiveSummary", "missingEvaluationCriteria", "issues"]
+};
+
 // --- UTILS ---
-const fetchWithRetry = async (url, options, maxRetries = 3) => {
+// A failed response as an Error carrying .status and .code. Our API server answers { error, code };
+// providers called directly answer { error: { message } }.
+const toHttpError = async (response) => {
+    const body = await response.json().catch(() => ({}));
+    const message = typeof body.error === 'string' ? body.error : body.error?.message;
+    return Object.assign(new Error(message || `HTTP error! Status: ${response.status}`), { status: response.status, code: body.code || '' });
+};
+
+// Retry-After in seconds or as an HTTP date; null when missing or unreadable.
+const getRetryAfterMs = (response) => {
+    const value = response.headers.get('Retry-After');
+    if (!value) return null;
+    const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+    return Number.isFinite(ms) ? Math.max(0, ms) : null;
+};
+
+// options.signal cancels both the request and the backoff wait. onRetry({ attempt, maxRetries,
+// delayMs, error }) is called before each backoff so the UI can say why nothing is happening.
+// Client errors other than 429 (quota, suspension, expired or used-up audit, bad request) are
+// thrown at once, since retrying can't fix them; 429 waits as long as Retry-After asks.
+const fetchWithRetry = async (url, options, maxRetries = 3, onRetry) => {
     for (let i = 0; i < maxRetries; i++) {
+        let retryAfterMs = null;
         try {
             const response = await fetch(url, options);
-            if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
-            return response;
+            if (response.ok) return response;
+            if (response.status === 429) retryAfterMs = getRetryAfterMs(response);
+            throw await toHttpError(response);
         } catch (error) {
-            if (i === maxRetries - 1) throw error; 
-            await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * 1000));
+            const permanent = error.status >= 400 && error.status < 500 && error.status !== 429;
+            if (permanent || i === maxRetries - 1 || isCancellation(error, options?.signal)) throw error;
+            const delayMs = retryAfterMs ?? Math.pow(2, i) * 1000;
+            if (onRetry) onRetry({ attempt: i + 2, maxRetries, delayMs, error });
+            await waitFor(delayMs, options?.signal);
         }
     }
 };
 
-const getUsageDocRef = (db, userId) => doc(db, `users/${userId}/usage_limits`, 'main_tracker');
-const getReportsCollectionRef = (db, userId) => collection(db, `users/${userId}/compliance_reports`);
+const AUDIT_SYSTEM_PROMPT = `You are the SmartBid Compliance Auditor & Coach.
+    
+    **TASK 1: Market Intel**
+    1. EXTRACT 'projectTitle', 'grandTotalValue', 'primaryRisk', 'rfqScopeSummary'.
+    2. EXTRACT 'projectLocation', 'contractDuration', 'techKeywords', 'requiredCertifications'.
+    3. CLASSIFY 'industryTag': STRICTLY choose one: 'Energy / Oil & Gas', 'Construction / Infrastructure', 'IT / SaaS / Technology', 'Healthcare / Medical', 'Logistics / Supply Chain', 'Consulting / Professional Services', 'Manufacturing / Industrial', 'Financial Services', or 'Other'.
+    
+    // --- NEW STRATEGIC METRICS ---
+    4. CLASSIFY 'buyingPersona': 'PRICE-DRIVEN' or 'VALUE-DRIVEN' based on RFQ tone.
+    5. SCORE 'complexityScore': 1-10 (String format e.g. '8/10').
+    6. COUNT 'trapCount': Number of dangerous clauses (e.g. '3 Critical Traps').
+    7. ASSESS 'leadTemperature': 'HOT LEAD', 'WARM LEAD', or 'COLD LEAD' based on win probability.
+
+    **TASK 2: Bid Coaching**
+    1. GENERATE 'generatedExecutiveSummary': MANDATORY: Start by referencing the specific Project Background from the RFQ, then transition to the Vendor's solution and value proposition.
+    2. CALCULATE 'persuasionScore' (0-100).
+    3. ANALYZE 'toneAnalysis' (One word).
+    4. FIND 'weakWords' (List 3).
+    5. JUDGE 'procurementVerdict': List 3 'winningFactors' and 3 'losingFactors'.
+    6. ALERT 'legalRiskAlerts'.
+    7. CHECK 'submissionChecklist' (List artifacts).
+    8. CLEAN UP TEXT: Pages read by OCR may contain recognition errors; fix obvious ones when quoting (e.g. 'Veri fi cation' -> 'Verification').
+
+    **TASK 3: Compliance Audit**
+    1. Identify mandatory requirements.
+    2. Score (1/0.5/0).
+    3. CRITICAL: Copy EXACT text to 'requirementFromRFQ'. The documents keep their structure: '#' headings, clause numbers at the start of lines (e.g. '4.2.3') and '|' table rows. Set 'rfqClauseRef' to the clause number the requirement sits under, and read pricing and quantity tables row by row.
+    4. CITE: Both documents carry location markers like '[Page 12]', '[¶ 45]', '[Slide 3]' or, for files inside a tender package, '[pricing.xlsx › Sheet "BoQ" › Row 7]'. Set 'rfqPageRef' and 'bidPageRef' to the nearest marker before the text (full marker, without brackets), and copy the supporting bid wording to 'bidEvidenceQuote'.
+    5. NEGOTIATION: If score < 1, write a diplomatic Sales Argument. Suggest a 'Pivot Strategy' (e.g. Safety/Efficiency). Provide a specific justification script. Do not invent facts.
+    
+    Output JSON.`;
 
-const getCompliancePercentage = (report) => {
-    const findings = report.findings || []; 
-    const totalScore = findings.reduce((sum, item) => sum + (item.complianceScore || 0), 0);
-    const maxScore = findings.length * 1;
-    return maxScore > 0 ? parseFloat(((totalScore / maxScore) * 100).toFixed(1)) : 0;
-};
-
-const processFile = (file) => {
-    return new Promise(async (resolve, reject) => {
-        const fileExtension = file.name.split('.').pop().toLowerCase();
-        const reader = new FileReader();
-        if (fileExtension === 'txt') {
-            reader.onload = (event) => resolve(event.target.result);
-            reader.onerror = reject;
-            reader.readAsText(file);
-        } else if (fileExtension === 'pdf') {
-            if (typeof window.pdfjsLib === 'undefined') return reject("PDF lib not loaded.");
-            reader.onload = async (event) => {
-                try {
-                    const pdf = await window.pdfjsLib.getDocument({ data: new Uint8Array(event.target.result) }).promise;
-                    let fullText = '';
-                    for (let i = 1; i <= pdf.numPages; i++) {
-                        const page = await pdf.getPage(i);
-                        const textContent = await page.getTextContent();
-                        fullText += textContent.items.map(item => item.str).join(' ') + '\n\n'; 
-                    }
-                    resolve(fullText);
-                } catch (e) { reject(e.message); }
-            };
-            reader.readAsArrayBuffer(file);
-        } else if (fileExtension === 'docx') {
-            if (typeof window.mammoth === 'undefined') return reject("DOCX lib not loaded.");
-            reader.onload = async (event) => {
-                try {
-                    const result = await window.mammoth.extractRawText({ arrayBuffer: event.target.result });
-                    resolve(result.value); 
-                } catch (e) { reject(e.message); }
-            };
-            reader.readAsArrayBuffer(file);
-        } else {
-            reject('Unsupported file type.');
+const COVERAGE_SYSTEM_PROMPT = `You are the SmartBid Compliance Auditor, re-checking RFQ statements that the first audit pass did not list.
+
+    1. Each numbered line is a statement taken from the RFQ. If it is an obligation on the bidder, add a finding: copy the statement EXACTLY to 'requirementFromRFQ', score it (1/0.5/0) against the bid and fill the same fields as a normal audit ('rfqClauseRef', 'rfqPageRef', 'bidPageRef', 'bidEvidenceQuote', 'category', 'negotiationStance').
+    2. If the bid does not need to answer it (background, definitions, obligations of the buyer), add it to 'dismissed' with its number and a short reason.
+    3. Every numbered line belongs in exactly one of 'findings' or 'dismissed'. Do not invent facts.
+
+    Output JSON.`;
+
+// Appended to audit passes when the RFQ comes with addenda.
+const ADDENDA_AUDIT_NOTE = `
+
+    This tender has addenda. RFQ documents are listed in issue order and a later document overrides any earlier clause it changes or deletes.
+    1. Audit the bid against the EFFECTIVE requirement. Where an addendum changes a clause, copy the addendum's wording to 'requirementFromRFQ', set 'amendmentStatus' to AMENDED, 'amendedBy' to the addendum's file name and 'supersededText' to the EXACT earlier wording.
+    2. NEVER list a clause that a later document deleted or replaced as a finding. Put it in 'supersededRequirements' instead, and set 'bidAddressesOriginal' to true if the bid still answers the old version.
+    3. Set 'requirementSource' to the file name the effective wording comes from.`;
+
+const INITIATOR_SYSTEM_PROMPT = `You are the SmartBid RFQ Quality Reviewer, advising the procurement officer who wrote this RFQ.
+
+    **TASK 1: Context**
+    1. EXTRACT 'projectTitle', 'rfqScopeSummary'. CLASSIFY 'industryTag' using the standard SmartBid categories.
+
+    **TASK 2: Issues** (copy EXACT clause text to 'clauseText' and set 'rfqPageRef' to the nearest location marker, e.g. '[Page N]', '[¶ N]' or '[file › Sheet "X" › Row N]', without brackets)
+    1. AMBIGUOUS: vague wording ('adequate', 'as required', 'industry standard', 'promptly') that bidders will read differently.
+    2. UNTESTABLE: requirements with no measurable acceptance criterion.
+    3. CONFLICTING: clauses that contradict each other (dates, quantities, standards, payment terms). Put the other clause in 'conflictsWith'.
+    4. MISSING_EVALUATION_CRITERIA: award method, weightings or scoring rules that are absent or unclear.
+    5. UNREASONABLE_TERM: one-sided liability, unlimited indemnities, unrealistic timelines, excessive penalties or retention.
+    6. Rate 'severity' HIGH / MEDIUM / LOW and always give a 'suggestedRewrite'.
+
+    **TASK 3: Evaluation Criteria**
+    1. LIST 'evaluationCriteriaFound' and 'missingEvaluationCriteria'.
+    2. SCORE 'qualityScore' (0-100) and write 'executiveSummary'.
+
+    Output JSON.`;
+
+// Our own API server (relative URLs) needs the user's ID token and the reserved audit id;
+// third-party endpoints such as a local Ollama never get the token.
+const getApiHeaders = async (url, job) => {
+    if (!url.startsWith('/')) return {};
+    const token = await storage.auth.getIdToken();
+    return { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(job?.auditId ? { 'X-Audit-Id': job.auditId } : {}) };
+};
+
+// Sends one prompt through the configured AI provider and returns the parsed JSON body.
+// `job` ({ signal, progress, auditId }) is the queued audit this request belongs to.
+const postModelRequest = async (systemPrompt, userQuery, schema, contextLabel = '', job) => {
+    const progress = job ? job.progress : () => {};
+    const post = async (url, options) => {
+        progress(AUDIT_STAGE.UPLOAD, `Sending${contextLabel} to the AI (${Math.ceil(options.body.length / 1024)} KB)...`);
+        const headers = { ...options.headers, ...(await getApiHeaders(url, job)) };
+        const request = fetchWithRetry(url, { ...options, headers, signal: job?.signal }, 3, ({ attempt, maxRetries, delayMs, error }) => {
+            progress(AUDIT_STAGE.MODEL, `${error.message} Retrying${contextLabel} in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt} of ${maxRetries})...`);
+        });
+        progress(AUDIT_STAGE.MODEL, `Waiting for the AI${contextLabel}...`);
+        return request;
+    };
+    const { text, truncated } = await completeJson(AI_CONFIG, { systemPrompt, userQuery, schema }, post);
+    progress(AUDIT_STAGE.VALIDATE, `Validating the response${contextLabel}...`);
+    const { value, repaired } = parseModelJson(text);
+    const issues = repaired
+        ? [{ path: 'response', severity: ISSUE_SEVERITY.REPAIRED, message: truncated ? 'Response was cut off at the token limit; the incomplete tail was dropped.' : 'Response JSON was malformed and has been repaired.' }]
+        : [];
+    const coerced = coerceToSchema(value, schema);
+    return { ...coerced, issues: [...issues, ...coerced.issues] };
+};
+
+// Firestore rejects undefined values, so single-section runs leave `section` off entirely.
+const tagSection = (issues, contextLabel) => contextLabel.trim() ? issues.map(issue => ({ ...issue, section: contextLabel.trim() })) : issues;
+
+// Posts one prompt to the model endpoint and returns { data, issues }: the response coerced to
+// the schema, with required top-level fields the model left out re-requested once.
+const requestModelJson = async (systemPrompt, userQuery, schema, contextLabel = '', job) => {
+    const first = await postModelRequest(systemPrompt, userQuery, schema, contextLabel, job);
+    if (!first.value || typeof first.value !== 'object') throw new ModelResponseError(`AI response${contextLabel} is not a JSON object.`);
+    const data = first.value;
+    const issues = [...first.issues];
+    const missingTop = first.missing.filter(isTopLevelPath);
+
+    if (missingTop.length > 0) {
+        let retry = null;
+        try {
+            retry = await postModelRequest(systemPrompt, `${userQuery}\n\nYour previous answer omitted these required fields: ${missingTop.join(', ')}. Return ONLY these fields.`, pickSchemaFields(schema, missingTop), `${contextLabel} (missing fields)`, job);
+        } catch (error) {
+            if (isCancellation(error, job?.signal)) throw error;
+            console.warn('Re-request for missing fields failed:', error);
         }
-    });
+        missingTop.forEach(field => {
+            if (retry?.value?.[field] !== undefined) {
+                data[field] = retry.value[field];
+                issues.push({ path: field, severity: ISSUE_SEVERITY.REPAIRED, message: 'Missing from the first response; re-requested.' });
+            } else {
+                issues.push({ path: field, severity: ISSUE_SEVERITY.INVALID, message: 'Required field is missing and could not be re-requested.' });
+            }
+        });
+        if (retry) issues.push(...retry.issues.filter(issue => issue.path !== 'response' && missingTop.some(field => issue.path.startsWith(field))));
+    }
+    first.missing.filter(path => !isTopLevelPath(path)).forEach(path => issues.push({ path, severity: ISSUE_SEVERITY.INVALID, message: 'Required field is missing.' }));
+    return { data, issues: tagSection(issues, contextLabel) };
+};
+
+const getSectionLabel = (section, sectionCount) => sectionCount > 1 ? ` (Section ${section.index + 1} of ${sectionCount}: ${section.title})` : '';
+
+// Runs one audit pass over a single RFQ section and the bid excerpts relevant to it.
+const requestAuditPass = async (section, sectionCount, bidExcerpt, job) => {
+    const sectionLabel = getSectionLabel(section, sectionCount);
+    const scopeNote = sectionCount > 1 ? `\n\nThis is one part of a larger RFQ. Only list requirements that appear in this RFQ section. The bid text contains the excerpts most relevant to it.` : '';
+    const addendumNote = section.addendum ? `\n\nThis section is addendum "${section.addendum}". Only list requirements it ADDS (amendmentStatus ADDED); its changes to clauses of earlier documents are audited together with those clauses.` : '';
+    const laterDocuments = section.amendments ? `\n\nLater RFQ documents (addenda and clarifications, in issue order):\n${section.amendments}` : '';
+    const amendmentNote = section.amendments || section.addendum ? ADDENDA_AUDIT_NOTE : '';
+    const userQuery = `RFQ${sectionLabel}:\n${section.text}${laterDocuments}\n\nBid:\n${bidExcerpt}\n\nPerform audit.${scopeNote}${addendumNote}${amendmentNote}`;
+    const { data, issues } = await requestModelJson(AUDIT_SYSTEM_PROMPT, userQuery, COMPREHENSIVE_REPORT_SCHEMA, sectionLabel, job);
+    const reconciled = reconcileAuditFindings(data);
+    return { data: reconciled.report, issues: [...issues, ...tagSection(reconciled.issues, sectionLabel)] };
+};
+
+// Reviews every section of the RFQ on its own (no bid) and merges the issue lists.
+const auditRfqQuality = async (rfqDoc, sections, job) => {
+    const sectionReports = [];
+    const validationIssues = [];
+    for (const section of sections) {
+        const sectionLabel = getSectionLabel(section, sections.length);
+        const scopeNote = sections.length > 1 ? `\n\nThis is one part of a larger RFQ. Only report issues in this section; flag missing evaluation criteria only if this section is where they would normally appear.` : '';
+        const { data, issues } = await requestModelJson(INITIATOR_SYSTEM_PROMPT, `RFQ${sectionLabel}:\n${section.text}\n\nReview this RFQ.${scopeNote}`, RFQ_QUALITY_REPORT_SCHEMA, sectionLabel, job);
+        sectionReports.push(data);
+        validationIssues.push(...issues);
+    }
+    const mergedReport = mergeRfqQualityReports(sectionReports);
+    if (!mergedReport) throw new ModelResponseError("AI returned no usable RFQ review.");
+    return {
+        ...mergedReport,
+        validationIssues,
+        reportType: ROLE.INITIATOR,
+        issues: (mergedReport.issues || []).map(issue => ({ ...issue, rfqCitation: buildCitation(rfqDoc, [issue.clauseText], issue.rfqPageRef) }))
+    };
+};
+
+const MAX_COVERAGE_GAPS = 120;
+const COVERAGE_BATCH_SIZE = 30;
+
+// Checks the findings against the requirements the local extractor found in the RFQ and sends
+// the ones no finding covers back to the model. Returns { findings, coverage, validationIssues }:
+// the recovered findings (to append) and the coverage summary stored on the report.
+const auditCoverageGaps = async (rfqDoc, bidDoc, report, job) => {
+    const requirements = extractRequirements(rfqDoc);
+    const firstPass = findCoverageGaps(requirements, report.findings, report.supersededRequirements);
+    const toCheck = firstPass.gaps.slice(0, MAX_COVERAGE_GAPS);
+    const batchCount = Math.ceil(toCheck.length / COVERAGE_BATCH_SIZE);
+    let recovered = [];
+    const dismissed = [];
+    const validationIssues = [];
+
+    for (let batchIndex = 0; batchIndex < batchCount; batchIndex++) {
+        const batch = toCheck.slice(batchIndex * COVERAGE_BATCH_SIZE, (batchIndex + 1) * COVERAGE_BATCH_SIZE);
+        const batchLabel = ` (Coverage re-check ${batchIndex + 1} of ${batchCount})`;
+        const statements = batch.map(r => `${r.id}. ${r.label ? `[${r.label}${r.clause ? `, ${clauseLabel(r.clause)}` : ''}] ` : ''}${r.text}`).join('\n');
+        const userQuery = `RFQ statements not yet audited:\n${statements}\n\nBid:\n${selectRelevantBidText(batch.map(r => r.text).join('\n\n'), bidDoc.text)}\n\nAudit each statement.`;
+        try {
+            const { data, issues } = await requestModelJson(COVERAGE_SYSTEM_PROMPT, userQuery, COVERAGE_PASS_SCHEMA, batchLabel, job);
+            const reconciled = reconcileAuditFindings(data);
+            recovered.push(...(reconciled.report.findings || []).map(finding => ({ ...finding, coveragePass: true })));
+            (data.dismissed || []).forEach(item => {
+                const requirement = batch.find(r => r.id === item.requirementId);
+                if (requirement) dismissed.push({ id: requirement.id, reason: item.reason || '' });
+            });
+            validationIssues.push(...issues, ...tagSection(reconciled.issues, batchLabel));
+        } catch (error) {
+            if (isCancellation(error, job?.signal)) throw error;
+            validationIssues.push(...tagSection([{ path: 'coverage', severity: ISSUE_SEVERITY.INVALID, message: `Coverage re-check failed: ${error.message || error}` }], batchLabel));
+        }
+    }
+
+    if (recovered.length > 0) {
+        const precedence = applyPrecedence({ findings: attachCitations(recovered, rfqDoc, bidDoc), supersededRequirements: report.supersededRequirements || [] }, rfqDoc);
+        recovered = precedence.report.findings;
+        validationIssues.push(...precedence.issues);
+    }
+    const dismissedIds = new Set(dismissed.map(item => item.id));
+    const finalPass = findCoverageGaps(requirements, [...(report.findings || []), ...recovered], report.supersededRequirements);
+    const describe = ({ text, clause, label }) => ({ text, clause: clause || null, label: label || null });
+    return {
+        findings: recovered,
+        validationIssues,
+        coverage: {
+            extracted: requirements.length,
+            coveredFirstPass: firstPass.covered,
+            recovered: recovered.length,
+            dismissed: dismissed.map(item => ({ ...describe(requirements.find(r => r.id === item.id)), reason: item.reason })),
+            gaps: finalPass.gaps.filter(r => !dismissedIds.has(r.id)).map(describe),
+            unchecked: firstPass.gaps.length - toCheck.length
+        }
+    };
+};
+
+// Audits one bid against an RFQ whose sections were already split, so comparison runs
+// parse the RFQ once and share it across every bid.
+const auditBidAgainstRfq = async (rfqDoc, sections, bidDoc, job) => {
+    const sectionReports = [];
+    const validationIssues = [];
+    for (const section of sections) {
+        const { data, issues } = await requestAuditPass(section, sections.length, selectRelevantBidText(section.text, bidDoc.text), job);
+        sectionReports.push(data && { ...data, sectionIndex: section.index });
+        validationIssues.push(...issues);
+    }
+    const mergedReport = mergeSectionReports(sectionReports);
+    if (!mergedReport) throw new ModelResponseError("AI returned no usable audit.");
+    const precedence = applyPrecedence({ ...mergedReport, findings: attachCitations(mergedReport.findings || [], rfqDoc, bidDoc) }, rfqDoc);
+    const coveragePass = await auditCoverageGaps(rfqDoc, bidDoc, precedence.report, job);
+    const rfqDocuments = describeRfqSet(rfqDoc);
+    return {
+        ...precedence.report,
+        findings: [...precedence.report.findings, ...coveragePass.findings],
+        coverage: coveragePass.coverage,
+        validationIssues: [...validationIssues, ...precedence.issues, ...coveragePass.validationIssues],
+        ...(rfqDocuments.length ? { rfqDocuments } : {})
+    };
+};
+
+// Each role draws on its own free-tier counter in the usage document.
+const getUsageCounter = (role) => role === ROLE.INITIATOR ? 'initiatorChecks' : 'bidderChecks';
+
+// Admins can top up a workspace with extra free checks (bonusChecks).
+const getFreeAuditLimit = (usage) => MAX_FREE_AUDITS + (usage.bonusChecks || 0);
+
+// Line under the Pro badge, from the subscription fields the Stripe webhook writes.
+const getSubscriptionNote = (usage) => {
+    const formatDay = (millis) => new Date(millis).toLocaleDateString();
+    if (usage.subscriptionStatus === 'past_due') {
+        return { tone: 'text-red-400', text: `Payment failed.${usage.nextPaymentAttempt ? ` Next attempt ${formatDay(usage.nextPaymentAttempt)}.` : ''} Update your card to keep Pro.` };
+    }
+    // Stripe sets cancel_at instead of cancel_at_period_end when the cancellation has a fixed date.
+    if (usage.cancelAtPeriodEnd || usage.cancelAt) {
+        const endsAt = usage.cancelAt || usage.currentPeriodEnd;
+        return { tone: 'text-amber-400', text: endsAt ? `Cancelled: Pro ends on ${formatDay(endsAt)}` : 'Cancelled: Pro ends at the end of the billing period' };
+    }
+    if (usage.subscriptionStatus === 'manual') return { tone: 'text-slate-500', text: 'Granted by SmartBids support' };
+    if (usage.currentPeriodEnd) return { tone: 'text-slate-500', text: `Renews on ${formatDay(usage.currentPeriodEnd)}` };
+    return { tone: 'text-slate-500', text: 'Renews automatically each billing period' };
+};
+
+const isRfqQualityReport = (report) => report?.reportType === ROLE.INITIATOR || report?.role === ROLE.INITIATOR;
+
+
+// Reports extraction progress (pages, package entries, OCR) to the job and stops when it is cancelled.
+const processFile = async (file, job) => {
+    job.progress(AUDIT_STAGE.EXTRACT, `Reading ${file.name}...`);
+    const extracted = await extractFile(file.name, await file.arrayBuffer(), { onProgress: (status) => job.progress(AUDIT_STAGE.EXTRACT, status), signal: job.signal });
+    const sourceDocument = buildDocument(file.name, extracted.parts);
+    sourceDocument.ocrPages = extracted.ocrPages;
+    sourceDocument.emptyPages = extracted.emptyPages;
+    sourceDocument.ocrError = extracted.ocrErrors.join(' ') || null;
+    sourceDocument.skippedFiles = extracted.skipped;
+    return sourceDocument;
+};
+
+// Base RFQ plus its addenda in issue order, merged so later documents take precedence.
+const processRfqSet = async (rfqFile, addendaFiles, job) => {
+    const baseDoc = await processFile(rfqFile, job);
+    assertReadable(baseDoc, 'RFQ');
+    const addendaDocs = [];
+    for (const [i, file] of addendaFiles.entries()) {
+        const addendumDoc = await processFile(file, withPrefix(job, `Addendum ${i + 1} of ${addendaFiles.length}: `));
+        assertReadable(addendumDoc, `addendum "${file.name}"`);
+        addendaDocs.push(addendumDoc);
+    }
+    const sourceDocs = { rfq: baseDoc, ...Object.fromEntries(addendaDocs.map((addendumDoc, i) => [`Addendum ${i + 1}`, addendumDoc])) };
+    return { rfqDoc: buildRfqSet(baseDoc, addendaDocs), sourceDocs };
+};
+
+// Extraction notes for the report: which pages were OCR'd ({ ocr: { rfq, bid } }) and which
+// files inside a package could not be read ({ skippedFiles: { rfq: [...] } }). Empty when clean.
+const getSourceNotes = (docs) => {
+    const ocr = Object.entries(docs).map(([key, document]) => [key, summarizeOcr(document)]).filter(([, summary]) => summary);
+    const skipped = Object.entries(docs).filter(([, document]) => document.skippedFiles?.length).map(([key, document]) => [key, document.skippedFiles]);
+    return {
+        ...(ocr.length ? { ocr: Object.fromEntries(ocr) } : {}),
+        ...(skipped.length ? { skippedFiles: Object.fromEntries(skipped) } : {})
+    };
+};
+
+// Stops an audit from silently running against an empty document.
+const assertReadable = (document, label) => {
+    if (document.text.replace(/\[(?:Page|¶) \d+\]/g, '').trim()) return;
+    throw new Error(`No readable text found in the ${label} document${document.ocrError ? `: ${document.ocrError}` : '.'}`);
 };
 
 class ErrorBoundary extends React.Component {
@@ -206,6 +626,11 @@ const handleFileChange = (e, setFile, setErrorMessage) => {
     }
 };
 
+const handleMultiFileChange = (e, setFiles, setErrorMessage) => {
+    setFiles(Array.from(e.target.files));
+    if (setErrorMessage) setErrorMessage(null);
+};
+
 const FormInput = ({ label, name, value, onChange, type, placeholder, id }) => (
     <div>
         <label htmlFor={id || name} className="block text-sm font-medium text-slate-300 mb-1">{label}</label>
@@ -222,17 +647,19 @@ const FormInput = ({ label, name, value, onChange, type, placeholder, id }) => (
     </div>
 );
 
-const PaywallModal = ({ show, onClose, userId }) => {
+// The subscription belongs to the workspace, so checkout is tagged with the workspace id and
+// only its owner can start it.
+const PaywallModal = ({ show, onClose, workspaceId, canManageBilling }) => {
     if (!show) return null;
     
     // ✅ STRIPE LINK
     const STRIPE_PAYMENT_LINK = "https://buy.stripe.com/test_cNi00i4JHdOmdTT8VJafS00"; 
 
     const handleUpgrade = () => {
-        if (userId) {
-            window.location.href = `${STRIPE_PAYMENT_LINK}?client_reference_id=${userId}`;
+        if (workspaceId) {
+            window.location.href = `${STRIPE_PAYMENT_LINK}?client_reference_id=${workspaceId}`;
         } else {
-            alert("Error: User ID missing. Please log in again.");
+            alert("Error: Workspace missing. Please log in again.");
         }
     };
 
@@ -244,7 +671,7 @@ const PaywallModal = ({ show, onClose, userId }) => {
                 </div>
                 <h2 className="text-2xl font-bold text-white mt-8 mb-2">Trial Limit Reached</h2>
                 <p className="text-slate-300 mb-6">
-                    You have used your <span className="text-amber-400 font-bold">3 Free Audits</span>.
+                    Your workspace has used its <span className="text-amber-400 font-bold">Free Audits</span>.
                     <br/>To continue further audits on SmartBids, upgrade to Pro.
                 </p>
                 <div className="bg-slate-700/50 rounded-xl p-4 mb-6 text-left space-y-3">
@@ -252,12 +679,16 @@ const PaywallModal = ({ show, onClose, userId }) => {
                     <div className="flex items-center text-sm text-white"><CheckCircle className="w-4 h-4 mr-3 text-green-400"/> AI Sales Coach & Tone Analysis</div>
                     <div className="flex items-center text-sm text-white"><CheckCircle className="w-4 h-4 mr-3 text-green-400"/> Market Intelligence Data</div>
                 </div>
-                <button 
-                    onClick={handleUpgrade}
-                    className="w-full py-3 bg-amber-500 hover:bg-amber-400 text-slate-900 font-bold rounded-xl transition-all shadow-lg mb-3 flex items-center justify-center"
-                >
-                    <CreditCard className="w-5 h-5 mr-2"/> Upgrade Now - $10/mo
-                </button>
+                {canManageBilling ? (
+                    <button 
+                        onClick={handleUpgrade}
+                        className="w-full py-3 bg-amber-500 hover:bg-amber-400 text-slate-900 font-bold rounded-xl transition-all shadow-lg mb-3 flex items-center justify-center"
+                    >
+                        <CreditCard className="w-5 h-5 mr-2"/> Upgrade Now - $10/mo
+                    </button>
+                ) : (
+                    <p className="text-sm text-amber-300 mb-3">Your workspace's audits are used up. Ask the workspace owner to upgrade to Pro.</p>
+                )}
                 <button onClick={onClose} className="text-sm text-slate-400 hover:text-white">
                     Maybe Later (Return to Home)
                 </button>
@@ -303,19 +734,500 @@ const MetricPill = ({ label, count, color }) => (
     </div>
 );
 
-const FileUploader = ({ title, file, setFile, color, requiredText }) => (
+const FileUploader = ({ title, file, setFile, color, requiredText, multiple }) => (
     <div className={`p-6 border-2 border-dashed border-${color}-600/50 rounded-2xl bg-slate-900/50 space-y-3 no-print`}>
         <h3 className={`text-lg font-bold text-${color}-400 flex items-center`}><FileUp className={`w-6 h-6 mr-2 text-${color}-500`} /> {title}</h3>
         <p className="text-sm text-slate-400">{requiredText}</p>
-        <input type="file" accept=".txt,.pdf,.docx" onChange={setFile} className="w-full text-base text-slate-300"/>
-        {file && <p className="text-sm font-medium text-green-400 flex items-center"><CheckCircle className="w-4 h-4 mr-1 text-green-500" /> {file.name}</p>}
+        <input type="file" accept={ACCEPTED_FILE_TYPES} multiple={multiple} onChange={setFile} className="w-full text-base text-slate-300"/>
+        {(Array.isArray(file) ? file : file ? [file] : []).map((f, i) => (
+            <p key={i} className="text-sm font-medium text-green-400 flex items-center"><CheckCircle className="w-4 h-4 mr-1 text-green-500" /> {f.name}</p>
+        ))}
     </div>
 );
 
+// Addenda and clarification bulletins in issue order; a later entry overrides earlier ones.
+const AddendaUploader = ({ files, setFiles, disabled }) => {
+    const addFiles = (e) => {
+        const picked = [...e.target.files].filter(file => !files.some(existing => existing.name === file.name));
+        setFiles([...files, ...picked]);
+        e.target.value = '';
+    };
+    const move = (index, delta) => {
+        const next = [...files];
+        [next[index], next[index + delta]] = [next[index + delta], next[index]];
+        setFiles(next);
+    };
+    return (
+        <div className="mt-6 p-4 border border-dashed border-blue-600/40 rounded-2xl bg-slate-900/40 space-y-2 no-print">
+            <h3 className="text-sm font-bold text-blue-300 flex items-center"><GitBranch className="w-4 h-4 mr-2"/> Addenda & Clarifications (optional)</h3>
+            <p className="text-xs text-slate-400">Add them in the order they were issued. Later documents override earlier clauses; the audit checks the bid against the effective requirements.</p>
+            <input type="file" accept={ACCEPTED_FILE_TYPES} multiple disabled={disabled} onChange={addFiles} className="w-full text-sm text-slate-300"/>
+            {files.map((file, i) => (
+                <div key={file.name} className="flex items-center justify-between text-sm bg-slate-800 border border-slate-700 rounded-lg px-3 py-1.5">
+                    <span className="text-green-400 truncate"><span className="text-slate-500 mr-2">{i + 1}.</span>{file.name}</span>
+                    <span className="flex items-center gap-1 flex-shrink-0">
+                        <button onClick={() => move(i, -1)} disabled={disabled || i === 0} className="p-1 text-slate-400 hover:text-white disabled:opacity-30" title="Issued earlier"><ArrowUp className="w-4 h-4"/></button>
+                        <button onClick={() => move(i, 1)} disabled={disabled || i === files.length - 1} className="p-1 text-slate-400 hover:text-white disabled:opacity-30" title="Issued later"><ArrowDown className="w-4 h-4"/></button>
+                        <button onClick={() => setFiles(files.filter((_, j) => j !== i))} disabled={disabled} className="p-1 text-slate-400 hover:text-red-400 disabled:opacity-30" title="Remove"><Trash2 className="w-4 h-4"/></button>
+                    </span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const clauseLabel = (ref) => /^\d/.test(ref) ? `Clause ${ref}` : ref;
+
+const CitationBadge = ({ label, citation }) => {
+    if (!citation) return <span className="text-xs px-2 py-0.5 rounded bg-slate-900 border border-slate-700 text-slate-500">{label}: not located</span>;
+    const tone = citation.verified ? 'border-green-600 text-green-300' : 'border-amber-600 text-amber-300';
+    const note = citation.verified ? (citation.corrected ? 'verified, corrected' : 'verified') : citation.matchType === 'approximate' ? 'approx.' : 'unverified';
+    return <span className={`text-xs px-2 py-0.5 rounded bg-slate-900 border ${tone}`} title={note}><MapPin className="w-3 h-3 inline mr-1"/>{label}: {citation.label}{citation.clause ? ` · ${clauseLabel(citation.clause)}` : ''} ({note})</span>;
+};
+
+const DocumentPane = ({ title, doc, citation, color }) => {
+    const markRef = useRef(null);
+    useEffect(() => {
+        if (markRef.current) markRef.current.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }, [citation]);
+    return (
+        <div className="flex flex-col min-w-0">
+            <p className={`text-xs font-bold text-${color}-400 mb-2 truncate`}>{title}: {doc.name}</p>
+            <div className="h-96 overflow-y-auto custom-scrollbar bg-slate-950 rounded-lg border border-slate-700 p-3 text-xs text-slate-400 leading-relaxed">
+                {doc.segments.map((seg, i) => {
+                    const isCited = citation && citation.segmentIndex === i;
+                    const start = isCited ? Math.max(citation.start, seg.start) : seg.end;
+                    const end = isCited ? Math.min(citation.end, seg.end) : seg.end;
+                    return (
+                        <div key={i} className={`mb-3 ${isCited ? 'text-slate-200' : ''}`}>
+                            <p className="text-[10px] font-bold text-slate-600 mb-1">{seg.label}</p>
+                            <p className="whitespace-pre-wrap">
+                                {doc.text.slice(seg.start, start)}
+                                {isCited && <mark ref={markRef} className="bg-amber-400/80 text-slate-900 rounded px-0.5">{doc.text.slice(start, end)}</mark>}
+                                {isCited && doc.text.slice(end, seg.end)}
+                            </p>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+// Side-by-side RFQ / Bid view that jumps to the passages a finding cites.
+const SourceViewer = ({ sourceDocs, finding }) => (
+    <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4 no-print" onClick={(e) => e.stopPropagation()}>
+        <DocumentPane title="RFQ" doc={sourceDocs.rfq} citation={finding.rfqCitation} color="blue" />
+        <DocumentPane title="Bid" doc={sourceDocs.bid} citation={finding.bidCitation} color="green" />
+    </div>
+);
+
+const ScoreStatusBadge = ({ status, passThreshold, knockoutCount }) => {
+    if (!status) return null;
+    const styles = {
+        [SCORE_STATUS.PASS]: 'bg-green-700/30 text-green-300 border-green-500',
+        [SCORE_STATUS.FAIL]: 'bg-amber-700/30 text-amber-300 border-amber-500',
+        [SCORE_STATUS.KNOCKED_OUT]: 'bg-red-700/30 text-red-300 border-red-500'
+    };
+    const text = status === SCORE_STATUS.KNOCKED_OUT ? `KNOCKED OUT (${knockoutCount} mandatory failed)`
+        : status === SCORE_STATUS.PASS ? `PASS (threshold ${passThreshold}%)` : `BELOW THRESHOLD (${passThreshold}%)`;
+    return <span className={`inline-block mt-2 px-3 py-1 rounded-full border text-xs font-bold ${styles[status]}`}>{text}</span>;
+};
+
+const emptyProfileForm = (profile) => ({
+    name: profile?.name || '',
+    categoryWeights: CATEGORY_ENUM.reduce((acc, c) => ({ ...acc, [c]: profile?.categoryWeights?.[c] ?? 1 }), {}),
+    knockoutCategories: profile?.knockoutCategories || [],
+    knockoutKeywords: (profile?.knockoutKeywords || []).join(', '),
+    knockoutOnPartial: profile?.knockoutOnPartial || false,
+    passThreshold: profile?.passThreshold ?? ''
+});
+
+const ScoringProfilePanel = ({ scoringProfiles, selectedProfileId, setSelectedProfileId, saveScoringProfile, deleteScoringProfile, disabled }) => {
+    const [editing, setEditing] = useState(null); // null | 'new' | profile id
+    const [form, setForm] = useState(emptyProfileForm());
+    const selected = scoringProfiles.find(p => p.id === selectedProfileId);
+
+    const startEdit = (profile) => { setEditing(profile ? profile.id : 'new'); setForm(emptyProfileForm(profile)); };
+    const toggleKnockoutCategory = (category) => setForm(f => ({
+        ...f,
+        knockoutCategories: f.knockoutCategories.includes(category) ? f.knockoutCategories.filter(c => c !== category) : [...f.knockoutCategories, category]
+    }));
+    const handleSave = async () => {
+        if (!form.name.trim()) return;
+        const profile = {
+            name: form.name.trim(),
+            categoryWeights: Object.fromEntries(Object.entries(form.categoryWeights).map(([c, w]) => [c, Math.max(0, Number(w) || 0)])),
+            knockoutCategories: form.knockoutCategories,
+            knockoutKeywords: form.knockoutKeywords.split(',').map(k => k.trim()).filter(Boolean),
+            knockoutOnPartial: form.knockoutOnPartial,
+            passThreshold: form.passThreshold === '' ? null : Math.min(100, Math.max(0, Number(form.passThreshold)))
+        };
+        const savedId = await saveScoringProfile(profile, editing === 'new' ? null : editing);
+        if (savedId) setSelectedProfileId(savedId);
+        setEditing(null);
+    };
+
+    return (
+        <div className="mb-6 p-4 bg-slate-900/50 rounded-xl border border-slate-700 no-print">
+            <div className="flex flex-wrap items-center gap-3">
+                <span className="text-sm font-semibold text-slate-300 flex items-center"><BarChart2 className="w-4 h-4 mr-2 text-amber-400"/> Scoring Profile:</span>
+                <select value={selectedProfileId} onChange={(e) => setSelectedProfileId(e.target.value)} disabled={disabled} className="flex-grow px-3 py-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm">
+                    <option value={DEFAULT_SCORING_PROFILE.id}>{DEFAULT_SCORING_PROFILE.name}</option>
+                    {scoringProfiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+                <button onClick={() => startEdit(null)} disabled={disabled} className="text-xs px-3 py-2 rounded-lg bg-slate-700 text-white hover:bg-slate-600">New</button>
+                {selected && <button onClick={() => startEdit(selected)} disabled={disabled} className="text-xs px-3 py-2 rounded-lg bg-slate-700 text-white hover:bg-slate-600">Edit</button>}
+                {selected && <button onClick={() => { if (window.confirm(`Delete scoring profile "${selected.name}"?`)) deleteScoringProfile(selected.id); }} disabled={disabled} className="text-xs px-3 py-2 rounded-lg bg-red-700 text-white hover:bg-red-600"><Trash2 className="w-3 h-3"/></button>}
+            </div>
+            {editing && (
+                <div className="mt-4 space-y-4 border-t border-slate-700 pt-4">
+                    <FormInput id="profile-name" label="Profile Name *" name="name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} type="text" />
+                    <div>
+                        <p className="text-sm font-medium text-slate-300 mb-2">Category Weights / Knock-out</p>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                            {CATEGORY_ENUM.map(category => (
+                                <div key={category} className="p-2 bg-slate-800 rounded-lg border border-slate-700">
+                                    <label className="block text-xs text-slate-400 mb-1">{category}</label>
+                                    <input type="number" min="0" step="0.5" value={form.categoryWeights[category]} onChange={(e) => setForm({ ...form, categoryWeights: { ...form.categoryWeights, [category]: e.target.value } })} className="w-full px-2 py-1 bg-slate-900 border border-slate-600 rounded text-white text-sm"/>
+                                    <label className="flex items-center text-[10px] text-red-300 mt-1"><input type="checkbox" checked={form.knockoutCategories.includes(category)} onChange={() => toggleKnockoutCategory(category)} className="mr-1"/> Knock-out</label>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                    <FormInput id="profile-keywords" label="Knock-out keywords (comma separated, matched in requirement text)" name="knockoutKeywords" value={form.knockoutKeywords} onChange={(e) => setForm({ ...form, knockoutKeywords: e.target.value })} type="text" placeholder="e.g. safety certification, ISO 45001, bid bond" />
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+                        <FormInput id="profile-threshold" label="Pass threshold (weighted %)" name="passThreshold" value={form.passThreshold} onChange={(e) => setForm({ ...form, passThreshold: e.target.value })} type="number" placeholder="Optional" />
+                        <label className="flex items-center text-sm text-slate-300 pb-2"><input type="checkbox" checked={form.knockoutOnPartial} onChange={(e) => setForm({ ...form, knockoutOnPartial: e.target.checked })} className="mr-2"/> PARTIAL also fails a knock-out</label>
+                    </div>
+                    <div className="flex gap-2">
+                        <button onClick={handleSave} disabled={!form.name.trim()} className="px-4 py-2 text-sm font-semibold rounded-lg bg-amber-500 text-slate-900 hover:bg-amber-400 disabled:opacity-50"><Save className="w-4 h-4 inline mr-1"/> Save Profile</button>
+                        <button onClick={() => setEditing(null)} className="px-4 py-2 text-sm rounded-lg bg-slate-700 text-white hover:bg-slate-600">Cancel</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Marks whether a finding value is the AI's or a reviewer's override.
+const SourceTag = ({ finding, fields }) => {
+    const overridden = fields.some(field => isOverridden(finding, field));
+    return overridden
+        ? <span className="inline-block text-[10px] font-bold px-2 py-0.5 rounded bg-amber-500 text-slate-900" title="Overridden by a reviewer">REVIEWER</span>
+        : <span className="inline-block text-[10px] font-bold px-2 py-0.5 rounded bg-slate-700 text-slate-300" title="Value produced by the AI">AI</span>;
+};
+
+const FindingOverrideForm = ({ finding, onSave, onCancel }) => {
+    const [form, setForm] = useState({
+        flag: finding.flag || 'NON-COMPLIANT',
+        complianceScore: finding.complianceScore ?? 0,
+        category: finding.category || 'OTHER',
+        negotiationStance: finding.negotiationStance || ''
+    });
+    const [note, setNote] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const handleFlagChange = (flag) => setForm({ ...form, flag, complianceScore: FLAG_DEFAULT_SCORES[flag] });
+    const handleSave = async () => {
+        setIsSaving(true);
+        try { await onSave(form, note); } finally { setIsSaving(false); }
+    };
+    const inputClass = "w-full px-2 py-2 bg-slate-900 border border-slate-600 rounded-lg text-white text-sm";
+    return (
+        <div className="p-4 bg-slate-900/80 border border-amber-600/60 rounded-xl space-y-3 no-print" onClick={(e) => e.stopPropagation()}>
+            <p className="text-sm font-semibold text-amber-400">Reviewer Override</p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div><label className="block text-xs text-slate-400 mb-1">Flag</label><select value={form.flag} onChange={(e) => handleFlagChange(e.target.value)} className={inputClass}>{Object.keys(FLAG_DEFAULT_SCORES).map(f => <option key={f} value={f}>{f}</option>)}</select></div>
+                <div><label className="block text-xs text-slate-400 mb-1">Score (0 - 1)</label><input type="number" min="0" max="1" step="0.25" value={form.complianceScore} onChange={(e) => setForm({ ...form, complianceScore: Math.min(1, Math.max(0, Number(e.target.value))) })} className={inputClass}/></div>
+                <div><label className="block text-xs text-slate-400 mb-1">Category</label><select value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })} className={inputClass}>{CATEGORY_ENUM.map(c => <option key={c} value={c}>{c}</option>)}</select></div>
+            </div>
+            <div><label className="block text-xs text-slate-400 mb-1">Negotiation Stance</label><textarea rows={3} value={form.negotiationStance} onChange={(e) => setForm({ ...form, negotiationStance: e.target.value })} className={inputClass}/></div>
+            <div><label className="block text-xs text-slate-400 mb-1">Reviewer Note (optional)</label><textarea rows={2} value={note} onChange={(e) => setNote(e.target.value)} placeholder="Why was this changed?" className={inputClass}/></div>
+            <div className="flex gap-2">
+                <button onClick={handleSave} disabled={isSaving} className="px-4 py-2 text-sm font-semibold rounded-lg bg-amber-500 text-slate-900 hover:bg-amber-400 disabled:opacity-50">{isSaving ? 'Saving...' : 'Apply Override'}</button>
+                <button onClick={onCancel} className="px-4 py-2 text-sm rounded-lg bg-slate-700 text-white hover:bg-slate-600">Cancel</button>
+            </div>
+        </div>
+    );
+};
+
+// Company name + logo for the Word export header, remembered per browser.
+const EXPORT_BRANDING_KEY = 'smartbids_export_branding';
+
+const loadExportBranding = (defaultCompany) => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(EXPORT_BRANDING_KEY) || 'null');
+        if (stored) return { companyName: stored.companyName ?? defaultCompany ?? '', logo: stored.logo || null };
+    } catch (e) { console.warn('Ignoring unreadable export branding', e); }
+    return { companyName: defaultCompany || '', logo: null };
+};
+
+const readLogoFile = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+        const img = new Image();
+        img.onload = () => resolve({ dataUrl: reader.result, type: file.type, width: img.naturalWidth, height: img.naturalHeight });
+        img.onerror = () => reject(new Error('Logo could not be read as an image.'));
+        img.src = reader.result;
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+const DocxExportPanel = ({ report, sourceDocs, defaultCompany }) => {
+    const [open, setOpen] = useState(false);
+    const [branding, setBranding] = useState(() => loadExportBranding(defaultCompany));
+    const [exporting, setExporting] = useState(false);
+    const [exportError, setExportError] = useState(null);
+
+    const updateBranding = (next) => {
+        setBranding(next);
+        try { localStorage.setItem(EXPORT_BRANDING_KEY, JSON.stringify(next)); }
+        catch (e) { console.warn('Export branding not saved (storage full?)', e); }
+    };
+    const handleLogo = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        if (file.size > 500 * 1024) { setExportError('Logo must be under 500 KB.'); return; }
+        try { updateBranding({ ...branding, logo: await readLogoFile(file) }); setExportError(null); }
+        catch (err) { setExportError(err.message); }
+    };
+    const handleExport = async () => {
+        setExporting(true); setExportError(null);
+        try {
+            const { exportReportToDocx } = await import('./lib/docxExport.js');
+            await exportReportToDocx(report, branding, { rfqName: sourceDocs?.rfq?.name || report.rfqName, bidName: sourceDocs?.bid?.name || report.bidName });
+        } catch (err) {
+            console.error('DOCX export failed:', err);
+            setExportError(`Word export failed: ${err.message}`);
+        } finally { setExporting(false); }
+    };
+
+    return (
+        <div className="relative no-print">
+            <button onClick={() => setOpen(!open)} className="text-sm text-slate-400 hover:text-white bg-slate-700 px-3 py-2 rounded-lg flex items-center">
+                <Download className="w-4 h-4 mr-2"/> Word (.docx)
+            </button>
+            {open && (
+                <div className="absolute right-0 mt-2 w-72 p-4 bg-slate-900 border border-slate-600 rounded-xl shadow-2xl z-20 space-y-3">
+                    <FormInput id="export-company" label="Company Name (header)" name="companyName" value={branding.companyName} onChange={(e) => updateBranding({ ...branding, companyName: e.target.value })} type="text" />
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Logo (PNG / JPG)</label>
+                        <div className="flex items-center gap-2">
+                            {branding.logo && <img src={branding.logo.dataUrl} alt="Logo" className="h-8 max-w-[6rem] object-contain bg-white rounded p-0.5"/>}
+                            <input type="file" accept="image/png,image/jpeg" onChange={handleLogo} className="text-xs text-slate-400 w-full"/>
+                        </div>
+                        {branding.logo && <button onClick={() => updateBranding({ ...branding, logo: null })} className="text-xs text-red-400 hover:text-red-300 mt-1">Remove logo</button>}
+                    </div>
+                    {exportError && <p className="text-xs text-red-400">{exportError}</p>}
+                    <button onClick={handleExport} disabled={exporting} className="w-full flex items-center justify-center px-3 py-2 text-sm font-semibold rounded-lg text-slate-900 bg-amber-500 hover:bg-amber-400 disabled:opacity-50">
+                        {exporting ? <Loader2 className="animate-spin w-4 h-4 mr-2"/> : <Download className="w-4 h-4 mr-2"/>} {exporting ? 'Building...' : 'Download .docx'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const FindingsSheetPanel = ({ report, onImportEdits }) => {
+    const [open, setOpen] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [preview, setPreview] = useState(null); // { fileName, edits, issues, rowCount }
+    const [message, setMessage] = useState(null);
+
+    const withSheetModule = async (fn) => {
+        setBusy(true); setMessage(null);
+        try { await fn(await import('./lib/findingsSheet.js')); }
+        catch (err) { console.error('Spreadsheet operation failed:', err); setMessage(`Failed: ${err.message}`); }
+        finally { setBusy(false); }
+    };
+    const handleImportFile = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        withSheetModule(async ({ readSheetFile, validateFindingsSheet }) => {
+            const rows = await readSheetFile(file);
+            setPreview({ fileName: file.name, ...validateFindingsSheet(rows, report, { categories: CATEGORY_ENUM }) });
+        });
+    };
+    const applyImport = async () => {
+        setBusy(true);
+        const applied = await onImportEdits(preview.edits);
+        setBusy(false);
+        setMessage(`Merged ${applied} change(s) from ${preview.fileName}.`);
+        setPreview(null);
+    };
+    const errorCount = preview ? preview.issues.filter(i => i.severity === 'ERROR').length : 0;
+
+    return (
+        <div className="relative no-print">
+            <button onClick={() => setOpen(!open)} className="text-sm text-slate-400 hover:text-white bg-slate-700 px-3 py-2 rounded-lg flex items-center">
+                <BarChart2 className="w-4 h-4 mr-2"/> Excel / CSV
+            </button>
+            {open && (
+                <div className="absolute right-0 mt-2 w-96 p-4 bg-slate-900 border border-slate-600 rounded-xl shadow-2xl z-20 space-y-3">
+                    <div className="grid grid-cols-2 gap-2">
+                        <button onClick={() => withSheetModule(({ exportFindingsXlsx }) => exportFindingsXlsx(report))} disabled={busy} className="px-3 py-2 text-sm font-semibold rounded-lg bg-slate-700 text-white hover:bg-slate-600 disabled:opacity-50 flex items-center justify-center"><Download className="w-4 h-4 mr-2"/> .xlsx</button>
+                        <button onClick={() => withSheetModule(({ exportFindingsCsv }) => exportFindingsCsv(report))} disabled={busy} className="px-3 py-2 text-sm font-semibold rounded-lg bg-slate-700 text-white hover:bg-slate-600 disabled:opacity-50 flex items-center justify-center"><Download className="w-4 h-4 mr-2"/> .csv</button>
+                    </div>
+                    {onImportEdits && (
+                        <div className="border-t border-slate-700 pt-3">
+                            <label className="block text-sm font-medium text-slate-300 mb-1">Re-import edited sheet</label>
+                            <p className="text-xs text-slate-500 mb-2">Flag, Compliance Score, Category, Negotiation Stance and Reviewer Note are merged back as reviewer overrides.</p>
+                            <input type="file" accept=".xlsx,.xls,.csv" onChange={handleImportFile} disabled={busy} className="text-xs text-slate-400 w-full"/>
+                        </div>
+                    )}
+                    {busy && <p className="text-xs text-slate-400 flex items-center"><Loader2 className="animate-spin w-3 h-3 mr-2"/> Working...</p>}
+                    {preview && (
+                        <div className="space-y-2">
+                            <p className="text-xs text-slate-300">{preview.fileName}: {preview.rowCount} row(s), <span className="text-green-400">{preview.edits.length} with changes</span>{errorCount > 0 && <>, <span className="text-red-400">{errorCount} rejected</span></>}</p>
+                            {preview.issues.length > 0 && (
+                                <ul className="max-h-40 overflow-y-auto space-y-1 text-xs">
+                                    {preview.issues.map((issue, i) => (
+                                        <li key={i} className={issue.severity === 'ERROR' ? 'text-red-300' : 'text-yellow-300'}>{issue.row ? `Row ${issue.row}: ` : ''}{issue.message}</li>
+                                    ))}
+                                </ul>
+                            )}
+                            <div className="flex gap-2">
+                                <button onClick={applyImport} disabled={busy || preview.edits.length === 0} className="flex-grow px-3 py-2 text-sm font-semibold rounded-lg text-slate-900 bg-amber-500 hover:bg-amber-400 disabled:opacity-50">Merge {preview.edits.length} row(s)</button>
+                                <button onClick={() => setPreview(null)} className="px-3 py-2 text-sm rounded-lg bg-slate-700 text-white hover:bg-slate-600">Cancel</button>
+                            </div>
+                        </div>
+                    )}
+                    {message && <p className="text-xs text-slate-300">{message}</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Which source pages were read by OCR (and how sure the engine was) and which files in a
+// package could not be read.
+const SourceNotes = ({ ocr, skippedFiles }) => {
+    if (!ocr && !skippedFiles) return null;
+    const labels = { rfq: 'RFQ', bid: 'Bid' };
+    return (
+        <div className="mb-8 p-4 rounded-xl border border-blue-700/50 bg-blue-900/20 text-xs text-slate-300 space-y-1">
+            {ocr && <p className="text-sm font-bold text-white flex items-center"><Eye className="w-4 h-4 mr-2 text-blue-300"/> Scanned Pages Read by OCR</p>}
+            {ocr && Object.entries(ocr).map(([key, summary]) => (
+                <p key={key}>
+                    <span className="font-semibold text-blue-200">{labels[key] || key}</span> ({summary.documentName}):{' '}
+                    {summary.pages.length > 0 ? <>
+                        {summary.pages.length} page(s), average confidence <span className={summary.averageConfidence < LOW_OCR_CONFIDENCE ? 'text-red-300 font-bold' : 'text-green-300'}>{summary.averageConfidence}%</span> —{' '}
+                        {summary.pages.map(p => <span key={p.label || p.page} className={`mr-1 ${p.confidence < LOW_OCR_CONFIDENCE ? 'text-red-300' : ''}`}>{p.label || `p.${p.page}`} ({p.confidence}%)</span>)}
+                    </> : 'no pages recovered.'}
+                    {summary.emptyPages.length > 0 && <span className="block text-yellow-300">Still no readable text on: {summary.emptyPages.join(', ')}; requirements there were not audited.</span>}
+                    {summary.error && <span className="block text-red-300">{summary.error}</span>}
+                </p>
+            ))}
+            {ocr && Object.values(ocr).some(s => s.averageConfidence !== null && s.averageConfidence < LOW_OCR_CONFIDENCE) && <p className="text-yellow-300">Low-confidence OCR can garble numbers and dates; check flagged findings against the source.</p>}
+            {skippedFiles && Object.entries(skippedFiles).map(([key, files]) => (
+                <p key={`skipped-${key}`} className="text-yellow-300"><Paperclip className="w-3 h-3 inline mr-1"/>{labels[key] || key} package files not audited: {files.join(', ')}</p>
+            ))}
+        </div>
+    );
+};
+
+// Which documents make up the RFQ set and which of their clauses later addenda replaced or deleted.
+const RfqSetPanel = ({ documents, superseded }) => {
+    if (!documents?.length) return null;
+    const stale = (superseded || []).filter(item => item.bidAddressesOriginal);
+    return (
+        <div className="mb-8 p-4 rounded-xl border border-blue-700/50 bg-slate-900/60 text-xs text-slate-300 space-y-3">
+            <p className="text-sm font-bold text-white flex items-center"><GitBranch className="w-4 h-4 mr-2 text-blue-300"/> RFQ Documents (later documents take precedence)</p>
+            <ol className="list-decimal list-inside space-y-0.5">
+                {documents.map(d => <li key={d.name}><span className="text-blue-200">{d.name}</span> {d.precedence === 0 ? <span className="text-slate-500">(base RFQ)</span> : <span className="text-slate-500">(addendum {d.precedence})</span>}</li>)}
+            </ol>
+            {stale.length > 0 && <p className="text-red-300 font-semibold"><AlertTriangle className="w-3 h-3 inline mr-1"/>The bid still answers {stale.length} superseded clause(s). Update those answers before submitting.</p>}
+            {superseded?.length > 0 && (
+                <details open={stale.length > 0}>
+                    <summary className="cursor-pointer font-semibold text-slate-200">{superseded.length} clause(s) changed or deleted by addenda</summary>
+                    <ul className="mt-2 space-y-2">
+                        {superseded.map((item, i) => (
+                            <li key={i} className={`p-2 rounded-lg border ${item.bidAddressesOriginal ? 'border-red-600/60 bg-red-950/30' : 'border-slate-700 bg-slate-800'}`}>
+                                <p><span className="font-bold text-amber-300">{item.changeType === CHANGE_TYPE.DELETED ? 'DELETED' : 'REPLACED'}</span> by {item.changedBy}{item.originalCitation?.label ? <span className="text-slate-500"> • was at {item.originalCitation.label}</span> : null}</p>
+                                <p className="line-through text-slate-500">{item.originalText}</p>
+                                {item.replacementText && <p className="text-green-300">Now: {item.replacementText}</p>}
+                                {item.bidAddressesOriginal && <p className="text-red-300">Your bid still answers the old wording.</p>}
+                                {item.note && <p className="text-slate-400">{item.note}</p>}
+                            </li>
+                        ))}
+                    </ul>
+                </details>
+            )}
+        </div>
+    );
+};
+
+// Requirements the local extractor found that no finding covers, after the re-check pass.
+const CoveragePanel = ({ coverage }) => {
+    if (!coverage) return null;
+    const gaps = coverage.gaps || [];
+    const dismissed = coverage.dismissed || [];
+    return (
+        <details className={`mb-8 p-4 rounded-xl border ${gaps.length > 0 ? 'bg-amber-900/10 border-amber-700/50' : 'bg-slate-900/60 border-slate-700'}`} open={gaps.length > 0}>
+            <summary className="text-sm font-bold text-white cursor-pointer flex items-center">
+                <ListChecks className={`w-4 h-4 mr-2 ${gaps.length > 0 ? 'text-amber-400' : 'text-green-400'}`}/>
+                Requirement Coverage: {coverage.extracted} statement(s) found locally, {coverage.coveredFirstPass} covered by the audit, {coverage.recovered} added by the re-check, {gaps.length} still unmatched
+            </summary>
+            <div className="mt-3 text-xs text-slate-300 space-y-3">
+                <p className="text-slate-400">A rule-based scan of the RFQ ("shall", "must", "is required to", "mandatory" and numbered requirement clauses) is compared with the findings. Statements no finding covered were sent back for a second audit pass.</p>
+                {coverage.unchecked > 0 && <p className="text-amber-300">{coverage.unchecked} further unmatched statement(s) exceeded the re-check limit and were not sent back.</p>}
+                {gaps.length > 0 && (
+                    <ul className="space-y-1 max-h-60 overflow-y-auto">
+                        {gaps.map((gap, i) => (
+                            <li key={i} className="p-2 rounded-lg bg-slate-800 border border-slate-700">
+                                {(gap.clause || gap.label) && <span className="font-mono text-slate-500 mr-2">{gap.clause ? clauseLabel(gap.clause) : gap.label}</span>}
+                                {gap.text}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                {dismissed.length > 0 && (
+                    <details>
+                        <summary className="cursor-pointer font-semibold text-slate-200">{dismissed.length} statement(s) judged not to need an answer from the bid</summary>
+                        <ul className="mt-2 space-y-1">
+                            {dismissed.map((item, i) => <li key={i}><span className="text-slate-400">{item.text}</span>{item.reason ? <span className="text-slate-500"> — {item.reason}</span> : null}</li>)}
+                        </ul>
+                    </details>
+                )}
+            </div>
+        </details>
+    );
+};
+
+// Per-field notes from validating the AI response against its schema.
+const ValidationIssuesPanel = ({ issues }) => {
+    if (!issues?.length) return null;
+    const invalidCount = issues.filter(i => i.severity === ISSUE_SEVERITY.INVALID).length;
+    return (
+        <details className={`mb-8 p-4 rounded-xl border ${invalidCount > 0 ? 'bg-red-900/20 border-red-700/60' : 'bg-yellow-900/10 border-yellow-700/40'}`} open={invalidCount > 0}>
+            <summary className="text-sm font-bold text-white cursor-pointer flex items-center">
+                <AlertTriangle className={`w-4 h-4 mr-2 ${invalidCount > 0 ? 'text-red-400' : 'text-yellow-400'}`}/>
+                AI Response Check: {issues.length - invalidCount} auto-repaired, {invalidCount} need attention
+            </summary>
+            <ul className="mt-3 space-y-1 text-xs max-h-60 overflow-y-auto">
+                {issues.map((issue, i) => (
+                    <li key={i} className={issue.severity === ISSUE_SEVERITY.INVALID ? 'text-red-300' : 'text-yellow-200/80'}>
+                        <span className="font-mono text-slate-400">{issue.path}</span>{issue.section ? <span className="text-slate-500"> {issue.section}</span> : null}: {issue.message}
+                    </li>
+                ))}
+            </ul>
+        </details>
+    );
+};
+
 // --- MID-LEVEL COMPONENTS ---
 
-const ComplianceReport = ({ report }) => {
+const ComplianceReport = ({ report, sourceDocs, onOverrideFinding, onImportEdits, defaultCompany }) => {
     const findings = report.findings || []; 
+    const score = getReportScore(report);
+    const knockoutSet = new Set(score.knockouts);
+    const profile = report.scoringProfile || DEFAULT_SCORING_PROFILE;
+    const [activeFinding, setActiveFinding] = useState(null);
+    const [editingFinding, setEditingFinding] = useState(null);
+    useEffect(() => { setActiveFinding(null); setEditingFinding(null); }, [report.id, report.timestamp]);
+    const overriddenCount = findings.filter(f => (f.overriddenFields || []).length > 0).length;
     const overallPercentage = getCompliancePercentage(report);
     const counts = findings.reduce((acc, item) => { const flag = item.flag || 'NON-COMPLIANT'; acc[flag] = (acc[flag] || 0) + 1; return acc; }, { 'COMPLIANT': 0, 'PARTIAL': 0, 'NON-COMPLIANT': 0 });
     const getWidth = (flag) => findings.length === 0 ? '0%' : `${(counts[flag] / findings.length) * 100}%`;
@@ -324,14 +1236,22 @@ const ComplianceReport = ({ report }) => {
         <div id="printable-compliance-report" className="bg-slate-800 p-8 rounded-2xl shadow-2xl border border-slate-700 mt-8">
             <div className="flex justify-between items-center mb-6 border-b border-slate-700 pb-4">
                 <h2 className="text-3xl font-extrabold text-white flex items-center"><List className="w-6 h-6 mr-3 text-amber-400"/> Comprehensive Compliance Report</h2>
-                <button 
-                    onClick={() => window.print()} 
-                    className="text-sm text-slate-400 hover:text-white bg-slate-700 px-3 py-2 rounded-lg flex items-center no-print"
-                >
-                    <Printer className="w-4 h-4 mr-2"/> Print / PDF
-                </button>
+                <div className="flex items-center gap-2">
+                    <FindingsSheetPanel report={report} onImportEdits={onImportEdits} />
+                    <DocxExportPanel report={report} sourceDocs={sourceDocs} defaultCompany={defaultCompany} />
+                    <button
+                        onClick={() => window.print()}
+                        className="text-sm text-slate-400 hover:text-white bg-slate-700 px-3 py-2 rounded-lg flex items-center no-print"
+                    >
+                        <Printer className="w-4 h-4 mr-2"/> Print / PDF
+                    </button>
+                </div>
             </div>
 
+            <SourceNotes ocr={report.ocr} skippedFiles={report.skippedFiles} />
+            <RfqSetPanel documents={report.rfqDocuments} superseded={report.supersededRequirements} />
+            <CoveragePanel coverage={report.coverage} />
+            <ValidationIssuesPanel issues={report.validationIssues} />
             {report.generatedExecutiveSummary && (
                 <div className="mb-8 p-6 bg-gradient-to-r from-blue-900/40 to-slate-800 rounded-xl border border-blue-500/30">
                     <div className="flex justify-between items-start mb-3">
@@ -349,7 +1269,9 @@ const ComplianceReport = ({ report }) => {
             <div className="mb-10 grid grid-cols-1 md:grid-cols-2 gap-6">
                 <div className="p-5 bg-slate-700/50 rounded-xl border border-amber-600/50 text-center">
                     <p className="text-sm font-semibold text-white mb-1"><BarChart2 className="w-4 h-4 inline mr-2"/> Compliance Score</p>
-                    <div className="text-5xl font-extrabold text-amber-400">{overallPercentage}%</div>
+                    <div className="text-5xl font-extrabold text-amber-400">{score.weightedPercentage}%</div>
+                    <p className="text-xs text-slate-400 mt-1">Weighted ({score.profileName}) • Raw: {overallPercentage}%</p>
+                    <ScoreStatusBadge status={score.status} passThreshold={profile.passThreshold} knockoutCount={score.knockouts.length} />
                     <div className="w-full h-3 bg-slate-900 rounded-full flex overflow-hidden mt-4"><div style={{ width: getWidth('COMPLIANT') }} className="bg-green-500"></div><div style={{ width: getWidth('PARTIAL') }} className="bg-amber-500"></div><div style={{ width: getWidth('NON-COMPLIANT') }} className="bg-red-500"></div></div>
                     <p className="text-xs text-slate-400 mt-3">View detailed score breakdown by requirement below.</p>
                 </div>
@@ -389,22 +1311,69 @@ const ComplianceReport = ({ report }) => {
                     <ul className="list-disc list-inside text-sm text-red-300">{report.legalRiskAlerts.map((r, i) => <li key={i}>{r}</li>)}</ul>
                 </div>
             )}
-            <h3 className="text-2xl font-bold text-white mb-6 border-b border-slate-700 pb-3">Detailed Findings</h3>
+            <h3 className="text-2xl font-bold text-white mb-6 border-b border-slate-700 pb-3">Detailed Findings {overriddenCount > 0 && <span className="text-sm font-normal text-amber-400 ml-2">({overriddenCount} reviewed by a human)</span>}</h3>
             <div className="space-y-8">
                 {findings.map((item, index) => (
-                    <div key={index} className="p-6 border border-slate-700 rounded-xl shadow-md space-y-3 bg-slate-800 hover:bg-slate-700/50 transition">
+                    <div key={index} onClick={() => sourceDocs && setActiveFinding(activeFinding === index ? null : index)} className={`p-6 border rounded-xl shadow-md space-y-3 bg-slate-800 hover:bg-slate-700/50 transition ${sourceDocs ? 'cursor-pointer' : ''} ${activeFinding === index ? 'border-amber-500' : 'border-slate-700'}`}>
                         <div className="flex justify-between items-start">
-                            <h3 className="text-xl font-bold text-white">#{index + 1}</h3>
-                            <div className={`px-4 py-1 text-sm font-semibold rounded-full border ${item.flag === 'COMPLIANT' ? 'bg-green-700/30 text-green-300 border-green-500' : item.flag === 'PARTIAL' ? 'bg-amber-700/30 text-amber-300 border-amber-500' : 'bg-red-700/30 text-red-300 border-red-500'}`}>{item.flag} ({item.complianceScore})</div>
+                            <h3 className="text-xl font-bold text-white">#{index + 1} {getClauseRef(item) && <span className="text-sm font-semibold text-blue-300 ml-2">{clauseLabel(getClauseRef(item))}</span>} {item.rfqSection && <span className="text-xs font-normal text-slate-500 ml-2">RFQ Section {item.rfqSection}</span>} {item.conflictingVerdicts?.length > 0 && <span className="text-xs font-normal text-amber-400 ml-2" title="Other RFQ sections judged this requirement differently; the most severe verdict is kept.">Judged {item.conflictingVerdicts.map(v => `${v.flag} in Section ${v.rfqSection}`).join(', ')}</span>}</h3>
+                            <div className="flex items-center gap-2">
+                                {knockoutSet.has(index) && <div className="px-3 py-1 text-xs font-bold rounded-full bg-red-600 text-white">KNOCK-OUT FAILED</div>}
+                                {!knockoutSet.has(index) && isKnockoutFinding(profile, item) && <div className="px-3 py-1 text-xs font-bold rounded-full border border-red-500 text-red-300">MANDATORY</div>}
+                                <div className={`px-4 py-1 text-sm font-semibold rounded-full border ${item.flag === 'COMPLIANT' ? 'bg-green-700/30 text-green-300 border-green-500' : item.flag === 'PARTIAL' ? 'bg-amber-700/30 text-amber-300 border-amber-500' : 'bg-red-700/30 text-red-300 border-red-500'}`}>{item.flag} ({item.complianceScore})</div>
+                                <SourceTag finding={item} fields={['flag', 'complianceScore']} />
+                                {onOverrideFinding && editingFinding !== index && <button onClick={(e) => { e.stopPropagation(); setEditingFinding(index); }} className="text-xs px-2 py-1 rounded bg-slate-700 text-slate-300 hover:bg-slate-600 no-print">Edit</button>}
+                            </div>
                         </div>
+                        <p className="text-xs text-slate-500">Category: <span className="text-slate-300 font-semibold">{item.category || 'OTHER'}</span> <SourceTag finding={item} fields={['category']} />
+                            {report.rfqDocuments?.length > 0 && item.requirementSource && <span className="ml-3">From: <span className="text-blue-300 font-semibold">{item.requirementSource}</span></span>}
+                            {item.amendmentStatus && item.amendmentStatus !== AMENDMENT_STATUS.ORIGINAL && <span className="ml-2 text-[10px] font-bold px-2 py-0.5 rounded bg-blue-600 text-white">{item.amendmentStatus} BY {item.amendedBy}</span>}
+                            {item.coveragePass && <span className="ml-2 text-[10px] font-bold px-2 py-0.5 rounded bg-orange-600 text-white" title="Missed by the first audit pass; found by the local requirement cross-check.">COVERAGE RE-CHECK</span>}
+                        </p>
                         <p className="font-semibold text-slate-300 mt-2">RFQ Requirement Extracted:</p>
                         <p className="p-4 bg-slate-900/80 text-slate-200 rounded-lg border border-slate-700 italic text-sm">{item.requirementFromRFQ || "Text not extracted by AI"}</p>
+                        {item.amendmentStatus === AMENDMENT_STATUS.AMENDED && item.supersededText && <p className="text-xs text-slate-500">Replaces: <span className="line-through">{item.supersededText}</span></p>}
                         <p className="font-semibold text-slate-300 mt-4">Bidder's Response Summary:</p>
                         <p className="text-slate-400 text-sm">{item.bidResponseSummary}</p>
-                        {item.negotiationStance && <div className="mt-4 p-4 bg-blue-900/40 border border-blue-700 rounded-xl"><p className="font-semibold text-blue-300">Recommended Negotiation Stance:</p><p className="text-blue-200 text-sm">{item.negotiationStance}</p></div>}
+                        {item.negotiationStance && <div className="mt-4 p-4 bg-blue-900/40 border border-blue-700 rounded-xl"><p className="font-semibold text-blue-300">Recommended Negotiation Stance: <SourceTag finding={item} fields={['negotiationStance']} /></p><p className="text-blue-200 text-sm">{item.negotiationStance}</p></div>}
+                        {(item.overriddenFields || []).length > 0 && (
+                            <p className="text-xs text-slate-500">AI verdict was: {item.overriddenFields.map(field => `${field} = ${item.aiOriginal?.[field] ?? 'N/A'}`).join(' • ')}</p>
+                        )}
+                        {item.reviewerNotes?.length > 0 && (
+                            <div className="p-3 bg-slate-900/60 border border-slate-700 rounded-lg space-y-1">
+                                <p className="text-xs font-semibold text-slate-300">Reviewer Notes</p>
+                                {item.reviewerNotes.map((note, i) => <p key={i} className="text-xs text-slate-400"><span className="text-slate-500">{note.by?.name} • {new Date(note.at).toLocaleString()}:</span> {note.text}</p>)}
+                            </div>
+                        )}
+                        {onOverrideFinding && editingFinding === index && (
+                            <FindingOverrideForm finding={item} onCancel={() => setEditingFinding(null)} onSave={async (changes, note) => { await onOverrideFinding(index, changes, note); setEditingFinding(null); }} />
+                        )}
+                        {(item.rfqCitation !== undefined || item.bidCitation !== undefined) && (
+                            <div className="flex flex-wrap gap-2 pt-2">
+                                <CitationBadge label="RFQ" citation={item.rfqCitation} />
+                                <CitationBadge label="Bid" citation={item.bidCitation} />
+                                {sourceDocs && <span className="text-xs text-slate-500 self-center no-print">{activeFinding === index ? 'Click to close source view' : 'Click to view in source'}</span>}
+                            </div>
+                        )}
+                        {sourceDocs && activeFinding === index && <SourceViewer sourceDocs={sourceDocs} finding={item} />}
                     </div>
                 ))}
             </div>
+            {report.overrideLog?.length > 0 && (
+                <details className="mt-12 p-6 bg-slate-900/60 rounded-xl border border-amber-700/50">
+                    <summary className="text-lg font-bold text-white cursor-pointer"><Clock className="w-5 h-5 inline mr-2 text-amber-400"/> Review Audit Trail ({report.overrideLog.length} changes)</summary>
+                    <div className="mt-4 space-y-2">
+                        {[...report.overrideLog].reverse().map((entry, i) => (
+                            <p key={i} className="text-xs text-slate-400 border-b border-slate-800 pb-2">
+                                <span className="text-slate-500">{new Date(entry.changedAt).toLocaleString()} • {entry.changedBy?.name}{entry.source === OVERRIDE_SOURCE.SHEET_IMPORT ? ' (sheet import)' : ''}:</span>{' '}
+                                #{entry.findingIndex + 1} {entry.field === 'reviewerNote'
+                                    ? <>added note "<span className="text-slate-200">{entry.newValue}</span>"</>
+                                    : <>{entry.field} <span className="text-red-300">{String(entry.oldValue ?? 'N/A')}</span> → <span className="text-green-300">{String(entry.newValue)}</span></>}
+                            </p>
+                        ))}
+                    </div>
+                </details>
+            )}
             {report.submissionChecklist?.length > 0 && (
                 <div className="mt-12 p-6 bg-slate-700/30 rounded-xl border border-slate-600 border-dashed">
                     <h3 className="text-lg font-bold text-white mb-4"><Paperclip className="w-5 h-5 inline mr-2 text-slate-400"/> Identified Required Attachment/Appendices From RFQ</h3>
@@ -414,21 +1383,233 @@ const ComplianceReport = ({ report }) => {
                                 <FileText className="w-4 h-4 text-blue-400 mr-3 flex-shrink-0"/>
                                 <span className="text-sm text-slate-300">{artifact}</span>
                             </div>
-                        ))}
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const SEVERITY_STYLES = {
+    'HIGH': 'bg-red-700/30 text-red-300 border-red-500',
+    'MEDIUM': 'bg-amber-700/30 text-amber-300 border-amber-500',
+    'LOW': 'bg-slate-700/50 text-slate-300 border-slate-500'
+};
+
+const ISSUE_TYPE_LABELS = {
+    'AMBIGUOUS': 'Ambiguous',
+    'UNTESTABLE': 'Untestable',
+    'CONFLICTING': 'Conflicting Clauses',
+    'MISSING_EVALUATION_CRITERIA': 'Evaluation Criteria',
+    'UNREASONABLE_TERM': 'Unreasonable Term',
+    'OTHER': 'Other'
+};
+
+const RfqQualityReport = ({ report, sourceDocs }) => {
+    const issues = report.issues || [];
+    const counts = countIssues(report);
+    const [activeIssue, setActiveIssue] = useState(null);
+    useEffect(() => setActiveIssue(null), [report]);
+
+    return (
+        <div id="printable-compliance-report" className="bg-slate-800 p-8 rounded-2xl shadow-2xl border border-slate-700 mt-8">
+            <div className="flex justify-between items-center mb-6 border-b border-slate-700 pb-4">
+                <h2 className="text-3xl font-extrabold text-white flex items-center"><Gavel className="w-6 h-6 mr-3 text-amber-400"/> RFQ Quality Review</h2>
+                <button onClick={() => window.print()} className="text-sm text-slate-400 hover:text-white bg-slate-700 px-3 py-2 rounded-lg flex items-center no-print"><Printer className="w-4 h-4 mr-2"/> Print / PDF</button>
+            </div>
+            <SourceNotes ocr={report.ocr} skippedFiles={report.skippedFiles} />
+            <ValidationIssuesPanel issues={report.validationIssues} />
+            {report.projectTitle && <p className="text-lg font-bold text-blue-200 mb-1">{report.projectTitle}</p>}
+            {report.rfqScopeSummary && <p className="text-sm text-slate-400 mb-8">{report.rfqScopeSummary}</p>}
+
+            <div className="mb-10 grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="p-5 bg-slate-700/50 rounded-xl border border-amber-600/50 text-center">
+                    <p className="text-sm font-semibold text-white mb-1"><BarChart2 className="w-4 h-4 inline mr-2"/> RFQ Quality Score</p>
+                    <div className="text-5xl font-extrabold text-amber-400">{report.qualityScore ?? '-'}/100</div>
+                    <p className="text-xs text-slate-400 mt-3">Clarity, testability, consistency and fairness of terms.</p>
+                </div>
+                <div className="p-5 bg-slate-700/50 rounded-xl border border-slate-600 grid grid-cols-3 gap-3 text-center">
+                    <MetricPill label="High" count={counts['HIGH']} color="text-red-400" />
+                    <MetricPill label="Medium" count={counts['MEDIUM']} color="text-amber-400" />
+                    <MetricPill label="Low" count={counts['LOW']} color="text-slate-300" />
+                </div>
+            </div>
+
+            {report.executiveSummary && <p className="mb-10 text-slate-300 leading-relaxed border-l-4 border-blue-500 pl-4 whitespace-pre-line">{report.executiveSummary}</p>}
+
+            <div className="mb-10 grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="p-5 bg-red-900/20 rounded-xl border border-red-800">
+                    <h4 className="text-lg font-bold text-red-400 mb-3"><AlertTriangle className="w-5 h-5 inline mr-2"/> Missing Evaluation Criteria</h4>
+                    {report.missingEvaluationCriteria?.length > 0
+                        ? <ul className="list-disc list-inside text-sm text-red-200 space-y-1">{report.missingEvaluationCriteria.map((c, i) => <li key={i}>{c}</li>)}</ul>
+                        : <p className="text-sm text-slate-400 italic">None identified.</p>}
+                </div>
+                <div className="p-5 bg-green-900/20 rounded-xl border border-green-800">
+                    <h4 className="text-lg font-bold text-green-400 mb-3"><CheckCircle className="w-5 h-5 inline mr-2"/> Evaluation Criteria Defined</h4>
+                    {report.evaluationCriteriaFound?.length > 0
+                        ? <ul className="list-disc list-inside text-sm text-green-200 space-y-1">{report.evaluationCriteriaFound.map((c, i) => <li key={i}>{c}</li>)}</ul>
+                        : <p className="text-sm text-slate-400 italic">None found.</p>}
+                </div>
+            </div>
+
+            <h3 className="text-2xl font-bold text-white mb-6 border-b border-slate-700 pb-3">Clause Issues ({issues.length})</h3>
+            <div className="space-y-6">
+                {issues.map((issue, index) => (
+                    <div key={index} onClick={() => sourceDocs && setActiveIssue(activeIssue === index ? null : index)} className={`p-6 border rounded-xl shadow-md space-y-3 bg-slate-800 hover:bg-slate-700/50 transition ${sourceDocs ? 'cursor-pointer' : ''} ${activeIssue === index ? 'border-amber-500' : 'border-slate-700'}`}>
+                        <div className="flex justify-between items-start">
+                            <h3 className="text-lg font-bold text-white">#{index + 1} <span className="text-sm font-normal text-slate-400 ml-2">{ISSUE_TYPE_LABELS[issue.issueType] || issue.issueType}</span></h3>
+                            <div className={`px-4 py-1 text-sm font-semibold rounded-full border ${SEVERITY_STYLES[issue.severity] || SEVERITY_STYLES['LOW']}`}>{issue.severity}</div>
+                        </div>
+                        <p className="p-4 bg-slate-900/80 text-slate-200 rounded-lg border border-slate-700 italic text-sm">{issue.clauseText || "Clause text not extracted by AI"}</p>
+                        {issue.conflictsWith && <p className="p-4 bg-slate-900/80 text-slate-300 rounded-lg border border-red-800 italic text-sm"><span className="not-italic font-semibold text-red-300">Conflicts with: </span>{issue.conflictsWith}</p>}
+                        <p className="text-slate-400 text-sm">{issue.explanation}</p>
+                        {issue.suggestedRewrite && <div className="p-4 bg-blue-900/40 border border-blue-700 rounded-xl"><p className="font-semibold text-blue-300">Suggested Rewrite:</p><p className="text-blue-200 text-sm">{issue.suggestedRewrite}</p></div>}
+                        {issue.rfqCitation !== undefined && <div className="pt-2"><CitationBadge label="RFQ" citation={issue.rfqCitation} /></div>}
+                        {sourceDocs && activeIssue === index && (
+                            <div className="mt-4 no-print" onClick={(e) => e.stopPropagation()}>
+                                <DocumentPane title="RFQ" doc={sourceDocs.rfq} citation={issue.rfqCitation} color="blue" />
+                            </div>
+                        )}
                     </div>
-                </div>
-            )}
+                ))}
+            </div>
         </div>
     );
 };
 
-const ComplianceRanking = ({ reportsHistory, loadReportFromHistory, deleteReport, currentUser }) => { 
-    if (reportsHistory.length === 0) return null;
-    const groupedReports = reportsHistory.reduce((acc, report) => {
+const FLAG_CELL_STYLES = {
+    'COMPLIANT': 'bg-green-700/30 text-green-300 border-green-600',
+    'PARTIAL': 'bg-amber-700/30 text-amber-300 border-amber-600',
+    'NON-COMPLIANT': 'bg-red-700/30 text-red-300 border-red-600'
+};
+
+const BidComparison = ({ comparison }) => {
+    const [selectedBid, setSelectedBid] = useState(null);
+    useEffect(() => setSelectedBid(null), [comparison]);
+    const { bids } = comparison;
+    const rows = buildComparisonMatrix(bids);
+    const ranking = rankBids(bids);
+    const selected = selectedBid !== null ? bids[selectedBid] : null;
+
+    return (
+        <>
+            <div className="bg-slate-800 p-8 rounded-2xl shadow-2xl border border-slate-700 mt-8">
+                <h2 className="text-3xl font-extrabold text-white flex items-center mb-6 border-b border-slate-700 pb-4"><Layers className="w-6 h-6 mr-3 text-amber-400"/> Bid Comparison: {comparison.rfqName}</h2>
+
+                <h3 className="text-lg font-bold text-white mb-3">Ranked Summary</h3>
+                <div className="space-y-3 mb-10">
+                    {ranking.map((entry, idx) => (
+                        <div key={entry.bidIndex} onClick={() => !entry.error && setSelectedBid(entry.bidIndex)} className={`p-3 rounded-lg border bg-slate-900/50 flex justify-between items-center ${entry.error ? 'border-red-800' : 'border-slate-600 cursor-pointer hover:bg-slate-700/50'} ${selectedBid === entry.bidIndex ? 'border-amber-500' : ''}`}>
+                            <div className="flex items-center min-w-0">
+                                <div className={`text-xl font-extrabold w-8 ${entry.knockedOut ? 'text-red-400' : idx === 0 && !entry.error ? 'text-green-400' : 'text-slate-500'}`}>#{idx + 1}</div>
+                                <div className="ml-3 min-w-0">
+                                    <p className="text-sm font-medium text-white truncate">{entry.name}</p>
+                                    {entry.error
+                                        ? <p className="text-xs text-red-400">Audit failed: {entry.error}</p>
+                                        : <p className="text-xs text-slate-400">{entry.requirementCount} requirements • {entry.partial} partial • {entry.nonCompliant} non-compliant</p>}
+                                </div>
+                            </div>
+                            {!entry.error && (
+                                <div className="text-right">
+                                    <span className={`px-2 py-0.5 rounded text-sm font-bold ${entry.knockedOut ? 'bg-red-600 text-white' : 'bg-blue-600 text-slate-900'}`}>{entry.knockedOut ? 'KO' : `${entry.weightedPercentage}%`}</span>
+                                    <p className="text-[10px] text-slate-500 mt-1">Raw {entry.percentage}%</p>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+
+                <h3 className="text-lg font-bold text-white mb-3">Requirement Matrix</h3>
+                <div className="overflow-x-auto bg-slate-900 rounded-xl border border-slate-700">
+                    <table className="w-full text-left text-xs text-slate-300">
+                        <thead className="bg-slate-800 text-slate-200 uppercase font-bold">
+                            <tr>
+                                <th className="px-3 py-3 min-w-[16rem]">Requirement</th>
+                                <th className="px-3 py-3">Category</th>
+                                {bids.map((bid, i) => <th key={i} onClick={() => bid.report && setSelectedBid(i)} className="px-3 py-3 text-center cursor-pointer hover:text-amber-400 max-w-[10rem] truncate" title={bid.name}>{bid.name}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-800">
+                            {rows.map((row, r) => (
+                                <tr key={r} className="hover:bg-slate-800/50">
+                                    <td className="px-3 py-2 text-slate-200">{row.requirement}</td>
+                                    <td className="px-3 py-2 text-slate-500">{row.category}</td>
+                                    {row.cells.map((cell, c) => (
+                                        <td key={c} className="px-3 py-2 text-center">
+                                            {cell
+                                                ? <span className={`inline-block px-2 py-0.5 rounded border font-semibold ${FLAG_CELL_STYLES[cell.flag] || FLAG_CELL_STYLES['NON-COMPLIANT']}`}>{cell.flag} ({cell.complianceScore})</span>
+                                                : <span className="text-slate-600" title="Not addressed in this bid's audit">—</span>}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot className="bg-slate-800 font-bold text-white">
+                            <tr>
+                                <td className="px-3 py-3" colSpan={2}>Total Compliance</td>
+                                {bids.map((bid, i) => {
+                                    const score = bid.report ? getReportScore(bid.report) : null;
+                                    return <td key={i} className="px-3 py-3 text-center text-amber-400">{score ? <>{score.weightedPercentage}%<span className="block text-[10px] text-slate-500 font-normal">Raw {score.rawPercentage}%{score.status === SCORE_STATUS.KNOCKED_OUT ? ' • KO' : ''}</span></> : 'N/A'}</td>;
+                                })}
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+                <p className="text-xs text-slate-500 mt-3">Click a bid to open its full compliance report.</p>
+            </div>
+            {selected && <ComplianceReport report={selected.report} sourceDocs={{ rfq: comparison.rfqDoc, bid: selected.doc }} />}
+        </>
+    );
+};
+
+// The parsed bid value in its own currency, with its base-currency equivalent and tax basis.
+const BidValueLabel = ({ report }) => {
+    const value = getBidValue(report);
+    if (value.amount === null) return report.grandTotalValue;
+    const normalized = getNormalizedValue(report);
+    return (
+        <span title={value.raw}>
+            {value.currency ? formatMoney(value.amount, value.currency) : `${value.amount.toLocaleString('en')} (currency unknown)`}
+            {value.currency !== BASE_CURRENCY && normalized !== null && ` ≈ ${formatMoney(normalized)}`}
+            {value.taxBasis !== TAX_BASIS.UNSPECIFIED && ` · ${value.taxBasis === TAX_BASIS.EXCLUSIVE ? 'excl.' : 'incl.'} tax`}
+        </span>
+    );
+};
+
+const RANKING_SORT = { SCORE: 'SCORE', VALUE_DESC: MARKET_SORT.VALUE_DESC, VALUE_ASC: MARKET_SORT.VALUE_ASC };
+
+const ComplianceRanking = ({ reportsHistory, loadReportFromHistory, deleteReport, canDeleteReports, workspaceMembers }) => { 
+    const [diffSelection, setDiffSelection] = useState({ rfqName: null, ids: [] });
+    const [diffPair, setDiffPair] = useState(null);
+    const [sortBy, setSortBy] = useState(RANKING_SORT.SCORE);
+    const [valueRange, setValueRange] = useState({ minValue: '', maxValue: '' });
+    const allBidderReports = reportsHistory.filter(report => !isRfqQualityReport(report));
+    if (allBidderReports.length === 0) return null;
+    const bidderReports = filterReports(allBidderReports, { ...EMPTY_MARKET_FILTERS, ...valueRange });
+    // Knocked-out bids sink below every eligible one whatever the sort, as in rankBids.
+    const isKnockedOut = (report) => report.scoreStatus === SCORE_STATUS.KNOCKED_OUT;
+    const rankReports = (reports) => (sortBy === RANKING_SORT.SCORE
+        ? [...reports].sort((a, b) => b.weightedPercentage - a.weightedPercentage)
+        : sortReports(reports, sortBy)).sort((a, b) => isKnockedOut(a) - isKnockedOut(b));
+    const setValueBound = (name) => (e) => setValueRange(current => ({ ...current, [name]: e.target.value }));
+    const toggleDiffSelection = (report) => setDiffSelection(current => {
+        const ids = current.rfqName === report.rfqName ? current.ids : [];
+        if (ids.includes(report.id)) return { rfqName: report.rfqName, ids: ids.filter(id => id !== report.id) };
+        return { rfqName: report.rfqName, ids: [...ids, report.id].slice(-2) };
+    });
+    const showDiff = () => {
+        const [base, target] = diffSelection.ids
+            .map(id => bidderReports.find(r => r.id === id))
+            .filter(Boolean)
+            .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+        if (base && target) setDiffPair({ base, target });
+    };
+    const groupedReports = bidderReports.reduce((acc, report) => {
         const rfqName = report.rfqName;
-        const percentage = getCompliancePercentage(report); 
+        const score = getReportScore(report);
         if (!acc[rfqName]) acc[rfqName] = { allReports: [], count: 0 };
-        acc[rfqName].allReports.push({ ...report, percentage });
+        acc[rfqName].allReports.push({ ...report, percentage: score.rawPercentage, weightedPercentage: score.weightedPercentage, scoreStatus: score.status });
         acc[rfqName].count += 1;
         return acc;
     }, {});
@@ -436,20 +1617,43 @@ const ComplianceRanking = ({ reportsHistory, loadReportFromHistory, deleteReport
     return (
         <div className="mt-8">
             <h2 className="text-xl font-bold text-white flex items-center mb-4 border-b border-slate-700 pb-2"><Layers className="w-5 h-5 mr-2 text-blue-400"/> Compliance Ranking by RFQ</h2>
+            <div className="flex flex-wrap gap-2 items-center mb-4 text-xs text-slate-400">
+                <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} className="p-2 rounded-lg bg-slate-900 border border-slate-600 text-white">
+                    <option value={RANKING_SORT.SCORE}>Rank by weighted score</option>
+                    <option value={RANKING_SORT.VALUE_ASC}>Rank by value: lowest first</option>
+                    <option value={RANKING_SORT.VALUE_DESC}>Rank by value: highest first</option>
+                </select>
+                <span>Value ({BASE_CURRENCY})</span>
+                <input type="number" min="0" placeholder="Min" value={valueRange.minValue} onChange={setValueBound('minValue')} className="w-28 p-2 rounded-lg bg-slate-900 border border-slate-600 text-white" />
+                <span>–</span>
+                <input type="number" min="0" placeholder="Max" value={valueRange.maxValue} onChange={setValueBound('maxValue')} className="w-28 p-2 rounded-lg bg-slate-900 border border-slate-600 text-white" />
+                {bidderReports.length < allBidderReports.length && <span>Showing {bidderReports.length} of {allBidderReports.length} bids.</span>}
+            </div>
             <div className="space-y-6">
                 {rankedProjects.map(([rfqName, data]) => (
                     <div key={rfqName} className="p-5 bg-slate-700/50 rounded-xl border border-slate-600 shadow-lg">
-                        <h3 className="text-lg font-extrabold text-amber-400 mb-4 border-b border-slate-600 pb-2">{rfqName} <span className="text-sm font-normal text-slate-400">({data.count} Revisions)</span></h3>
+                        <div className="flex justify-between items-center mb-4 border-b border-slate-600 pb-2">
+                            <h3 className="text-lg font-extrabold text-amber-400">{rfqName} <span className="text-sm font-normal text-slate-400">({data.count} Revisions)</span></h3>
+                            {data.count >= 2 && (
+                                <button onClick={showDiff} disabled={diffSelection.rfqName !== rfqName || diffSelection.ids.length !== 2} className="text-xs px-3 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-500 disabled:opacity-40 flex items-center">
+                                    <Layers className="w-3 h-3 mr-1"/> Compare Selected ({diffSelection.rfqName === rfqName ? diffSelection.ids.length : 0}/2)
+                                </button>
+                            )}
+                        </div>
                         <div className="space-y-3">
-                            {data.allReports.sort((a, b) => b.percentage - a.percentage).map((report, idx) => (
+                            {rankReports(data.allReports).map((report, idx) => (
                                 <div key={report.id} className="p-3 rounded-lg border border-slate-600 bg-slate-900/50 space-y-2 flex justify-between items-center hover:bg-slate-700/50">
                                     <div className='flex items-center cursor-pointer' onClick={() => loadReportFromHistory(report)}>
-                                        <div className={`text-xl font-extrabold w-8 ${idx === 0 ? 'text-green-400' : 'text-slate-500'}`}>#{idx + 1}</div>
-                                        <div className='ml-3'><p className="text-sm font-medium text-white">{report.bidName}</p><p className="text-xs text-slate-400">{new Date(report.timestamp).toLocaleDateString()}</p></div>
+                                        {data.count >= 2 && <input type="checkbox" title="Select for revision diff" checked={diffSelection.rfqName === rfqName && diffSelection.ids.includes(report.id)} onClick={(e) => e.stopPropagation()} onChange={() => toggleDiffSelection(report)} className="mr-3"/>}
+                                        <div className={`text-xl font-extrabold w-8 ${isKnockedOut(report) ? 'text-red-400' : idx === 0 ? 'text-green-400' : 'text-slate-500'}`}>#{idx + 1}</div>
+                                        <div className='ml-3'><p className="text-sm font-medium text-white">{report.bidName}</p><p className="text-xs text-slate-400">{new Date(report.timestamp).toLocaleDateString()} · by {getReportAuthor(report, workspaceMembers)}</p>{report.grandTotalValue && <p className="text-xs text-green-400"><BidValueLabel report={report} /></p>}</div>
                                     </div>
                                     <div className="flex items-center">
-                                        {currentUser && currentUser.role === 'ADMIN' && <button onClick={(e) => {e.stopPropagation(); deleteReport(report.id, report.rfqName, report.bidName, report.ownerId || currentUser.uid);}} className="mr-2 p-1 bg-red-600 rounded"><Trash2 className="w-4 h-4 text-white"/></button>}
-                                        <span className="px-2 py-0.5 rounded text-sm font-bold bg-blue-600 text-slate-900">{report.percentage}%</span>
+                                        {canDeleteReports && <button onClick={(e) => {e.stopPropagation(); deleteReport(report);}} className="mr-2 p-1 bg-red-600 rounded"><Trash2 className="w-4 h-4 text-white"/></button>}
+                                        <div className="text-right">
+                                            <span className={`px-2 py-0.5 rounded text-sm font-bold ${isKnockedOut(report) ? 'bg-red-600 text-white' : 'bg-blue-600 text-slate-900'}`} title={isKnockedOut(report) ? 'Failed a mandatory (knock-out) requirement' : undefined}>{isKnockedOut(report) ? 'DISQUALIFIED' : `${report.weightedPercentage}%`}</span>
+                                            <p className="text-[10px] text-slate-500 mt-1">{isKnockedOut(report) ? `Weighted ${report.weightedPercentage}% · ` : ''}Raw {report.percentage}%</p>
+                                        </div>
                                     </div>
                                 </div>
                             ))}
@@ -457,11 +1661,171 @@ const ComplianceRanking = ({ reportsHistory, loadReportFromHistory, deleteReport
                     </div>
                 ))}
             </div>
+            {diffPair && <RevisionDiff base={diffPair.base} target={diffPair.target} onClose={() => setDiffPair(null)} />}
+        </div>
+    );
+};
+
+const FLAG_TEXT_STYLES = { 'COMPLIANT': 'text-green-300', 'PARTIAL': 'text-amber-300', 'NON-COMPLIANT': 'text-red-300' };
+
+const DeltaValue = ({ value, suffix = '' }) => {
+    if (value === null || value === undefined) return <span className="text-slate-500">—</span>;
+    const tone = value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-slate-400';
+    return <span className={`font-bold ${tone}`}>{value > 0 ? '+' : ''}{value}{suffix}</span>;
+};
+
+const RevisionDiff = ({ base, target, onClose }) => {
+    const diff = diffReports(base, target);
+    const formatDate = (report) => new Date(report.timestamp).toLocaleString();
+    return (
+        <div className="mt-8 p-6 bg-slate-900 rounded-xl border border-blue-600 space-y-8">
+            <div className="flex justify-between items-start border-b border-slate-700 pb-3">
+                <div>
+                    <h3 className="text-xl font-bold text-white flex items-center"><Layers className="w-5 h-5 mr-2 text-blue-400"/> Revision Diff</h3>
+                    <p className="text-xs text-slate-400 mt-1">From <span className="text-slate-200">{base.bidName}</span> ({formatDate(base)}) to <span className="text-slate-200">{target.bidName}</span> ({formatDate(target)})</p>
+                </div>
+                <button onClick={onClose} className="text-sm text-slate-400 hover:text-white">Close</button>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <StatCard icon={<BarChart2 className="w-6 h-6 text-amber-400"/>} label={`Raw ${diff.overall.before}% → ${diff.overall.after}%`} value={<DeltaValue value={parseFloat((diff.overall.after - diff.overall.before).toFixed(1))} suffix="%" />} />
+                <StatCard icon={<BarChart2 className="w-6 h-6 text-blue-400"/>} label={`Weighted ${diff.overall.weightedBefore}% → ${diff.overall.weightedAfter}%`} value={<DeltaValue value={parseFloat((diff.overall.weightedAfter - diff.overall.weightedBefore).toFixed(1))} suffix="%" />} />
+                <StatCard icon={<Activity className="w-6 h-6 text-purple-400"/>} label={`Persuasion ${diff.persuasion.before ?? '-'} → ${diff.persuasion.after ?? '-'}`} value={<DeltaValue value={diff.persuasion.delta} />} />
+                <StatCard icon={<CheckCircle className="w-6 h-6 text-slate-400"/>} label="Unchanged requirements" value={diff.unchanged} />
+            </div>
+
+            <div>
+                <h4 className="text-lg font-bold text-white mb-3">Category Score Deltas</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {diff.categories.map(c => (
+                        <div key={c.category} className="p-3 bg-slate-800 rounded-lg border border-slate-700 text-sm">
+                            <p className="text-xs text-slate-400">{c.category}</p>
+                            <p className="text-slate-300">{c.before ?? '—'}{c.before !== null ? '%' : ''} → {c.after ?? '—'}{c.after !== null ? '%' : ''}</p>
+                            <DeltaValue value={c.delta} suffix="%" />
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <div>
+                <h4 className="text-lg font-bold text-white mb-3">Status Changes ({diff.moved.length + diff.scoreChanged.length})</h4>
+                {diff.moved.length + diff.scoreChanged.length === 0 ? <p className="text-sm text-slate-500 italic">No matched requirement changed status.</p> : (
+                    <div className="space-y-2">
+                        {[...diff.moved, ...diff.scoreChanged].map((change, i) => (
+                            <div key={i} className={`p-3 rounded-lg border bg-slate-800 ${change.direction === 'IMPROVED' ? 'border-green-700' : 'border-red-700'}`}>
+                                <p className="text-sm text-slate-200">{change.requirement}</p>
+                                <p className="text-xs mt-1">
+                                    <span className={FLAG_TEXT_STYLES[change.fromFlag]}>{change.fromFlag} ({change.fromScore})</span>
+                                    <span className="text-slate-500 mx-2">→</span>
+                                    <span className={FLAG_TEXT_STYLES[change.toFlag]}>{change.toFlag} ({change.toScore})</span>
+                                    <span className={`ml-3 font-bold ${change.direction === 'IMPROVED' ? 'text-green-400' : 'text-red-400'}`}>{change.direction}</span>
+                                </p>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                    <h4 className="text-lg font-bold text-green-400 mb-3">New Requirements ({diff.added.length})</h4>
+                    <ul className="space-y-2">{diff.added.map((f, i) => <li key={i} className="text-sm text-slate-300 p-2 bg-slate-800 rounded border border-slate-700">{f.requirementFromRFQ} <span className={`text-xs ${FLAG_TEXT_STYLES[f.flag]}`}>({f.flag})</span></li>)}</ul>
+                </div>
+                <div>
+                    <h4 className="text-lg font-bold text-red-400 mb-3">Missing Requirements ({diff.removed.length})</h4>
+                    <ul className="space-y-2">{diff.removed.map((f, i) => <li key={i} className="text-sm text-slate-300 p-2 bg-slate-800 rounded border border-slate-700">{f.requirementFromRFQ} <span className={`text-xs ${FLAG_TEXT_STYLES[f.flag]}`}>({f.flag})</span></li>)}</ul>
+                </div>
+            </div>
+
+            <div>
+                <h4 className="text-lg font-bold text-white mb-3"><Gavel className="w-5 h-5 inline mr-2 text-red-400"/> Legal Risk Alerts</h4>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-sm">
+                    <div><p className="text-xs font-bold text-red-400 mb-2">New alerts ({diff.legalRiskAlerts.added.length})</p><ul className="list-disc list-inside text-red-200 space-y-1">{diff.legalRiskAlerts.added.map((a, i) => <li key={i}>{a}</li>)}</ul></div>
+                    <div><p className="text-xs font-bold text-green-400 mb-2">Resolved alerts ({diff.legalRiskAlerts.resolved.length})</p><ul className="list-disc list-inside text-green-200 space-y-1">{diff.legalRiskAlerts.resolved.map((a, i) => <li key={i}>{a}</li>)}</ul></div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Members of the user's workspace and their roles. The owner assigns roles, removes members and
+// hands out (or retires) the invite code; anyone can switch to another workspace by code.
+const WorkspacePanel = ({ workspace, members, userId, workspaceRole, onSetRole, onRemoveMember, onRotateInviteCode, onJoin }) => {
+    const [joinCode, setJoinCode] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+    if (!workspace) return null;
+    const canManage = canWorkspace(workspaceRole, WORKSPACE_ACTION.MANAGE_MEMBERS);
+    const sortedMembers = [...members].sort((a, b) => WORKSPACE_ROLE_ORDER.indexOf(a.role) - WORKSPACE_ROLE_ORDER.indexOf(b.role) || (a.name || '').localeCompare(b.name || ''));
+
+    const run = async (action, success) => {
+        setBusy(true); setMessage(null);
+        try {
+            await action();
+            if (success) setMessage({ tone: 'success', text: success });
+        } catch (error) {
+            setMessage({ tone: 'error', text: error.message });
+        } finally { setBusy(false); }
+    };
+
+    const join = () => {
+        if (!window.confirm(`Leave "${workspace.name}" and join the workspace for this code? Reports saved here stay with "${workspace.name}".`)) return;
+        run(async () => { await onJoin(joinCode); setJoinCode(''); }, 'Joined. You start as a Viewer until the owner changes your role.');
+    };
+
+    return (
+        <div className="mb-8 p-5 bg-slate-700/50 rounded-xl border border-slate-600 space-y-4">
+            <div className="flex justify-between items-start border-b border-slate-600 pb-2">
+                <div>
+                    <h3 className="text-lg font-bold text-white flex items-center"><Users className="w-5 h-5 mr-2 text-blue-400"/> {workspace.name}</h3>
+                    <p className="text-xs text-slate-400 mt-1">Shared report library, audit quota and subscription. Your role: <span className="text-amber-400 font-semibold">{WORKSPACE_ROLE_LABELS[workspaceRole] || 'None'}</span></p>
+                </div>
+                {canManage && workspace.inviteCode && (
+                    <div className="text-right">
+                        <p className="text-[10px] uppercase text-slate-400">Invite code</p>
+                        <p className="font-mono text-amber-400 font-bold">{workspace.inviteCode}</p>
+                        <div className="flex gap-2 justify-end mt-1">
+                            <button onClick={() => navigator.clipboard?.writeText(workspace.inviteCode)} className="text-xs text-slate-400 hover:text-white flex items-center"><Copy className="w-3 h-3 mr-1"/> Copy</button>
+                            <button onClick={() => run(onRotateInviteCode, 'New invite code issued; the old one no longer works.')} disabled={busy} className="text-xs text-slate-400 hover:text-white disabled:opacity-50">New Code</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            <div className="space-y-2">
+                {sortedMembers.map(member => {
+                    const editable = canManage && member.uid !== userId && member.role !== WORKSPACE_ROLE.OWNER;
+                    return (
+                        <div key={member.uid} className="flex justify-between items-center p-2 rounded-lg bg-slate-900/50 border border-slate-700">
+                            <div className="min-w-0">
+                                <p className="text-sm text-white truncate">{member.name || member.email || member.uid}{member.uid === userId && <span className="text-xs text-slate-400"> (you)</span>}</p>
+                                {member.email && <p className="text-xs text-slate-400 truncate">{member.email}</p>}
+                            </div>
+                            {editable ? (
+                                <div className="flex items-center gap-2 shrink-0">
+                                    <select value={member.role} disabled={busy} onChange={(e) => run(() => onSetRole(member.uid, e.target.value))} className="text-xs p-1 rounded bg-slate-800 border border-slate-600 text-white">
+                                        {WORKSPACE_ROLE_ORDER.filter(role => role !== WORKSPACE_ROLE.OWNER).map(role => <option key={role} value={role}>{WORKSPACE_ROLE_LABELS[role]}</option>)}
+                                    </select>
+                                    <button onClick={() => window.confirm(`Remove ${member.name || member.email} from the workspace?`) && run(() => onRemoveMember(member.uid))} disabled={busy} className="p-1 bg-red-600 rounded disabled:opacity-50" title="Remove member"><Trash2 className="w-3 h-3 text-white"/></button>
+                                </div>
+                            ) : (
+                                <span className="text-xs px-2 py-0.5 rounded-full border border-slate-600 text-slate-300 shrink-0">{WORKSPACE_ROLE_LABELS[member.role] || member.role}</span>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="flex gap-2 pt-2 border-t border-slate-600">
+                <input value={joinCode} onChange={(e) => setJoinCode(e.target.value)} placeholder="Invite code from another workspace" className="flex-grow p-2 text-sm rounded-lg bg-slate-800 border border-slate-600 text-white" />
+                <button onClick={join} disabled={busy || !joinCode.trim()} className="px-3 py-2 text-xs rounded-lg bg-blue-600 text-white hover:bg-blue-500 disabled:opacity-50 flex items-center"><UserPlus className="w-3 h-3 mr-1"/> Join</button>
+            </div>
+            {message && <p className={`text-xs ${message.tone === 'error' ? 'text-red-400' : 'text-green-400'}`}>{message.text}</p>}
         </div>
     );
 };
 
-const ReportHistory = ({ reportsHistory, loadReportFromHistory, isAuthReady, userId, setCurrentPage, currentUser, deleteReport, handleLogout }) => { 
+const ReportHistory = ({ reportsHistory, loadReportFromHistory, isAuthReady, userId, setCurrentPage, deleteReport, canDeleteReports, handleLogout, workspaceMembers, workspacePanel }) => { 
     if (!isAuthReady || !userId) return <div className="text-center text-red-400">Please login to view history.</div>;
     return (
         <div className="bg-slate-800 p-8 rounded-2xl shadow-2xl border border-slate-700">
@@ -472,15 +1836,16 @@ const ReportHistory = ({ reportsHistory, loadReportFromHistory, isAuthReady, use
                     <button onClick={handleLogout} className="text-sm text-slate-400 hover:text-red-400 flex items-center ml-4">Logout</button>
                 </div>
             </div>
-            <ComplianceRanking reportsHistory={reportsHistory} loadReportFromHistory={loadReportFromHistory} deleteReport={deleteReport} currentUser={currentUser} />
+            {workspacePanel}
+            <ComplianceRanking reportsHistory={reportsHistory} loadReportFromHistory={loadReportFromHistory} deleteReport={deleteReport} canDeleteReports={canDeleteReports} workspaceMembers={workspaceMembers} />
             <h3 className="text-lg font-bold text-white mt-8 mb-4 border-b border-slate-700 pb-2">All Reports</h3>
             {reportsHistory.length === 0 ? <p className="text-slate-400 italic">No saved reports found.</p> : (
                 <div className="space-y-4">{reportsHistory.map(item => (
                     <div key={item.id} className="flex justify-between items-center p-4 bg-slate-700/50 rounded-xl border border-slate-700 hover:bg-slate-700/80">
-                        <div className="mr-4"><p className="text-sm font-medium text-white">{item.rfqName} vs {item.bidName}</p><p className="text-xs text-slate-400">{new Date(item.timestamp).toLocaleDateString()}</p></div>
+                        <div className="mr-4"><p className="text-sm font-medium text-white">{item.rfqName} vs {item.bidName}</p><p className="text-xs text-slate-400">{new Date(item.timestamp).toLocaleDateString()} · by {getReportAuthor(item, workspaceMembers)}</p></div>
                         <div className='flex items-center space-x-2'>
                             <button onClick={() => loadReportFromHistory(item)} className="px-4 py-2 text-xs rounded-lg bg-amber-500 text-slate-900 hover:bg-amber-400"><ArrowLeft className="w-3 h-3 inline mr-1 rotate-180"/> Load</button>
-                            {currentUser && currentUser.role === 'ADMIN' && <button onClick={(e) => {e.stopPropagation(); deleteReport(item.id, item.rfqName, item.bidName, item.ownerId || userId);}} className="px-4 py-2 text-xs rounded-lg bg-red-600 text-white hover:bg-red-500"><Trash2 className="w-3 h-3 inline"/></button>}
+                            {canDeleteReports && <button onClick={(e) => {e.stopPropagation(); deleteReport(item);}} className="px-4 py-2 text-xs rounded-lg bg-red-600 text-white hover:bg-red-500"><Trash2 className="w-3 h-3 inline"/></button>}
                         </div>
                     </div>
                 ))}</div>
@@ -489,10 +1854,79 @@ const ReportHistory = ({ reportsHistory, loadReportFromHistory, isAuthReady, use
     );
 };
 
+// Stage pipeline for one queued audit: stages before the current one are shown as done.
+const AuditStageTrack = ({ stage }) => {
+    const current = AUDIT_STAGE_ORDER.indexOf(stage);
+    return (
+        <div className="flex flex-wrap gap-1 mt-2">
+            {AUDIT_STAGE_ORDER.map((s, i) => (
+                <span key={s} className={`text-[10px] font-bold px-2 py-0.5 rounded-full border flex items-center ${i < current ? 'border-green-600 text-green-300 bg-green-900/20' : i === current ? 'border-amber-500 text-amber-300 bg-amber-900/30' : 'border-slate-700 text-slate-500'}`}>
+                    {i < current ? <CheckCircle className="w-3 h-3 mr-1"/> : i === current ? <Loader2 className="w-3 h-3 mr-1 animate-spin"/> : null}
+                    {AUDIT_STAGE_LABELS[s]}
+                </span>
+            ))}
+        </div>
+    );
+};
+
+const JOB_STATUS_STYLES = {
+    [JOB_STATUS.QUEUED]: 'text-slate-400',
+    [JOB_STATUS.RUNNING]: 'text-amber-300',
+    [JOB_STATUS.DONE]: 'text-green-300',
+    [JOB_STATUS.FAILED]: 'text-red-300',
+    [JOB_STATUS.CANCELLED]: 'text-slate-500'
+};
+
+// Background audits in the order they run. Visible on every page so the user can keep working.
+const AuditQueuePanel = ({ jobs, onCancel, onDismiss, onOpen }) => {
+    if (!jobs.length) return null;
+    return (
+        <div className="bg-slate-800 p-4 rounded-2xl border border-slate-700 space-y-3 no-print">
+            <p className="text-sm font-bold text-white flex items-center"><Clock className="w-4 h-4 mr-2 text-amber-400"/> Audit Queue</p>
+            {jobs.map(job => {
+                const active = job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING;
+                return (
+                    <div key={job.id} className="p-3 rounded-xl bg-slate-900/60 border border-slate-700">
+                        <div className="flex justify-between items-start gap-3">
+                            <div className="min-w-0">
+                                <p className="text-sm font-semibold text-slate-200 truncate">{job.label}</p>
+                                <p className={`text-xs ${JOB_STATUS_STYLES[job.status]}`}><span className="font-bold">{job.status}</span> {job.message}</p>
+                            </div>
+                            <div className="flex gap-2 shrink-0">
+                                {job.status === JOB_STATUS.DONE && job.result && <button onClick={() => onOpen(job.result)} className="text-xs px-2 py-1 rounded bg-amber-500 text-slate-900 font-semibold hover:bg-amber-400">Open</button>}
+                                {active
+                                    ? <button onClick={() => onCancel(job.id)} disabled={job.cancelRequested} className="text-xs px-2 py-1 rounded bg-slate-700 text-slate-300 hover:bg-red-700 hover:text-white disabled:opacity-50">Cancel</button>
+                                    : <button onClick={() => onDismiss(job.id)} className="text-xs px-2 py-1 rounded bg-slate-700 text-slate-300 hover:bg-slate-600">Dismiss</button>}
+                            </div>
+                        </div>
+                        {job.status === JOB_STATUS.RUNNING && job.stage && <AuditStageTrack stage={job.stage} />}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+// In-app toasts for audits that finished in the background.
+const NotificationTray = ({ notifications, onDismiss }) => (
+    <div className="fixed bottom-4 right-4 z-50 space-y-2 w-80 max-w-[calc(100vw-2rem)] no-print">
+        {notifications.map(n => (
+            <div key={n.id} className={`p-3 rounded-xl shadow-2xl border text-sm ${n.tone === 'error' ? 'bg-red-950 border-red-700 text-red-200' : 'bg-slate-800 border-green-600 text-slate-100'}`}>
+                <div className="flex items-start">
+                    {n.tone === 'error' ? <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 text-red-400 shrink-0"/> : <CheckCircle className="w-4 h-4 mr-2 mt-0.5 text-green-400 shrink-0"/>}
+                    <p className="flex-grow">{n.message}</p>
+                    <button onClick={() => onDismiss(n.id)} className="ml-2 text-slate-500 hover:text-white" aria-label="Dismiss">×</button>
+                </div>
+                {n.action && <button onClick={() => { n.action.onClick(); onDismiss(n.id); }} className="mt-2 text-xs px-3 py-1 rounded bg-amber-500 text-slate-900 font-semibold hover:bg-amber-400">{n.action.label}</button>}
+            </div>
+        ))}
+    </div>
+);
+
 // --- PAGE COMPONENTS (AuthPage First) ---
 
-const AuthPage = ({ setCurrentPage, setErrorMessage, errorMessage, db, auth }) => {
-    const [regForm, setRegForm] = useState({ name: '', designation: '', company: '', email: '', phone: '', password: '' });
+const AuthPage = ({ setCurrentPage, setErrorMessage, errorMessage, storage }) => {
+    const [regForm, setRegForm] = useState({ name: '', designation: '', company: '', email: '', phone: '', password: '', inviteCode: '' });
     const [loginForm, setLoginForm] = useState({ email: '', password: '' });
     const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -504,8 +1938,8 @@ const AuthPage = ({ setCurrentPage, setErrorMessage, errorMessage, db, auth }) =
         setErrorMessage(null);
         setIsSubmitting(true);
         try {
-            const userCred = await createUserWithEmailAndPassword(auth, regForm.email, regForm.password);
-            await setDoc(doc(db, 'users', userCred.user.uid), {
+            const account = await storage.auth.register(regForm.email, regForm.password);
+            await storage.users.create(account.uid, {
                 name: regForm.name,
                 designation: regForm.designation,
                 company: regForm.company,
@@ -514,12 +1948,22 @@ const AuthPage = ({ setCurrentPage, setErrorMessage, errorMessage, db, auth }) =
                 role: 'USER',
                 createdAt: Date.now()
             });
+            // With an invite code the account joins that company's workspace; otherwise (or if the
+            // code is wrong) the first sign-in sets up a workspace of its own.
+            let inviteNote = '';
+            if (regForm.inviteCode.trim()) {
+                try {
+                    await storage.workspaces.join(account.uid, regForm.inviteCode, { name: regForm.name, email: regForm.email });
+                } catch (err) {
+                    inviteNote = ` The invite code was not accepted (${err.message}), so you will get your own workspace; you can join your team later from Report History.`;
+                }
+            }
             
             // FIX: Sign Out immediately to prevent auto-redirect
-            await signOut(auth);
+            await storage.auth.signOut();
             
             setLoginForm({ email: regForm.email, password: regForm.password });
-            setErrorMessage('SUCCESS: Registration complete! Use the Email/Password you just created to Sign In.');
+            setErrorMessage(`SUCCESS: Registration complete! Use the Email/Password you just created to Sign In.${inviteNote}`);
         } catch (err) {
             console.error('Registration error', err);
             setErrorMessage(err.message || 'Registration failed.');
@@ -533,11 +1977,11 @@ const AuthPage = ({ setCurrentPage, setErrorMessage, errorMessage, db, auth }) =
         setErrorMessage(null);
         setIsSubmitting(true);
         try {
-            await signInWithEmailAndPassword(auth, loginForm.email, loginForm.password);
+            await storage.auth.signIn(loginForm.email, loginForm.password);
             // No direct navigation here; App effect handles role-based redirect
         } catch (err) {
             console.error('Login error', err);
-            setErrorMessage(err.message || 'Login failed.');
+            setErrorMessage(err.code === 'auth/user-disabled' ? SUSPENDED_MESSAGE : (err.message || 'Login failed.'));
             setIsSubmitting(false);
         }
     };
@@ -559,6 +2003,7 @@ const AuthPage = ({ setCurrentPage, setErrorMessage, errorMessage, db, auth }) =
                         <FormInput id="reg-email" label="Email *" name="email" value={regForm.email} onChange={handleRegChange} type="email" />
                         <FormInput id="reg-phone" label="Contact Number" name="phone" value={regForm.phone} onChange={handleRegChange} type="tel" placeholder="Optional" />
                         <FormInput id="reg-password" label="Create Password *" name="password" value={regForm.password} onChange={handleRegChange} type="password" />
+                        <FormInput id="reg-invite" label="Workspace Invite Code" name="inviteCode" value={regForm.inviteCode} onChange={handleRegChange} type="text" placeholder="Optional: join your company's workspace" />
 
                         <button type="submit" disabled={isSubmitting} className={`w-full py-3 text-lg font-semibold rounded-xl text-slate-900 transition-all shadow-lg mt-6 bg-blue-400 hover:bg-blue-300 disabled:opacity-50 flex items-center justify-center`}>
                             {isSubmitting ? <Loader2 className="animate-spin h-5 w-5 mr-2" /> : <UserPlus className="h-5 w-5 mr-2" />}
@@ -615,24 +2060,265 @@ const AuthPage = ({ setCurrentPage, setErrorMessage, errorMessage, db, auth }) =
     );
 };
 
+// Confirmation shown before each admin action; the server logs it once confirmed.
+const describeAdminAction = (user, action, params) => {
+    const name = user.name || user.email || user.id;
+    switch (action) {
+        case ADMIN_ACTION.SET_ROLE: return `Make ${name} ${params.role === 'ADMIN' ? 'an admin' : 'a regular user'}?`;
+        case ADMIN_ACTION.SUSPEND: return `Suspend ${name}? They are signed out and can't sign in until reactivated.`;
+        case ADMIN_ACTION.REACTIVATE: return `Reactivate ${name}?`;
+        case ADMIN_ACTION.RESET_CHECKS: return `Reset the used audit count of ${name}'s workspace to 0?`;
+        case ADMIN_ACTION.TOP_UP_CHECKS: return `Give ${name}'s workspace ${params.amount} extra free checks?`;
+        case ADMIN_ACTION.GRANT_PRO: return `Grant SmartBids Pro to ${name}'s workspace without a Stripe subscription?`;
+        case ADMIN_ACTION.REVOKE_PRO: return `Revoke Pro from ${name}'s workspace? This does not cancel a Stripe subscription; cancel that in Stripe as well.`;
+        default: return `Apply ${action} to ${name}?`;
+    }
+};
+
+const formatLogValues = (values) => Object.entries(values || {}).map(([key, value]) => `${key}: ${value === null || value === '' ? '—' : String(value)}`).join(', ');
+
+const getLastActivity = (user) => Math.max(user.lastLoginAt || 0, user.lastAuditAt || 0) || null;
+
+// Per-user admin actions with each user's activity and saved reports, plus the action log.
+const AdminUserConsole = ({ userList, reportsHistory, currentUser, onAction, actionLog, loadReportFromHistory }) => {
+    const [openUserId, setOpenUserId] = useState(null);
+    const [topUp, setTopUp] = useState(3);
+    const [reason, setReason] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const act = async (user, action, params = {}) => {
+        if (!window.confirm(describeAdminAction(user, action, params))) return;
+        setBusy(true); setMessage(null);
+        try {
+            await onAction({ uid: user.id, action, params, reason });
+            setMessage({ tone: 'success', text: `${ADMIN_ACTION_LABELS[action]}: ${user.name || user.email}.` });
+            setReason('');
+        } catch (error) {
+            setMessage({ tone: 'error', text: error.message });
+        } finally { setBusy(false); }
+    };
+
+    const buttonClass = "text-xs px-3 py-1 rounded-lg disabled:opacity-50";
+    return (
+        <div className="space-y-6">
+            {message && <p className={`text-sm no-print ${message.tone === 'error' ? 'text-red-400' : 'text-green-400'}`}>{message.text}</p>}
+            <div className="max-h-[32rem] overflow-y-auto bg-slate-900 rounded-xl border border-slate-700">
+                <table className="w-full text-left text-sm text-slate-400">
+                    <thead className="bg-slate-800 text-slate-200 uppercase font-bold sticky top-0 z-10">
+                        <tr><th className="px-4 py-3">Name</th><th className="px-4 py-3">Company</th><th className="px-4 py-3">Status</th><th className="px-4 py-3 text-right">Audits</th><th className="px-4 py-3">Last Activity</th><th className="px-4 py-3 text-right">Reports</th><th className="px-4 py-3 text-right">Role</th><th className="px-4 py-3 no-print"></th></tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-800">{userList.map(user => {
+                        const userReports = reportsHistory.filter(report => report.ownerId === user.id);
+                        const lastActivity = getLastActivity(user);
+                        const isOpen = openUserId === user.id;
+                        const isSelf = user.id === currentUser?.uid;
+                        return (
+                            <React.Fragment key={user.id}>
+                                <tr className="hover:bg-slate-800/50 transition">
+                                    <td className="px-4 py-3"><p className="font-medium text-white">{user.name}</p><p className="text-xs">{user.email}</p></td>
+                                    <td className="px-4 py-3">{user.company}<p className="text-xs">{user.designation}</p></td>
+                                    <td className="px-4 py-3">{user.suspended ? <span className="px-2 py-1 rounded text-xs font-bold bg-red-900 text-red-200">Suspended</span> : <span className="text-xs text-green-400">Active</span>}</td>
+                                    <td className="px-4 py-3 text-right">{user.auditCount || 0}</td>
+                                    <td className="px-4 py-3 text-xs">{lastActivity ? new Date(lastActivity).toLocaleString() : 'Never'}</td>
+                                    <td className="px-4 py-3 text-right">{userReports.length}</td>
+                                    <td className="px-4 py-3 text-right"><span className={`px-2 py-1 rounded text-xs font-bold ${user.role === 'ADMIN' ? 'bg-red-900 text-red-200' : 'bg-green-900 text-green-200'}`}>{user.role}</span></td>
+                                    <td className="px-4 py-3 text-right no-print"><button onClick={() => setOpenUserId(isOpen ? null : user.id)} className="text-xs text-amber-400 hover:text-amber-300">{isOpen ? 'Close' : 'Manage'}</button></td>
+                                </tr>
+                                {isOpen && (
+                                    <tr className="bg-slate-800/60 no-print"><td colSpan={8} className="px-4 py-4 space-y-4">
+                                        <div className="flex flex-wrap gap-2 items-center">
+                                            {user.role === 'ADMIN'
+                                                ? <button onClick={() => act(user, ADMIN_ACTION.SET_ROLE, { role: 'USER' })} disabled={busy || isSelf} className={`${buttonClass} bg-slate-600 text-white hover:bg-slate-500`}>Demote to User</button>
+                                                : <button onClick={() => act(user, ADMIN_ACTION.SET_ROLE, { role: 'ADMIN' })} disabled={busy} className={`${buttonClass} bg-red-700 text-white hover:bg-red-600`}>Promote to Admin</button>}
+                                            {user.suspended
+                                                ? <button onClick={() => act(user, ADMIN_ACTION.REACTIVATE)} disabled={busy} className={`${buttonClass} bg-green-700 text-white hover:bg-green-600`}>Reactivate</button>
+                                                : <button onClick={() => act(user, ADMIN_ACTION.SUSPEND)} disabled={busy || isSelf} className={`${buttonClass} bg-red-700 text-white hover:bg-red-600`}>Suspend</button>}
+                                            <button onClick={() => act(user, ADMIN_ACTION.RESET_CHECKS)} disabled={busy} className={`${buttonClass} bg-slate-600 text-white hover:bg-slate-500`}>Reset Checks</button>
+                                            <span className="flex items-center gap-1">
+                                                <input type="number" min="1" max="100" value={topUp} onChange={(e) => setTopUp(e.target.value)} className="w-16 p-1 text-xs rounded bg-slate-900 border border-slate-600 text-white" />
+                                                <button onClick={() => act(user, ADMIN_ACTION.TOP_UP_CHECKS, { amount: Number(topUp) })} disabled={busy} className={`${buttonClass} bg-blue-600 text-white hover:bg-blue-500`}>Top Up Checks</button>
+                                            </span>
+                                            <button onClick={() => act(user, ADMIN_ACTION.GRANT_PRO)} disabled={busy} className={`${buttonClass} bg-amber-500 text-slate-900 hover:bg-amber-400`}>Grant Pro</button>
+                                            <button onClick={() => act(user, ADMIN_ACTION.REVOKE_PRO)} disabled={busy} className={`${buttonClass} bg-slate-600 text-white hover:bg-slate-500`}>Revoke Pro</button>
+                                        </div>
+                                        <input value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Reason (recorded in the action log)" className="w-full p-2 text-xs rounded-lg bg-slate-900 border border-slate-600 text-white" />
+                                        <div>
+                                            <p className="text-xs font-bold text-slate-300 mb-2">Saved Reports ({userReports.length})</p>
+                                            {userReports.length === 0 ? <p className="text-xs italic text-slate-500">No saved reports.</p> : (
+                                                <ul className="space-y-1 max-h-40 overflow-y-auto">{userReports.map(report => (
+                                                    <li key={`${report.libraryPath || report.workspaceId}/${report.id}`} className="flex justify-between text-xs">
+                                                        <span className="text-slate-300">{report.rfqName} vs {report.bidName} <span className="text-slate-500">({new Date(report.timestamp).toLocaleDateString()})</span></span>
+                                                        <button onClick={() => loadReportFromHistory(report)} className="text-amber-400 hover:text-amber-300">Open</button>
+                                                    </li>
+                                                ))}</ul>
+                                            )}
+                                        </div>
+                                    </td></tr>
+                                )}
+                            </React.Fragment>
+                        );
+                    })}</tbody>
+                </table>
+            </div>
+
+            <div>
+                <h4 className="text-lg font-bold text-white mb-3 flex items-center"><List className="w-5 h-5 mr-2 text-slate-400"/> Admin Action Log</h4>
+                {actionLog.length === 0 ? <p className="text-sm italic text-slate-500">No admin actions yet.</p> : (
+                    <div className="max-h-64 overflow-y-auto space-y-2">{actionLog.map(entry => (
+                        <div key={entry.id} className="p-3 rounded-lg bg-slate-900/50 border border-slate-700 text-xs">
+                            <p className="text-slate-200"><span className="font-bold text-amber-400">{ADMIN_ACTION_LABELS[entry.action] || entry.action}</span> · {entry.targetEmail || entry.targetUid} <span className="text-slate-500">by {entry.adminEmail || entry.adminUid} on {new Date(entry.createdAt).toLocaleString()}</span></p>
+                            <p className="text-slate-400 mt-1">{formatLogValues(entry.before)} → {formatLogValues(entry.after)}</p>
+                            {entry.reason && <p className="text-slate-500 italic mt-1">"{entry.reason}"</p>}
+                        </div>
+                    ))}</div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Horizontal bars for one aggregate; width is relative to the largest count in the list.
+const BarList = ({ title, rows, color = 'bg-amber-500', empty = 'No data.' }) => {
+    const max = Math.max(1, ...rows.map(row => row.count));
+    return (
+        <div className="p-4 bg-slate-900/50 rounded-xl border border-slate-700">
+            <p className="text-xs font-bold text-slate-300 uppercase mb-3">{title}</p>
+            {rows.every(row => !row.count) ? <p className="text-xs italic text-slate-500">{empty}</p> : (
+                <div className="space-y-1.5">{rows.map(row => (
+                    <div key={row.label} className="text-xs">
+                        <div className="flex justify-between text-slate-400"><span className="truncate mr-2">{row.label}</span><span className="text-slate-300">{row.count}</span></div>
+                        <div className="h-1.5 bg-slate-800 rounded"><div className={`h-1.5 rounded ${color}`} style={{ width: `${(row.count / max) * 100}%` }} /></div>
+                    </div>
+                ))}</div>
+            )}
+        </div>
+    );
+};
+
+const formatAverage = (value, suffix = '') => (value === null ? '—' : `${value}${suffix}`);
+
+// Aggregates over the filtered reports; the same filters drive the feed and the CSV export.
+const MarketAnalyticsPanel = ({ reportsHistory, filteredReports, filters, setFilters }) => {
+    const options = useMemo(() => getFilterOptions(reportsHistory), [reportsHistory]);
+    const analytics = useMemo(() => buildMarketAnalytics(filteredReports), [filteredReports]);
+    const setFilter = (name) => (e) => setFilters(current => ({ ...current, [name]: e.target.value }));
+    const selectClass = "p-2 text-xs rounded-lg bg-slate-900 border border-slate-600 text-white";
+    const { summary } = analytics;
+    const trendMax = Math.max(1, ...analytics.trend.map(row => row.count));
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap gap-2 items-center no-print">
+                <select value={filters.industry} onChange={setFilter('industry')} className={selectClass}><option value="">All industries</option>{options.industries.map(option => <option key={option} value={option}>{option}</option>)}</select>
+                <select value={filters.region} onChange={setFilter('region')} className={selectClass}><option value="">All locations</option>{options.regions.map(option => <option key={option} value={option}>{option}</option>)}</select>
+                <select value={filters.persona} onChange={setFilter('persona')} className={selectClass}><option value="">All personas</option>{options.personas.map(option => <option key={option} value={option}>{option}</option>)}</select>
+                <select value={filters.temperature} onChange={setFilter('temperature')} className={selectClass}><option value="">All lead temperatures</option>{options.temperatures.map(option => <option key={option} value={option}>{option}</option>)}</select>
+                <label className="text-xs text-slate-400 flex items-center gap-1">From <input type="date" value={filters.from} onChange={setFilter('from')} className={selectClass} /></label>
+                <label className="text-xs text-slate-400 flex items-center gap-1">To <input type="date" value={filters.to} onChange={setFilter('to')} className={selectClass} /></label>
+                <label className="text-xs text-slate-400 flex items-center gap-1">Value ({BASE_CURRENCY}) <input type="number" min="0" placeholder="Min" value={filters.minValue} onChange={setFilter('minValue')} className={`${selectClass} w-28`} /> – <input type="number" min="0" placeholder="Max" value={filters.maxValue} onChange={setFilter('maxValue')} className={`${selectClass} w-28`} /></label>
+                {hasActiveFilters(filters) && <button onClick={() => setFilters(EMPTY_MARKET_FILTERS)} className="text-xs text-amber-400 hover:text-amber-300">Clear filters</button>}
+            </div>
+            {hasActiveFilters(filters) && <p className="text-xs text-slate-500">Showing {filteredReports.length} of {reportsHistory.length} reports.</p>}
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                <div className="p-4 bg-slate-900/50 rounded-xl border border-slate-700"><p className="text-2xl font-bold text-white">{summary.count}</p><p className="text-[10px] text-slate-500 uppercase">Reports</p></div>
+                <div className="p-4 bg-slate-900/50 rounded-xl border border-slate-700"><p className="text-2xl font-bold text-green-400">{formatAverage(summary.avgScore, '%')}</p><p className="text-[10px] text-slate-500 uppercase">Avg. Weighted Score</p></div>
+                <div className="p-4 bg-slate-900/50 rounded-xl border border-slate-700"><p className="text-2xl font-bold text-purple-300">{formatAverage(summary.avgPersuasion)}</p><p className="text-[10px] text-slate-500 uppercase">Avg. Persuasion</p></div>
+                <div className="p-4 bg-slate-900/50 rounded-xl border border-slate-700"><p className="text-2xl font-bold text-purple-300">{formatAverage(summary.avgComplexity, '/10')}</p><p className="text-[10px] text-slate-500 uppercase">Avg. Complexity</p></div>
+                <div className="p-4 bg-slate-900/50 rounded-xl border border-slate-700"><p className="text-2xl font-bold text-pink-300">{summary.count ? Math.round((summary.hotLeads / summary.count) * 100) : 0}%</p><p className="text-[10px] text-slate-500 uppercase">Hot Leads</p></div>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <div className="p-4 bg-slate-900/50 rounded-xl border border-slate-700"><p className="text-2xl font-bold text-green-400">{summary.valuedCount ? formatMoney(summary.totalValue) : '—'}</p><p className="text-[10px] text-slate-500 uppercase">Total Bid Value</p></div>
+                <div className="p-4 bg-slate-900/50 rounded-xl border border-slate-700"><p className="text-2xl font-bold text-green-400">{formatMoney(summary.medianValue)}</p><p className="text-[10px] text-slate-500 uppercase">Median Bid Value</p></div>
+                <div className="p-4 bg-slate-900/50 rounded-xl border border-slate-700"><p className="text-2xl font-bold text-white">{summary.valuedCount} / {summary.count}</p><p className="text-[10px] text-slate-500 uppercase">Reports with a Readable Value</p></div>
+                <div className="p-4 bg-slate-900/50 rounded-xl border border-slate-700"><p className="text-2xl font-bold text-white">{formatAverage(summary.avgTermMonths, ' mo')}</p><p className="text-[10px] text-slate-500 uppercase">Avg. Base Term</p></div>
+            </div>
+            <p className="text-[10px] text-slate-500">Values are converted to {BASE_CURRENCY} with the local exchange-rate table (updated {EXCHANGE_RATES_UPDATED}); tax basis is as stated in each bid.</p>
+
+            {[['Industry', analytics.byIndustry], ['Location', analytics.byRegion]].map(([label, rows]) => (
+                <div key={label} className="overflow-x-auto bg-slate-900 rounded-xl border border-slate-700">
+                    <table className="w-full text-left text-xs text-slate-400">
+                        <thead className="bg-slate-800 text-slate-200 uppercase font-bold">
+                            <tr><th className="px-4 py-2">{label}</th><th className="px-4 py-2 text-right">Reports</th><th className="px-4 py-2 text-right">Avg. Score</th><th className="px-4 py-2 text-right">Avg. Persuasion</th><th className="px-4 py-2 text-right">Avg. Complexity</th><th className="px-4 py-2 text-right">Hot Leads</th><th className="px-4 py-2 text-right">Total Value</th><th className="px-4 py-2 text-right">Median Value</th></tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-800">{rows.slice(0, 12).map(row => (
+                            <tr key={row.label}><td className="px-4 py-2 text-white">{row.label}</td><td className="px-4 py-2 text-right">{row.count}</td><td className="px-4 py-2 text-right">{formatAverage(row.avgScore, '%')}</td><td className="px-4 py-2 text-right">{formatAverage(row.avgPersuasion)}</td><td className="px-4 py-2 text-right">{formatAverage(row.avgComplexity)}</td><td className="px-4 py-2 text-right">{row.hotLeads}</td><td className="px-4 py-2 text-right">{row.valuedCount ? formatMoney(row.totalValue) : '—'}</td><td className="px-4 py-2 text-right">{formatMoney(row.medianValue)}</td></tr>
+                        ))}</tbody>
+                    </table>
+                </div>
+            ))}
+
+            <div className="p-4 bg-slate-900/50 rounded-xl border border-slate-700">
+                <p className="text-xs font-bold text-slate-300 uppercase mb-3">Reports per Month</p>
+                {analytics.trend.length === 0 ? <p className="text-xs italic text-slate-500">No data.</p> : (
+                    <div className="flex items-end gap-1 h-32 overflow-x-auto">{analytics.trend.map(row => (
+                        <div key={row.period} className="flex flex-col items-center justify-end h-full min-w-[2.5rem]" title={`${row.period}: ${row.count} reports, avg. score ${formatAverage(row.avgScore, '%')}, ${row.hotLeads} hot leads`}>
+                            <span className="text-[10px] text-slate-300">{row.count || ''}</span>
+                            <div className="w-6 bg-amber-500 rounded-t" style={{ height: `${(row.count / trendMax) * 100}%` }} />
+                            <span className="text-[10px] text-slate-500 mt-1">{row.period}</span>
+                            <span className="text-[10px] text-green-400">{formatAverage(row.avgScore, '%')}</span>
+                        </div>
+                    ))}</div>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <BarList title="Weighted Score Distribution" rows={analytics.scoreHistogram} color="bg-green-500" />
+                <BarList title="Persuasion Score Distribution" rows={analytics.persuasionHistogram} color="bg-purple-400" />
+                <BarList title="Complexity (1–10)" rows={analytics.complexity} color="bg-purple-600" />
+                <BarList title="Buying Persona" rows={analytics.byPersona} color="bg-blue-400" />
+                <BarList title="Lead Temperature" rows={analytics.byTemperature} color="bg-pink-400" />
+                <BarList title={`Bid Value (${BASE_CURRENCY})`} rows={analytics.byValueBand} color="bg-green-600" />
+                <BarList title="Bid Currency" rows={analytics.byCurrency} color="bg-green-400" />
+                <BarList title="Top Risk Themes" rows={analytics.riskThemes} color="bg-red-500" />
+                <BarList title="Top Certifications" rows={analytics.certifications} color="bg-blue-500" />
+            </div>
+        </div>
+    );
+};
+
 const AdminDashboard = ({ setCurrentPage, currentUser, reportsHistory, loadReportFromHistory, handleLogout }) => {
   const [userList, setUserList] = useState([]);
-  useEffect(() => {
-    getDocs(collection(getFirestore(), 'users')).then(snap => setUserList(snap.docs.map(d => ({ id: d.id, ...d.data() }))));
-  }, []);
+  const [actionLog, setActionLog] = useState([]);
+  const [marketFilters, setMarketFilters] = useState(EMPTY_MARKET_FILTERS);
+  const [marketSort, setMarketSort] = useState(MARKET_SORT.NEWEST);
+  const [backfill, setBackfill] = useState(null);
+  const filteredReports = useMemo(() => sortReports(filterReports(reportsHistory, marketFilters), marketSort), [reportsHistory, marketFilters, marketSort]);
+  const staleReports = useMemo(() => reportsHistory.filter(needsNormalization), [reportsHistory]);
+  // Writes the parsed value and term onto reports saved before the parser (or by an older one).
+  const handleBackfill = async () => {
+    setBackfill({ done: 0, failed: 0, total: staleReports.length });
+    for (const report of staleReports) {
+      try {
+        await storage.reports.saveNormalizedValues(report, normalizeReportValues(report));
+        setBackfill(current => ({ ...current, done: current.done + 1 }));
+      } catch (e) {
+        console.error("Error backfilling report values:", e);
+        setBackfill(current => ({ ...current, failed: current.failed + 1 }));
+      }
+    }
+  };
+  const loadUsers = useCallback(() => storage.users.list().then(setUserList).catch(e => console.error("Error loading users:", e)), []);
+  useEffect(() => { loadUsers(); }, [loadUsers]);
+  useEffect(() => storage.admin.subscribeLog(setActionLog, e => console.error("Error loading admin log:", e)), []);
+  const applyAdminAction = async (request) => {
+    await storage.admin.applyAction(request);
+    await loadUsers();
+  };
   const exportToCSV = (data, filename) => {
-    const csvContent = "data:text/csv;charset=utf-8," + Object.keys(data[0]).join(",") + "\n" + data.map(e => Object.values(e).map(v => `"${v}"`).join(",")).join("\n");
-    const link = document.createElement("a"); link.href = encodeURI(csvContent); link.download = filename; document.body.appendChild(link); link.click(); document.body.removeChild(link);
+    if (!data.length) return;
+    downloadBlob(csvBlob(objectsToCsv(data)), filename);
   };
   const handleVendorExport = () => {
-      const cleanVendorData = userList.map(u => ({ "Full Name": u.name, "Designation": u.designation, "Company": u.company, "Email": u.email, "Contact Number": u.phone, "Role": u.role }));
+      const cleanVendorData = userList.map(u => ({ "Full Name": u.name, "Designation": u.designation, "Company": u.company, "Email": u.email, "Contact Number": u.phone, "Role": u.role, "Status": u.suspended ? 'Suspended' : 'Active', "Audits": u.auditCount || 0, "Last Activity": getLastActivity(u) ? new Date(getLastActivity(u)).toISOString() : '', "Saved Reports": reportsHistory.filter(r => r.ownerId === u.id).length }));
       exportToCSV(cleanVendorData, 'vendor_registry.csv');
   };
   const handleMarketExport = () => {
-      const cleanMarketData = reportsHistory.map(r => ({
-          ID: r.id, Project: r.projectTitle || r.rfqName, "Scope of Work": r.rfqScopeSummary || 'N/A', Vendor: userList.find(u => u.id === r.ownerId)?.name, Industry: r.industryTag, Value: r.grandTotalValue, Location: r.projectLocation, Duration: r.contractDuration, "Tech Stack": r.techKeywords, Regulations: r.requiredCertifications, "Risk Identified": r.primaryRisk, "Buying Persona": r.buyingPersona, "Complexity Score": r.complexityScore, "Trap Count": r.trapCount, "Lead Temperature": r.leadTemperature, Score: getCompliancePercentage(r) + '%'
+      const cleanMarketData = filteredReports.map(r => ({
+          ID: r.id, Date: r.timestamp ? new Date(r.timestamp).toISOString().slice(0, 10) : '', Project: r.projectTitle || r.rfqName, "Scope of Work": r.rfqScopeSummary || 'N/A', Vendor: userList.find(u => u.id === r.ownerId)?.name, Industry: r.industryTag, Value: r.grandTotalValue, "Value Amount": getBidValue(r).amount ?? '', "Value Currency": getBidValue(r).currency || '', "Tax Basis": getBidValue(r).taxBasis, [`Value (${BASE_CURRENCY})`]: getNormalizedValue(r) ?? '', Location: r.projectLocation, Region: getRegion(r.projectLocation), Duration: r.contractDuration, "Term Months": getContractTerm(r).months ?? '', "Option Months": getContractTerm(r).optionMonths ?? '', "Tech Stack": r.techKeywords, Regulations: r.requiredCertifications, "Risk Identified": r.primaryRisk, "Risk Themes": getRiskThemes(r.primaryRisk).join('; '), "Buying Persona": r.buyingPersona, "Complexity Score": r.complexityScore, "Trap Count": r.trapCount, "Lead Temperature": r.leadTemperature, Score: getCompliancePercentage(r) + '%', "Weighted Score": getReportScore(r).weightedPercentage + '%', "Scoring Profile": getReportScore(r).profileName
       }));
-      exportToCSV(cleanMarketData, 'market_data.csv');
+      exportToCSV(cleanMarketData, hasActiveFilters(marketFilters) ? 'market_data_filtered.csv' : 'market_data.csv');
   };
   return (
     <div id="admin-print-area" className="bg-slate-800 p-8 rounded-2xl shadow-2xl border border-slate-700 space-y-8">
@@ -645,19 +2331,34 @@ const AdminDashboard = ({ setCurrentPage, currentUser, reportsHistory, loadRepor
       </div>
 
       <div className="bg-slate-700/30 border border-slate-600 rounded-xl p-4 no-print"><div className="flex items-center mb-2"><Info className="w-4 h-4 mr-2 text-blue-400"/><h4 className="text-sm font-bold text-white">Metric Definitions (God View)</h4></div><div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-xs text-slate-400"><div><span className="text-blue-300 font-bold">Buying Persona:</span><br/>Buyer priority: Cost vs. Innovation.</div><div><span className="text-purple-300 font-bold">Complexity Score:</span><br/>Difficulty based on timeline & scope.</div><div><span className="text-orange-300 font-bold">Trap Count:</span><br/>Count of dangerous legal clauses.</div><div><span className="text-pink-300 font-bold">Lead Temperature:</span><br/>Win probability based on match.</div></div></div>
+      <div className="pt-4 border-t border-slate-700">
+        <div className="flex justify-between items-center mb-4">
+            <h3 className="text-xl font-bold text-white flex items-center"><BarChart2 className="w-6 h-6 mr-2 text-amber-400" /> Market Analytics</h3>
+            {staleReports.length > 0 && !backfill && <button onClick={handleBackfill} title="Save the parsed value and contract term on reports saved before value parsing" className="text-xs bg-slate-600 text-white px-3 py-1 rounded no-print">Backfill Parsed Values ({staleReports.length})</button>}
+            {backfill && <span className="text-xs text-slate-400 no-print">Backfilled {backfill.done} of {backfill.total}{backfill.failed ? `, ${backfill.failed} failed` : ''}</span>}
+        </div>
+        <MarketAnalyticsPanel reportsHistory={reportsHistory} filteredReports={filteredReports} filters={marketFilters} setFilters={setMarketFilters} />
+      </div>
       <div className="pt-4 border-t border-slate-700">
         <div className="flex justify-between mb-4">
             <h3 className="text-xl font-bold text-white flex items-center"><Eye className="w-6 h-6 mr-2 text-amber-400" /> Live Market Feed</h3>
-            <button onClick={handleMarketExport} className="text-xs bg-green-700 text-white px-3 py-1 rounded no-print"><Download className="w-3 h-3 mr-1"/> CSV</button>
+            <div className="flex items-center gap-2 no-print">
+                <select value={marketSort} onChange={(e) => setMarketSort(e.target.value)} className="p-1 text-xs rounded bg-slate-900 border border-slate-600 text-white">
+                    <option value={MARKET_SORT.NEWEST}>Newest first</option>
+                    <option value={MARKET_SORT.VALUE_DESC}>Value: high to low</option>
+                    <option value={MARKET_SORT.VALUE_ASC}>Value: low to high</option>
+                </select>
+                <button onClick={handleMarketExport} className="text-xs bg-green-700 text-white px-3 py-1 rounded"><Download className="w-3 h-3 mr-1"/> CSV</button>
+            </div>
         </div>
-        <div className="space-y-4">{reportsHistory.slice(0, 15).map(item => (
+        <div className="space-y-4">{filteredReports.slice(0, 15).map(item => (
             <div key={item.id} className="p-4 bg-slate-900/50 rounded-xl border border-slate-700 cursor-default hover:bg-slate-900">
                 <div className="flex justify-between mb-2">
-                    <div><h4 className="text-lg font-bold text-white">{item.projectTitle || item.rfqName} <span className="text-xs font-normal text-slate-500 ml-2">{item.industryTag === undefined ? '(LEGACY DATA)' : ''}</span></h4><p className="text-sm text-slate-400"><MapPin className="w-3 h-3 inline"/> {item.projectLocation || 'N/A'} • <Calendar className="w-3 h-3 inline"/> {item.contractDuration || 'N/A'}</p></div>
-                    <div className="text-right"><div className="text-xl font-bold text-green-400">{getCompliancePercentage(item)}%</div><span className="text-slate-500 text-xs">{new Date(item.timestamp).toLocaleDateString()}</span></div>
+                    <div><h4 className="text-lg font-bold text-white">{item.projectTitle || item.rfqName} <span className="text-xs font-normal text-slate-500 ml-2">{item.industryTag === undefined ? '(LEGACY DATA)' : ''}</span></h4><p className="text-sm text-slate-400"><MapPin className="w-3 h-3 inline"/> {item.projectLocation || 'N/A'} • <Calendar className="w-3 h-3 inline"/> {item.contractDuration || 'N/A'}{getContractTerm(item).months !== null && <span className="text-slate-500"> ({formatContractTerm(getContractTerm(item))})</span>}</p></div>
+                    <div className="text-right"><div className="text-xl font-bold text-green-400">{isRfqQualityReport(item) ? `RFQ Q${item.qualityScore ?? '-'}` : `${getReportScore(item).weightedPercentage}%`}</div>{!isRfqQualityReport(item) && <span className="block text-slate-500 text-[10px]">Raw {getCompliancePercentage(item)}%</span>}<span className="text-slate-500 text-xs">{new Date(item.timestamp).toLocaleDateString()}</span></div>
                 </div>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
-                    <p className="text-xs text-green-400 font-bold"><DollarSign className="w-3 h-3 inline"/> {item.grandTotalValue || 'N/A'}</p>
+                    <p className="text-xs text-green-400 font-bold"><DollarSign className="w-3 h-3 inline"/> {item.grandTotalValue || 'N/A'}{getNormalizedValue(item) !== null && getBidValue(item).currency !== BASE_CURRENCY && <span className="font-normal text-slate-500"> (≈ {formatMoney(getNormalizedValue(item))})</span>}</p>
                     <p className="text-xs text-red-400 font-bold"><Activity className="w-3 h-3 inline"/> {item.primaryRisk || 'N/A'}</p>
                 </div>
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4 pt-3 border-t border-slate-700/50">
@@ -670,25 +2371,19 @@ const AdminDashboard = ({ setCurrentPage, currentUser, reportsHistory, loadRepor
         ))}</div>
       </div>
       <div className="pt-4 border-t border-slate-700">
-         <div className="flex justify-between mb-4"><h3 className="text-xl font-bold text-white"><Users className="w-5 h-5 mr-2 text-blue-400" /> Vendor Registry</h3><button onClick={handleVendorExport} className="text-xs bg-blue-700 text-white px-3 py-1 rounded no-print"><Download className="w-3 h-3 mr-1"/> CSV</button></div>
-         <div className="max-h-64 overflow-y-auto bg-slate-900 rounded-xl border border-slate-700">
-            <table className="w-full text-left text-sm text-slate-400">
-                <thead className="bg-slate-800 text-slate-200 uppercase font-bold sticky top-0 z-10">
-                    <tr><th className="px-4 py-3">Name</th><th className="px-4 py-3">Designation</th><th className="px-4 py-3">Company</th><th className="px-4 py-3">Email</th><th className="px-4 py-3">Phone</th><th className="px-4 py-3 text-right">Role</th></tr>
-                </thead>
-                <tbody className="divide-y divide-slate-800">{userList.map((user, i) => (
-                    <tr key={i} className="hover:bg-slate-800/50 transition">
-                        <td className="px-4 py-3 font-medium text-white">{user.name}</td><td className="px-4 py-3">{user.designation}</td><td className="px-4 py-3">{user.company}</td><td className="px-4 py-3">{user.email}</td><td className="px-4 py-3">{user.phone || 'N/A'}</td><td className="px-4 py-3 text-right"><span className={`px-2 py-1 rounded text-xs font-bold ${user.role === 'ADMIN' ? 'bg-red-900 text-red-200' : 'bg-green-900 text-green-200'}`}>{user.role}</span></td>
-                    </tr>
-                ))}</tbody>
-            </table>
-         </div>
+         <div className="flex justify-between mb-4"><h3 className="text-xl font-bold text-white"><Users className="w-5 h-5 mr-2 text-blue-400" /> User Management</h3><button onClick={handleVendorExport} className="text-xs bg-blue-700 text-white px-3 py-1 rounded no-print"><Download className="w-3 h-3 mr-1"/> CSV</button></div>
+         <AdminUserConsole userList={userList} reportsHistory={reportsHistory} currentUser={currentUser} onAction={applyAdminAction} actionLog={actionLog} loadReportFromHistory={loadReportFromHistory} />
       </div>
     </div>
   );
 };
 
-const AuditPage = ({ title, handleAnalyze, usageLimits, setCurrentPage, currentUser, loading, RFQFile, BidFile, setRFQFile, setBidFile, generateTestData, errorMessage, report, saveReport, saving, setErrorMessage, userId, handleLogout }) => {
+const AuditPage = ({ title, role, overrideFinding, importFindingEdits, handleAnalyze, usageLimits, setCurrentPage, currentUser, queueBusy, RFQFile, BidFile, setRFQFile, setBidFile, generateTestData, errorMessage, report, sourceDocs, saveReport, saving, setErrorMessage, userId, handleLogout, auditMode, setAuditMode, BidFiles, setBidFiles, AddendaFiles, setAddendaFiles, handleCompare, comparison, saveComparison, scoringProfiles, selectedProfileId, setSelectedProfileId, saveScoringProfile, deleteScoringProfile, canManageBilling }) => {
+    const isInitiator = role === ROLE.INITIATOR;
+    const isCompare = !isInitiator && auditMode === AUDIT_MODE.COMPARE;
+    const usedChecks = usageLimits[getUsageCounter(role)] || 0;
+    const subscriptionNote = getSubscriptionNote(usageLimits);
+    const showReport = report && isRfqQualityReport(report) === isInitiator;
     return (
         <>
             <div className="bg-slate-800 p-8 rounded-2xl shadow-2xl border border-slate-700">
@@ -700,15 +2395,14 @@ const AuditPage = ({ title, handleAnalyze, usageLimits, setCurrentPage, currentU
                         ) : usageLimits.isSubscribed ? (
                             <div className="flex flex-col items-end space-y-1">
                                 <div className="px-3 py-1 rounded-full bg-amber-500/20 border border-amber-500 text-amber-400 text-xs font-bold inline-flex items-center">
-                                    <Award className="w-3 h-3 mr-1" /> Status: SmartBids Pro Subscribed
+                                    <Award className="w-3 h-3 mr-1" /> Status: SmartBids Pro Subscribed{usageLimits.plan ? ` (${usageLimits.plan})` : ''}
                                 </div>
-                                <button 
+                                {canManageBilling && <button 
                                     onClick={async () => {
                                         try {
                                             const res = await fetch('/api/create-portal-session', {
                                                 method: 'POST',
-                                                headers: { 'Content-Type': 'application/json' },
-                                                body: JSON.stringify({ userId })
+                                                headers: { 'Content-Type': 'application/json', ...(await getApiHeaders('/api/create-portal-session')) }
                                             });
                                             const data = await res.json();
                                             if (data.url) window.location.href = data.url;
@@ -717,38 +2411,79 @@ const AuditPage = ({ title, handleAnalyze, usageLimits, setCurrentPage, currentU
                                     }}
                                     className="text-xs text-slate-400 hover:text-red-400 flex items-center transition-colors underline decoration-dotted"
                                 >
-                                    To Unsubscribe
-                                </button>
-                                <p className="text-[10px] text-slate-500 italic">Cancellation will Occur at the End of the Billing Period</p>
+                                    {usageLimits.cancelAtPeriodEnd || usageLimits.cancelAt || usageLimits.subscriptionStatus === 'past_due' ? 'Manage Billing' : 'To Unsubscribe'}
+                                </button>}
+                                <p className={`text-[10px] italic ${subscriptionNote.tone}`}>{subscriptionNote.text}</p>
                             </div>
                         ) : (
                             <p className="text-xs text-slate-400">
-                                Audits Used: <span className={usageLimits.bidderChecks >= MAX_FREE_AUDITS ? "text-red-500" : "text-green-500"}>
-                                    {usageLimits.bidderChecks}/{MAX_FREE_AUDITS}
+                                {isInitiator ? 'RFQ Reviews' : 'Audits'} Used: <span className={usedChecks >= getFreeAuditLimit(usageLimits) ? "text-red-500" : "text-green-500"}>
+                                    {usedChecks}/{getFreeAuditLimit(usageLimits)}
                                 </span>
                             </p>
                         )}
                         <button onClick={handleLogout} className="text-sm text-slate-400 hover:text-amber-500 block ml-auto mt-1">Logout</button>
                     </div>
                 </div>
-                <button onClick={generateTestData} disabled={loading} className="mb-6 w-full flex items-center justify-center px-4 py-3 text-sm font-semibold rounded-xl text-slate-900 bg-teal-400 hover:bg-teal-300 disabled:opacity-30"><Zap className="h-5 w-5 mr-2" /> LOAD DEMO DOCUMENTS</button>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-                    <FileUploader title="RFQ Document" file={RFQFile} setFile={(e) => handleFileChange(e, setRFQFile, setErrorMessage)} color="blue" requiredText="Mandatory Requirements" />
-                    <FileUploader title="Bid Proposal" file={BidFile} setFile={(e) => handleFileChange(e, setBidFile, setErrorMessage)} color="green" requiredText="Response Document" />
+                <div className="mb-3 grid grid-cols-2 gap-2 p-1 bg-slate-900 rounded-xl border border-slate-700 no-print">
+                    <button onClick={() => setCurrentPage(PAGE.COMPLIANCE_CHECK)} className={`py-2 text-sm font-semibold rounded-lg flex items-center justify-center ${!isInitiator ? 'bg-blue-500 text-slate-900' : 'text-slate-400 hover:text-white'}`}><Briefcase className="w-4 h-4 mr-2"/> Bidder: Audit My Bid</button>
+                    <button onClick={() => setCurrentPage(PAGE.RFQ_QUALITY_CHECK)} className={`py-2 text-sm font-semibold rounded-lg flex items-center justify-center ${isInitiator ? 'bg-blue-500 text-slate-900' : 'text-slate-400 hover:text-white'}`}><Gavel className="w-4 h-4 mr-2"/> Buyer: Review My RFQ</button>
+                </div>
+                {!isInitiator && <div className="mb-6 grid grid-cols-2 gap-2 p-1 bg-slate-900 rounded-xl border border-slate-700 no-print">
+                    <button onClick={() => setAuditMode(AUDIT_MODE.SINGLE)} className={`py-2 text-sm font-semibold rounded-lg flex items-center justify-center ${!isCompare ? 'bg-amber-500 text-slate-900' : 'text-slate-400 hover:text-white'}`}><FileText className="w-4 h-4 mr-2"/> Single Bid Audit</button>
+                    <button onClick={() => setAuditMode(AUDIT_MODE.COMPARE)} className={`py-2 text-sm font-semibold rounded-lg flex items-center justify-center ${isCompare ? 'bg-amber-500 text-slate-900' : 'text-slate-400 hover:text-white'}`}><Layers className="w-4 h-4 mr-2"/> Compare Multiple Bids</button>
+                </div>}
+                {!isInitiator && userId && (
+                    <ScoringProfilePanel
+                        scoringProfiles={scoringProfiles} selectedProfileId={selectedProfileId} setSelectedProfileId={setSelectedProfileId}
+                        saveScoringProfile={saveScoringProfile} deleteScoringProfile={deleteScoringProfile}
+                    />
+                )}
+                <button onClick={generateTestData} className="mb-6 w-full flex items-center justify-center px-4 py-3 text-sm font-semibold rounded-xl text-slate-900 bg-teal-400 hover:bg-teal-300 disabled:opacity-30"><Zap className="h-5 w-5 mr-2" /> LOAD DEMO DOCUMENTS</button>
+                <div className={`grid grid-cols-1 gap-8 ${isInitiator ? '' : 'md:grid-cols-2'}`}>
+                    <FileUploader title="RFQ Document" file={RFQFile} setFile={(e) => handleFileChange(e, setRFQFile, setErrorMessage)} color="blue" requiredText={isInitiator ? "Draft RFQ / Tender to review" : "Mandatory Requirements"} />
+                    {isInitiator ? null : isCompare
+                        ? <FileUploader title="Bid Proposals" file={BidFiles} setFile={(e) => handleMultiFileChange(e, setBidFiles, setErrorMessage)} color="green" requiredText="Select two or more bids / quotes" multiple />
+                        : <FileUploader title="Bid Proposal" file={BidFile} setFile={(e) => handleFileChange(e, setBidFile, setErrorMessage)} color="green" requiredText="Response Document" />}
                 </div>
+                {!isInitiator && <AddendaUploader files={AddendaFiles} setFiles={setAddendaFiles} />}
                 {errorMessage && <div className="mt-6 p-4 bg-red-900/40 text-red-300 border border-red-700 rounded-xl flex items-center"><AlertTriangle className="w-5 h-5 mr-3"/>{errorMessage}</div>}
-                <button onClick={() => handleAnalyze('BIDDER')} disabled={loading || !RFQFile || !BidFile} className="mt-8 w-full flex items-center justify-center px-8 py-4 text-lg font-semibold rounded-xl text-slate-900 bg-amber-500 hover:bg-amber-400 disabled:opacity-50">
-                    {loading ? <Loader2 className="animate-spin h-6 w-6 mr-3" /> : <Send className="h-6 w-6 mr-3" />} {loading ? 'ANALYZING...' : 'RUN COMPLIANCE AUDIT'}
-                </button>
-                {report && userId && <button onClick={() => saveReport('BIDDER')} disabled={saving} className="mt-4 w-full flex items-center justify-center px-8 py-3 text-md font-semibold rounded-xl text-white bg-slate-600 hover:bg-slate-500 disabled:opacity-50"><Save className="h-5 w-5 mr-2" /> {saving ? 'SAVING...' : 'SAVE REPORT'}</button>}
+                {isCompare ? (
+                    <button onClick={handleCompare} disabled={!RFQFile || BidFiles.length < 2} className="mt-8 w-full flex items-center justify-center px-8 py-4 text-lg font-semibold rounded-xl text-slate-900 bg-amber-500 hover:bg-amber-400 disabled:opacity-50">
+                        <Layers className="h-6 w-6 mr-3" /> {queueBusy ? `QUEUE BID COMPARISON (${BidFiles.length} BIDS)` : `RUN BID COMPARISON (${BidFiles.length} BIDS)`}
+                    </button>
+                ) : isInitiator ? (
+                    <button onClick={() => handleAnalyze(role)} disabled={!RFQFile} className="mt-8 w-full flex items-center justify-center px-8 py-4 text-lg font-semibold rounded-xl text-slate-900 bg-amber-500 hover:bg-amber-400 disabled:opacity-50">
+                        <Gavel className="h-6 w-6 mr-3" /> {queueBusy ? 'QUEUE RFQ QUALITY REVIEW' : 'RUN RFQ QUALITY REVIEW'}
+                    </button>
+                ) : (
+                    <button onClick={() => handleAnalyze(role)} disabled={!RFQFile || !BidFile} className="mt-8 w-full flex items-center justify-center px-8 py-4 text-lg font-semibold rounded-xl text-slate-900 bg-amber-500 hover:bg-amber-400 disabled:opacity-50">
+                        <Send className="h-6 w-6 mr-3" /> {queueBusy ? 'QUEUE COMPLIANCE AUDIT' : 'RUN COMPLIANCE AUDIT'}
+                    </button>
+                )}
+                {isCompare && comparison && !comparison.saved && saveComparison && <button onClick={() => saveComparison(role)} disabled={saving} className="mt-4 w-full flex items-center justify-center px-8 py-3 text-md font-semibold rounded-xl text-white bg-slate-600 hover:bg-slate-500 disabled:opacity-50"><Save className="h-5 w-5 mr-2" /> {saving ? 'SAVING...' : 'SAVE ALL BID REPORTS'}</button>}
+                {!isCompare && showReport && !report.id && saveReport && <button onClick={() => saveReport(role)} disabled={saving} className="mt-4 w-full flex items-center justify-center px-8 py-3 text-md font-semibold rounded-xl text-white bg-slate-600 hover:bg-slate-500 disabled:opacity-50"><Save className="h-5 w-5 mr-2" /> {saving ? 'SAVING...' : 'SAVE REPORT'}</button>}
                 {(report || userId) && <button onClick={() => setCurrentPage(PAGE.HISTORY)} className="mt-2 w-full flex items-center justify-center px-8 py-3 text-md font-semibold rounded-xl text-white bg-slate-700/80 hover:bg-slate-700"><List className="h-5 w-5 mr-2" /> VIEW HISTORY</button>}
             </div>
-            {report && <ComplianceReport report={report} />}
+            {!isCompare && showReport && (isInitiator
+                ? <RfqQualityReport report={report} sourceDocs={sourceDocs} />
+                : <ComplianceReport report={report} sourceDocs={sourceDocs} onOverrideFinding={overrideFinding} onImportEdits={importFindingEdits} defaultCompany={currentUser?.company} />)}
+            {isCompare && comparison && <BidComparison comparison={comparison} />}
         </>
     );
 };
 
 // --- APP COMPONENT (DEFINED LAST) ---
+// Every signed-in user works inside a workspace. Accounts from before workspaces, or members
+// removed from theirs, get a workspace of their own and keep the reports they saved alone.
+const ensureWorkspace = async (uid, profile) => {
+    if (profile.workspaceId && await storage.workspaces.getMember(profile.workspaceId, uid).catch(() => null)) return profile.workspaceId;
+    const name = profile.name || profile.email || '';
+    const workspace = await storage.workspaces.create(uid, profile.company || `${name || 'My'} workspace`, { name, email: profile.email || '' });
+    await storage.workspaces.adoptLegacyReports(uid, workspace.id, name);
+    return workspace.id;
+};
+
 const App = () => {
     const [currentPage, setCurrentPage] = useState(PAGE.HOME);
     const [errorMessage, setErrorMessage] = useState(null);
@@ -757,23 +2492,51 @@ const App = () => {
     const [userId, setUserId] = useState(null);
     const [usageLimits, setUsageLimits] = useState({ initiatorChecks: 0, bidderChecks: 0, isSubscribed: false });
     const [reportsHistory, setReportsHistory] = useState([]);
+    const [workspace, setWorkspace] = useState(null);
+    const [workspaceMembers, setWorkspaceMembers] = useState([]);
     const [showPaywall, setShowPaywall] = useState(false);
     
     const [RFQFile, setRFQFile] = useState(null);
     const [BidFile, setBidFile] = useState(null);
+    const [BidFiles, setBidFiles] = useState([]);
+    const [AddendaFiles, setAddendaFiles] = useState([]);
+    const [auditMode, setAuditMode] = useState(AUDIT_MODE.SINGLE);
+    const [comparison, setComparison] = useState(null);
+    const [scoringProfiles, setScoringProfiles] = useState([]);
+    const [selectedProfileId, setSelectedProfileId] = useState(DEFAULT_SCORING_PROFILE.id);
     const [report, setReport] = useState(null);
-    const [loading, setLoading] = useState(false);
+    const [sourceDocs, setSourceDocs] = useState(null);
     const [saving, setSaving] = useState(false);
+    const [auditJobs, setAuditJobs] = useState([]);
+    const [notifications, setNotifications] = useState([]);
+    const auditQueueRef = useRef(null);
+    if (!auditQueueRef.current) auditQueueRef.current = createAuditQueue(setAuditJobs);
+    const auditQueue = auditQueueRef.current;
+    const activeJobs = auditJobs.filter(job => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING);
+    // Lets a finishing background audit see what the user is looking at right now.
+    const viewRef = useRef({});
+    viewRef.current = { currentPage, report, comparison };
+    const workspaceRole = workspaceMembers.find(member => member.uid === userId)?.role || null;
+    const can = (action) => canWorkspace(workspaceRole, action);
+    const canDeleteReports = currentUser?.role === 'ADMIN' || can(WORKSPACE_ACTION.DELETE_REPORT);
 
     const handleLogout = async () => {
         // CONSTITUTION: CLEAN SLATE PROTOCOL
-        await signOut(auth);
+        auditQueue.reset();
+        setNotifications([]);
+        await storage.auth.signOut();
         setUserId(null);
         setCurrentUser(null);
         setReportsHistory([]);
+        setWorkspace(null);
+        setWorkspaceMembers([]);
         setReport(null);
+        setSourceDocs(null);
+        setComparison(null);
         setRFQFile(null);
         setBidFile(null);
+        setBidFiles([]);
+        setAddendaFiles([]);
         setUsageLimits({ initiatorChecks: 0, bidderChecks: 0, isSubscribed: false });
         setCurrentPage(PAGE.HOME);
         setErrorMessage(null);
@@ -781,14 +2544,19 @@ const App = () => {
 
     // --- EFFECT 1: Auth State Listener (Smart Redirect) ---
     useEffect(() => {
-        if (!auth) return;
-        const unsubscribe = onAuthStateChanged(auth, async (user) => {
+        const unsubscribe = storage.auth.onChange(async (user) => {
             if (user) {
                 setUserId(user.uid);
                 try {
-                    const userDoc = await getDoc(doc(db, 'users', user.uid));
-                    const userData = userDoc.exists() ? userDoc.data() : { role: 'USER' };
-                    setCurrentUser({ uid: user.uid, ...userData });
+                    const userData = (await storage.users.get(user.uid)) || { role: 'USER' };
+                    // Suspension also disables the sign-in account; this covers sessions still open.
+                    if (userData.suspended) {
+                        await storage.auth.signOut();
+                        setErrorMessage(SUSPENDED_MESSAGE);
+                        return;
+                    }
+                    storage.users.update(user.uid, { lastLoginAt: Date.now() }).catch(error => console.warn("Could not record sign-in:", error));
+                    setCurrentUser({ uid: user.uid, ...userData, workspaceId: await ensureWorkspace(user.uid, userData) });
                     
                     // SMART REDIRECT: ADMIN -> ADMIN DASHBOARD, USER -> CHECKER
                     if (userData.role === 'ADMIN') {
@@ -803,56 +2571,60 @@ const App = () => {
                 }
             } else {
                 // FIX: WIPE STATE ON LOGOUT
-                setUserId(null); setCurrentUser(null); setReportsHistory([]); setReport(null); setRFQFile(null); setBidFile(null); setCurrentPage(PAGE.HOME);
+                setUserId(null); setCurrentUser(null); setReportsHistory([]); setWorkspace(null); setWorkspaceMembers([]); setReport(null); setSourceDocs(null); setComparison(null); setRFQFile(null); setBidFile(null); setBidFiles([]); setCurrentPage(PAGE.HOME);
             }
             setIsAuthReady(true);
         });
         return () => unsubscribe();
     }, []);
 
-    // --- EFFECT 2: Usage Limits Listener ---
+    // --- EFFECT 2: Usage Limits Listener (per workspace) ---
+    const workspaceId = currentUser?.workspaceId || null;
     useEffect(() => {
-        if (db && userId) {
-            const docRef = getUsageDocRef(db, userId);
-            const unsubscribe = onSnapshot(docRef, (docSnap) => {
-                if (docSnap.exists()) {
-                    setUsageLimits({ 
-                        bidderChecks: docSnap.data().bidderChecks || 0, 
-                        isSubscribed: docSnap.data().isSubscribed || false 
-                    });
-                } else {
-                    const initialData = { initiatorChecks: 0, bidderChecks: 0, isSubscribed: false };
-                    setDoc(docRef, initialData).catch(e => console.error("Error creating usage doc:", e));
-                    setUsageLimits(initialData);
-                }
+        if (workspaceId) {
+            const unsubscribe = storage.usage.subscribe(workspaceId, (usage) => {
+                setUsageLimits({ 
+                    initiatorChecks: usage.initiatorChecks || 0,
+                    bidderChecks: usage.bidderChecks || 0, 
+                    isSubscribed: usage.isSubscribed || false,
+                    plan: usage.plan || '',
+                    subscriptionStatus: usage.subscriptionStatus || '',
+                    currentPeriodEnd: usage.currentPeriodEnd || null,
+                    cancelAtPeriodEnd: usage.cancelAtPeriodEnd || false,
+                    cancelAt: usage.cancelAt || null,
+                    nextPaymentAttempt: usage.nextPaymentAttempt || null,
+                    bonusChecks: usage.bonusChecks || 0
+                });
             }, (error) => console.error("Error listening to usage limits:", error));
             return () => unsubscribe();
         }
+    }, [workspaceId]);
+
+    // --- EFFECT 2A: Workspace & Members Listener ---
+    useEffect(() => {
+        if (!workspaceId) { setWorkspace(null); setWorkspaceMembers([]); return; }
+        storage.workspaces.get(workspaceId).then(setWorkspace).catch(error => console.error("Error loading workspace:", error));
+        const unsubscribe = storage.workspaces.subscribeMembers(workspaceId, setWorkspaceMembers, (error) => console.error("Error listening to workspace members:", error));
+        return () => unsubscribe();
+    }, [workspaceId]);
+
+    // --- EFFECT 2B: Scoring Profiles Listener ---
+    useEffect(() => {
+        if (!userId) { setScoringProfiles([]); setSelectedProfileId(DEFAULT_SCORING_PROFILE.id); return; }
+        const unsubscribe = storage.scoringProfiles.subscribe(userId, (profiles) => {
+            setScoringProfiles([...profiles].sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+        }, (error) => console.error("Error listening to scoring profiles:", error));
+        return () => unsubscribe();
     }, [userId]);
 
     // --- EFFECT 3: Report History Listener ---
     useEffect(() => {
-        if (!db || !currentUser) return;
+        if (!currentUser) return;
         let unsubscribeSnapshot = null;
-        let q;
         try {
-            if (currentUser.role === 'ADMIN') {
-                const collectionGroupRef = collectionGroup(db, 'compliance_reports');
-                q = query(collectionGroupRef);
-            } else if (userId) {
-                const reportsRef = getReportsCollectionRef(db, userId);
-                q = query(reportsRef);
-            }
-            if (q) {
-                unsubscribeSnapshot = onSnapshot(q, (snapshot) => {
-                    const history = [];
-                    snapshot.forEach(docSnap => {
-                        const ownerId = docSnap.ref.parent.parent ? docSnap.ref.parent.parent.id : userId;
-                        history.push({ id: docSnap.id, ownerId: ownerId, ...docSnap.data() });
-                    });
-                    history.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-                    setReportsHistory(history);
-                });
+            const isAdmin = currentUser.role === 'ADMIN';
+            if (isAdmin || currentUser.workspaceId) {
+                unsubscribeSnapshot = storage.reports.subscribe({ workspaceId: currentUser.workspaceId, all: isAdmin }, setReportsHistory, (error) => console.error("Error listening to report history:", error));
             }
         } catch (err) { console.error("Error setting up history listener:", err); }
         return () => unsubscribeSnapshot && unsubscribeSnapshot();
@@ -884,139 +2656,314 @@ const App = () => {
         if (params.get('client_reference_id') || params.get('payment_success')) {
              // Clean URL
              window.history.replaceState({}, document.title, "/");
-             // Optional: Could set a success message state here if desired
+             // isSubscribed flips when the Stripe webhook lands, usually within seconds.
+             setErrorMessage("Payment received. SmartBids Pro activates as soon as Stripe confirms it.");
         }
     }, []); 
 
-    const incrementUsage = async () => {
-        if (!db || !userId) return;
-        const docRef = getUsageDocRef(db, userId);
+    // Reserves one check before an audit's first model call (the server refuses once the free
+    // tier is used up) and returns the job carrying the audit id its model requests must send.
+    // The server sizes the audit's model-call budget from the RFQ's section count.
+    const reserveAudit = async (job, role, sectionCount) => {
+        if (!userId) throw new Error("Sign in to run audits.");
         try {
-            await runTransaction(db, async (transaction) => {
-                const docSnap = await transaction.get(docRef);
-                const currentData = docSnap.exists() ? docSnap.data() : { bidderChecks: 0, isSubscribed: false };
-                if (!docSnap.exists()) transaction.set(docRef, currentData);
-                transaction.update(docRef, { bidderChecks: (currentData.bidderChecks || 0) + 1 });
-            });
-        } catch (e) { console.error("Usage update failed:", e); }
+            return { ...job, auditId: await storage.usage.reserve(userId, role, sectionCount) };
+        } catch (error) {
+            if (error.code === QUOTA_EXCEEDED_CODE) setShowPaywall(true);
+            throw error;
+        }
+    };
+
+    // Snapshot (without the Firestore id) stored on each report, so later edits to the
+    // profile don't silently re-score audits that were already shared.
+    const getSelectedProfileSnapshot = () => {
+        const { id, ...profile } = scoringProfiles.find(p => p.id === selectedProfileId) || DEFAULT_SCORING_PROFILE;
+        return { ...profile, profileId: id };
+    };
+
+    const saveScoringProfile = useCallback(async (profile, profileId) => {
+        if (!userId) return null;
+        try {
+            return await storage.scoringProfiles.save(userId, profile, profileId);
+        } catch (error) {
+            setErrorMessage(`Failed to save scoring profile: ${error.message}`);
+            return null;
+        }
+    }, [userId]);
+
+    const deleteScoringProfile = useCallback(async (profileId) => {
+        if (!userId) return;
+        try {
+            await storage.scoringProfiles.remove(userId, profileId);
+            setSelectedProfileId(DEFAULT_SCORING_PROFILE.id);
+        } catch (error) { setErrorMessage(`Failed to delete scoring profile: ${error.message}`); }
+    }, [userId]);
+
+    const notify = useCallback((message, tone = 'success', action = null) => {
+        const id = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        setNotifications(list => [...list, { id, message, tone, action }]);
+    }, []);
+
+    const dismissNotification = useCallback((id) => setNotifications(list => list.filter(n => n.id !== id)), []);
+
+    const openAuditResult = useCallback((result) => {
+        if (result.comparison) {
+            setReport(null); setSourceDocs(null);
+            setAuditMode(AUDIT_MODE.COMPARE);
+            setComparison(result.comparison);
+            setCurrentPage(PAGE.COMPLIANCE_CHECK);
+        } else {
+            setComparison(null);
+            setAuditMode(AUDIT_MODE.SINGLE);
+            setReport(result.report);
+            setSourceDocs(result.sourceDocs);
+            setCurrentPage(isRfqQualityReport(result.report) ? PAGE.RFQ_QUALITY_CHECK : PAGE.COMPLIANCE_CHECK);
+        }
+    }, []);
+
+    // Shows a finished audit straight away when the user is on an empty audit page, and always
+    // leaves a notification that opens it later.
+    const announceAuditResult = (job, result, message) => {
+        if (job.signal.aborted) return;
+        const view = viewRef.current;
+        const idle = (view.currentPage === PAGE.COMPLIANCE_CHECK || view.currentPage === PAGE.RFQ_QUALITY_CHECK) && !view.report && !view.comparison;
+        if (idle) openAuditResult(result);
+        notify(message, 'success', idle ? null : { label: 'Open', onClick: () => openAuditResult(result) });
+    };
+
+    // Writes a finished report to the workspace library and returns it with its storage id.
+    // The author's name is stored with it, so the library still shows it after they leave.
+    const canSaveReports = Boolean(userId && workspaceId) && can(WORKSPACE_ACTION.SAVE_REPORT);
+    const persistReport = async (reportData) => {
+        const savedReport = { ...reportData, ...normalizeReportValues(reportData), timestamp: Date.now(), ownerId: userId, authorName: currentUser?.name || currentUser?.email || '', workspaceId };
+        return { ...savedReport, id: await storage.reports.add(workspaceId, savedReport) };
+    };
+
+    // Each bid is saved as a normal report under the shared rfqName, so the ranking and
+    // history views pick them up as one RFQ group.
+    const persistComparison = async (comparisonData) => {
+        const bids = [];
+        for (const bid of comparisonData.bids) {
+            bids.push(bid.report && !bid.report.id ? { ...bid, report: await persistReport(bid.report) } : bid);
+        }
+        return { ...comparisonData, bids, saved: true };
     };
 
-    const handleAnalyze = useCallback(async (role) => {
-        if (currentUser?.role !== 'ADMIN' && !usageLimits.isSubscribed && usageLimits.bidderChecks >= MAX_FREE_AUDITS) {
+    // Audits already queued still count against the free tier.
+    const getPendingChecks = (role) => activeJobs.filter(job => job.role === role).reduce((sum, job) => sum + job.checks, 0);
+
+    // Reviewers and viewers can read the workspace's reports but not spend its quota.
+    const assertCanRunAudits = () => {
+        if (can(WORKSPACE_ACTION.RUN_AUDIT)) return true;
+        setErrorMessage(`As a ${WORKSPACE_ROLE_LABELS[workspaceRole] || 'non-member'} of this workspace you can't run audits. Ask the workspace owner to make you a Bid Manager.`);
+        return false;
+    };
+
+    const handleAnalyze = useCallback((role) => {
+        if (!assertCanRunAudits()) return;
+        if (currentUser?.role !== 'ADMIN' && !usageLimits.isSubscribed && (usageLimits[getUsageCounter(role)] || 0) + getPendingChecks(role) >= getFreeAuditLimit(usageLimits)) {
             setShowPaywall(true);
             return;
         }
-        if (!RFQFile || !BidFile) { setErrorMessage("Please upload both documents."); return; }
-        setLoading(true); setReport(null); setErrorMessage(null);
+        const isInitiator = role === ROLE.INITIATOR;
+        if (!RFQFile || (!isInitiator && !BidFile)) { setErrorMessage(isInitiator ? "Please upload the RFQ document." : "Please upload both documents."); return; }
+        setErrorMessage(null);
 
-        try {
-            const rfqContent = await processFile(RFQFile);
-            const bidContent = await processFile(BidFile);
-            
-            const systemPrompt = {
-                parts: [{
-                    text: `You are the SmartBid Compliance Auditor & Coach.
-                    
-                    **TASK 1: Market Intel**
-                    1. EXTRACT 'projectTitle', 'grandTotalValue', 'primaryRisk', 'rfqScopeSummary'.
-                    2. EXTRACT 'projectLocation', 'contractDuration', 'techKeywords', 'requiredCertifications'.
-                    3. CLASSIFY 'industryTag': STRICTLY choose one: 'Energy / Oil & Gas', 'Construction / Infrastructure', 'IT / SaaS / Technology', 'Healthcare / Medical', 'Logistics / Supply Chain', 'Consulting / Professional Services', 'Manufacturing / Industrial', 'Financial Services', or 'Other'.
-                    
-                    // --- NEW STRATEGIC METRICS ---
-                    4. CLASSIFY 'buyingPersona': 'PRICE-DRIVEN' or 'VALUE-DRIVEN' based on RFQ tone.
-                    5. SCORE 'complexityScore': 1-10 (String format e.g. '8/10').
-                    6. COUNT 'trapCount': Number of dangerous clauses (e.g. '3 Critical Traps').
-                    7. ASSESS 'leadTemperature': 'HOT LEAD', 'WARM LEAD', or 'COLD LEAD' based on win probability.
-
-                    **TASK 2: Bid Coaching**
-                    1. GENERATE 'generatedExecutiveSummary': MANDATORY: Start by referencing the specific Project Background from the RFQ, then transition to the Vendor's solution and value proposition.
-                    2. CALCULATE 'persuasionScore' (0-100).
-                    3. ANALYZE 'toneAnalysis' (One word).
-                    4. FIND 'weakWords' (List 3).
-                    5. JUDGE 'procurementVerdict': List 3 'winningFactors' and 3 'losingFactors'.
-                    6. ALERT 'legalRiskAlerts'.
-                    7. CHECK 'submissionChecklist' (List artifacts).
-                    8. CLEAN UP TEXT: Fix any OCR/PDF spacing errors (e.g. 'Veri fi cation' -> 'Verification').
-
-                    **TASK 3: Compliance Audit**
-                    1. Identify mandatory requirements.
-                    2. Score (1/0.5/0).
-                    3. CRITICAL: Copy EXACT text to 'requirementFromRFQ'.
-                    4. NEGOTIATION: If score < 1, write a diplomatic Sales Argument. Suggest a 'Pivot Strategy' (e.g. Safety/Efficiency). Provide a specific justification script. Do not invent facts.
-                    
-                    Output JSON.`
-                }]
-            };
-
-            const userQuery = `RFQ:\n${rfqContent}\n\nBid:\n${bidContent}\n\nPerform audit.`;
-            const payload = {
-                contents: [{ parts: [{ text: userQuery }] }],
-                systemInstruction: systemPrompt,
-                generationConfig: { responseMimeType: "application/json", responseSchema: COMPREHENSIVE_REPORT_SCHEMA },
-            };
-
-            const response = await fetchWithRetry(API_URL, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-            const result = await response.json();
-            const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        // The job keeps its own copy of the inputs, so the user can pick the next files meanwhile.
+        const rfqFile = RFQFile;
+        const bidFile = BidFile;
+        const addendaFiles = isInitiator ? [] : AddendaFiles;
+        const scoringProfile = isInitiator ? null : getSelectedProfileSnapshot();
+        const label = isInitiator ? `RFQ review: ${rfqFile.name}` : `${bidFile.name} vs ${rfqFile.name}`;
+
+        auditQueue.enqueue({
+            label, role, checks: 1,
+            run: async (job) => {
+                const { rfqDoc, sourceDocs: rfqSourceDocs } = await processRfqSet(rfqFile, addendaFiles, job);
+                const sections = splitRfqSetSections(rfqDoc);
+                if (sections.length === 0) throw new Error("No readable text found in the RFQ document.");
+
+                let result;
+                if (isInitiator) {
+                    const qualityReport = await auditRfqQuality(rfqDoc, sections, await reserveAudit(job, role, sections.length));
+                    result = { report: { ...qualityReport, ...getSourceNotes({ rfq: rfqDoc }) }, sourceDocs: { rfq: rfqDoc } };
+                } else {
+                    const bidDoc = await processFile(bidFile, job);
+                    assertReadable(bidDoc, 'bid');
+                    const auditedReport = await auditBidAgainstRfq(rfqDoc, sections, bidDoc, await reserveAudit(job, role, sections.length));
+                    result = { report: { ...auditedReport, scoringProfile, ...getSourceNotes({ ...rfqSourceDocs, bid: bidDoc }) }, sourceDocs: { rfq: rfqDoc, bid: bidDoc } };
+                }
+                result.report = { ...result.report, rfqName: rfqFile.name, bidName: isInitiator ? 'RFQ Quality Review' : bidFile.name, role };
+
+                if (canSaveReports) {
+                    job.progress(AUDIT_STAGE.SAVE, 'Saving to the workspace library...');
+                    try {
+                        result.report = await persistReport(result.report);
+                    } catch (error) {
+                        notify(`${label} finished but could not be saved: ${error.message}`, 'error');
+                    }
+                }
+                announceAuditResult(job, result, `${isInitiator ? 'RFQ review' : 'Audit'} finished: ${label}${result.report.id ? ' (saved to history)' : ''}.`);
+                return result;
+            }
+        });
+    }, [RFQFile, BidFile, AddendaFiles, usageLimits, currentUser, scoringProfiles, selectedProfileId, activeJobs, userId, workspaceRole]);
 
-            if (jsonText) {
-                setReport(JSON.parse(jsonText));
-                await incrementUsage();
-            } else { throw new Error("AI returned invalid data."); }
+    const handleCompare = useCallback(() => {
+        if (!assertCanRunAudits()) return;
+        const remainingAudits = getFreeAuditLimit(usageLimits) - usageLimits.bidderChecks - getPendingChecks(ROLE.BIDDER);
+        if (currentUser?.role !== 'ADMIN' && !usageLimits.isSubscribed && BidFiles.length > remainingAudits) {
+            setShowPaywall(true);
+            return;
+        }
+        if (!RFQFile || BidFiles.length < 2) { setErrorMessage("Please upload one RFQ and at least two bids."); return; }
+        setErrorMessage(null);
 
-        } catch (error) {
-            setErrorMessage(`Analysis failed: ${error.message}`);
-        } finally { setLoading(false); }
-    }, [RFQFile, BidFile, usageLimits, currentUser]);
+        const rfqFile = RFQFile;
+        const bidFiles = [...BidFiles];
+        const addendaFiles = AddendaFiles;
+        const scoringProfile = getSelectedProfileSnapshot();
+        const label = `Comparison of ${bidFiles.length} bids vs ${rfqFile.name}`;
+
+        auditQueue.enqueue({
+            label, role: ROLE.BIDDER, checks: bidFiles.length,
+            run: async (job) => {
+                // RFQ (with its addenda) is parsed and sectioned once, then shared by every bid audit.
+                const { rfqDoc, sourceDocs: rfqSourceDocs } = await processRfqSet(rfqFile, addendaFiles, withPrefix(job, 'RFQ: '));
+                const sections = splitRfqSetSections(rfqDoc);
+                if (sections.length === 0) throw new Error("No readable text found in the RFQ document.");
+
+                const comparisonId = `cmp_${Date.now()}`;
+                const bids = [];
+                for (const [bidIndex, file] of bidFiles.entries()) {
+                    const bidJob = withPrefix(job, `Bid ${bidIndex + 1} of ${bidFiles.length} (${file.name}): `);
+                    try {
+                        const bidDoc = await processFile(file, bidJob);
+                        assertReadable(bidDoc, `bid "${file.name}"`);
+                        const bidReport = await auditBidAgainstRfq(rfqDoc, sections, bidDoc, await reserveAudit(bidJob, ROLE.BIDDER, sections.length));
+                        const reportData = { ...bidReport, scoringProfile, ...getSourceNotes({ ...rfqSourceDocs, bid: bidDoc }), rfqName: rfqFile.name, bidName: file.name, comparisonId, role: ROLE.BIDDER };
+                        bids.push({ name: file.name, report: reportData, doc: bidDoc });
+                    } catch (error) {
+                        if (isCancellation(error, job.signal)) throw error;
+                        bids.push({ name: file.name, report: null, error: error.message || String(error) });
+                    }
+                }
+                let finishedComparison = { rfqName: rfqFile.name, rfqDoc, bids, timestamp: Date.now() };
+
+                if (canSaveReports && bids.some(bid => bid.report)) {
+                    job.progress(AUDIT_STAGE.SAVE, 'Saving bid reports to the workspace library...');
+                    try {
+                        finishedComparison = await persistComparison(finishedComparison);
+                    } catch (error) {
+                        notify(`${label} finished but could not be saved: ${error.message}`, 'error');
+                    }
+                }
+                const failed = bids.filter(bid => !bid.report).length;
+                announceAuditResult(job, { comparison: finishedComparison }, `Comparison finished: ${bids.length - failed} of ${bids.length} bids audited${finishedComparison.saved ? ' and saved' : ''}.`);
+                return { comparison: finishedComparison };
+            }
+        });
+    }, [RFQFile, BidFiles, AddendaFiles, usageLimits, currentUser, scoringProfiles, selectedProfileId, activeJobs, userId, workspaceRole]);
 
     const generateTestData = useCallback(async () => {
         const mockRfqContent = `PROJECT TITLE: OFFSHORE PIPELINE MAINT.\nSCOPE: Inspect pipelines.\n1. TECH: REST API required.`;
         const mockBidContent = `EXECUTIVE SUMMARY: We will do it.\n1. We use GraphQL.`;
+        const mockAltBidContent = `EXECUTIVE SUMMARY: Certified pipeline inspection team.\n1. We expose a REST API.`;
         setRFQFile(new File([mockRfqContent], "MOCK_RFQ.txt", { type: "text/plain" }));
         setBidFile(new File([mockBidContent], "MOCK_BID.txt", { type: "text/plain" }));
+        setBidFiles([
+            new File([mockBidContent], "MOCK_BID.txt", { type: "text/plain" }),
+            new File([mockAltBidContent], "MOCK_BID_ALT.txt", { type: "text/plain" })
+        ]);
         setErrorMessage("Mock docs loaded. Click Run Audit.");
     }, []);
 
+    // Reports that failed to save automatically can still be saved by hand.
     const saveReport = useCallback(async (role) => {
-        if (!db || !userId || !report) { setErrorMessage("No report to save."); return; }
+        if (!canSaveReports || !report) { setErrorMessage("No report to save."); return; }
         setSaving(true);
         try {
-            const reportsRef = getReportsCollectionRef(db, userId);
-            await addDoc(reportsRef, {
+            // Keep the id so later reviewer overrides update this document.
+            setReport(await persistReport({
                 ...report,
-                rfqName: RFQFile?.name || 'Untitled',
-                bidName: BidFile?.name || 'Untitled',
-                timestamp: Date.now(),
-                role: role, 
-                ownerId: userId 
-            });
+                rfqName: report.rfqName || RFQFile?.name || 'Untitled',
+                bidName: report.bidName || (role === ROLE.INITIATOR ? 'RFQ Quality Review' : (BidFile?.name || 'Untitled')),
+                role: role
+            }));
             setErrorMessage("Report saved successfully!"); 
             setTimeout(() => setErrorMessage(null), 3000);
         } catch (error) {
             setErrorMessage(`Failed to save: ${error.message}.`);
         } finally { setSaving(false); }
-    }, [db, userId, report, RFQFile, BidFile]);
+    }, [canSaveReports, report, RFQFile, BidFile]);
+
+    const saveComparison = useCallback(async () => {
+        if (!canSaveReports || !comparison) { setErrorMessage("No comparison to save."); return; }
+        setSaving(true);
+        try {
+            const savedComparison = await persistComparison(comparison);
+            setComparison(savedComparison);
+            setErrorMessage(`${savedComparison.bids.filter(bid => bid.report).length} bid reports saved successfully!`);
+            setTimeout(() => setErrorMessage(null), 3000);
+        } catch (error) {
+            setErrorMessage(`Failed to save: ${error.message}.`);
+        } finally { setSaving(false); }
+    }, [canSaveReports, comparison]);
     
-    const deleteReport = useCallback(async (reportId, rfqName, bidName) => {
-        if (!db || !userId) return;
+    // Applies a reviewer override locally (live re-score) and, for saved reports, writes the
+    // updated findings plus the audit-trail entries to the stored report.
+    const applyFindingEdits = useCallback(async (edits, source) => {
+        if (!report) return 0;
+        const { report: updatedReport, entries } = applyFindingOverrides(report, edits, currentUser, source);
+        if (entries.length === 0) return 0;
+        setReport(updatedReport);
+        if (!report.id) return entries.length;
+        try {
+            await storage.reports.updateFindings(report, updatedReport.findings, entries);
+        } catch (error) {
+            setErrorMessage(`Override applied locally but failed to save: ${error.message}`);
+        }
+        return entries.length;
+    }, [userId, report, currentUser]);
+
+    const overrideFinding = useCallback((findingIndex, changes, note) => applyFindingEdits([{ findingIndex, changes, note }]), [applyFindingEdits]);
+
+    const importFindingEdits = useCallback((edits) => applyFindingEdits(edits, OVERRIDE_SOURCE.SHEET_IMPORT), [applyFindingEdits]);
+
+    const deleteReport = useCallback(async (target) => {
+        if (!userId) return;
         setErrorMessage(`Deleting...`);
         try {
-            const reportsRef = getReportsCollectionRef(db, userId);
-            await deleteDoc(doc(reportsRef, reportId));
-            if (report && report.id === reportId) setReport(null);
+            await storage.reports.remove(target);
+            if (report && report.id === target.id) setReport(null);
             setErrorMessage("Deleted!");
             setTimeout(() => setErrorMessage(null), 3000);
         } catch (error) { setErrorMessage(`Delete failed: ${error.message}`); }
-    }, [db, userId, report]);
+    }, [userId, report]);
+
+    // --- WORKSPACE MEMBERSHIP ---
+    const setMemberRole = (uid, role) => storage.workspaces.setMemberRole(workspaceId, uid, role);
+    const removeMember = (uid) => storage.workspaces.removeMember(workspaceId, uid);
+    const rotateInviteCode = async () => {
+        const inviteCode = await storage.workspaces.rotateInviteCode(workspaceId, workspace?.inviteCode);
+        setWorkspace(current => current && { ...current, inviteCode });
+    };
+    // An owner with teammates would leave them without anyone to manage the workspace.
+    const joinWorkspace = async (code) => {
+        if (workspaceRole === WORKSPACE_ROLE.OWNER && workspaceMembers.some(member => member.uid !== userId)) {
+            throw new Error("Owners can't leave a workspace that still has other members. Remove them first.");
+        }
+        const joinedId = await storage.workspaces.join(userId, code, { name: currentUser?.name || '', email: currentUser?.email || '' });
+        if (joinedId === workspaceId) return;
+        await storage.workspaces.removeMember(workspaceId, userId).catch(error => console.warn("Could not leave the previous workspace:", error));
+        setReport(null); setComparison(null);
+        setCurrentUser(user => ({ ...user, workspaceId: joinedId }));
+    };
 
     const loadReportFromHistory = useCallback((historyItem) => {
-        setRFQFile(null); setBidFile(null);
+        setRFQFile(null); setBidFile(null); setAddendaFiles([]); setSourceDocs(null); setComparison(null); setAuditMode(AUDIT_MODE.SINGLE);
         setReport({ id: historyItem.id, ...historyItem });
-        setCurrentPage(PAGE.COMPLIANCE_CHECK); 
+        setCurrentPage(isRfqQualityReport(historyItem) ? PAGE.RFQ_QUALITY_CHECK : PAGE.COMPLIANCE_CHECK); 
         setErrorMessage(`Loaded: ${historyItem.rfqName}`);
         setTimeout(() => setErrorMessage(null), 3000);
     }, []);
@@ -1024,21 +2971,34 @@ const App = () => {
     const renderPage = () => {
         switch (currentPage) {
             case PAGE.HOME:
-                return <AuthPage setCurrentPage={setCurrentPage} setErrorMessage={setErrorMessage} errorMessage={errorMessage} db={db} auth={auth} />;
+                return <AuthPage setCurrentPage={setCurrentPage} setErrorMessage={setErrorMessage} errorMessage={errorMessage} storage={storage} />;
             case PAGE.COMPLIANCE_CHECK:
+            case PAGE.RFQ_QUALITY_CHECK:
                 return <AuditPage 
-                    title="Bidder: Self-Compliance Check" rfqTitle="RFQ" bidTitle="Bid" role="BIDDER"
+                    key={currentPage}
+                    {...(currentPage === PAGE.RFQ_QUALITY_CHECK
+                        ? { title: "Buyer: RFQ Quality Review", rfqTitle: "RFQ", role: ROLE.INITIATOR }
+                        : { title: "Bidder: Self-Compliance Check", rfqTitle: "RFQ", bidTitle: "Bid", role: ROLE.BIDDER })}
                     handleAnalyze={handleAnalyze} usageLimits={usageLimits} setCurrentPage={setCurrentPage}
-                    currentUser={currentUser} loading={loading} RFQFile={RFQFile} BidFile={BidFile}
+                    currentUser={currentUser} queueBusy={activeJobs.length > 0} RFQFile={RFQFile} BidFile={BidFile}
                     setRFQFile={setRFQFile} setBidFile={setBidFile} generateTestData={generateTestData} 
-                    errorMessage={errorMessage} report={report} saveReport={saveReport} saving={saving}
+                    errorMessage={errorMessage} report={report} sourceDocs={sourceDocs} saveReport={canSaveReports ? saveReport : null} saving={saving}
+                    auditMode={auditMode} setAuditMode={setAuditMode} BidFiles={BidFiles} setBidFiles={setBidFiles}
+                    AddendaFiles={AddendaFiles} setAddendaFiles={setAddendaFiles}
+                    handleCompare={handleCompare} comparison={comparison} saveComparison={canSaveReports ? saveComparison : null}
+                    scoringProfiles={scoringProfiles} selectedProfileId={selectedProfileId} setSelectedProfileId={setSelectedProfileId}
+                    saveScoringProfile={saveScoringProfile} deleteScoringProfile={deleteScoringProfile}
+                    overrideFinding={can(WORKSPACE_ACTION.OVERRIDE_FINDINGS) ? overrideFinding : null}
+                    importFindingEdits={can(WORKSPACE_ACTION.OVERRIDE_FINDINGS) ? importFindingEdits : null}
                     setErrorMessage={setErrorMessage} userId={userId} handleLogout={handleLogout}
+                    canManageBilling={can(WORKSPACE_ACTION.MANAGE_BILLING)}
                 />;
             case PAGE.ADMIN:
                 return <AdminDashboard setCurrentPage={setCurrentPage} currentUser={currentUser} reportsHistory={reportsHistory} loadReportFromHistory={loadReportFromHistory} handleLogout={handleLogout} />;
             case PAGE.HISTORY:
-                return <ReportHistory reportsHistory={reportsHistory} loadReportFromHistory={loadReportFromHistory} deleteReport={deleteReport} isAuthReady={isAuthReady} userId={userId} setCurrentPage={setCurrentPage} currentUser={currentUser} handleLogout={handleLogout} />;
-            default: return <AuthPage setCurrentPage={setCurrentPage} setErrorMessage={setErrorMessage} errorMessage={errorMessage} db={db} auth={auth} />;
+                return <ReportHistory reportsHistory={reportsHistory} loadReportFromHistory={loadReportFromHistory} deleteReport={deleteReport} canDeleteReports={canDeleteReports} isAuthReady={isAuthReady} userId={userId} setCurrentPage={setCurrentPage} handleLogout={handleLogout} workspaceMembers={workspaceMembers}
+                    workspacePanel={<WorkspacePanel workspace={workspace} members={workspaceMembers} userId={userId} workspaceRole={workspaceRole} onSetRole={setMemberRole} onRemoveMember={removeMember} onRotateInviteCode={rotateInviteCode} onJoin={joinWorkspace} />} />;
+            default: return <AuthPage setCurrentPage={setCurrentPage} setErrorMessage={setErrorMessage} errorMessage={errorMessage} storage={storage} />;
         }
     };
 
@@ -1075,14 +3035,24 @@ const App = () => {
                  />
             </div>
 
-            <div className="max-w-4xl mx-auto space-y-10 w-full flex-grow">{renderPage()}</div>
+            {AI_CONFIG.provider === AI_PROVIDER.MOCK && (
+                <div className="w-full max-w-4xl mx-auto mb-4 p-3 rounded-lg border border-amber-600/60 bg-amber-900/20 text-amber-200 text-xs text-center no-print">
+                    Demo mode: reports come from the built-in mock AI provider, not a real model.
+                </div>
+            )}
+
+            <div className="max-w-4xl mx-auto space-y-10 w-full flex-grow">
+                <AuditQueuePanel jobs={auditJobs} onCancel={auditQueue.cancel} onDismiss={auditQueue.dismiss} onOpen={openAuditResult} />
+                {renderPage()}
+            </div>
             
             {/* Added: Copyright Footer */}
             <footer className="mt-12 py-6 text-center text-slate-500 text-sm border-t border-slate-800 w-full max-w-4xl mx-auto">
                 Copyright © 2025 <a href="https://ronavai.godaddysites.com/" target="_blank" rel="noopener noreferrer" className="text-amber-500 hover:text-amber-400 font-medium">ronav-ai</a> - All Rights Reserved.
             </footer>
 
-            <PaywallModal show={showPaywall} onClose={() => setShowPaywall(false)} userId={userId} />
+            <NotificationTray notifications={notifications} onDismiss={dismissNotification} />
+            <PaywallModal show={showPaywall} onClose={() => setShowPaywall(false)} workspaceId={workspaceId} canManageBilling={can(WORKSPACE_ACTION.MANAGE_BILLING)} />
         </div>
     );
 };
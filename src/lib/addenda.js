@@ -0,0 +1,122 @@
+// --- RFQ SETS WITH ADDENDA ---
+// Tenders change after issue through addenda, clarification bulletins and Q&A responses.
+// The base RFQ and its addenda are kept in issue order; a later document overrides any
+// earlier clause it changes or deletes. The set is merged into one citable document whose
+// markers name the file ("Addendum 2.pdf › Page 3"), and each audit pass sees the addenda
+// alongside the RFQ section so it audits the effective requirement, not the superseded one.
+
+import { buildDocument, buildCitation } from './documents.js';
+import { splitIntoSections, selectRelevantBidText } from './chunking.js';
+import { requirementSimilarity, FUZZY_MATCH_THRESHOLD } from './matching.js';
+import { ISSUE_SEVERITY } from './responseValidation.js';
+
+export const AMENDMENT_STATUS = { ORIGINAL: 'ORIGINAL', AMENDED: 'AMENDED', ADDED: 'ADDED' };
+export const CHANGE_TYPE = { REPLACED: 'REPLACED', DELETED: 'DELETED' };
+
+// Addenda are usually short; past this size only the passages relevant to a section are sent.
+export const MAX_AMENDMENT_CONTEXT_CHARS = 16000;
+
+const prefixedParts = (member) => member.segments.map(seg => ({
+    kind: seg.kind,
+    number: seg.number,
+    label: `${member.name} › ${seg.label}`,
+    text: member.text.slice(seg.start, seg.end),
+    source: member.name
+}));
+
+// Returns the base document unchanged when there are no addenda. Otherwise a merged document
+// with `members: [{ name, precedence, text }]` (precedence 0 = base RFQ, higher wins).
+export const buildRfqSet = (baseDoc, addendaDocs = []) => {
+    if (addendaDocs.length === 0) return baseDoc;
+    const members = [baseDoc, ...addendaDocs].map((member, precedence) => {
+        const parts = prefixedParts(member);
+        return { name: member.name, precedence, parts, text: buildDocument(member.name, parts).text };
+    });
+    const rfqSet = buildDocument(baseDoc.name, members.flatMap(member => member.parts));
+    rfqSet.members = members.map(({ name, precedence, text }) => ({ name, precedence, text }));
+    return rfqSet;
+};
+
+export const hasAddenda = (rfqDoc) => (rfqDoc?.members?.length || 0) > 1;
+
+// What a saved report keeps about the set: file names in precedence order.
+export const describeRfqSet = (rfqDoc) => hasAddenda(rfqDoc) ? rfqDoc.members.map(({ name, precedence }) => ({ name, precedence })) : [];
+
+const joinMembers = (members) => members.map(member => `=== ${member.name} (issued ${member.precedence === 0 ? 'as the base RFQ' : `as amendment ${member.precedence}`}) ===\n${member.text}`).join('\n\n');
+
+// Audit sections for the set. Base RFQ sections carry every addendum as `amendments`; addendum
+// sections carry the later addenda (which can override earlier ones) and `addendum: name`.
+export const splitRfqSetSections = (rfqDoc) => {
+    if (!hasAddenda(rfqDoc)) return splitIntoSections(rfqDoc.text);
+    const [base, ...addenda] = rfqDoc.members;
+    const withContext = (section, laterMembers) => {
+        if (laterMembers.length === 0) return section;
+        return { ...section, amendments: selectRelevantBidText(section.text, joinMembers(laterMembers), MAX_AMENDMENT_CONTEXT_CHARS) };
+    };
+    const sections = [
+        ...splitIntoSections(base.text).map(section => withContext(section, addenda)),
+        ...addenda.flatMap((member, i) => splitIntoSections(member.text).map(section => withContext({ ...section, addendum: member.name }, addenda.slice(i + 1))))
+    ];
+    return sections.map((section, index) => ({ ...section, index }));
+};
+
+// Matches a model-supplied file name ("addendum 2", "Addendum_2.pdf") to a member of the set.
+const resolveMember = (rfqDoc, name) => {
+    const wanted = String(name || '').toLowerCase().replace(/\.[a-z0-9]+$/, '').replace(/[^a-z0-9]+/g, ' ').trim();
+    if (!wanted) return null;
+    return rfqDoc.members.find(member => member.name.toLowerCase().replace(/\.[a-z0-9]+$/, '').replace(/[^a-z0-9]+/g, ' ').trim() === wanted) || null;
+};
+
+const memberForCitation = (rfqDoc, citation) => {
+    const seg = citation && citation.segmentIndex !== undefined ? rfqDoc.segments[citation.segmentIndex] : null;
+    return seg?.source ? resolveMember(rfqDoc, seg.source) : null;
+};
+
+const sameLocation = (a, b) => a && b && a.segmentIndex === b.segmentIndex && a.start < b.end && b.start < a.end;
+
+// Settles precedence after the audit: every finding names the document its requirement comes
+// from (verified citation first, the model's answer second), superseded clauses get citations,
+// and a finding that audits a clause a later document replaced or deleted is moved to the
+// superseded list instead of being scored. Returns { report, issues } like reconcileAuditFindings.
+export const applyPrecedence = (report, rfqDoc) => {
+    if (!hasAddenda(rfqDoc)) return { report, issues: [] };
+    const base = rfqDoc.members[0];
+    const issues = [];
+
+    const superseded = (report.supersededRequirements || []).map(item => {
+        const changedBy = resolveMember(rfqDoc, item.changedBy);
+        const originalCitation = buildCitation(rfqDoc, [item.originalText], item.originalPageRef);
+        const originalMember = memberForCitation(rfqDoc, originalCitation) || base;
+        return {
+            ...item,
+            changedBy: changedBy ? changedBy.name : (item.changedBy || 'a later addendum'),
+            changedByPrecedence: changedBy ? changedBy.precedence : rfqDoc.members.length - 1,
+            originalSource: originalMember.name,
+            originalCitation
+        };
+    });
+
+    const findings = [];
+    (report.findings || []).forEach((finding, i) => {
+        const member = memberForCitation(rfqDoc, finding.rfqCitation) || resolveMember(rfqDoc, finding.requirementSource) || base;
+        const amendedBy = resolveMember(rfqDoc, finding.amendedBy);
+        let amendmentStatus = finding.amendmentStatus || AMENDMENT_STATUS.ORIGINAL;
+        if (member.precedence > 0 && amendmentStatus === AMENDMENT_STATUS.ORIGINAL) amendmentStatus = AMENDMENT_STATUS.ADDED;
+
+        const overriding = superseded.find(item => item.changedByPrecedence > member.precedence && (
+            sameLocation(item.originalCitation, finding.rfqCitation) ||
+            requirementSimilarity(item.originalText, finding.requirementFromRFQ) >= FUZZY_MATCH_THRESHOLD
+        ));
+        if (overriding) {
+            issues.push({ path: `findings[${i}]`, severity: ISSUE_SEVERITY.REPAIRED, message: `Requirement was ${overriding.changeType === CHANGE_TYPE.DELETED ? 'deleted' : 'replaced'} by ${overriding.changedBy}; moved to the superseded list instead of being scored.` });
+            return;
+        }
+        findings.push({
+            ...finding,
+            requirementSource: member.name,
+            amendmentStatus,
+            ...(amendmentStatus === AMENDMENT_STATUS.ORIGINAL ? {} : { amendedBy: amendedBy ? amendedBy.name : member.name })
+        });
+    });
+    return { report: { ...report, findings, supersededRequirements: superseded }, issues };
+};
@@ -0,0 +1,149 @@
+// --- AI PROVIDERS ---
+// Prompts are written once against a Gemini-style responseSchema; each provider adapter turns
+// { systemPrompt, userQuery, schema } into its own request and reads the JSON text back out of
+// its own response shape. The provider is chosen per deployment through build-time variables
+// (VITE_AI_PROVIDER, VITE_AI_ENDPOINT, VITE_AI_MODEL, VITE_AI_MAX_TOKENS), so a deployment that
+// must not send tender data to Google can point at Anthropic, an OpenAI-compatible gateway or a
+// local Ollama / llama.cpp server. API keys never go in the bundle: cloud endpoints should be a
+// server route that adds them. The mock provider answers from fixtures without any network call.
+
+import { ModelResponseError } from './responseValidation.js';
+import { buildMockResponse } from './mockProvider.js';
+
+export const AI_PROVIDER = {
+    GEMINI: 'gemini',
+    OPENAI: 'openai',
+    ANTHROPIC: 'anthropic',
+    OLLAMA: 'ollama',
+    MOCK: 'mock'
+};
+
+const DEFAULT_MAX_TOKENS = 8192;
+const SCHEMA_NAME = 'smartbid_report';
+
+// Gemini's schema dialect (type "OBJECT", "STRING"...) as standard JSON Schema.
+export const toJsonSchema = (schema) => {
+    if (!schema || typeof schema !== 'object') return schema;
+    const out = {};
+    if (schema.type) out.type = String(schema.type).toLowerCase();
+    if (schema.description) out.description = schema.description;
+    if (schema.enum) out.enum = [...schema.enum];
+    if (schema.items) out.items = toJsonSchema(schema.items);
+    if (schema.properties) {
+        out.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toJsonSchema(value)]));
+        if (schema.required?.length) out.required = [...schema.required];
+    }
+    return out;
+};
+
+const jsonHeaders = { 'Content-Type': 'application/json' };
+
+// Each adapter: buildRequest(prompt, config) -> { url, headers, body } and
+// parseResponse(result) -> { text, finishReason, truncated }.
+const ADAPTERS = {
+    [AI_PROVIDER.GEMINI]: {
+        defaultEndpoint: '/api/analyze',
+        buildRequest: ({ systemPrompt, userQuery, schema }, config) => ({
+            url: config.endpoint,
+            headers: jsonHeaders,
+            body: {
+                contents: [{ parts: [{ text: userQuery }] }],
+                systemInstruction: { parts: [{ text: systemPrompt }] },
+                generationConfig: { responseMimeType: "application/json", responseSchema: schema }
+            }
+        }),
+        parseResponse: (result) => {
+            const candidate = result.candidates?.[0];
+            return { text: candidate?.content?.parts?.[0]?.text, finishReason: candidate?.finishReason, truncated: candidate?.finishReason === 'MAX_TOKENS' };
+        }
+    },
+
+    // OpenAI chat completions, and the servers that copy its API (vLLM, LM Studio, llama.cpp's
+    // llama-server, Azure and most gateways).
+    [AI_PROVIDER.OPENAI]: {
+        defaultEndpoint: '/api/analyze',
+        buildRequest: ({ systemPrompt, userQuery, schema }, config) => ({
+            url: config.endpoint,
+            headers: jsonHeaders,
+            body: {
+                model: config.model,
+                messages: [{ role: 'system', content: systemPrompt }, { role: 'user', content: userQuery }],
+                response_format: { type: 'json_schema', json_schema: { name: SCHEMA_NAME, schema: toJsonSchema(schema), strict: false } },
+                max_tokens: config.maxTokens
+            }
+        }),
+        parseResponse: (result) => {
+            const choice = result.choices?.[0];
+            return { text: choice?.message?.content, finishReason: choice?.finish_reason, truncated: choice?.finish_reason === 'length' };
+        }
+    },
+
+    // Anthropic Messages API. Structured output is a forced tool call whose input is the report.
+    [AI_PROVIDER.ANTHROPIC]: {
+        defaultEndpoint: '/api/analyze',
+        buildRequest: ({ systemPrompt, userQuery, schema }, config) => ({
+            url: config.endpoint,
+            headers: { ...jsonHeaders, 'anthropic-version': '2023-06-01' },
+            body: {
+                model: config.model,
+                max_tokens: config.maxTokens,
+                system: systemPrompt,
+                messages: [{ role: 'user', content: userQuery }],
+                tools: [{ name: SCHEMA_NAME, description: 'Return the report.', input_schema: toJsonSchema(schema) }],
+                tool_choice: { type: 'tool', name: SCHEMA_NAME }
+            }
+        }),
+        parseResponse: (result) => {
+            const content = result.content || [];
+            const toolUse = content.find(block => block.type === 'tool_use');
+            const text = toolUse ? JSON.stringify(toolUse.input) : content.filter(block => block.type === 'text').map(block => block.text).join('');
+            return { text, finishReason: result.stop_reason, truncated: result.stop_reason === 'max_tokens' };
+        }
+    },
+
+    // Ollama's native chat API, which constrains output to a JSON schema through `format`.
+    [AI_PROVIDER.OLLAMA]: {
+        defaultEndpoint: 'http://localhost:11434/api/chat',
+        buildRequest: ({ systemPrompt, userQuery, schema }, config) => ({
+            url: config.endpoint,
+            headers: jsonHeaders,
+            body: {
+                model: config.model,
+                stream: false,
+                format: toJsonSchema(schema),
+                options: { num_predict: config.maxTokens },
+                messages: [{ role: 'system', content: systemPrompt }, { role: 'user', content: userQuery }]
+            }
+        }),
+        parseResponse: (result) => ({ text: result.message?.content, finishReason: result.done_reason, truncated: result.done_reason === 'length' })
+    }
+};
+
+// Reads the deployment's provider settings from Vite's env object. Unknown providers fail loudly
+// rather than silently falling back to one the deployment may not be allowed to use.
+export const resolveProviderConfig = (env = {}) => {
+    const provider = String(env.VITE_AI_PROVIDER || AI_PROVIDER.GEMINI).trim().toLowerCase();
+    if (provider !== AI_PROVIDER.MOCK && !ADAPTERS[provider]) {
+        throw new Error(`Unknown VITE_AI_PROVIDER "${provider}". Use one of: ${Object.values(AI_PROVIDER).join(', ')}.`);
+    }
+    return {
+        provider,
+        endpoint: env.VITE_AI_ENDPOINT || ADAPTERS[provider]?.defaultEndpoint || '',
+        model: env.VITE_AI_MODEL || '',
+        maxTokens: parseInt(env.VITE_AI_MAX_TOKENS, 10) || DEFAULT_MAX_TOKENS
+    };
+};
+
+// Sends one prompt through the configured provider. `post(url, options)` is the caller's fetch
+// (with its retry policy). Returns { text, finishReason, truncated }; throws ModelResponseError
+// when the provider answered without any content.
+export const completeJson = async (config, prompt, post) => {
+    if (config.provider === AI_PROVIDER.MOCK) return { text: JSON.stringify(buildMockResponse(prompt)), finishReason: 'STOP', truncated: false };
+    const adapter = ADAPTERS[config.provider];
+    const { url, headers, body } = adapter.buildRequest(prompt, config);
+    const response = await post(url, { method: 'POST', headers, body: JSON.stringify(body) });
+    const result = await response.json();
+    const parsed = adapter.parseResponse(result);
+    if (!parsed.text) throw new ModelResponseError(`AI returned no content${parsed.finishReason ? ` (finish reason: ${parsed.finishReason})` : ''}.`);
+    return parsed;
+};
@@ -0,0 +1,115 @@
+// --- AUDIT QUEUE ---
+// Audits run one after another in the background while the user keeps working. Each job gets
+// its own AbortController and reports staged progress (extract, upload, model, validate, save)
+// through `job.progress(stage, message)`; the queue publishes a fresh jobs array on every change
+// so React can render it straight from state.
+
+export const AUDIT_STAGE = { EXTRACT: 'EXTRACT', UPLOAD: 'UPLOAD', MODEL: 'MODEL', VALIDATE: 'VALIDATE', SAVE: 'SAVE' };
+export const AUDIT_STAGE_ORDER = [AUDIT_STAGE.EXTRACT, AUDIT_STAGE.UPLOAD, AUDIT_STAGE.MODEL, AUDIT_STAGE.VALIDATE, AUDIT_STAGE.SAVE];
+export const AUDIT_STAGE_LABELS = { EXTRACT: 'Extract', UPLOAD: 'Upload', MODEL: 'AI model', VALIDATE: 'Validate', SAVE: 'Save' };
+
+export const JOB_STATUS = { QUEUED: 'QUEUED', RUNNING: 'RUNNING', DONE: 'DONE', FAILED: 'FAILED', CANCELLED: 'CANCELLED' };
+
+export class AuditCancelledError extends Error {
+    constructor(message = 'Audit cancelled.') {
+        super(message);
+        this.name = 'AuditCancelledError';
+    }
+}
+
+// fetch() rejects with an AbortError; everything else we throw ourselves.
+export const isCancellation = (error, signal) => Boolean(signal?.aborted) || error?.name === 'AbortError' || error instanceof AuditCancelledError;
+
+export const throwIfCancelled = (signal) => {
+    if (signal?.aborted) throw new AuditCancelledError();
+};
+
+// setTimeout that rejects as soon as the job is cancelled, so retry backoffs don't hold a cancel up.
+export const waitFor = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(new AuditCancelledError()); return; }
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    const onAbort = () => { clearTimeout(timer); reject(new AuditCancelledError()); };
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Same job with every progress message prefixed ("Bid 2 of 3 (acme.pdf): ...").
+export const withPrefix = (job, prefix) => job && ({ ...job, progress: (stage, message) => job.progress(stage, `${prefix}${message}`) });
+
+// onChange(jobs) receives the full jobs list after every change. enqueue({ run, ...details })
+// queues run(job) and returns the job id; details (label, kind...) are copied onto the job and
+// the value run resolves with is kept as `result`.
+export const createAuditQueue = (onChange) => {
+    let jobs = [];
+    let nextId = 1;
+    let running = false;
+    const tasks = new Map();
+    const controllers = new Map();
+
+    const publish = () => onChange(jobs);
+    const update = (id, changes) => {
+        jobs = jobs.map(job => job.id === id ? { ...job, ...changes } : job);
+        publish();
+    };
+
+    const runNext = async () => {
+        if (running) return;
+        const job = jobs.find(j => j.status === JOB_STATUS.QUEUED);
+        if (!job) return;
+        running = true;
+        const controller = new AbortController();
+        controllers.set(job.id, controller);
+        update(job.id, { status: JOB_STATUS.RUNNING, startedAt: Date.now(), message: 'Starting...' });
+        try {
+            const result = await tasks.get(job.id)({
+                id: job.id,
+                signal: controller.signal,
+                progress: (stage, message) => { if (!controller.signal.aborted) update(job.id, { stage, message }); }
+            });
+            update(job.id, { status: JOB_STATUS.DONE, finishedAt: Date.now(), message: 'Finished.', result });
+        } catch (error) {
+            if (isCancellation(error, controller.signal)) update(job.id, { status: JOB_STATUS.CANCELLED, finishedAt: Date.now(), message: 'Cancelled.' });
+            else update(job.id, { status: JOB_STATUS.FAILED, finishedAt: Date.now(), message: error.message || String(error) });
+        } finally {
+            tasks.delete(job.id);
+            controllers.delete(job.id);
+            running = false;
+            runNext();
+        }
+    };
+
+    const cancel = (id) => {
+        const job = jobs.find(j => j.id === id);
+        if (job?.status === JOB_STATUS.QUEUED) {
+            tasks.delete(id);
+            update(id, { status: JOB_STATUS.CANCELLED, finishedAt: Date.now(), message: 'Cancelled before it started.' });
+        } else if (job?.status === JOB_STATUS.RUNNING) {
+            update(id, { message: 'Cancelling...', cancelRequested: true });
+            controllers.get(id)?.abort();
+        }
+    };
+
+    return {
+        enqueue: ({ run, ...details }) => {
+            const id = nextId++;
+            jobs = [...jobs, { ...details, id, status: JOB_STATUS.QUEUED, stage: null, message: 'Waiting in queue...', createdAt: Date.now() }];
+            tasks.set(id, run);
+            publish();
+            runNext();
+            return id;
+        },
+        cancel,
+        // Drops finished, failed and cancelled jobs (and their results) from the list.
+        dismiss: (id) => {
+            jobs = jobs.filter(job => job.id !== id || job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING);
+            publish();
+        },
+        // Cancels everything and forgets the list (logout).
+        reset: () => {
+            controllers.forEach(controller => controller.abort());
+            tasks.clear();
+            jobs = [];
+            publish();
+        },
+        getJobs: () => jobs
+    };
+};
@@ -0,0 +1,257 @@
+// --- BID VALUES & CONTRACT TERMS ---
+// grandTotalValue and contractDuration are free text from the model ("USD 1.2M excl. VAT",
+// "18 months + 6 optional"). They are parsed into structured fields saved next to the raw
+// text on each report:
+//   bidValue:     { raw, amount, currency, taxBasis, version }
+//   contractTerm: { raw, months, optionMonths, version }
+// Amounts are converted to BASE_CURRENCY when read, with the local table below, so updating a
+// rate re-normalizes every report without rewriting them.
+
+export const NORMALIZATION_VERSION = 2;
+
+export const BASE_CURRENCY = 'USD';
+
+// Approximate mid-market rates: units of BASE_CURRENCY per one unit of the currency.
+// Maintained by hand; good enough to rank and band bids, not to price them.
+export const EXCHANGE_RATES_UPDATED = '2025-06';
+export const EXCHANGE_RATES = {
+    USD: 1,
+    EUR: 1.14,
+    GBP: 1.35,
+    CHF: 1.22,
+    SEK: 0.105,
+    NOK: 0.099,
+    DKK: 0.153,
+    PLN: 0.27,
+    TRY: 0.025,
+    AED: 0.2723,
+    SAR: 0.2667,
+    QAR: 0.2747,
+    KWD: 3.27,
+    BHD: 2.653,
+    OMR: 2.6,
+    EGP: 0.02,
+    INR: 0.0117,
+    PKR: 0.0035,
+    CNY: 0.139,
+    JPY: 0.0069,
+    SGD: 0.78,
+    HKD: 0.1274,
+    MYR: 0.236,
+    AUD: 0.65,
+    NZD: 0.6,
+    CAD: 0.73,
+    MXN: 0.052,
+    BRL: 0.18,
+    ZAR: 0.056,
+    NGN: 0.00065,
+    KES: 0.0077
+};
+
+export const TAX_BASIS = { EXCLUSIVE: 'EXCLUSIVE', INCLUSIVE: 'INCLUSIVE', UNSPECIFIED: 'UNSPECIFIED' };
+
+const clean = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Checked in order: ISO codes (upper case only, so "try" or "cad" in prose don't match), then
+// prefixed dollar signs, then names and local abbreviations, then bare symbols.
+const CURRENCY_CODE_PATTERN = new RegExp(`\\b(${Object.keys(EXCHANGE_RATES).join('|')})\\b`);
+const CURRENCY_MARKERS = [
+    ['US$', 'USD'], ['A$', 'AUD'], ['AU$', 'AUD'], ['C$', 'CAD'], ['CA$', 'CAD'], ['S$', 'SGD'], ['HK$', 'HKD'], ['NZ$', 'NZD'], ['R$', 'BRL']
+];
+const CURRENCY_NAMES = [
+    [/\beuros?\b/i, 'EUR'], [/\b(pounds?( sterling)?|sterling)\b/i, 'GBP'], [/\bdirhams?\b|\bdhs?\b/i, 'AED'],
+    [/\b(saudi )?riyals?\b|\bSR\b/i, 'SAR'], [/\bqatari riyals?\b|\bQR\b/i, 'QAR'], [/\brupees?\b|\bRs\.?(?=\s|\d)/i, 'INR'],
+    [/\byen\b/i, 'JPY'], [/\b(yuan|RMB|renminbi)\b/i, 'CNY'], [/\brand\b/i, 'ZAR'], [/\bnaira\b/i, 'NGN'],
+    [/\b(swiss )?francs?\b/i, 'CHF'], [/\bdollars?\b/i, 'USD']
+];
+const CURRENCY_SYMBOLS = [['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['¥', 'JPY'], ['₦', 'NGN'], ['$', 'USD']];
+
+export const detectCurrency = (text) => {
+    const code = text.match(CURRENCY_CODE_PATTERN);
+    if (code) return code[1];
+    const marker = CURRENCY_MARKERS.find(([prefix]) => new RegExp(`(^|[^A-Za-z])${escapeRegExp(prefix)}`, 'i').test(text));
+    if (marker) return marker[1];
+    const named = CURRENCY_NAMES.find(([pattern]) => pattern.test(text));
+    if (named) return named[1];
+    const symbol = CURRENCY_SYMBOLS.find(([sign]) => text.includes(sign));
+    return symbol ? symbol[1] : null;
+};
+
+// Matched with percentages removed, so "inclusive of 5% VAT" reads as "inclusive of VAT".
+const EXCLUSIVE_PATTERN = /(\b(excl(\.|uding|usive)?|ex\.?|net of|before|plus)|\+)\s*(of\s+)?(vat|gst|taxe?s?|sales tax)\b|\b(vat|gst|taxe?s?)\s+(excluded|extra|not included|additional)\b|\bpre-?tax\b/i;
+const INCLUSIVE_PATTERN = /\b(incl(\.|uding|usive)?|inc\.?|with)\s*(of\s+)?(all\s+)?(vat|gst|taxe?s?)\b|\b(vat|gst|taxe?s?)\s+(included|inclusive|paid)\b|\bgross\b/i;
+
+const withoutPercentages = (text) => text.replace(/\d+(?:[.,]\d+)?\s*%\s*/g, '');
+
+export const detectTaxBasis = (text) => {
+    const words = withoutPercentages(text);
+    if (EXCLUSIVE_PATTERN.test(words)) return TAX_BASIS.EXCLUSIVE;
+    if (INCLUSIVE_PATTERN.test(words)) return TAX_BASIS.INCLUSIVE;
+    return TAX_BASIS.UNSPECIFIED;
+};
+
+const MAGNITUDES = {
+    k: 1e3, thousand: 1e3,
+    m: 1e6, mn: 1e6, mm: 1e6, mio: 1e6, million: 1e6, millions: 1e6,
+    b: 1e9, bn: 1e9, billion: 1e9, billions: 1e9,
+    lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, crore: 1e7, crores: 1e7, cr: 1e7
+};
+
+// Grouped ("1,250,000", "1.250.000,00", "1 250 000") or plain ("1.2", "450000") numbers,
+// optionally followed by a magnitude word.
+const AMOUNT_PATTERN = new RegExp(
+    `(\\d{1,3}(?:[,.'\\u00a0 ]\\d{3})+(?:[.,]\\d+)?|\\d+(?:[.,]\\d+)?)\\s*(${Object.keys(MAGNITUDES).join('|')})?(?![a-z])`, 'gi'
+);
+const GROUPED_PATTERN = /\d[,.'\u00a0 ]\d{3}(?!\d)/;
+const YEAR_PATTERN = /^(19|20)\d{2}$/;
+
+// A currency written right before ("USD 4M", "€ 450.000", "Rs. 2 crore") or right after
+// ("4 million euros", "450 000 €") an amount. Codes are upper case only, as in detectCurrency.
+const CURRENCY_CODES = Object.keys(EXCHANGE_RATES).join('|');
+const CURRENCY_SIGNS = [...CURRENCY_MARKERS, ...CURRENCY_SYMBOLS].map(([sign]) => escapeRegExp(sign)).join('|');
+const CURRENCY_WORDS = 'euros?|pounds?|sterling|dirhams?|dhs?|riyals?|sr|qr|rupees?|rs|yen|yuan|rmb|renminbi|rand|naira|francs?|dollars?';
+const CURRENCY_BEFORE = [new RegExp(`\\b(${CURRENCY_CODES})\\s*$`), new RegExp(`(${CURRENCY_SIGNS}|\\b(${CURRENCY_WORDS})\\.?)\\s*$`, 'i')];
+const CURRENCY_AFTER = [new RegExp(`^\\s*(${CURRENCY_CODES})\\b`), new RegExp(`^\\s*(${CURRENCY_SIGNS}|(${CURRENCY_WORDS})\\b)`, 'i')];
+
+const findCurrency = (text, patterns) => patterns.map(pattern => text.match(pattern)).find(Boolean)?.[1] || null;
+
+// The separator that appears last is the decimal one when both appear; a lone comma before
+// exactly three digits is a thousands separator, and so is a lone dot ("€ 450.000") unless a
+// magnitude word follows ("1.250M"). Any other lone separator is a decimal point.
+const toNumber = (token, hasMagnitude = false) => {
+    let digits = token.replace(/[\s' ]/g, '');
+    const lastComma = digits.lastIndexOf(',');
+    const lastDot = digits.lastIndexOf('.');
+    if (lastComma >= 0 && lastDot >= 0) {
+        const decimal = lastComma > lastDot ? ',' : '.';
+        digits = digits.split(decimal === ',' ? '.' : ',').join('').replace(',', '.');
+    } else if (lastComma >= 0) {
+        const groups = digits.split(',');
+        digits = groups.slice(1).every(group => group.length === 3) ? groups.join('') : digits.replace(',', '.');
+    } else if (digits.split('.').length > 2 || (!hasMagnitude && /^\d{1,3}\.\d{3}$/.test(digits))) {
+        digits = digits.split('.').join('');
+    }
+    const value = Number(digits);
+    return Number.isFinite(value) ? value : null;
+};
+
+// The amount is the first number with a currency written before it, else after it, else the
+// first with a magnitude word, else the first grouped one, else the first other number. Years
+// ("2025 budget: USD 4M") only count next to a currency, and percentages never do. Ranges
+// ("USD 1.2M – 1.5M") take the first figure. The currency is the one next to the amount, else
+// the first in the text.
+export const parseBidValue = (text) => {
+    const raw = clean(text);
+    const words = withoutPercentages(raw);
+    const candidates = [...words.matchAll(AMOUNT_PATTERN)].map(match => ({
+        number: match[1],
+        magnitude: match[2],
+        currencyBefore: findCurrency(words.slice(0, match.index), CURRENCY_BEFORE),
+        currencyAfter: findCurrency(words.slice(match.index + match[0].length), CURRENCY_AFTER)
+    })).filter(candidate => candidate.currencyBefore || candidate.currencyAfter || candidate.magnitude || !YEAR_PATTERN.test(candidate.number));
+    const chosen = candidates.find(candidate => candidate.currencyBefore)
+        || candidates.find(candidate => candidate.currencyAfter)
+        || candidates.find(candidate => candidate.magnitude)
+        || candidates.find(candidate => GROUPED_PATTERN.test(candidate.number))
+        || candidates[0];
+    const number = chosen ? toNumber(chosen.number, Boolean(chosen.magnitude)) : null;
+    const amount = number === null ? null : parseFloat((number * (MAGNITUDES[(chosen.magnitude || '').toLowerCase()] || 1)).toFixed(2));
+    const currencyText = chosen?.currencyBefore || chosen?.currencyAfter;
+    return {
+        raw,
+        amount,
+        currency: amount === null ? null : (currencyText && detectCurrency(`${currencyText} 1`)) || detectCurrency(raw),
+        taxBasis: detectTaxBasis(raw),
+        version: NORMALIZATION_VERSION
+    };
+};
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12 };
+const NUMBER = `\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')}`;
+const UNIT_MONTHS = { year: 12, yr: 12, month: 1, mth: 1, mo: 1, week: 12 / 52, wk: 12 / 52, day: 12 / 365 };
+const UNIT = `(years?|yrs?|months?|mths?|mos?|weeks?|wks?|days?)(?![a-z])`;
+// "2 x 12 months" and "two 1-year options" multiply; otherwise the number before the unit.
+const QUANTITY_PATTERN = new RegExp(`(?:(?<![\\w.])(${NUMBER})\\s*(?:x|×|\\*)?\\s+)?(?:(?<![\\w.])(${NUMBER}))?\\s*-?\\s*${UNIT}`, 'i');
+const BARE_NUMBER_PATTERN = new RegExp(`(?<![\\w.])(${NUMBER})(?![\\d.])`, 'i');
+const OPTION_PATTERN = /option|extension|extend|renew|optional/i;
+
+const wordToNumber = (token) => (token === undefined ? null : NUMBER_WORDS[token.toLowerCase()] ?? Number(token));
+
+const unitToMonths = (unit) => UNIT_MONTHS[unit.toLowerCase().replace(/s$/, '')];
+
+// Parts split on commas, brackets, "with", "and", "plus" and "+" are options when they say so;
+// in "3+1+1" notation every part after the first is an option. A part without a unit takes
+// the next part's unit ("3+2 years"), or failing that the previous one ("18 months + 6 optional").
+// Calendar years such as 2025 are not durations.
+export const parseContractDuration = (text) => {
+    const raw = clean(text);
+    const parts = raw.split(/[,;()]|\bwith\b|\band\b|\bplus\b/i).flatMap(clause =>
+        clause.split('+').map((part, index) => ({ text: part, isOption: index > 0 || OPTION_PATTERN.test(part) })));
+    const quantities = parts.map(({ text: part, isOption }) => {
+        const quantity = part.match(QUANTITY_PATTERN);
+        if (quantity) return { isOption, value: (wordToNumber(quantity[1]) ?? 1) * (wordToNumber(quantity[2]) ?? 1), unit: unitToMonths(quantity[3]) };
+        const bare = part.match(BARE_NUMBER_PATTERN);
+        const value = bare ? wordToNumber(bare[1]) : null;
+        return value !== null && value < 1900 ? { isOption, value, unit: null } : null;
+    }).filter(Boolean);
+
+    let months = null;
+    let optionMonths = 0;
+    quantities.forEach((quantity, index) => {
+        const unit = quantity.unit
+            ?? quantities.slice(index + 1).find(next => next.unit)?.unit
+            ?? quantities.slice(0, index).reverse().find(previous => previous.unit)?.unit;
+        if (!unit) return;
+        const value = quantity.value * unit;
+        if (quantity.isOption) optionMonths += value;
+        else months = (months || 0) + value;
+    });
+    const round = (value) => parseFloat(value.toFixed(1));
+    return {
+        raw,
+        months: months === null ? null : round(months),
+        optionMonths: months === null && !optionMonths ? null : round(optionMonths),
+        version: NORMALIZATION_VERSION
+    };
+};
+
+export const normalizeReportValues = (report) => ({
+    bidValue: parseBidValue(report.grandTotalValue),
+    contractTerm: parseContractDuration(report.contractDuration)
+});
+
+// True when the stored fields are missing, were parsed by an older parser, or no longer match
+// the raw text.
+export const needsNormalization = (report) =>
+    report.bidValue?.version !== NORMALIZATION_VERSION || report.bidValue.raw !== clean(report.grandTotalValue)
+    || report.contractTerm?.version !== NORMALIZATION_VERSION || report.contractTerm.raw !== clean(report.contractDuration);
+
+// Stored fields when current, otherwise parsed on the fly, so reports saved before this
+// parser sort and filter the same way before and after the backfill.
+export const getBidValue = (report) => (needsNormalization(report) ? parseBidValue(report.grandTotalValue) : report.bidValue);
+export const getContractTerm = (report) => (needsNormalization(report) ? parseContractDuration(report.contractDuration) : report.contractTerm);
+
+export const toBaseCurrency = (bidValue) => {
+    const rate = EXCHANGE_RATES[bidValue?.currency];
+    return bidValue?.amount !== null && bidValue?.amount !== undefined && rate ? parseFloat((bidValue.amount * rate).toFixed(2)) : null;
+};
+
+// The report's value in BASE_CURRENCY, or null when the amount or currency can't be read.
+export const getNormalizedValue = (report) => toBaseCurrency(getBidValue(report));
+
+export const formatMoney = (amount, currency = BASE_CURRENCY) => {
+    if (amount === null || amount === undefined) return '—';
+    try {
+        return new Intl.NumberFormat('en', { style: 'currency', currency, notation: 'compact', maximumFractionDigits: 1 }).format(amount);
+    } catch {
+        return `${currency} ${amount.toLocaleString('en')}`;
+    }
+};
+
+export const formatContractTerm = (term) => {
+    if (!term || term.months === null && !term.optionMonths) return '—';
+    const base = term.months === null ? '' : `${term.months} mo`;
+    return term.optionMonths ? `${base}${base ? ' + ' : ''}${term.optionMonths} mo options` : base;
+};
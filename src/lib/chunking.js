@@ -0,0 +1,242 @@
+// --- MULTI-PASS AUDIT HELPERS ---
+// Large tenders (150-400 pages) do not fit into a single model request, so the RFQ is
+// split into sections, each section is audited against the most relevant bid excerpts,
+// and the per-section reports are merged back into one COMPREHENSIVE_REPORT_SCHEMA report.
+
+import { normalizeRequirement } from './matching.js';
+
+export const MAX_SECTION_CHARS = 24000;
+export const MAX_BID_CONTEXT_CHARS = 36000;
+const BID_CHUNK_CHARS = 3000;
+
+const HEADING_REGEX = /^\s*(#{1,6}\s+\S|(section|part|chapter|article|annex|appendix|schedule|lot)\s+[\dIVXLC]+[A-Z]?\b|\d+(\.\d+)*\.?\s+[A-Z][^\n]{2,80}$|[A-Z][A-Z0-9 &/,\-]{6,80}$)/;
+
+const STOP_WORDS = new Set([
+    'that', 'this', 'with', 'from', 'shall', 'must', 'will', 'have', 'been', 'were', 'which', 'their',
+    'there', 'these', 'those', 'such', 'into', 'than', 'then', 'they', 'them', 'also', 'other', 'each',
+    'where', 'when', 'what', 'upon', 'under', 'within', 'without', 'should', 'would', 'could', 'being',
+    'bidder', 'tender', 'contractor', 'supplier', 'vendor', 'proposal', 'required', 'requirements'
+]);
+
+const isHeading = (block) => HEADING_REGEX.test(block.split('\n')[0]);
+
+const isTable = (block) => block.split('\n').every(line => line.trimStart().startsWith('|'));
+
+// Breaks an oversized table between rows, repeating the header row and its separator.
+const splitLongTable = (block, maxChars) => {
+    const [headerRow, separator, ...rows] = block.split('\n');
+    const header = `${headerRow}\n${separator}`;
+    const pieces = [];
+    let current = header;
+    rows.forEach(row => {
+        if (current !== header && current.length + row.length + 1 > maxChars) { pieces.push(current); current = header; }
+        current += `\n${row}`;
+    });
+    pieces.push(current);
+    return pieces;
+};
+
+// Breaks a single oversized block at sentence (or, failing that, hard) boundaries.
+const splitLongBlock = (block, maxChars) => {
+    if (block.length <= maxChars) return [block];
+    if (isTable(block) && block.split('\n').length > 3) return splitLongTable(block, maxChars);
+    const pieces = [];
+    let current = '';
+    for (const sentence of block.split(/(?<=[.;:])\s+/)) {
+        if (sentence.length > maxChars) {
+            if (current) { pieces.push(current); current = ''; }
+            for (let i = 0; i < sentence.length; i += maxChars) pieces.push(sentence.slice(i, i + maxChars));
+            continue;
+        }
+        if (current.length + sentence.length + 1 > maxChars) { pieces.push(current); current = ''; }
+        current = current ? `${current} ${sentence}` : sentence;
+    }
+    if (current) pieces.push(current);
+    return pieces;
+};
+
+const toBlocks = (text, maxChars) => (text || '')
+    .replace(/\r\n/g, '\n')
+    .split(/\n\s*\n/)
+    .map(b => b.trim())
+    .filter(Boolean)
+    .flatMap(b => splitLongBlock(b, maxChars));
+
+// Packs paragraphs into sections of at most maxChars, preferring to break on headings
+// once a section is at least half full so clauses stay with their heading.
+export const splitIntoSections = (text, maxChars = MAX_SECTION_CHARS) => {
+    const sections = [];
+    let current = [];
+    let size = 0;
+    const flush = () => {
+        if (current.length === 0) return;
+        const body = current.join('\n\n');
+        const headingBlock = current.find(isHeading);
+        const title = (headingBlock || current[0]).split('\n')[0].slice(0, 80).trim();
+        sections.push({ index: sections.length, title, text: body });
+        current = []; size = 0;
+    };
+    for (const block of toBlocks(text, maxChars)) {
+        const wouldOverflow = size + block.length + 2 > maxChars;
+        const naturalBreak = isHeading(block) && size >= maxChars / 2;
+        if (current.length > 0 && (wouldOverflow || naturalBreak)) flush();
+        current.push(block);
+        size += block.length + 2;
+    }
+    flush();
+    return sections;
+};
+
+const tokenize = (text) => (text.toLowerCase().match(/[a-z0-9][a-z0-9\-]{3,}/g) || []).filter(t => !STOP_WORDS.has(t));
+
+// Returns the bid excerpts most relevant to an RFQ section (TF-IDF term overlap),
+// in original document order. Short bids are returned whole.
+export const selectRelevantBidText = (sectionText, bidText, maxChars = MAX_BID_CONTEXT_CHARS) => {
+    if (!bidText || bidText.length <= maxChars) return bidText || '';
+    const chunks = toBlocks(bidText, BID_CHUNK_CHARS).reduce((acc, block) => {
+        const last = acc[acc.length - 1];
+        if (last && last.length + block.length + 2 <= BID_CHUNK_CHARS) acc[acc.length - 1] = `${last}\n\n${block}`;
+        else acc.push(block);
+        return acc;
+    }, []);
+    const chunkTerms = chunks.map(c => new Set(tokenize(c)));
+    const docFreq = {};
+    chunkTerms.forEach(terms => terms.forEach(t => { docFreq[t] = (docFreq[t] || 0) + 1; }));
+    const sectionTerms = new Set(tokenize(sectionText));
+    const scored = chunks.map((chunk, i) => {
+        let score = 0;
+        sectionTerms.forEach(t => { if (chunkTerms[i].has(t)) score += Math.log(chunks.length / docFreq[t]) + 1; });
+        return { i, chunk, score };
+    }).sort((a, b) => b.score - a.score);
+
+    const picked = [];
+    let used = 0;
+    for (const item of scored) {
+        if (used + item.chunk.length + 5 > maxChars) continue;
+        picked.push(item);
+        used += item.chunk.length + 5;
+    }
+    return picked.sort((a, b) => a.i - b.i).map(p => p.chunk).join('\n\n[...]\n\n');
+};
+
+// --- MERGING ---
+
+const uniqueStrings = (lists, limit) => {
+    const seen = new Set();
+    const out = [];
+    lists.flat().forEach(item => {
+        if (typeof item !== 'string' || !item.trim()) return;
+        const key = normalizeRequirement(item);
+        if (seen.has(key)) return;
+        seen.add(key);
+        out.push(item.trim());
+    });
+    return limit ? out.slice(0, limit) : out;
+};
+
+const firstValue = (reports, key) => {
+    const hit = reports.find(r => typeof r[key] === 'string' && r[key].trim() && !/^(n\/a|unknown|not specified)$/i.test(r[key].trim()));
+    return hit ? hit[key] : (reports[0]?.[key] ?? '');
+};
+
+const leadingNumber = (value) => {
+    const match = String(value ?? '').match(/\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : 0;
+};
+
+// Clauses later addenda replaced or deleted, de-duplicated on the original text.
+const uniqueSuperseded = (lists) => {
+    const seen = new Set();
+    return lists.flat().filter(item => {
+        const key = normalizeRequirement(item?.originalText);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+const TEMPERATURE_RANK = { 'COLD LEAD': 0, 'WARM LEAD': 1, 'HOT LEAD': 2 };
+
+// A finding without a flag counts as NON-COMPLIANT, as in the summary counts.
+const FLAG_SEVERITY = { 'COMPLIANT': 0, 'PARTIAL': 1, 'NON-COMPLIANT': 2 };
+const flagOf = (finding) => (finding.flag in FLAG_SEVERITY ? finding.flag : 'NON-COMPLIANT');
+const hasBidEvidence = (finding) => Boolean(String(finding.bidEvidenceQuote || '').trim());
+
+// Positive when a should be kept over b: the more severe verdict, so a gap one section found is
+// never hidden by a pass in another; then the one quoting the bid; then the lower score.
+const compareDuplicates = (a, b) => FLAG_SEVERITY[flagOf(a)] - FLAG_SEVERITY[flagOf(b)]
+    || hasBidEvidence(a) - hasBidEvidence(b)
+    || (b.complianceScore || 0) - (a.complianceScore || 0);
+
+// Merges per-section reports: findings are de-duplicated on the normalised requirement text,
+// keeping the most severe verdict and listing the sections that judged it differently in
+// conflictingVerdicts, and the summary fields are recomputed. A report's sectionIndex is the
+// index of the RFQ section it covers; without one, its position in sectionReports is used.
+export const mergeSectionReports = (sectionReports) => {
+    const reports = sectionReports
+        .map((report, position) => report && { ...report, sectionIndex: report.sectionIndex ?? position })
+        .filter(Boolean);
+    if (reports.length === 0) return null;
+    if (reports.length === 1) {
+        const { sectionIndex, ...report } = reports[0];
+        return report;
+    }
+
+    const byRequirement = new Map();
+    reports.forEach(report => {
+        (report.findings || []).forEach(finding => {
+            const key = normalizeRequirement(finding.requirementFromRFQ);
+            if (!key) return;
+            if (!byRequirement.has(key)) byRequirement.set(key, []);
+            byRequirement.get(key).push({ ...finding, rfqSection: report.sectionIndex + 1 });
+        });
+    });
+    const findings = [...byRequirement.values()].map(duplicates => {
+        const kept = duplicates.reduce((best, finding) => (compareDuplicates(finding, best) > 0 ? finding : best));
+        const conflicting = duplicates.filter(finding => flagOf(finding) !== flagOf(kept));
+        if (conflicting.length === 0) return kept;
+        return { ...kept, conflictingVerdicts: conflicting.map(finding => ({ rfqSection: finding.rfqSection, flag: flagOf(finding), complianceScore: finding.complianceScore ?? null })) };
+    });
+
+    const counts = findings.reduce((acc, f) => { acc[flagOf(f)] += 1; return acc; }, { 'COMPLIANT': 0, 'PARTIAL': 0, 'NON-COMPLIANT': 0 });
+    const traps = reports.reduce((sum, r) => sum + leadingNumber(r.trapCount), 0);
+    const complexity = Math.max(...reports.map(r => leadingNumber(r.complexityScore)));
+    const weighted = reports.filter(r => typeof r.persuasionScore === 'number');
+    const weightTotal = weighted.reduce((sum, r) => sum + Math.max(1, (r.findings || []).length), 0);
+    const persuasionScore = weightTotal > 0
+        ? Math.round(weighted.reduce((sum, r) => sum + r.persuasionScore * Math.max(1, (r.findings || []).length), 0) / weightTotal)
+        : undefined;
+    const personaVotes = reports.reduce((acc, r) => { if (r.buyingPersona) acc[r.buyingPersona] = (acc[r.buyingPersona] || 0) + 1; return acc; }, {});
+    const temperatures = reports.map(r => r.leadTemperature).filter(t => t in TEMPERATURE_RANK);
+
+    return {
+        projectTitle: firstValue(reports, 'projectTitle'),
+        rfqScopeSummary: firstValue(reports, 'rfqScopeSummary'),
+        grandTotalValue: firstValue(reports, 'grandTotalValue'),
+        industryTag: firstValue(reports, 'industryTag'),
+        primaryRisk: firstValue(reports, 'primaryRisk'),
+        projectLocation: firstValue(reports, 'projectLocation'),
+        contractDuration: firstValue(reports, 'contractDuration'),
+        techKeywords: firstValue(reports, 'techKeywords'),
+        requiredCertifications: uniqueStrings(reports.map(r => String(r.requiredCertifications || '').split(/\s*[,;]\s*/))).join(', '),
+        buyingPersona: Object.entries(personaVotes).sort((a, b) => b[1] - a[1])[0]?.[0] || firstValue(reports, 'buyingPersona'),
+        complexityScore: complexity > 0 ? `${complexity}/10` : firstValue(reports, 'complexityScore'),
+        trapCount: `${traps} Critical Traps`,
+        // The weakest section decides how warm the lead really is.
+        leadTemperature: temperatures.sort((a, b) => TEMPERATURE_RANK[a] - TEMPERATURE_RANK[b])[0] || firstValue(reports, 'leadTemperature'),
+        generatedExecutiveSummary: reports[0].generatedExecutiveSummary,
+        persuasionScore,
+        toneAnalysis: firstValue(reports, 'toneAnalysis'),
+        weakWords: uniqueStrings(reports.map(r => r.weakWords || []), 3),
+        procurementVerdict: {
+            winningFactors: uniqueStrings(reports.map(r => r.procurementVerdict?.winningFactors || []), 3),
+            losingFactors: uniqueStrings(reports.map(r => r.procurementVerdict?.losingFactors || []), 3)
+        },
+        legalRiskAlerts: uniqueStrings(reports.map(r => r.legalRiskAlerts || [])),
+        submissionChecklist: uniqueStrings(reports.map(r => r.submissionChecklist || [])),
+        supersededRequirements: uniqueSuperseded(reports.map(r => r.supersededRequirements || [])),
+        executiveSummary: `Multi-pass audit across ${reports.length} RFQ sections identified ${findings.length} unique requirements: ${counts['COMPLIANT']} compliant, ${counts['PARTIAL']} partial and ${counts['NON-COMPLIANT']} non-compliant.`,
+        findings,
+        sectionCount: reports.length
+    };
+};
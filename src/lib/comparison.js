@@ -0,0 +1,50 @@
+// --- MULTI-BID COMPARISON ---
+// One RFQ audited against N bids: requirements from every bid report are aligned into
+// rows (fuzzy, since the model words them slightly differently per bid), giving a
+// requirement-by-bid matrix plus a ranked summary.
+
+import { matchRequirements } from './matching.js';
+import { getReportScore, SCORE_STATUS } from './scoring.js';
+
+export const buildComparisonMatrix = (bids) => {
+    const rows = [];
+    bids.forEach((bid, bidIndex) => {
+        const findings = bid.report?.findings || [];
+        const matched = matchRequirements(findings.map(f => f.requirementFromRFQ), rows.map(r => r.requirement));
+        findings.forEach((finding, i) => {
+            const cell = { flag: finding.flag, complianceScore: finding.complianceScore, findingIndex: i };
+            if (matched.has(i)) {
+                rows[matched.get(i)].cells[bidIndex] = cell;
+            } else {
+                const cells = new Array(bids.length).fill(null);
+                cells[bidIndex] = cell;
+                rows.push({ requirement: finding.requirementFromRFQ, category: finding.category || 'OTHER', cells });
+            }
+        });
+    });
+    return rows;
+};
+
+// Bids ranked by weighted score (raw percentage when no profile is set); knocked-out
+// bids sink below every eligible bid, ties broken on fewer NON-COMPLIANT findings.
+export const rankBids = (bids) => bids
+    .map((bid, bidIndex) => {
+        const findings = bid.report?.findings || [];
+        const score = getReportScore(bid.report || {});
+        return {
+            bidIndex,
+            name: bid.name,
+            percentage: score.rawPercentage,
+            weightedPercentage: score.weightedPercentage,
+            status: score.status,
+            knockedOut: score.status === SCORE_STATUS.KNOCKED_OUT,
+            nonCompliant: findings.filter(f => f.flag === 'NON-COMPLIANT').length,
+            partial: findings.filter(f => f.flag === 'PARTIAL').length,
+            requirementCount: findings.length,
+            error: bid.error || null
+        };
+    })
+    .sort((a, b) => (a.error ? 1 : 0) - (b.error ? 1 : 0)
+        || (a.knockedOut ? 1 : 0) - (b.knockedOut ? 1 : 0)
+        || b.weightedPercentage - a.weightedPercentage
+        || a.nonCompliant - b.nonCompliant);
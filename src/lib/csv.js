@@ -0,0 +1,52 @@
+// --- CSV (RFC 4180) ---
+// Quoted fields with doubled quotes, embedded newlines and CRLF row endings. Files carry a
+// UTF-8 BOM so Excel opens non-ASCII text correctly. Text cells that would start a formula
+// are prefixed with an apostrophe (CSV injection guard); parseCsv strips it again.
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `rows` is an array of arrays; the first row is normally the header.
+export const toCsv = (rows) => rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+// Array-of-objects convenience: keys of the first object become the header row.
+export const objectsToCsv = (objects) => {
+    if (!objects.length) return '';
+    const headers = Object.keys(objects[0]);
+    return toCsv([headers, ...objects.map(o => headers.map(h => o[h]))]);
+};
+
+export const csvBlob = (csvText) => new Blob(['\uFEFF', csvText], { type: 'text/csv;charset=utf-8' });
+
+export const parseCsv = (text) => {
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const endCell = () => {
+        row.push(/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+        cell = '';
+    };
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"' && cell === '') quoted = true;
+        else if (ch === ',') endCell();
+        else if (ch === '\r' || ch === '\n') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            endCell(); rows.push(row); row = [];
+        } else cell += ch;
+    }
+    if (cell !== '' || row.length > 0) { endCell(); rows.push(row); }
+    return rows;
+};
@@ -0,0 +1,251 @@
+// --- SOURCE DOCUMENT MODEL ---
+// processFile turns every upload into { name, text, segments }. `text` is what the model
+// sees: each page (PDF), paragraph (DOCX/TXT/HTML/EML), spreadsheet row or slide is prefixed
+// with a marker such as "[Page 12]", "[¶ 45]" or "[pricing.xlsx › Sheet "BoQ" › Row 7]" so
+// findings can cite it. `segments` keeps the character offsets of each part inside `text` so
+// citations can be verified and highlighted.
+
+export const SEGMENT = { PAGE: 'page', PARAGRAPH: 'paragraph', ROW: 'row', SLIDE: 'slide', HEADER: 'header' };
+
+export const segmentLabel = (kind, number) => {
+    if (kind === SEGMENT.PAGE) return `Page ${number}`;
+    if (kind === SEGMENT.SLIDE) return `Slide ${number}`;
+    if (kind === SEGMENT.ROW) return `Row ${number}`;
+    return `¶ ${number}`;
+};
+
+// `parts` are either plain strings of one `kind` (numbered in order), or labelled parts
+// { kind, number, label, text, source } from the extractors; `source` names the file inside
+// a ZIP package or email the part came from. Empty labelled parts and paragraphs are dropped.
+export const buildDocument = (name, parts, kind = SEGMENT.PARAGRAPH) => {
+    let text = '';
+    const segments = [];
+    parts.forEach((part, i) => {
+        const isLabelled = part !== null && typeof part === 'object';
+        const content = ((isLabelled ? part.text : part) || '').trim();
+        if ((isLabelled || kind === SEGMENT.PARAGRAPH) && !content) return;
+        const segmentKind = isLabelled ? part.kind : kind;
+        const number = isLabelled ? part.number : kind === SEGMENT.PAGE ? i + 1 : segments.length + 1;
+        const label = isLabelled ? part.label : segmentLabel(kind, number);
+        text += `[${label}]\n`;
+        const segment = { kind: segmentKind, number, label, start: text.length, end: text.length + content.length };
+        if (isLabelled && part.source) segment.source = part.source;
+        segments.push(segment);
+        text += content + '\n\n';
+    });
+    return { name, text, segments };
+};
+
+// Plain text and DOCX raw text only carry paragraph breaks, so they become ¶ segments.
+// Files without blank-line paragraph breaks fall back to one segment per line.
+export const splitParagraphs = (rawText) => {
+    const text = (rawText || '').replace(/\r\n/g, '\n');
+    const blocks = text.split(/\n\s*\n/);
+    return blocks.length > 1 ? blocks : text.split('\n');
+};
+
+// --- CLAUSE NUMBERS ---
+// Structured extraction keeps clause numbers at the start of their line ("4.2.3 The
+// contractor shall..."), so the clause governing any offset is the nearest one above it.
+// A new source file resets the clause, so a package never inherits numbering across files.
+const CLAUSE_LINE = /^[ \t]*(?:#{1,6}[ \t]+)?((?:clause|section|article)[ \t]+\d{1,3}(?:\.\d{1,3})*|\d{1,3}(?:\.\d{1,3})+)\.?(?=[ \t)])/gim;
+const HEADING_LINE = /^[ \t]*#{1,6}[ \t]+/gm;
+
+const getClauses = (document) => {
+    if (document._clauses) return document._clauses;
+    const clauses = [];
+    let source;
+    document.segments.forEach(seg => {
+        if (seg.source !== source) { clauses.push({ number: null, start: seg.start }); source = seg.source; }
+        const content = document.text.slice(seg.start, seg.end);
+        let match;
+        CLAUSE_LINE.lastIndex = 0;
+        const found = [];
+        while ((match = CLAUSE_LINE.exec(content)) !== null) found.push({ number: match[1].replace(/\s+/g, ' '), start: seg.start + match.index });
+        // An unnumbered heading ends the previous clause.
+        HEADING_LINE.lastIndex = 0;
+        while ((match = HEADING_LINE.exec(content)) !== null) {
+            const start = seg.start + match.index;
+            if (!found.some(clause => clause.start === start)) found.push({ number: null, start });
+        }
+        clauses.push(...found.sort((a, b) => a.start - b.start));
+    });
+    Object.defineProperty(document, '_clauses', { value: clauses, enumerable: false });
+    return clauses;
+};
+
+export const clauseAt = (document, offset) => {
+    let number = null;
+    for (const clause of getClauses(document)) {
+        if (clause.start > offset) break;
+        number = clause.number;
+    }
+    return number;
+};
+
+// Clause a finding cites: the one found in the source text, else the model's own reference.
+export const getClauseRef = (finding) => finding?.rfqCitation?.clause || finding?.rfqClauseRef || '';
+
+// --- PASSAGE LOCATION ---
+const WORD = /[a-z0-9]/i;
+
+// Normalised (lower-case, punctuation-free, single-spaced) view of the segment contents,
+// with a map from every normalised character back to its offset in document.text.
+// Markers are skipped, so a passage that runs across a page break still matches.
+const getIndex = (document) => {
+    if (document._index) return document._index;
+    let normalized = '';
+    const offsets = [];
+    document.segments.forEach(seg => {
+        let pendingSpace = normalized.length > 0;
+        for (let i = seg.start; i < seg.end; i++) {
+            const ch = document.text[i];
+            if (WORD.test(ch)) {
+                if (pendingSpace) { normalized += ' '; offsets.push(i); pendingSpace = false; }
+                normalized += ch.toLowerCase();
+                offsets.push(i);
+            } else {
+                pendingSpace = normalized.length > 0;
+            }
+        }
+    });
+    Object.defineProperty(document, '_index', { value: { normalized, offsets }, enumerable: false });
+    return document._index;
+};
+
+const normalize = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const tokens = (text) => normalize(text).split(' ').filter(t => t.length > 2);
+
+// Sentence token sets for the overlap fallback, built once per document.
+const getSentences = (document) => {
+    if (document._sentences) return document._sentences;
+    const sentences = [];
+    const sentencePattern = /[^.!?\n]+[.!?]?/g;
+    document.segments.forEach(seg => {
+        const content = document.text.slice(seg.start, seg.end);
+        let match;
+        while ((match = sentencePattern.exec(content)) !== null) {
+            const sentenceTokens = new Set(tokens(match[0]));
+            if (sentenceTokens.size > 0) sentences.push({ start: seg.start + match.index, end: seg.start + match.index + match[0].length, tokens: sentenceTokens });
+        }
+    });
+    Object.defineProperty(document, '_sentences', { value: sentences, enumerable: false });
+    return sentences;
+};
+
+const segmentAt = (document, offset) => document.segments.findIndex(seg => offset >= seg.start && offset <= seg.end);
+
+const toLocation = (document, start, end, matchType) => {
+    const segmentIndex = segmentAt(document, start);
+    if (segmentIndex < 0) return null;
+    return { label: document.segments[segmentIndex].label, segmentIndex, start, end, matchType };
+};
+
+// Finds where a quoted passage sits in the document. Tries an exact (normalised) match,
+// then the passage's opening words, then the best-overlapping sentence.
+export const locatePassage = (document, passage) => {
+    if (!document || !passage) return null;
+    const needle = normalize(passage);
+    if (needle.length < 8) return null;
+    const { normalized, offsets } = getIndex(document);
+
+    let at = normalized.indexOf(needle);
+    if (at >= 0) return toLocation(document, offsets[at], offsets[at + needle.length - 1] + 1, 'exact');
+
+    const opening = needle.split(' ').slice(0, 8).join(' ');
+    if (opening.length >= 24) {
+        at = normalized.indexOf(opening);
+        if (at >= 0) {
+            const endAt = Math.min(at + needle.length, normalized.length) - 1;
+            return toLocation(document, offsets[at], offsets[endAt] + 1, 'partial');
+        }
+    }
+
+    const wanted = new Set(tokens(passage));
+    if (wanted.size < 3) return null;
+    let best = null;
+    getSentences(document).forEach(sentence => {
+        let hits = 0;
+        wanted.forEach(t => { if (sentence.tokens.has(t)) hits += 1; });
+        const score = hits / wanted.size;
+        if (!best || score > best.score) best = { score, start: sentence.start, end: sentence.end };
+    });
+    return best && best.score >= 0.6 ? toLocation(document, best.start, best.end, 'approximate') : null;
+};
+
+const normalizeRef = (text) => String(text || '').toLowerCase().replace(/[[\]"'“”]/g, '').replace(/\s*(?:›|>|\/|,)\s*/g, ' › ').replace(/\s+/g, ' ').trim();
+
+// True when `needle` occurs in `haystack` on word boundaries, so "page 1" does not match "page 12".
+const containsRef = (haystack, needle) => {
+    let at = haystack.indexOf(needle);
+    while (at >= 0) {
+        const before = haystack[at - 1];
+        const after = haystack[at + needle.length];
+        if ((!before || !WORD.test(before)) && (!after || !WORD.test(after))) return true;
+        at = haystack.indexOf(needle, at + 1);
+    }
+    return false;
+};
+
+const REF_PATTERNS = [
+    { kind: SEGMENT.PAGE, pattern: /(?:page|pg|p\.)\s*(\d+)/i },
+    { kind: SEGMENT.PARAGRAPH, pattern: /(?:¶|para(?:graph)?\.?)\s*(\d+)/i },
+    { kind: SEGMENT.SLIDE, pattern: /slide\s*(\d+)/i },
+    { kind: SEGMENT.ROW, pattern: /row\s*(\d+)/i }
+];
+
+// Resolves a model-supplied reference such as "Page 12", "p. 12", "¶ 45" or a full package
+// label ("specs.pdf › Page 4") to a segment. A label quoted back verbatim wins (the most
+// specific one if several match); otherwise kind + number, preferring the file the reference names.
+export const parseSegmentRef = (document, ref) => {
+    if (!document || !ref) return -1;
+    const wanted = normalizeRef(ref);
+    let best = -1;
+    document.segments.forEach((seg, i) => {
+        const label = normalizeRef(seg.label);
+        if (containsRef(wanted, label) && (best < 0 || label.length > normalizeRef(document.segments[best].label).length)) best = i;
+    });
+    if (best >= 0) return best;
+
+    for (const { kind, pattern } of REF_PATTERNS) {
+        const match = String(ref).match(pattern);
+        if (!match) continue;
+        const number = parseInt(match[1], 10);
+        const candidates = document.segments.map((seg, i) => ({ seg, i })).filter(({ seg }) => seg.kind === kind && seg.number === number);
+        if (candidates.length === 0) continue;
+        const named = candidates.find(({ seg }) => seg.source && wanted.includes(seg.source.toLowerCase()));
+        return (named || candidates[0]).i;
+    }
+    return -1;
+};
+
+const withClause = (document, citation) => {
+    const clause = clauseAt(document, citation.start);
+    return clause ? { ...citation, clause } : citation;
+};
+
+// Checks the model's citation against the extracted text. A located passage wins over
+// the model's reference; an unverifiable reference is kept but flagged. Located citations
+// also carry the clause number in force at that point of the document, when there is one.
+export const buildCitation = (document, passages, modelRef) => {
+    if (!document) return modelRef ? { label: modelRef, verified: false } : null;
+    for (const passage of passages) {
+        const location = locatePassage(document, passage);
+        if (location) {
+            const refIndex = parseSegmentRef(document, modelRef);
+            return withClause(document, { ...location, verified: location.matchType !== 'approximate', corrected: refIndex >= 0 && refIndex !== location.segmentIndex });
+        }
+    }
+    const refIndex = parseSegmentRef(document, modelRef);
+    if (refIndex >= 0) {
+        const seg = document.segments[refIndex];
+        return withClause(document, { label: seg.label, segmentIndex: refIndex, start: seg.start, end: seg.end, matchType: 'reference', verified: false });
+    }
+    return null;
+};
+
+export const attachCitations = (findings, rfqDoc, bidDoc) => (findings || []).map(finding => ({
+    ...finding,
+    rfqCitation: buildCitation(rfqDoc, [finding.requirementFromRFQ], finding.rfqPageRef),
+    bidCitation: buildCitation(bidDoc, [finding.bidEvidenceQuote, finding.bidResponseSummary], finding.bidPageRef)
+}));
@@ -0,0 +1,169 @@
+// --- DOCX EXPORT ---
+// Builds a Word compliance matrix entirely in the browser (no server): executive summary,
+// findings table, legal risk alerts and submission checklist, with the bidder's company
+// name and logo in every page header. Loaded on demand so `docx` stays out of the main bundle.
+
+import {
+    Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType,
+    ShadingType, BorderStyle, Header, Footer, ImageRun, AlignmentType, PageOrientation, PageNumber
+} from 'docx';
+import { getReportScore } from './scoring.js';
+import { downloadBlob, safeFileName } from './download.js';
+import { CHANGE_TYPE } from './addenda.js';
+import { getClauseRef } from './documents.js';
+
+const FONT = 'Calibri';
+const BRAND_COLOR = '1F3864';
+const FLAG_FILLS = { 'COMPLIANT': 'C6EFCE', 'PARTIAL': 'FFEB9C', 'NON-COMPLIANT': 'FFC7CE' };
+const CELL_BORDER = { style: BorderStyle.SINGLE, size: 4, color: 'A6A6A6' };
+const CELL_BORDERS = { top: CELL_BORDER, bottom: CELL_BORDER, left: CELL_BORDER, right: CELL_BORDER };
+
+const MATRIX_COLUMNS = [
+    { title: '#', width: 4 },
+    { title: 'Clause', width: 7 },
+    { title: 'RFQ Requirement', width: 22 },
+    { title: 'Bid Response', width: 20 },
+    { title: 'Flag', width: 11 },
+    { title: 'Score', width: 6 },
+    { title: 'Category', width: 9 },
+    { title: 'Negotiation Stance', width: 21 }
+];
+
+const dataUrlToBytes = (dataUrl) => {
+    const binary = atob(dataUrl.split(',')[1] || '');
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+};
+
+const IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/jpg': 'jpg', 'image/gif': 'gif', 'image/bmp': 'bmp' };
+
+const buildHeader = ({ companyName, logo }) => {
+    const children = [];
+    if (logo?.dataUrl && IMAGE_TYPES[logo.type]) {
+        const height = 40;
+        const width = Math.round(height * ((logo.width || 1) / (logo.height || 1)));
+        children.push(new ImageRun({ type: IMAGE_TYPES[logo.type], data: dataUrlToBytes(logo.dataUrl), transformation: { width, height } }));
+        children.push(new TextRun({ text: '   ' }));
+    }
+    if (companyName) children.push(new TextRun({ text: companyName, bold: true, size: 28, color: BRAND_COLOR, font: FONT }));
+    return new Header({
+        children: [new Paragraph({
+            children,
+            border: { bottom: { style: BorderStyle.SINGLE, size: 8, color: BRAND_COLOR, space: 4 } }
+        })]
+    });
+};
+
+const buildFooter = () => new Footer({
+    children: [new Paragraph({
+        alignment: AlignmentType.RIGHT,
+        children: [new TextRun({ children: ['Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES], size: 16, color: '7F7F7F', font: FONT })]
+    })]
+});
+
+const cell = (text, { header = false, fill, width } = {}) => new TableCell({
+    width: width ? { size: width, type: WidthType.PERCENTAGE } : undefined,
+    borders: CELL_BORDERS,
+    shading: header ? { type: ShadingType.CLEAR, color: 'auto', fill: BRAND_COLOR } : fill ? { type: ShadingType.CLEAR, color: 'auto', fill } : undefined,
+    margins: { top: 60, bottom: 60, left: 80, right: 80 },
+    children: String(text ?? '').split('\n').map(line => new Paragraph({
+        children: [new TextRun({ text: line, bold: header, color: header ? 'FFFFFF' : undefined, size: header ? 18 : 17, font: FONT })]
+    }))
+});
+
+const buildMatrixTable = (findings) => new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+        new TableRow({ tableHeader: true, children: MATRIX_COLUMNS.map(col => cell(col.title, { header: true, width: col.width })) }),
+        ...findings.map((f, i) => new TableRow({
+            cantSplit: true,
+            children: [
+                cell(i + 1, { fill: i % 2 ? 'F2F2F2' : undefined }),
+                cell(getClauseRef(f), { fill: i % 2 ? 'F2F2F2' : undefined }),
+                cell(f.requirementFromRFQ, { fill: i % 2 ? 'F2F2F2' : undefined }),
+                cell(f.bidResponseSummary, { fill: i % 2 ? 'F2F2F2' : undefined }),
+                cell(f.flag, { fill: FLAG_FILLS[f.flag] }),
+                cell(f.complianceScore, { fill: i % 2 ? 'F2F2F2' : undefined }),
+                cell(f.category || 'OTHER', { fill: i % 2 ? 'F2F2F2' : undefined }),
+                cell(f.negotiationStance || '', { fill: i % 2 ? 'F2F2F2' : undefined })
+            ]
+        }))
+    ]
+});
+
+const heading = (text, level = HeadingLevel.HEADING_1) => new Paragraph({ text, heading: level, spacing: { before: 240, after: 120 } });
+const body = (text) => String(text || '').split(/\n+/).filter(Boolean).map(p => new Paragraph({ children: [new TextRun({ text: p, font: FONT })], spacing: { after: 120 } }));
+const bullets = (items, emptyText) => items?.length
+    ? items.map(item => new Paragraph({ children: [new TextRun({ text: item, font: FONT })], bullet: { level: 0 } }))
+    : [new Paragraph({ children: [new TextRun({ text: emptyText, italics: true, color: '7F7F7F', font: FONT })] })];
+
+export const buildComplianceDocx = (report, branding = {}, meta = {}) => {
+    const findings = report.findings || [];
+    const score = getReportScore(report);
+    const header = buildHeader(branding);
+    const footer = buildFooter();
+    const headers = { default: header };
+    const footers = { default: footer };
+
+    const summary = [
+        new Paragraph({ text: `Compliance Matrix: ${report.projectTitle || meta.rfqName || 'Untitled RFQ'}`, heading: HeadingLevel.TITLE }),
+        ...[
+            ['RFQ', meta.rfqName || report.rfqName],
+            ['Bid', meta.bidName || report.bidName],
+            ['Prepared', new Date().toLocaleDateString()],
+            ['Compliance Score', `${score.weightedPercentage}% weighted (${score.profileName}) / ${score.rawPercentage}% raw`]
+        ].filter(([, value]) => value).map(([label, value]) => new Paragraph({
+            children: [new TextRun({ text: `${label}: `, bold: true, font: FONT }), new TextRun({ text: String(value), font: FONT })]
+        })),
+        heading('Executive Summary'),
+        ...body(report.generatedExecutiveSummary || report.executiveSummary),
+        ...(report.generatedExecutiveSummary && report.executiveSummary ? [heading('Audit Summary', HeadingLevel.HEADING_2), ...body(report.executiveSummary)] : [])
+    ];
+
+    const closing = [
+        heading('Legal Risk Alerts'),
+        ...bullets(report.legalRiskAlerts, 'No legal risks flagged.'),
+        heading('Submission Checklist'),
+        ...bullets(report.submissionChecklist, 'No required attachments identified.'),
+        ...(report.rfqDocuments?.length ? [
+            heading('RFQ Documents and Addenda'),
+            ...bullets(report.rfqDocuments.map(d => `${d.name}${d.precedence === 0 ? ' (base RFQ)' : ` (addendum ${d.precedence})`}`)),
+            heading('Superseded Requirements', HeadingLevel.HEADING_2),
+            ...bullets((report.supersededRequirements || []).map(item => `${item.changeType === CHANGE_TYPE.DELETED ? 'Deleted' : 'Replaced'} by ${item.changedBy}: "${item.originalText}"${item.replacementText ? ` → "${item.replacementText}"` : ''}${item.bidAddressesOriginal ? ' (bid still answers the old wording)' : ''}`), 'No clauses were changed or deleted by addenda.')
+        ] : []),
+        ...(report.coverage?.gaps?.length ? [
+            heading('Unmatched RFQ Statements'),
+            ...body(`${report.coverage.gaps.length} statement(s) found by the local requirement scan are not covered by any finding above. Check them manually.`),
+            ...bullets(report.coverage.gaps.map(gap => `${gap.clause ? `${gap.clause} ` : ''}${gap.text}`))
+        ] : [])
+    ];
+
+    return new Document({
+        creator: branding.companyName || 'SmartBids',
+        title: `Compliance Matrix - ${report.projectTitle || meta.rfqName || ''}`,
+        styles: {
+            default: { document: { run: { font: FONT, size: 21 } } },
+            paragraphStyles: [
+                { id: 'Title', name: 'Title', basedOn: 'Normal', next: 'Normal', run: { size: 40, bold: true, color: BRAND_COLOR, font: FONT }, paragraph: { spacing: { after: 240 } } },
+                { id: 'Heading1', name: 'Heading 1', basedOn: 'Normal', next: 'Normal', quickFormat: true, run: { size: 30, bold: true, color: BRAND_COLOR, font: FONT } },
+                { id: 'Heading2', name: 'Heading 2', basedOn: 'Normal', next: 'Normal', quickFormat: true, run: { size: 24, bold: true, color: '2E74B5', font: FONT } }
+            ]
+        },
+        sections: [
+            { headers, footers, children: summary },
+            {
+                // The matrix gets a landscape section so seven columns stay readable.
+                properties: { page: { size: { orientation: PageOrientation.LANDSCAPE } } },
+                headers, footers,
+                children: [heading(`Compliance Matrix (${findings.length} requirements)`), buildMatrixTable(findings)]
+            },
+            { headers, footers, children: closing }
+        ]
+    });
+};
+
+export const exportReportToDocx = async (report, branding, meta) => {
+    const blob = await Packer.toBlob(buildComplianceDocx(report, branding, meta));
+    downloadBlob(blob, `${safeFileName(report.projectTitle || meta?.rfqName, 'compliance_report')}_compliance_matrix.docx`);
+};
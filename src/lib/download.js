@@ -0,0 +1,12 @@
+// --- FILE DOWNLOAD ---
+
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link); link.click(); document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const safeFileName = (name, fallback = 'report') => (name || fallback).replace(/[^a-z0-9\-_]+/gi, '_').slice(0, 60);
@@ -0,0 +1,124 @@
+// --- EMAIL (.eml) PARSING ---
+// Minimal RFC 5322 / MIME reader for emailed tender clarifications: headers (with encoded
+// words), multipart bodies, base64 / quoted-printable transfer encodings, charsets, and
+// attachments, which the extractor then processes like any other uploaded file.
+
+const bytesToBinaryString = (bytes) => {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return out;
+};
+
+const binaryStringToBytes = (text) => {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+    return bytes;
+};
+
+const decodeCharset = (bytes, charset) => {
+    try { return new TextDecoder(charset || 'utf-8').decode(bytes); }
+    catch { return new TextDecoder('utf-8').decode(bytes); }
+};
+
+const decodeBase64 = (text) => binaryStringToBytes(atob(text.replace(/[^A-Za-z0-9+/=]/g, '')));
+
+const decodeQuotedPrintable = (text) => binaryStringToBytes(text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+
+// "=?utf-8?B?...?=" and "=?iso-8859-1?Q?...?=" header words.
+const decodeEncodedWords = (value) => value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, text) => {
+        const bytes = encoding.toUpperCase() === 'B' ? decodeBase64(text) : decodeQuotedPrintable(text.replace(/_/g, ' '));
+        return decodeCharset(bytes, charset);
+    });
+
+const splitHeadersAndBody = (raw) => {
+    const match = raw.match(/\r?\n\r?\n/);
+    if (!match) return { headerBlock: raw, body: '' };
+    return { headerBlock: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) };
+};
+
+const parseHeaders = (block) => {
+    const headers = {};
+    block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+        const at = line.indexOf(':');
+        if (at <= 0) return;
+        const name = line.slice(0, at).trim().toLowerCase();
+        if (!(name in headers)) headers[name] = line.slice(at + 1).trim();
+    });
+    return headers;
+};
+
+// "text/plain; charset=utf-8; name*=UTF-8''r%C3%A9sum%C3%A9.pdf" -> { value, params }.
+const parseHeaderValue = (header = '') => {
+    const [value, ...rest] = header.split(';');
+    const params = {};
+    rest.forEach(param => {
+        const at = param.indexOf('=');
+        if (at < 0) return;
+        let key = param.slice(0, at).trim().toLowerCase();
+        let paramValue = param.slice(at + 1).trim().replace(/^"(.*)"$/, '$1');
+        const extended = key.match(/^([^*]+)\*(\d+)?\*?$/);
+        if (extended) {
+            key = extended[1];
+            const encoded = paramValue.match(/^([^']*)'[^']*'(.*)$/);
+            try { paramValue = encoded ? decodeURIComponent(encoded[2]) : decodeURIComponent(paramValue); } catch { /* keep raw */ }
+            params[key] = (params[key] && extended[2] && extended[2] !== '0' ? params[key] : '') + paramValue;
+        } else {
+            params[key] = decodeEncodedWords(paramValue);
+        }
+    });
+    return { value: value.trim().toLowerCase(), params };
+};
+
+const decodeTransfer = (body, encoding = '') => {
+    const kind = encoding.trim().toLowerCase();
+    if (kind === 'base64') return decodeBase64(body);
+    if (kind === 'quoted-printable') return decodeQuotedPrintable(body);
+    return binaryStringToBytes(body);
+};
+
+const walkPart = (raw, result) => {
+    const { headerBlock, body } = splitHeadersAndBody(raw);
+    const headers = parseHeaders(headerBlock);
+    const contentType = parseHeaderValue(headers['content-type'] || 'text/plain');
+    const disposition = parseHeaderValue(headers['content-disposition'] || '');
+    const filename = disposition.params.filename || contentType.params.name;
+
+    if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+        const boundary = `--${contentType.params.boundary}`;
+        body.split(boundary).slice(1).forEach(section => {
+            if (section.startsWith('--')) return; // closing delimiter
+            walkPart(section.replace(/^\r?\n/, ''), result);
+        });
+        return;
+    }
+    const bytes = decodeTransfer(body, headers['content-transfer-encoding']);
+    if (contentType.value === 'message/rfc822') {
+        result.attachments.push({ filename: filename || 'forwarded-message.eml', contentType: contentType.value, data: bytes });
+    } else if (disposition.value === 'attachment' || (filename && !contentType.value.startsWith('text/'))) {
+        result.attachments.push({ filename: filename || 'attachment', contentType: contentType.value, data: bytes });
+    } else if (contentType.value === 'text/html') {
+        result.html.push(decodeCharset(bytes, contentType.params.charset));
+    } else if (contentType.value.startsWith('text/')) {
+        result.text.push(decodeCharset(bytes, contentType.params.charset));
+    }
+};
+
+// Returns { headers: { from, to, cc, date, subject }, text, html, attachments: [{ filename, contentType, data }] }.
+export const parseEml = (buffer) => {
+    const raw = bytesToBinaryString(new Uint8Array(buffer));
+    const { headerBlock } = splitHeadersAndBody(raw);
+    const headers = parseHeaders(headerBlock);
+    const result = { text: [], html: [], attachments: [] };
+    walkPart(raw, result);
+    const pick = (name) => headers[name] ? decodeEncodedWords(decodeCharset(binaryStringToBytes(headers[name]), 'utf-8')) : '';
+    return {
+        headers: { from: pick('from'), to: pick('to'), cc: pick('cc'), date: pick('date'), subject: pick('subject') },
+        text: result.text.join('\n\n'),
+        html: result.html.join('\n'),
+        attachments: result.attachments
+    };
+};
@@ -0,0 +1,251 @@
+// --- TEXT EXTRACTION ---
+// Turns an upload into labelled parts ({ kind, number, label, text, source }) for buildDocument.
+// ZIP packages and email attachments are unpacked and every inner file is extracted on its
+// own, with its path prefixed to each label ("specs.pdf › Page 4") so findings cite the file.
+
+import { SEGMENT, segmentLabel, splitParagraphs } from './documents.js';
+import { needsOcr, createPdfOcr } from './ocr.js';
+import { parseEml } from './eml.js';
+import { htmlToBlocks, pdfItemsToBlocks, renderBlock, renderBlocks } from './structure.js';
+import { throwIfCancelled, isCancellation } from './auditQueue.js';
+
+export const SUPPORTED_EXTENSIONS = ['txt', 'pdf', 'docx', 'xlsx', 'xls', 'csv', 'pptx', 'html', 'htm', 'eml', 'zip'];
+export const ACCEPTED_FILE_TYPES = SUPPORTED_EXTENSIONS.map(ext => `.${ext}`).join(',');
+
+const MAX_PACKAGE_DEPTH = 3;
+const MAX_PACKAGE_BYTES = 200 * 1024 * 1024; // uncompressed, guards against zip bombs
+const LABEL_SEPARATOR = ' › ';
+const DRAWINGML_NS = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+
+export const getExtension = (name) => (String(name).split('.').pop() || '').toLowerCase();
+const baseName = (path) => path.split('/').pop();
+
+const emptyResult = () => ({ parts: [], ocrPages: [], emptyPages: [], ocrErrors: [], skipped: [] });
+
+const decodeText = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes);
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes);
+    return new TextDecoder('utf-8').decode(bytes);
+};
+
+const paragraphParts = (rawText) => splitParagraphs(rawText)
+    .map(text => text.trim())
+    .filter(Boolean)
+    .map((text, i) => ({ kind: SEGMENT.PARAGRAPH, number: i + 1, label: segmentLabel(SEGMENT.PARAGRAPH, i + 1), text }));
+
+// One ¶ segment per structural block; a table stays whole in a single segment.
+const blockParts = (blocks) => blocks.map((block, i) => ({ kind: SEGMENT.PARAGRAPH, number: i + 1, label: segmentLabel(SEGMENT.PARAGRAPH, i + 1), text: renderBlock(block) }));
+
+const loadZip = async (buffer) => {
+    const { default: JSZip } = await import('jszip');
+    return JSZip.loadAsync(buffer);
+};
+
+const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+// --- PDF (text layer, OCR for scanned pages) ---
+const extractPdf = async (name, buffer, { onProgress, signal }) => {
+    if (typeof window.pdfjsLib === 'undefined') throw new Error('PDF lib not loaded.');
+    const result = emptyResult();
+    const pdf = await window.pdfjsLib.getDocument({ data: new Uint8Array(buffer) }).promise;
+    let ocr = null;
+    let ocrError = null;
+    try {
+        for (let i = 1; i <= pdf.numPages; i++) {
+            throwIfCancelled(signal);
+            if (onProgress) onProgress(`Reading ${baseName(name)}: page ${i} of ${pdf.numPages}...`);
+            const page = await pdf.getPage(i);
+            const textContent = await page.getTextContent();
+            let text = renderBlocks(pdfItemsToBlocks(textContent.items));
+            const label = segmentLabel(SEGMENT.PAGE, i);
+            // Scanned page: render it and OCR it locally, keep whichever text is longer.
+            if (needsOcr(text) && !ocrError) {
+                try {
+                    if (!ocr) ocr = createPdfOcr(onProgress);
+                    const recognized = await ocr.recognizePage(page, `OCR ${name}: page ${i} of ${pdf.numPages}`);
+                    if (recognized.text.trim().length > text.trim().length) {
+                        text = recognized.text;
+                        result.ocrPages.push({ page: i, label, confidence: recognized.confidence });
+                    }
+                } catch (e) {
+                    console.error('OCR failed:', e);
+                    ocrError = `OCR unavailable for ${name} (${e.message || e}); scanned pages were left unread.`;
+                    result.ocrErrors.push(ocrError);
+                }
+            }
+            if (needsOcr(text)) result.emptyPages.push(label);
+            result.parts.push({ kind: SEGMENT.PAGE, number: i, label, text });
+        }
+    } finally {
+        if (ocr) await ocr.terminate();
+        pdf.destroy();
+    }
+    return result;
+};
+
+// --- DOCX ---
+// mammoth's HTML keeps Word headings, numbered lists and tables, which raw text flattens.
+const extractDocx = async (buffer) => {
+    if (typeof window.mammoth === 'undefined') throw new Error('DOCX lib not loaded.');
+    const converted = await window.mammoth.convertToHtml({ arrayBuffer: buffer });
+    return blockParts(htmlToBlocks(converted.value));
+};
+
+// --- SPREADSHEETS (XLSX / XLS / CSV) ---
+// One part per non-empty row, cells keyed by the sheet's header row ("Qty: 40 | Unit: m3")
+// so pricing schedules and bills of quantities stay readable line by line.
+const extractSpreadsheet = async (data, readOptions) => {
+    const XLSX = await import('xlsx');
+    const book = XLSX.read(data, readOptions);
+    const parts = [];
+    book.SheetNames.forEach(sheetName => {
+        const sheet = book.Sheets[sheetName];
+        if (!sheet['!ref']) return;
+        const firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r + 1;
+        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true });
+        const headerIndex = rows.findIndex(row => row.some(cell => String(cell).trim()));
+        if (headerIndex === -1) return;
+        const headers = rows[headerIndex].map(cell => String(cell).trim());
+        const sheetLabel = `Sheet "${sheetName}"`;
+        rows.forEach((row, index) => {
+            if (index < headerIndex) return;
+            const cells = row.map((cell, c) => {
+                const value = String(cell).trim();
+                if (!value) return null;
+                return index > headerIndex && headers[c] ? `${headers[c]}: ${value}` : value;
+            }).filter(Boolean);
+            if (cells.length === 0) return;
+            const rowNumber = firstRow + index;
+            parts.push({ kind: SEGMENT.ROW, number: rowNumber, label: `${sheetLabel}${LABEL_SEPARATOR}${segmentLabel(SEGMENT.ROW, rowNumber)}`, text: cells.join(' | ') });
+        });
+    });
+    return parts;
+};
+
+// --- PPTX ---
+const readRelationships = async (zip, relsPath) => {
+    const file = zip.file(relsPath);
+    if (!file) return [];
+    const xml = parseXml(await file.async('string'));
+    return Array.from(xml.getElementsByTagName('Relationship')).map(rel => ({ id: rel.getAttribute('Id'), type: rel.getAttribute('Type') || '', target: rel.getAttribute('Target') || '' }));
+};
+
+const resolveTarget = (fromDir, target) => {
+    const segments = `${fromDir}/${target}`.split('/');
+    const resolved = [];
+    segments.forEach(seg => { if (seg === '..') resolved.pop(); else if (seg && seg !== '.') resolved.push(seg); });
+    return resolved.join('/');
+};
+
+const slideText = (xmlText) => Array.from(parseXml(xmlText).getElementsByTagNameNS(DRAWINGML_NS, 'p'))
+    .map(p => Array.from(p.getElementsByTagNameNS(DRAWINGML_NS, 't')).map(t => t.textContent).join(''))
+    .filter(line => line.trim())
+    .join('\n');
+
+// Slides in presentation order (presentation.xml), with speaker notes appended.
+const extractPptx = async (buffer) => {
+    const zip = await loadZip(buffer);
+    let slidePaths = [];
+    const presentation = zip.file('ppt/presentation.xml');
+    if (presentation) {
+        const rels = await readRelationships(zip, 'ppt/_rels/presentation.xml.rels');
+        const xml = parseXml(await presentation.async('string'));
+        slidePaths = Array.from(xml.getElementsByTagName('p:sldId'))
+            .map(node => rels.find(rel => rel.id === node.getAttribute('r:id')))
+            .filter(Boolean)
+            .map(rel => resolveTarget('ppt', rel.target));
+    }
+    if (slidePaths.length === 0) {
+        const slideNumber = (path) => parseInt(path.match(/slide(\d+)\.xml$/)[1], 10);
+        slidePaths = Object.keys(zip.files).filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path)).sort((a, b) => slideNumber(a) - slideNumber(b));
+    }
+
+    const parts = [];
+    for (const [i, path] of slidePaths.entries()) {
+        const file = zip.file(path);
+        if (!file) continue;
+        let text = slideText(await file.async('string'));
+        const dir = path.slice(0, path.lastIndexOf('/'));
+        const notesRel = (await readRelationships(zip, `${dir}/_rels/${baseName(path)}.rels`)).find(rel => rel.type.endsWith('/notesSlide'));
+        const notesFile = notesRel && zip.file(resolveTarget(dir, notesRel.target));
+        if (notesFile) {
+            const notes = slideText(await notesFile.async('string')).replace(/^\d+$/m, '').trim(); // drop the slide-number placeholder
+            if (notes) text += `\n\nSpeaker notes:\n${notes}`;
+        }
+        parts.push({ kind: SEGMENT.SLIDE, number: i + 1, label: segmentLabel(SEGMENT.SLIDE, i + 1), text });
+    }
+    return parts;
+};
+
+// --- PACKAGES (ZIP, EML attachments) ---
+const mergeInto = (result, inner, path) => {
+    const prefix = (label) => `${path}${LABEL_SEPARATOR}${label}`;
+    result.parts.push(...inner.parts.map(part => ({ ...part, label: prefix(part.label), source: part.source ? `${path}/${part.source}` : path })));
+    result.ocrPages.push(...inner.ocrPages.map(page => ({ ...page, label: prefix(page.label) })));
+    result.emptyPages.push(...inner.emptyPages.map(prefix));
+    result.ocrErrors.push(...inner.ocrErrors);
+    result.skipped.push(...inner.skipped.map(prefix));
+};
+
+const extractNested = async (result, path, buffer, context) => {
+    if (!SUPPORTED_EXTENSIONS.includes(getExtension(path))) { result.skipped.push(`${path} (unsupported type)`); return; }
+    if (context.depth >= MAX_PACKAGE_DEPTH) { result.skipped.push(`${path} (nested too deeply)`); return; }
+    try {
+        mergeInto(result, await extractFile(path, buffer, { ...context, depth: context.depth + 1 }), path);
+    } catch (e) {
+        if (isCancellation(e, context.signal)) throw e;
+        result.skipped.push(`${path} (${e.message || e})`);
+    }
+};
+
+const extractZip = async (name, buffer, context) => {
+    const zip = await loadZip(buffer);
+    const entries = Object.values(zip.files)
+        .filter(entry => !entry.dir && !/(^|\/)(__MACOSX|\.)/.test(entry.name))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    const result = emptyResult();
+    let totalBytes = 0;
+    for (const entry of entries) {
+        totalBytes += entry._data?.uncompressedSize || 0;
+        if (totalBytes > MAX_PACKAGE_BYTES) { result.skipped.push(`${entry.name} (package too large to unpack)`); continue; }
+        throwIfCancelled(context.signal);
+        if (context.onProgress) context.onProgress(`Extracting ${entry.name} from ${name}...`);
+        await extractNested(result, entry.name, await entry.async('arraybuffer'), context);
+    }
+    return result;
+};
+
+const extractEml = async (buffer, context) => {
+    const email = parseEml(buffer);
+    const result = emptyResult();
+    const { from, to, cc, date, subject } = email.headers;
+    const headerText = [['From', from], ['To', to], ['Cc', cc], ['Date', date], ['Subject', subject]]
+        .filter(([, value]) => value).map(([key, value]) => `${key}: ${value}`).join('\n');
+    if (headerText) result.parts.push({ kind: SEGMENT.HEADER, number: 0, label: 'Email header', text: headerText });
+    result.parts.push(...(email.text ? paragraphParts(email.text) : blockParts(htmlToBlocks(email.html))));
+    for (const attachment of email.attachments) {
+        throwIfCancelled(context.signal);
+        await extractNested(result, attachment.filename, attachment.data.buffer.slice(attachment.data.byteOffset, attachment.data.byteOffset + attachment.data.byteLength), context);
+    }
+    return result;
+};
+
+// Returns { parts, ocrPages, emptyPages, ocrErrors, skipped } for one file. onProgress gets status
+// text; an aborted `signal` stops the extraction between pages and package entries.
+export const extractFile = async (name, buffer, { onProgress, signal, depth = 0 } = {}) => {
+    const context = { onProgress, signal, depth };
+    const withParts = (parts) => ({ ...emptyResult(), parts });
+    switch (getExtension(name)) {
+        case 'txt': return withParts(paragraphParts(decodeText(buffer)));
+        case 'pdf': return extractPdf(name, buffer, context);
+        case 'docx': return withParts(await extractDocx(buffer));
+        case 'xlsx': case 'xls': return withParts(await extractSpreadsheet(buffer, { type: 'array' }));
+        case 'csv': return withParts(await extractSpreadsheet(decodeText(buffer), { type: 'string' }));
+        case 'pptx': return withParts(await extractPptx(buffer));
+        case 'html': case 'htm': return withParts(blockParts(htmlToBlocks(decodeText(buffer))));
+        case 'eml': return extractEml(buffer, context);
+        case 'zip': return extractZip(name, buffer, context);
+        default: throw new Error(`Unsupported file type: ${baseName(name)}. Supported: ${SUPPORTED_EXTENSIONS.join(', ')}.`);
+    }
+};
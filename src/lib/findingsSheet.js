@@ -0,0 +1,148 @@
+// --- FINDINGS SPREADSHEET ---
+// One row per requirement with typed columns, exported to XLSX or CSV. An edited sheet can be
+// re-imported: rows are matched back to findings by Row ID (checked against the requirement
+// text), validated, and turned into reviewer overrides so offline edits land in the audit trail.
+
+import * as XLSX from 'xlsx';
+import { toCsv, parseCsv, csvBlob } from './csv.js';
+import { downloadBlob, safeFileName } from './download.js';
+import { requirementSimilarity, FUZZY_MATCH_THRESHOLD } from './matching.js';
+import { FLAG_DEFAULT_SCORES } from './overrides.js';
+import { getClauseRef } from './documents.js';
+
+export const FINDING_COLUMNS = [
+    { key: 'rowId', header: 'Row ID', type: 'number', width: 8, value: (f, i) => i + 1 },
+    { key: 'requirementFromRFQ', header: 'RFQ Requirement', type: 'string', width: 60 },
+    { key: 'bidResponseSummary', header: 'Bid Response', type: 'string', width: 50 },
+    { key: 'flag', header: 'Flag', type: 'string', width: 16, editable: true },
+    { key: 'complianceScore', header: 'Compliance Score', type: 'number', width: 12, editable: true },
+    { key: 'category', header: 'Category', type: 'string', width: 16, editable: true },
+    { key: 'negotiationStance', header: 'Negotiation Stance', type: 'string', width: 50, editable: true },
+    { key: 'rfqClause', header: 'RFQ Clause', type: 'string', width: 10, value: f => getClauseRef(f) },
+    { key: 'rfqSource', header: 'RFQ Source', type: 'string', width: 14, value: f => f.rfqCitation?.label || f.rfqPageRef || '' },
+    { key: 'bidSource', header: 'Bid Source', type: 'string', width: 14, value: f => f.bidCitation?.label || f.bidPageRef || '' },
+    { key: 'reviewerNote', header: 'Reviewer Note', type: 'string', width: 40, editable: true, value: () => '' }
+];
+
+const READ_ONLY_CHECKED = ['bidResponseSummary'];
+
+const cellValue = (column, finding, index) => {
+    const raw = column.value ? column.value(finding, index) : finding[column.key];
+    if (column.type === 'number') return raw === '' || raw === null || raw === undefined ? null : Number(raw);
+    return raw ?? '';
+};
+
+export const findingsToRows = (report) => [
+    FINDING_COLUMNS.map(c => c.header),
+    ...(report.findings || []).map((f, i) => FINDING_COLUMNS.map(c => cellValue(c, f, i)))
+];
+
+const exportBaseName = (report) => `${safeFileName(report.projectTitle || report.rfqName, 'findings')}_findings`;
+
+export const exportFindingsCsv = (report) => downloadBlob(csvBlob(toCsv(findingsToRows(report))), `${exportBaseName(report)}.csv`);
+
+export const exportFindingsXlsx = (report) => {
+    const sheet = XLSX.utils.aoa_to_sheet(findingsToRows(report));
+    sheet['!cols'] = FINDING_COLUMNS.map(c => ({ wch: c.width }));
+    sheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: (report.findings || []).length, c: FINDING_COLUMNS.length - 1 } }) };
+    const info = XLSX.utils.aoa_to_sheet([
+        ['Report ID', report.id || '(unsaved)'],
+        ['Project', report.projectTitle || ''],
+        ['RFQ', report.rfqName || ''],
+        ['Bid', report.bidName || ''],
+        ['Exported', new Date().toISOString()],
+        ['Editable columns', FINDING_COLUMNS.filter(c => c.editable).map(c => c.header).join(', ')]
+    ]);
+    info['!cols'] = [{ wch: 18 }, { wch: 60 }];
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, sheet, 'Findings');
+    XLSX.utils.book_append_sheet(book, info, 'Report Info');
+    const bytes = XLSX.write(book, { bookType: 'xlsx', type: 'array' });
+    downloadBlob(new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), `${exportBaseName(report)}.xlsx`);
+};
+
+// Reads the first sheet of an .xlsx/.xls file, or a .csv, into an array of row arrays.
+export const readSheetFile = async (file) => {
+    if (/\.csv$/i.test(file.name) || file.type === 'text/csv') return parseCsv(await file.text());
+    const book = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    const sheet = book.Sheets[book.SheetNames.includes('Findings') ? 'Findings' : book.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+};
+
+const normalizeHeader = (h) => String(h ?? '').trim().toLowerCase();
+const isBlankRow = (row) => row.every(v => String(v ?? '').trim() === '');
+
+// Returns { edits: [{ findingIndex, changes, note }], issues: [{ row, severity, message }], rowCount }.
+// Rows with an ERROR are skipped; WARNINGs are informational. `categories` is the allowed category list.
+export const validateFindingsSheet = (rows, report, { categories }) => {
+    const findings = report.findings || [];
+    const issues = [];
+    const edits = [];
+    const headerIndex = rows.findIndex(r => !isBlankRow(r));
+    if (headerIndex === -1) return { edits, issues: [{ row: null, severity: 'ERROR', message: 'The sheet is empty.' }], rowCount: 0 };
+
+    const headers = rows[headerIndex].map(normalizeHeader);
+    const columnIndex = Object.fromEntries(FINDING_COLUMNS.map(c => [c.key, headers.indexOf(c.header.toLowerCase())]));
+    const missing = ['rowId', 'requirementFromRFQ'].filter(key => columnIndex[key] === -1);
+    if (missing.length) {
+        const names = missing.map(key => FINDING_COLUMNS.find(c => c.key === key).header).join(', ');
+        return { edits, issues: [{ row: headerIndex + 1, severity: 'ERROR', message: `Missing required column(s): ${names}. Re-export the findings and edit that file.` }], rowCount: 0 };
+    }
+    const get = (row, key) => columnIndex[key] === -1 ? undefined : row[columnIndex[key]];
+    const seen = new Set();
+    let rowCount = 0;
+
+    rows.slice(headerIndex + 1).forEach((row, offset) => {
+        if (isBlankRow(row)) return;
+        rowCount += 1;
+        const sheetRow = headerIndex + offset + 2; // 1-based, as shown in Excel
+        const flagIssue = (severity, message) => issues.push({ row: sheetRow, severity, message });
+
+        const rowId = Number(get(row, 'rowId'));
+        if (!Number.isInteger(rowId) || rowId < 1 || rowId > findings.length) return flagIssue('ERROR', `Row ID "${get(row, 'rowId')}" does not match any finding in this report.`);
+        if (seen.has(rowId)) return flagIssue('ERROR', `Row ID ${rowId} appears more than once.`);
+        seen.add(rowId);
+        const findingIndex = rowId - 1;
+        const finding = findings[findingIndex];
+        const requirement = String(get(row, 'requirementFromRFQ') ?? '');
+        if (requirementSimilarity(requirement, finding.requirementFromRFQ || '') < FUZZY_MATCH_THRESHOLD) {
+            return flagIssue('ERROR', `Requirement text does not match finding #${rowId} ("${(finding.requirementFromRFQ || '').slice(0, 60)}"). Rows may have been re-sorted into the wrong IDs or come from another report.`);
+        }
+
+        const changes = {};
+        let rowValid = true;
+        const flag = get(row, 'flag');
+        if (flag !== undefined && String(flag).trim() !== '') {
+            const value = String(flag).trim().toUpperCase().replace(/[\s_]+/g, '-');
+            if (!(value in FLAG_DEFAULT_SCORES)) { flagIssue('ERROR', `Flag "${flag}" must be one of ${Object.keys(FLAG_DEFAULT_SCORES).join(', ')}.`); rowValid = false; }
+            else if (value !== finding.flag) changes.flag = value;
+        }
+        const score = get(row, 'complianceScore');
+        if (score !== undefined && String(score).trim() !== '') {
+            const value = Number(score);
+            if (!Number.isFinite(value) || value < 0 || value > 1) { flagIssue('ERROR', `Compliance Score "${score}" must be a number from 0 to 1.`); rowValid = false; }
+            else if (value !== Number(finding.complianceScore)) changes.complianceScore = value;
+        }
+        const category = get(row, 'category');
+        if (category !== undefined && String(category).trim() !== '') {
+            const value = String(category).trim().toUpperCase();
+            if (!categories.includes(value)) { flagIssue('ERROR', `Category "${category}" must be one of ${categories.join(', ')}.`); rowValid = false; }
+            else if (value !== (finding.category || 'OTHER')) changes.category = value;
+        }
+        const stance = get(row, 'negotiationStance');
+        if (stance !== undefined && String(stance) !== (finding.negotiationStance || '')) changes.negotiationStance = String(stance);
+        if (!rowValid) return;
+
+        if (changes.flag && !('complianceScore' in changes) && Number(finding.complianceScore) !== FLAG_DEFAULT_SCORES[changes.flag]) {
+            flagIssue('WARNING', `Flag changed to ${changes.flag} but the score was left at ${finding.complianceScore}.`);
+        }
+        READ_ONLY_CHECKED.forEach(key => {
+            const value = get(row, key);
+            if (value !== undefined && String(value) !== (finding[key] || '')) flagIssue('WARNING', `${FINDING_COLUMNS.find(c => c.key === key).header} is read-only; the edit was ignored.`);
+        });
+        const note = String(get(row, 'reviewerNote') ?? '').trim();
+        if (Object.keys(changes).length > 0 || note) edits.push({ findingIndex, changes, note });
+    });
+
+    return { edits, issues, rowCount };
+};
@@ -0,0 +1,231 @@
+// --- FIRESTORE STORAGE ---
+// The hosted backend: Firebase Auth accounts, user profiles and scoring profiles under
+// users/{uid}, and the shared library under workspaces/{id} (members, compliance_reports,
+// usage_limits/main_tracker). invite_codes/{code} maps an invite code to its workspace.
+// Reports saved before workspaces live under users/{uid}/compliance_reports until
+// adoptLegacyReports moves them. With `emulators` set the same code talks to the local Auth
+// and Firestore emulators instead of a real project.
+// Usage counters belong to the API server (server/quota.js): the browser only reads them and
+// asks /api/audits to reserve a check.
+
+import { initializeApp } from 'firebase/app';
+import {
+    getAuth, onAuthStateChanged, createUserWithEmailAndPassword,
+    signInWithEmailAndPassword, signOut, connectAuthEmulator
+} from 'firebase/auth';
+import {
+    getFirestore, collection, addDoc, onSnapshot, query, doc, setDoc,
+    deleteDoc, getDocs, getDoc, collectionGroup, updateDoc, arrayUnion,
+    writeBatch, orderBy, limit, connectFirestoreEmulator
+} from 'firebase/firestore';
+import { WORKSPACE_ROLE, DEFAULT_JOIN_ROLE, generateInviteCode, normalizeInviteCode } from './workspaces.js';
+
+const DEFAULT_USAGE = { initiatorChecks: 0, bidderChecks: 0, isSubscribed: false };
+const RESERVE_AUDIT_URL = '/api/audits';
+const ADMIN_ACTION_URL = '/api/admin/user-action';
+const ADMIN_LOG_LIMIT = 100;
+
+// Emulator runs need no real project; "demo-" project ids never reach production services.
+const EMULATOR_CONFIG = { apiKey: 'demo-key', projectId: 'demo-smartbid', authDomain: 'demo-smartbid.firebaseapp.com' };
+
+const getUsageDocRef = (db, workspaceId) => doc(db, `workspaces/${workspaceId}/usage_limits`, 'main_tracker');
+const getReportsCollectionRef = (db, workspaceId) => collection(db, `workspaces/${workspaceId}/compliance_reports`);
+const getLegacyReportsCollectionRef = (db, userId) => collection(db, `users/${userId}/compliance_reports`);
+const getMembersCollectionRef = (db, workspaceId) => collection(db, `workspaces/${workspaceId}/members`);
+const getScoringProfilesCollectionRef = (db, userId) => collection(db, `users/${userId}/scoring_profiles`);
+
+// Firestore caps a batch at 500 writes; moving a report takes two.
+const LEGACY_MOVE_BATCH = 200;
+
+// Saved reports remember the collection they came from, so edits and deletes reach both
+// workspace and not-yet-moved legacy reports.
+const getReportRef = (db, report) => doc(db, report.libraryPath || `workspaces/${report.workspaceId}/compliance_reports`, report.id);
+
+const toAccount = (user) => user ? { uid: user.uid, email: user.email } : null;
+
+// firebaseConfig: the project config object (may be null when emulators are used).
+// emulators: { auth: 'http://127.0.0.1:9099', firestore: '127.0.0.1:8080' } or null.
+export const createFirestoreStorage = (firebaseConfig, emulators = null) => {
+    if (!firebaseConfig && !emulators) throw new Error('No Firebase config found. Provide __firebase_config, enable the emulators or set VITE_STORAGE_BACKEND=indexeddb.');
+    const app = initializeApp(firebaseConfig || EMULATOR_CONFIG);
+    const auth = getAuth(app);
+    const db = getFirestore(app);
+    if (emulators?.auth) connectAuthEmulator(auth, emulators.auth, { disableWarnings: true });
+    if (emulators?.firestore) {
+        const [host, port] = emulators.firestore.replace(/^https?:\/\//, '').split(':');
+        connectFirestoreEmulator(db, host, Number(port) || 8080);
+    }
+
+    // Signed POST to the API server; errors keep the server's code (e.g. usage/quota-exceeded).
+    const postToApi = async (url, body, failure) => {
+        const token = auth.currentUser ? await auth.currentUser.getIdToken() : null;
+        if (!token) throw new Error('Please sign in again.');
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw Object.assign(new Error(result.error || `${failure} (HTTP ${response.status}).`), { code: result.code || '' });
+        return result;
+    };
+
+    return {
+        backend: 'firestore',
+        auth: {
+            onChange: (callback) => onAuthStateChanged(auth, user => callback(toAccount(user))),
+            register: async (email, password) => toAccount((await createUserWithEmailAndPassword(auth, email, password)).user),
+            signIn: async (email, password) => toAccount((await signInWithEmailAndPassword(auth, email, password)).user),
+            signOut: () => signOut(auth),
+            // Firebase refreshes the token itself when it is close to expiry.
+            getIdToken: () => auth.currentUser ? auth.currentUser.getIdToken() : Promise.resolve(null)
+        },
+
+        users: {
+            get: async (uid) => {
+                const snap = await getDoc(doc(db, 'users', uid));
+                return snap.exists() ? snap.data() : null;
+            },
+            create: (uid, profile) => setDoc(doc(db, 'users', uid), profile),
+            // Own-profile fields only; the security rules refuse role, suspension and counters.
+            update: (uid, changes) => updateDoc(doc(db, 'users', uid), changes),
+            list: async () => (await getDocs(collection(db, 'users'))).docs.map(d => ({ id: d.id, ...d.data() }))
+        },
+
+        workspaces: {
+            // member: { name, email } of the creating user, who becomes the owner.
+            create: async (uid, name, member) => {
+                const workspaceRef = doc(collection(db, 'workspaces'));
+                const inviteCode = generateInviteCode();
+                const batch = writeBatch(db);
+                batch.set(workspaceRef, { name, ownerId: uid, inviteCode, createdAt: Date.now() });
+                batch.set(doc(getMembersCollectionRef(db, workspaceRef.id), uid), { ...member, role: WORKSPACE_ROLE.OWNER, joinedAt: Date.now() });
+                batch.set(doc(db, 'invite_codes', inviteCode), { workspaceId: workspaceRef.id });
+                batch.update(doc(db, 'users', uid), { workspaceId: workspaceRef.id });
+                await batch.commit();
+                return { id: workspaceRef.id, name, ownerId: uid, inviteCode };
+            },
+            // The member document keeps the code it was joined with; the security rules check
+            // it against the workspace's current code.
+            join: async (uid, inviteCode, member) => {
+                const code = normalizeInviteCode(inviteCode);
+                const invite = code ? await getDoc(doc(db, 'invite_codes', code)) : null;
+                if (!invite?.exists()) throw Object.assign(new Error('That invite code was not recognised.'), { code: 'workspace/invalid-invite' });
+                const { workspaceId } = invite.data();
+                const batch = writeBatch(db);
+                batch.set(doc(getMembersCollectionRef(db, workspaceId), uid), { ...member, role: DEFAULT_JOIN_ROLE, inviteCode: code, joinedAt: Date.now() });
+                batch.update(doc(db, 'users', uid), { workspaceId });
+                await batch.commit();
+                return workspaceId;
+            },
+            get: async (workspaceId) => {
+                const snap = await getDoc(doc(db, 'workspaces', workspaceId));
+                return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+            },
+            getMember: async (workspaceId, uid) => {
+                const snap = await getDoc(doc(getMembersCollectionRef(db, workspaceId), uid));
+                return snap.exists() ? { uid, ...snap.data() } : null;
+            },
+            subscribeMembers: (workspaceId, callback, onError) => onSnapshot(getMembersCollectionRef(db, workspaceId), (snapshot) => {
+                callback(snapshot.docs.map(d => ({ uid: d.id, ...d.data() })));
+            }, onError),
+            setMemberRole: (workspaceId, uid, role) => updateDoc(doc(getMembersCollectionRef(db, workspaceId), uid), { role }),
+            removeMember: (workspaceId, uid) => deleteDoc(doc(getMembersCollectionRef(db, workspaceId), uid)),
+            // Retires the old code, so people who were sent it can no longer join.
+            rotateInviteCode: async (workspaceId, oldCode) => {
+                const inviteCode = generateInviteCode();
+                const batch = writeBatch(db);
+                if (oldCode) batch.delete(doc(db, 'invite_codes', oldCode));
+                batch.set(doc(db, 'invite_codes', inviteCode), { workspaceId });
+                batch.update(doc(db, 'workspaces', workspaceId), { inviteCode });
+                await batch.commit();
+                return inviteCode;
+            },
+            // Moves the reports a user saved before workspaces into the workspace library.
+            // Returns how many were moved.
+            adoptLegacyReports: async (uid, workspaceId, authorName) => {
+                const legacy = await getDocs(getLegacyReportsCollectionRef(db, uid));
+                for (let i = 0; i < legacy.docs.length; i += LEGACY_MOVE_BATCH) {
+                    const batch = writeBatch(db);
+                    legacy.docs.slice(i, i + LEGACY_MOVE_BATCH).forEach(docSnap => {
+                        batch.set(doc(getReportsCollectionRef(db, workspaceId), docSnap.id), { ...docSnap.data(), ownerId: uid, authorName, workspaceId });
+                        batch.delete(docSnap.ref);
+                    });
+                    await batch.commit();
+                }
+                return legacy.size;
+            }
+        },
+
+        usage: {
+            // The workspace's tracker, created by the server on the first reservation. Until then
+            // the owner's pre-workspace tracker still holds their counters and subscription (the
+            // server carries it over), so show that instead of an empty free tier.
+            subscribe: (workspaceId, callback, onError) => {
+                let hasTracker = false;
+                let legacyRequested = false;
+                return onSnapshot(getUsageDocRef(db, workspaceId), (docSnap) => {
+                    hasTracker = docSnap.exists();
+                    if (hasTracker) { callback({ ...DEFAULT_USAGE, ...docSnap.data() }); return; }
+                    callback(DEFAULT_USAGE);
+                    if (legacyRequested) return;
+                    legacyRequested = true;
+                    getDoc(doc(db, 'workspaces', workspaceId))
+                        .then(workspace => workspace.exists() ? getDoc(doc(db, `users/${workspace.data().ownerId}/usage_limits`, 'main_tracker')) : null)
+                        .then(legacy => { if (!hasTracker && legacy?.exists()) callback({ ...DEFAULT_USAGE, ...legacy.data() }); })
+                        .catch(() => {}); // Only the owner may read it; members see the empty tracker.
+                }, onError);
+            },
+            // Charges the user's workspace and returns the audit id the model requests of this
+            // audit must carry. Throws with code 'usage/quota-exceeded' when the free tier is used up.
+            reserve: async (uid, role, sections) => (await postToApi(RESERVE_AUDIT_URL, { role, sections }, 'Could not start the audit')).auditId
+        },
+
+        admin: {
+            // Role, suspension, checks and Pro changes are made and logged by the API server.
+            applyAction: (request) => postToApi(ADMIN_ACTION_URL, request, 'The admin action failed'),
+            subscribeLog: (callback, onError) => onSnapshot(query(collection(db, 'admin_actions'), orderBy('createdAt', 'desc'), limit(ADMIN_LOG_LIMIT)), (snapshot) => {
+                callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+            }, onError)
+        },
+
+        reports: {
+            // all: every workspace's reports (admin view) through a collection-group query.
+            subscribe: ({ workspaceId, all }, callback, onError) => {
+                const q = all ? query(collectionGroup(db, 'compliance_reports')) : query(getReportsCollectionRef(db, workspaceId));
+                return onSnapshot(q, (snapshot) => {
+                    const history = [];
+                    snapshot.forEach(docSnap => {
+                        // Legacy reports have no ownerId field; their owner is the parent user document.
+                        const isLegacy = docSnap.ref.parent.parent?.parent.id === 'users';
+                        history.push({ id: docSnap.id, ...(isLegacy ? { ownerId: docSnap.ref.parent.parent.id } : {}), ...docSnap.data(), libraryPath: docSnap.ref.parent.path });
+                    });
+                    history.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+                    callback(history);
+                }, onError);
+            },
+            add: async (workspaceId, report) => (await addDoc(getReportsCollectionRef(db, workspaceId), report)).id,
+            // Overrides replace the findings and append to the audit trail without rewriting it.
+            updateFindings: (report, findings, overrideEntries) => updateDoc(getReportRef(db, report), { findings, overrideLog: arrayUnion(...overrideEntries) }),
+            // Structured bidValue / contractTerm parsed from the raw text (see bidValues.js).
+            saveNormalizedValues: (report, values) => updateDoc(getReportRef(db, report), values),
+            remove: (report) => deleteDoc(getReportRef(db, report))
+        },
+
+        scoringProfiles: {
+            subscribe: (uid, callback, onError) => onSnapshot(query(getScoringProfilesCollectionRef(db, uid)), (snapshot) => {
+                callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+            }, onError),
+            // Returns the profile id (new or existing).
+            save: async (uid, profile, profileId) => {
+                const profilesRef = getScoringProfilesCollectionRef(db, uid);
+                if (profileId) {
+                    await setDoc(doc(profilesRef, profileId), { ...profile, updatedAt: Date.now() });
+                    return profileId;
+                }
+                return (await addDoc(profilesRef, { ...profile, createdAt: Date.now() })).id;
+            },
+            remove: (uid, profileId) => deleteDoc(doc(getScoringProfilesCollectionRef(db, uid), profileId))
+        }
+    };
+};
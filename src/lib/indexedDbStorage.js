@@ -0,0 +1,262 @@
+// --- INDEXEDDB STORAGE ---
+// Single-user on-premise backend: accounts, profiles, workspaces, usage, reports and scoring
+// profiles live in the browser's IndexedDB and nothing leaves the machine. Accounts are local
+// (email plus a PBKDF2 password hash) and the signed-in account is remembered in localStorage.
+// Subscriptions are re-run after every write from this tab, which is what the Firestore
+// listeners give us. Workspaces work as in Firestore, between the accounts of this browser.
+
+import { WORKSPACE_ROLE, WORKSPACE_ACTION, DEFAULT_JOIN_ROLE, canWorkspace, generateInviteCode, normalizeInviteCode } from './workspaces.js';
+
+const DB_NAME = 'smartbid';
+const DB_VERSION = 2;
+const SESSION_KEY = 'smartbid.localSession';
+const PBKDF2_ITERATIONS = 210000;
+
+const STORE = {
+    ACCOUNTS: 'accounts', USERS: 'users', USAGE: 'usage', REPORTS: 'reports', SCORING_PROFILES: 'scoringProfiles',
+    WORKSPACES: 'workspaces', MEMBERS: 'members', WORKSPACE_USAGE: 'workspaceUsage'
+};
+
+// On-premise installs are licensed per install, so the free-tier limit does not apply.
+const DEFAULT_USAGE = { initiatorChecks: 0, bidderChecks: 0, isSubscribed: true };
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Version 1 kept usage and reports per user; version 2 adds workspaces. The old per-user usage
+// store stays so nothing is lost, but workspaces count in workspaceUsage.
+const openDatabase = () => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+        const database = request.result;
+        if (event.oldVersion < 1) {
+            database.createObjectStore(STORE.ACCOUNTS, { keyPath: 'email' });
+            database.createObjectStore(STORE.USERS, { keyPath: 'id' });
+            database.createObjectStore(STORE.USAGE, { keyPath: 'uid' });
+            database.createObjectStore(STORE.REPORTS, { keyPath: 'id' }).createIndex('ownerId', 'ownerId');
+            database.createObjectStore(STORE.SCORING_PROFILES, { keyPath: 'id' }).createIndex('ownerId', 'ownerId');
+        }
+        if (event.oldVersion < 2) {
+            database.createObjectStore(STORE.WORKSPACES, { keyPath: 'id' }).createIndex('inviteCode', 'inviteCode', { unique: true });
+            database.createObjectStore(STORE.MEMBERS, { keyPath: 'id' }).createIndex('workspaceId', 'workspaceId');
+            database.createObjectStore(STORE.WORKSPACE_USAGE, { keyPath: 'workspaceId' });
+            request.transaction.objectStore(STORE.REPORTS).createIndex('workspaceId', 'workspaceId');
+        }
+    };
+    return promisify(request);
+};
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// crypto.randomUUID needs a secure context; getRandomValues works on plain-http intranet hosts too.
+const newId = () => toHex(crypto.getRandomValues(new Uint8Array(16)));
+
+const hashPassword = async (password, saltHex) => {
+    if (!crypto.subtle) throw new Error('Local accounts need the app to be served over HTTPS or from localhost.');
+    const salt = new Uint8Array(saltHex.match(/../g).map(pair => parseInt(pair, 16)));
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    return toHex(await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' }, key, 256));
+};
+
+// Errors carry Firebase-style codes so callers can treat both backends alike.
+const authError = (code, message) => Object.assign(new Error(message), { code });
+
+export const createIndexedDbStorage = () => {
+    const databasePromise = openDatabase();
+    const listeners = new Set();
+    const authListeners = new Set();
+    let account = null;
+
+    const run = async (storeName, mode, action) => {
+        const database = await databasePromise;
+        const transaction = database.transaction(storeName, mode);
+        const committed = new Promise((resolve, reject) => { transaction.oncomplete = resolve; transaction.onerror = () => reject(transaction.error); });
+        const result = await action(transaction.objectStore(storeName));
+        await committed;
+        if (mode === 'readwrite') listeners.forEach(listener => listener.storeName === storeName && listener.refresh());
+        return result;
+    };
+    const getOne = (storeName, key) => run(storeName, 'readonly', store => promisify(store.get(key)));
+    const getAll = (storeName, ownerId) => run(storeName, 'readonly', store => promisify(ownerId === undefined ? store.getAll() : store.index('ownerId').getAll(ownerId)));
+    const getByIndex = (storeName, index, value) => run(storeName, 'readonly', store => promisify(store.index(index).getAll(value)));
+    const put = (storeName, value) => run(storeName, 'readwrite', store => promisify(store.put(value)));
+    const remove = (storeName, key) => run(storeName, 'readwrite', store => promisify(store.delete(key)));
+
+    // Calls callback now and after every write to storeName; returns the unsubscribe function.
+    const watch = (storeName, load, callback, onError) => {
+        const listener = { storeName, active: true, refresh: () => load().then(value => listener.active && callback(value), error => onError && onError(error)) };
+        listeners.add(listener);
+        listener.refresh();
+        return () => { listener.active = false; listeners.delete(listener); };
+    };
+
+    const setAccount = (next) => {
+        account = next;
+        if (next) localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+        else localStorage.removeItem(SESSION_KEY);
+        authListeners.forEach(listener => listener(account));
+    };
+
+    const restoredSession = (async () => {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+            if (saved?.email && await getOne(STORE.ACCOUNTS, saved.email)) account = saved;
+        } catch (e) { console.warn('Could not restore the local session', e); }
+    })();
+
+    const byNewest = (reports) => reports.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+
+    const memberKey = (workspaceId, uid) => `${workspaceId}:${uid}`;
+    const toMember = ({ id, workspaceId, ...member }) => member;
+    const setUserWorkspace = async (uid, workspaceId) => {
+        const user = await getOne(STORE.USERS, uid);
+        if (user) await put(STORE.USERS, { ...user, workspaceId });
+    };
+
+    return {
+        backend: 'indexeddb',
+        auth: {
+            onChange: (callback) => {
+                let active = true;
+                const listener = (value) => active && callback(value);
+                restoredSession.then(() => {
+                    if (!active) return;
+                    authListeners.add(listener);
+                    callback(account);
+                });
+                return () => { active = false; authListeners.delete(listener); };
+            },
+            register: async (email, password) => {
+                const key = String(email || '').trim().toLowerCase();
+                if (!key || !password) throw authError('auth/invalid-email', 'Email and password are required.');
+                if (password.length < 6) throw authError('auth/weak-password', 'Password should be at least 6 characters.');
+                if (await getOne(STORE.ACCOUNTS, key)) throw authError('auth/email-already-in-use', 'An account with this email already exists.');
+                const salt = newId();
+                const uid = newId();
+                await put(STORE.ACCOUNTS, { email: key, uid, salt, hash: await hashPassword(password, salt), createdAt: Date.now() });
+                setAccount({ uid, email: key });
+                return account;
+            },
+            signIn: async (email, password) => {
+                const key = String(email || '').trim().toLowerCase();
+                const stored = await getOne(STORE.ACCOUNTS, key);
+                if (!stored || stored.hash !== await hashPassword(password || '', stored.salt)) throw authError('auth/invalid-credential', 'Incorrect email or password.');
+                setAccount({ uid: stored.uid, email: key });
+                return account;
+            },
+            signOut: async () => setAccount(null),
+            // Local accounts have no tokens; on-premise installs don't go through the API server.
+            getIdToken: async () => null
+        },
+
+        users: {
+            get: async (uid) => {
+                const user = await getOne(STORE.USERS, uid);
+                if (!user) return null;
+                const { id, ...profile } = user;
+                return profile;
+            },
+            create: (uid, profile) => put(STORE.USERS, { ...profile, id: uid }),
+            update: async (uid, changes) => {
+                const user = await getOne(STORE.USERS, uid);
+                if (user) await put(STORE.USERS, { ...user, ...changes });
+            },
+            list: () => getAll(STORE.USERS)
+        },
+
+        workspaces: {
+            create: async (uid, name, member) => {
+                const workspace = { id: newId(), name, ownerId: uid, inviteCode: generateInviteCode(), createdAt: Date.now() };
+                await put(STORE.WORKSPACES, workspace);
+                await put(STORE.MEMBERS, { ...member, id: memberKey(workspace.id, uid), workspaceId: workspace.id, uid, role: WORKSPACE_ROLE.OWNER, joinedAt: Date.now() });
+                await setUserWorkspace(uid, workspace.id);
+                return workspace;
+            },
+            join: async (uid, inviteCode, member) => {
+                const code = normalizeInviteCode(inviteCode);
+                const [workspace] = code ? await getByIndex(STORE.WORKSPACES, 'inviteCode', code) : [];
+                if (!workspace) throw Object.assign(new Error('That invite code was not recognised.'), { code: 'workspace/invalid-invite' });
+                await put(STORE.MEMBERS, { ...member, id: memberKey(workspace.id, uid), workspaceId: workspace.id, uid, role: DEFAULT_JOIN_ROLE, inviteCode: code, joinedAt: Date.now() });
+                await setUserWorkspace(uid, workspace.id);
+                return workspace.id;
+            },
+            get: async (workspaceId) => (await getOne(STORE.WORKSPACES, workspaceId)) || null,
+            getMember: async (workspaceId, uid) => {
+                const member = await getOne(STORE.MEMBERS, memberKey(workspaceId, uid));
+                return member ? toMember(member) : null;
+            },
+            subscribeMembers: (workspaceId, callback, onError) => watch(STORE.MEMBERS, async () => (await getByIndex(STORE.MEMBERS, 'workspaceId', workspaceId)).map(toMember), callback, onError),
+            setMemberRole: async (workspaceId, uid, role) => {
+                const member = await getOne(STORE.MEMBERS, memberKey(workspaceId, uid));
+                if (member) await put(STORE.MEMBERS, { ...member, role });
+            },
+            removeMember: (workspaceId, uid) => remove(STORE.MEMBERS, memberKey(workspaceId, uid)),
+            rotateInviteCode: async (workspaceId) => {
+                const workspace = await getOne(STORE.WORKSPACES, workspaceId);
+                const inviteCode = generateInviteCode();
+                await put(STORE.WORKSPACES, { ...workspace, inviteCode });
+                return inviteCode;
+            },
+            adoptLegacyReports: async (uid, workspaceId, authorName) => {
+                const legacy = (await getAll(STORE.REPORTS, uid)).filter(report => !report.workspaceId);
+                for (const report of legacy) await put(STORE.REPORTS, { ...report, workspaceId, authorName });
+                return legacy.length;
+            }
+        },
+
+        usage: {
+            subscribe: (workspaceId, callback, onError) => watch(STORE.WORKSPACE_USAGE, async () => {
+                const { workspaceId: _workspaceId, ...usage } = (await getOne(STORE.WORKSPACE_USAGE, workspaceId)) || { workspaceId };
+                return { ...DEFAULT_USAGE, ...usage };
+            }, callback, onError),
+            // Counts the check against the user's workspace and returns a local audit id.
+            reserve: async (uid, role) => {
+                const workspaceId = (await getOne(STORE.USERS, uid))?.workspaceId;
+                const member = workspaceId ? await getOne(STORE.MEMBERS, memberKey(workspaceId, uid)) : null;
+                if (!canWorkspace(member?.role, WORKSPACE_ACTION.RUN_AUDIT)) throw Object.assign(new Error('Your workspace role cannot run audits.'), { code: 'workspace/forbidden' });
+                const counter = role === 'INITIATOR' ? 'initiatorChecks' : 'bidderChecks';
+                const current = (await getOne(STORE.WORKSPACE_USAGE, workspaceId)) || { ...DEFAULT_USAGE, workspaceId };
+                await put(STORE.WORKSPACE_USAGE, { ...current, [counter]: (current[counter] || 0) + 1 });
+                return newId();
+            }
+        },
+
+        // Local installs have no operator; the admin console needs the hosted backend.
+        admin: {
+            applyAction: async () => { throw Object.assign(new Error('Admin actions need the hosted backend and API server.'), { code: 'admin/unsupported' }); },
+            subscribeLog: (callback) => { callback([]); return () => {}; }
+        },
+
+        reports: {
+            subscribe: ({ workspaceId, all }, callback, onError) => watch(STORE.REPORTS, async () => byNewest(all ? await getAll(STORE.REPORTS) : await getByIndex(STORE.REPORTS, 'workspaceId', workspaceId)), callback, onError),
+            add: async (workspaceId, report) => {
+                const id = newId();
+                await put(STORE.REPORTS, { ...report, id, workspaceId });
+                return id;
+            },
+            updateFindings: async (report, findings, overrideEntries) => {
+                const stored = await getOne(STORE.REPORTS, report.id);
+                if (!stored) throw new Error('Report not found.');
+                await put(STORE.REPORTS, { ...stored, findings, overrideLog: [...(stored.overrideLog || []), ...overrideEntries] });
+            },
+            saveNormalizedValues: async (report, values) => {
+                const stored = await getOne(STORE.REPORTS, report.id);
+                if (!stored) throw new Error('Report not found.');
+                await put(STORE.REPORTS, { ...stored, ...values });
+            },
+            remove: (report) => remove(STORE.REPORTS, report.id)
+        },
+
+        scoringProfiles: {
+            subscribe: (uid, callback, onError) => watch(STORE.SCORING_PROFILES, async () => (await getAll(STORE.SCORING_PROFILES, uid)).map(({ ownerId, ...profile }) => profile), callback, onError),
+            save: async (uid, profile, profileId) => {
+                const id = profileId || newId();
+                await put(STORE.SCORING_PROFILES, { ...profile, id, ownerId: uid, [profileId ? 'updatedAt' : 'createdAt']: Date.now() });
+                return id;
+            },
+            remove: (uid, profileId) => remove(STORE.SCORING_PROFILES, profileId)
+        }
+    };
+};
@@ -0,0 +1,243 @@
+// --- MARKET ANALYTICS ---
+// Aggregates the market-intelligence fields saved on each report (industry, location, persona,
+// lead temperature, complexity, certifications, value, primary risk) for the admin dashboard.
+// Everything is computed from stored reports; nothing here calls the model.
+
+import { getReportScore } from './scoring.js';
+import { getBidValue, getContractTerm, getNormalizedValue } from './bidValues.js';
+
+// Keep in step with isRfqQualityReport in src/App.jsx: RFQ quality reports carry no
+// compliance or persuasion score, so they are left out of the score statistics.
+const isBidAudit = (report) => report.reportType !== 'INITIATOR' && report.role !== 'INITIATOR';
+
+export const UNSPECIFIED = 'Unspecified';
+
+// minValue / maxValue are in BASE_CURRENCY.
+export const EMPTY_MARKET_FILTERS = { industry: '', region: '', persona: '', temperature: '', from: '', to: '', minValue: '', maxValue: '' };
+
+const clean = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+const isBlank = (value) => !value || /^(n\/?a|none|unknown|not (specified|stated))$/i.test(value);
+
+const leadingNumber = (value) => {
+    const match = String(value ?? '').match(/\d+(\.\d+)?/);
+    return match ? Number(match[0]) : null;
+};
+
+// "Houston, TX, USA" -> "USA": the last part of the location is usually the country, which
+// groups far better than the full free-text location.
+export const getRegion = (location) => {
+    const parts = clean(location).replace(/\(.*?\)/g, '').split(',').map(clean).filter(Boolean);
+    const region = parts[parts.length - 1];
+    return isBlank(region) ? UNSPECIFIED : region;
+};
+
+const getIndustry = (report) => (isBlank(clean(report.industryTag)) ? UNSPECIFIED : clean(report.industryTag));
+const getPersona = (report) => (isBlank(clean(report.buyingPersona)) ? UNSPECIFIED : clean(report.buyingPersona).toUpperCase());
+const getTemperature = (report) => (isBlank(clean(report.leadTemperature)) ? UNSPECIFIED : clean(report.leadTemperature).toUpperCase());
+const isHotLead = (report) => getTemperature(report).startsWith('HOT');
+
+// Inclusive date range on YYYY-MM-DD strings from <input type="date">, compared in UTC.
+const inDateRange = (timestamp, from, to) => {
+    const day = timestamp ? new Date(timestamp).toISOString().slice(0, 10) : '';
+    if (from && (!day || day < from)) return false;
+    if (to && (!day || day > to)) return false;
+    return true;
+};
+
+// Reports whose value can't be normalized drop out as soon as a value bound is set.
+const inValueRange = (report, minValue, maxValue) => {
+    if (minValue === '' && maxValue === '') return true;
+    const value = getNormalizedValue(report);
+    if (value === null) return false;
+    return (minValue === '' || value >= Number(minValue)) && (maxValue === '' || value <= Number(maxValue));
+};
+
+export const filterReports = (reports, filters = EMPTY_MARKET_FILTERS) => reports.filter(report =>
+    inValueRange(report, filters.minValue ?? '', filters.maxValue ?? '')
+    && (!filters.industry || getIndustry(report) === filters.industry)
+    && (!filters.region || getRegion(report.projectLocation).toLowerCase() === filters.region.toLowerCase())
+    && (!filters.persona || getPersona(report) === filters.persona)
+    && (!filters.temperature || getTemperature(report) === filters.temperature)
+    && inDateRange(report.timestamp, filters.from, filters.to));
+
+export const hasActiveFilters = (filters) => Object.values(filters).some(Boolean);
+
+export const MARKET_SORT = { NEWEST: 'NEWEST', VALUE_DESC: 'VALUE_DESC', VALUE_ASC: 'VALUE_ASC' };
+
+// By normalized value, reports without one last in either direction; newest first otherwise.
+export const sortReports = (reports, sort = MARKET_SORT.NEWEST) => {
+    const newest = (a, b) => (b.timestamp || 0) - (a.timestamp || 0);
+    if (sort === MARKET_SORT.NEWEST) return [...reports].sort(newest);
+    const direction = sort === MARKET_SORT.VALUE_ASC ? 1 : -1;
+    return reports
+        .map(report => ({ report, value: getNormalizedValue(report) }))
+        .sort((a, b) => (a.value === null) - (b.value === null) || (a.value - b.value) * direction || newest(a.report, b.report))
+        .map(({ report }) => report);
+};
+
+// Counts labels case-insensitively, keeping the first spelling seen. getLabels may return one
+// label or an array of them. Sorted by count, then alphabetically.
+const tally = (items, getLabels) => {
+    const counts = new Map();
+    items.forEach(item => [].concat(getLabels(item)).filter(Boolean).forEach(label => {
+        const key = label.toLowerCase();
+        const entry = counts.get(key) || { label, count: 0 };
+        entry.count += 1;
+        counts.set(key, entry);
+    }));
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+};
+
+const average = (values) => {
+    const numbers = values.filter(value => Number.isFinite(value));
+    return numbers.length ? parseFloat((numbers.reduce((sum, value) => sum + value, 0) / numbers.length).toFixed(1)) : null;
+};
+
+const scoreOf = (report) => (isBidAudit(report) ? getReportScore(report).weightedPercentage : null);
+const persuasionOf = (report) => (isBidAudit(report) && Number.isFinite(Number(report.persuasionScore)) && report.persuasionScore !== '' ? Number(report.persuasionScore) : null);
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    if (!sorted.length) return null;
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Values are in BASE_CURRENCY; reports without a readable amount and currency don't count
+// towards them.
+const summarize = (reports) => {
+    const values = reports.map(getNormalizedValue).filter(value => value !== null);
+    return {
+        count: reports.length,
+        avgScore: average(reports.map(scoreOf)),
+        avgPersuasion: average(reports.map(persuasionOf)),
+        avgComplexity: average(reports.map(report => leadingNumber(report.complexityScore))),
+        hotLeads: reports.filter(isHotLead).length,
+        valuedCount: values.length,
+        totalValue: values.reduce((sum, value) => sum + value, 0),
+        medianValue: median(values),
+        avgTermMonths: average(reports.map(report => getContractTerm(report).months))
+    };
+};
+
+// One row per label with the same summary as the headline figures.
+const breakdown = (reports, getLabel) => {
+    const groups = new Map();
+    reports.forEach(report => {
+        const label = getLabel(report);
+        const key = label.toLowerCase();
+        if (!groups.has(key)) groups.set(key, { label, reports: [] });
+        groups.get(key).reports.push(report);
+    });
+    return [...groups.values()]
+        .map(({ label, reports: group }) => ({ label, ...summarize(group) }))
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+};
+
+// Monthly buckets (UTC) from the first to the last report, including empty months so the
+// trend reads as a continuous timeline.
+export const buildTrend = (reports) => {
+    const byMonth = new Map();
+    reports.filter(report => report.timestamp).forEach(report => {
+        const month = new Date(report.timestamp).toISOString().slice(0, 7);
+        if (!byMonth.has(month)) byMonth.set(month, []);
+        byMonth.get(month).push(report);
+    });
+    const months = [...byMonth.keys()].sort();
+    if (!months.length) return [];
+    const trend = [];
+    let [year, month] = months[0].split('-').map(Number);
+    const last = months[months.length - 1];
+    for (let period = months[0]; period <= last; period = `${year}-${String(month).padStart(2, '0')}`) {
+        trend.push({ period, ...summarize(byMonth.get(period) || []) });
+        month += 1;
+        if (month > 12) { month = 1; year += 1; }
+    }
+    return trend;
+};
+
+// Ten-point buckets over 0-100; 100 falls in the top bucket.
+export const buildHistogram = (values) => {
+    const buckets = Array.from({ length: 10 }, (_, i) => ({ label: i === 9 ? '90–100' : `${i * 10}–${i * 10 + 9}`, count: 0 }));
+    values.filter(value => Number.isFinite(value)).forEach(value => {
+        buckets[Math.min(9, Math.max(0, Math.floor(value / 10)))].count += 1;
+    });
+    return buckets;
+};
+
+// "ISO 9001:2015, ISO 27001; OSHA and CE marking" -> four certifications. Edition years are
+// dropped so "ISO 9001:2015" and "ISO 9001" count together.
+export const splitCertifications = (text) => clean(text)
+    .split(/[,;\n]|\band\b|\s\/\s/i)
+    .map(part => clean(part.replace(/[:-]\s?(19|20)\d{2}\b/, '').replace(/\.$/, '')))
+    .filter(part => part && !isBlank(part));
+
+// primaryRisk is free text; it is matched against these themes (a risk can hit several) and
+// counted as "Other" when none match.
+export const RISK_THEMES = [
+    { label: 'Payment terms', pattern: /payment|invoice|retention|cash ?flow|advance/i },
+    { label: 'Liability & indemnity', pattern: /liabilit|indemn|consequential|unlimited/i },
+    { label: 'Penalties & liquidated damages', pattern: /penalt|liquidated|\bLDs?\b/i },
+    { label: 'Schedule & delivery', pattern: /deadline|timeline|schedule|delay|delivery|lead time|milestone/i },
+    { label: 'Insurance, bonds & guarantees', pattern: /insurance|bond|guarantee|surety/i },
+    { label: 'Intellectual property', pattern: /intellectual|\bIP\b|source code|ownership/i },
+    { label: 'Termination', pattern: /terminat/i },
+    { label: 'Warranty & defects', pattern: /warrant|defect/i },
+    { label: 'Regulatory & certification', pattern: /complian|regulat|certif|permit|licen[cs]|accredit/i },
+    { label: 'Scope & specification', pattern: /scope|specification|ambigu|unclear|vague/i },
+    { label: 'Pricing & budget', pattern: /price|pricing|budget|cost|currency|exchange rate|inflation/i },
+    { label: 'Data & security', pattern: /security|privacy|cyber|data protection|gdpr/i }
+];
+
+export const getRiskThemes = (risk) => {
+    const text = clean(risk);
+    if (isBlank(text)) return [];
+    const themes = RISK_THEMES.filter(theme => theme.pattern.test(text)).map(theme => theme.label);
+    return themes.length ? themes : ['Other'];
+};
+
+// Bands of the value converted to BASE_CURRENCY.
+export const VALUE_BANDS = [
+    { label: 'Under 100k', max: 1e5 },
+    { label: '100k–1M', max: 1e6 },
+    { label: '1M–10M', max: 1e7 },
+    { label: '10M+', max: Infinity }
+];
+
+const getValueBand = (report) => {
+    const amount = getNormalizedValue(report);
+    if (amount === null) return UNSPECIFIED;
+    return VALUE_BANDS.find(band => amount < band.max).label;
+};
+
+// Options for the filter dropdowns, from the unfiltered reports.
+export const getFilterOptions = (reports) => ({
+    industries: tally(reports, getIndustry).map(entry => entry.label),
+    regions: tally(reports, report => getRegion(report.projectLocation)).map(entry => entry.label),
+    personas: tally(reports, getPersona).map(entry => entry.label),
+    temperatures: tally(reports, getTemperature).map(entry => entry.label)
+});
+
+export const buildMarketAnalytics = (reports) => {
+    const scored = reports.filter(isBidAudit);
+    return {
+        summary: summarize(reports),
+        byIndustry: breakdown(reports, getIndustry),
+        byRegion: breakdown(reports, report => getRegion(report.projectLocation)),
+        byPersona: tally(reports, getPersona),
+        byTemperature: tally(reports, getTemperature),
+        byCurrency: tally(reports, report => getBidValue(report).currency || UNSPECIFIED),
+        byValueBand: VALUE_BANDS.map(band => band.label).concat(UNSPECIFIED)
+            .map(label => ({ label, count: reports.filter(report => getValueBand(report) === label).length })),
+        complexity: Array.from({ length: 10 }, (_, i) => ({
+            label: String(i + 1),
+            count: reports.filter(report => Math.round(leadingNumber(report.complexityScore)) === i + 1).length
+        })),
+        trend: buildTrend(reports),
+        scoreHistogram: buildHistogram(scored.map(scoreOf)),
+        persuasionHistogram: buildHistogram(scored.map(persuasionOf)),
+        riskThemes: tally(reports, report => getRiskThemes(report.primaryRisk)),
+        certifications: tally(reports, report => splitCertifications(report.requiredCertifications)).slice(0, 15)
+    };
+};
@@ -0,0 +1,40 @@
+// --- REQUIREMENT MATCHING ---
+// The model rewords requirements between runs and between bids, so requirements are
+// matched on normalised text first and on word overlap (Jaccard) as a fallback.
+
+export const normalizeRequirement = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const MATCH_STOP_WORDS = new Set(['the', 'and', 'for', 'all', 'any', 'shall', 'must', 'will', 'with', 'that', 'this', 'are', 'be', 'of', 'to', 'in', 'a', 'an', 'or', 'by', 'on', 'is']);
+
+const requirementTokens = (text) => new Set(normalizeRequirement(text).split(' ').filter(t => t.length > 1 && !MATCH_STOP_WORDS.has(t)));
+
+export const requirementSimilarity = (a, b) => {
+    if (normalizeRequirement(a) === normalizeRequirement(b)) return 1;
+    const tokensA = requirementTokens(a);
+    const tokensB = requirementTokens(b);
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+    let shared = 0;
+    tokensA.forEach(t => { if (tokensB.has(t)) shared += 1; });
+    return shared / (tokensA.size + tokensB.size - shared);
+};
+
+export const FUZZY_MATCH_THRESHOLD = 0.6;
+
+// Greedily pairs each candidate with the most similar unclaimed target above the threshold.
+// Returns a Map of candidate index -> target index.
+export const matchRequirements = (candidates, targets, threshold = FUZZY_MATCH_THRESHOLD) => {
+    const pairs = [];
+    candidates.forEach((candidate, i) => targets.forEach((target, j) => {
+        const score = requirementSimilarity(candidate, target);
+        if (score >= threshold) pairs.push({ i, j, score });
+    }));
+    pairs.sort((a, b) => b.score - a.score);
+    const matched = new Map();
+    const claimed = new Set();
+    pairs.forEach(({ i, j }) => {
+        if (matched.has(i) || claimed.has(j)) return;
+        matched.set(i, j);
+        claimed.add(j);
+    });
+    return matched;
+};
@@ -0,0 +1,161 @@
+// --- MOCK AI PROVIDER ---
+// Deterministic stand-in for the model, for offline demos and tests. Fixed fixture reports
+// are filled in from the prompt itself: audit findings quote the RFQ's own "shall / must"
+// statements (so citations resolve) and the flag of each finding is a hash of its text, so the
+// same documents always produce the same report. No text leaves the browser.
+
+const MANDATORY = /\b(?:shall|must|required to|mandatory)\b/i;
+const VAGUE = /\b(?:adequate|appropriate|as required|as necessary|industry standard|promptly|reasonable|best efforts|sufficient)\b/i;
+const MARKER_LINE = /^\[([^\]\n]+)\]$/;
+const MAX_MOCK_FINDINGS = 8;
+const FLAGS = [
+    { flag: 'COMPLIANT', complianceScore: 1 },
+    { flag: 'PARTIAL', complianceScore: 0.5 },
+    { flag: 'NON-COMPLIANT', complianceScore: 0 }
+];
+
+const AUDIT_FIXTURE = {
+    projectTitle: 'Demo Tender (mock provider)',
+    rfqScopeSummary: 'Mock analysis generated locally without an AI model.',
+    grandTotalValue: 'Not stated',
+    industryTag: 'Other',
+    primaryRisk: 'Mock data: replace with a real provider before relying on this report.',
+    projectLocation: 'Not stated',
+    contractDuration: 'Not stated',
+    techKeywords: 'N/A',
+    requiredCertifications: 'N/A',
+    buyingPersona: 'VALUE-DRIVEN',
+    complexityScore: '5/10',
+    trapCount: '0 Critical Traps',
+    leadTemperature: 'WARM LEAD',
+    generatedExecutiveSummary: 'This executive summary was produced by the mock provider for demonstration purposes.\n\nConnect a real AI provider to generate a tailored summary of the bid.',
+    persuasionScore: 50,
+    toneAnalysis: 'Neutral',
+    weakWords: ['approximately', 'may', 'aim to'],
+    procurementVerdict: {
+        winningFactors: ['Responds to every section', 'Clear structure', 'Named contacts'],
+        losingFactors: ['Mock data only', 'No pricing detail checked', 'No evidence checked']
+    },
+    legalRiskAlerts: [],
+    submissionChecklist: ['Signed form of tender', 'Pricing schedule'],
+    supersededRequirements: [],
+    executiveSummary: 'Mock audit: findings below quote the RFQ statements but their scores are placeholders.'
+};
+
+const QUALITY_FIXTURE = {
+    projectTitle: 'Demo Tender (mock provider)',
+    rfqScopeSummary: 'Mock review generated locally without an AI model.',
+    industryTag: 'Other',
+    qualityScore: 70,
+    executiveSummary: 'Mock review: issues below flag vague wording found in the RFQ text.',
+    evaluationCriteriaFound: [],
+    missingEvaluationCriteria: ['Award weighting between price and quality']
+};
+
+const hashText = (text) => {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    return hash;
+};
+
+const between = (text, startMarker, endMarker) => {
+    const start = text.indexOf(startMarker);
+    if (start === -1) return '';
+    const from = start + startMarker.length;
+    const end = endMarker ? text.indexOf(endMarker, from) : -1;
+    return text.slice(from, end === -1 ? undefined : end);
+};
+
+// Non-empty lines with the nearest preceding location marker ("Page 3").
+const markedLines = (text) => {
+    let marker = '';
+    return text.split('\n').map(line => line.trim()).filter(Boolean).flatMap(line => {
+        const match = line.match(MARKER_LINE);
+        if (match) { marker = match[1]; return []; }
+        return [{ text: line, marker }];
+    });
+};
+
+const wordsOf = (text) => new Set(text.toLowerCase().match(/[a-z]{5,}/g) || []);
+
+const findEvidence = (requirement, bidLines) => {
+    const wanted = wordsOf(requirement);
+    let best = null;
+    let bestScore = 0;
+    bidLines.forEach(line => {
+        const score = [...wordsOf(line.text)].filter(word => wanted.has(word)).length;
+        if (score > bestScore) { best = line; bestScore = score; }
+    });
+    return best;
+};
+
+const mockFinding = (requirement, rfqMarker, bidLines) => {
+    const { flag, complianceScore } = FLAGS[hashText(requirement) % FLAGS.length];
+    const evidence = flag === 'NON-COMPLIANT' ? null : findEvidence(requirement, bidLines);
+    return {
+        requirementFromRFQ: requirement,
+        rfqClauseRef: (requirement.match(/^\d{1,3}(?:\.\d{1,3})+/) || [''])[0],
+        complianceScore,
+        flag,
+        bidResponseSummary: evidence ? 'Mock: the bid mentions this requirement.' : 'Mock: no matching bid text found.',
+        bidEvidenceQuote: evidence ? evidence.text.slice(0, 160) : '',
+        rfqPageRef: rfqMarker,
+        bidPageRef: evidence ? evidence.marker : '',
+        category: 'OTHER',
+        amendmentStatus: 'ORIGINAL',
+        negotiationStance: complianceScore < 1 ? 'Mock negotiation stance: confirm the deviation with the buyer before submission.' : ''
+    };
+};
+
+// Fills fields the fixtures do not know about from the schema (re-requests and new schemas).
+const placeholderFor = (schema) => {
+    if (schema?.enum?.length) return schema.enum[0];
+    switch (String(schema?.type || '').toUpperCase()) {
+        case 'OBJECT': return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, value]) => [key, placeholderFor(value)]));
+        case 'ARRAY': return [];
+        case 'NUMBER': case 'INTEGER': return 0;
+        case 'BOOLEAN': return false;
+        default: return 'Mock value';
+    }
+};
+
+const fitToSchema = (data, schema) => Object.fromEntries(Object.entries(schema.properties || {}).map(([key, value]) => [key, data[key] !== undefined ? data[key] : placeholderFor(value)]));
+
+// Returns the JSON a model would have returned for { systemPrompt, userQuery, schema }.
+export const buildMockResponse = ({ userQuery = '', schema = {} }) => {
+    const fields = schema.properties || {};
+    const bidLines = markedLines(between(userQuery, '\n\nBid:\n', '\n\nPerform audit') || between(userQuery, '\n\nBid:\n', '\n\nAudit each'));
+
+    if (fields.dismissed) {
+        const statements = between(userQuery, 'RFQ statements not yet audited:\n', '\n\nBid:\n').split('\n').map(line => line.match(/^(\d+)\.\s+(?:\[[^\]]*\]\s+)?(.+)$/)).filter(Boolean);
+        const findings = [];
+        const dismissed = [];
+        statements.forEach(([, id, text]) => {
+            if (MANDATORY.test(text)) findings.push(mockFinding(text, '', bidLines));
+            else dismissed.push({ requirementId: Number(id), reason: 'Mock: no obligation wording.' });
+        });
+        return fitToSchema({ findings, dismissed }, schema);
+    }
+
+    if (fields.findings) {
+        const rfqLines = markedLines(between(userQuery, ':\n', '\n\nBid:\n'));
+        const findings = rfqLines.filter(line => MANDATORY.test(line.text)).slice(0, MAX_MOCK_FINDINGS).map(line => mockFinding(line.text, line.marker, bidLines));
+        return fitToSchema({ ...AUDIT_FIXTURE, findings }, schema);
+    }
+
+    if (fields.issues) {
+        const rfqLines = markedLines(between(userQuery, ':\n', '\n\nReview this RFQ'));
+        const issues = rfqLines.filter(line => VAGUE.test(line.text)).slice(0, MAX_MOCK_FINDINGS).map(line => ({
+            clauseText: line.text,
+            rfqPageRef: line.marker,
+            issueType: 'AMBIGUOUS',
+            severity: 'MEDIUM',
+            explanation: `Mock: "${line.text.match(VAGUE)[0]}" is open to interpretation.`,
+            conflictsWith: '',
+            suggestedRewrite: 'Mock: replace with a measurable criterion.'
+        }));
+        return fitToSchema({ ...QUALITY_FIXTURE, issues }, schema);
+    }
+
+    return fitToSchema({ ...AUDIT_FIXTURE, ...QUALITY_FIXTURE }, schema);
+};
@@ -0,0 +1,77 @@
+// --- OCR FALLBACK ---
+// Scanned tenders and signed forms have PDF pages without a text layer. Those pages are
+// rendered with pdf.js and read by tesseract.js in a web worker. The worker script, WASM core
+// and English model are served from this app's own assets (see vite.config.js), never a CDN.
+
+import workerUrl from 'tesseract.js/dist/worker.min.js?url';
+import coreUrl from 'tesseract.js-core/tesseract-core-lstm.wasm.js?url';
+import coreSimdUrl from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url';
+
+// Pages with fewer visible characters than this are treated as scanned.
+export const MIN_TEXT_CHARS_PER_PAGE = 40;
+export const LOW_OCR_CONFIDENCE = 70;
+const OCR_RENDER_SCALE = 2;
+const TESSDATA_PATH = '/tessdata';
+const OEM_LSTM_ONLY = 1;
+
+// Smallest module using a SIMD instruction; validates only where WebAssembly SIMD is available.
+const SIMD_PROBE = new Uint8Array([0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11]);
+const supportsSimd = () => { try { return WebAssembly.validate(SIMD_PROBE); } catch { return false; } };
+
+const absoluteUrl = (url) => new URL(url, window.location.href).href;
+
+export const needsOcr = (text) => String(text || '').replace(/\s+/g, '').length < MIN_TEXT_CHARS_PER_PAGE;
+
+const renderPageToCanvas = async (page) => {
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas;
+};
+
+// One tesseract worker per document, created on the first scanned page and terminated by the caller.
+// onProgress receives human-readable status text ("OCR bid.pdf: page 3 of 12 (45%)").
+export const createPdfOcr = (onProgress) => {
+    let workerPromise = null;
+    let currentLabel = '';
+    const getWorker = () => {
+        if (!workerPromise) {
+            workerPromise = import('tesseract.js').then(({ createWorker }) => createWorker('eng', OEM_LSTM_ONLY, {
+                workerPath: absoluteUrl(workerUrl),
+                corePath: absoluteUrl(supportsSimd() ? coreSimdUrl : coreUrl),
+                langPath: absoluteUrl(TESSDATA_PATH),
+                logger: (m) => {
+                    if (!onProgress) return;
+                    if (m.status === 'recognizing text') onProgress(`${currentLabel} (${Math.round(m.progress * 100)}%)`);
+                    else if (m.status === 'loading language traineddata') onProgress(`${currentLabel}: loading OCR model...`);
+                }
+            }));
+        }
+        return workerPromise;
+    };
+    return {
+        recognizePage: async (page, label) => {
+            currentLabel = label;
+            if (onProgress) onProgress(label);
+            const canvas = await renderPageToCanvas(page);
+            const { data } = await (await getWorker()).recognize(canvas);
+            canvas.width = 0; canvas.height = 0; // release the bitmap before the next page
+            return { text: data.text || '', confidence: Math.round(data.confidence || 0) };
+        },
+        terminate: async () => {
+            if (!workerPromise) return;
+            try { await (await workerPromise).terminate(); } catch (e) { console.warn('OCR worker did not shut down cleanly', e); }
+        }
+    };
+};
+
+// What the report should say about OCR for one source document, or null when no page needed it.
+export const summarizeOcr = (document) => {
+    const pages = document?.ocrPages || [];
+    const emptyPages = document?.emptyPages || [];
+    if (pages.length === 0 && emptyPages.length === 0 && !document?.ocrError) return null;
+    const averageConfidence = pages.length ? Math.round(pages.reduce((sum, p) => sum + p.confidence, 0) / pages.length) : null;
+    return { documentName: document.name, pages, emptyPages, averageConfidence, error: document.ocrError || null };
+};
@@ -0,0 +1,58 @@
+// --- REVIEWER OVERRIDES ---
+// Reviewers can correct the AI's verdict on a finding. The first override of a field
+// stores the AI value in finding.aiOriginal, finding.overriddenFields lists what a human
+// changed, and every change is appended to report.overrideLog as an audit-trail entry.
+
+export const OVERRIDABLE_FIELDS = ['flag', 'complianceScore', 'category', 'negotiationStance'];
+
+export const FLAG_DEFAULT_SCORES = { 'COMPLIANT': 1, 'PARTIAL': 0.5, 'NON-COMPLIANT': 0 };
+
+const sameValue = (a, b) => (a ?? '') === (b ?? '') || (typeof a === 'number' && Number(b) === a);
+
+const toReviewer = (reviewer) => ({ uid: reviewer?.uid || null, name: reviewer?.name || reviewer?.email || 'Unknown reviewer' });
+
+// Returns the updated report plus the log entries the change produced (empty when nothing changed).
+export const applyFindingOverride = (report, findingIndex, changes, reviewer, note) => {
+    const finding = report.findings?.[findingIndex];
+    if (!finding) return { report, entries: [] };
+    const changedAt = Date.now();
+    const changedBy = toReviewer(reviewer);
+    const entries = [];
+    const updated = { ...finding, aiOriginal: { ...(finding.aiOriginal || {}) }, overriddenFields: [...(finding.overriddenFields || [])] };
+
+    OVERRIDABLE_FIELDS.forEach(field => {
+        if (!(field in changes)) return;
+        const newValue = field === 'complianceScore' ? Number(changes[field]) : changes[field];
+        if (sameValue(finding[field], newValue)) return;
+        if (!(field in updated.aiOriginal) && !finding.overriddenFields?.includes(field)) updated.aiOriginal[field] = finding[field] ?? null;
+        updated[field] = newValue;
+        // Setting a field back to the AI's value clears the override marker.
+        const backToAi = sameValue(updated.aiOriginal[field], newValue);
+        updated.overriddenFields = backToAi ? updated.overriddenFields.filter(f => f !== field) : [...new Set([...updated.overriddenFields, field])];
+        entries.push({ findingIndex, requirement: finding.requirementFromRFQ || '', field, oldValue: finding[field] ?? null, newValue, changedBy, changedAt });
+    });
+
+    if (note && note.trim()) {
+        updated.reviewerNotes = [...(finding.reviewerNotes || []), { text: note.trim(), by: changedBy, at: changedAt }];
+        entries.push({ findingIndex, requirement: finding.requirementFromRFQ || '', field: 'reviewerNote', oldValue: null, newValue: note.trim(), changedBy, changedAt });
+    }
+    if (entries.length === 0) return { report, entries };
+
+    const findings = report.findings.map((f, i) => i === findingIndex ? updated : f);
+    return { report: { ...report, findings, overrideLog: [...(report.overrideLog || []), ...entries] }, entries };
+};
+
+export const isOverridden = (finding, field) => (finding.overriddenFields || []).includes(field);
+
+// Applies several overrides in one pass (e.g. an imported spreadsheet); `source` tags the log entries.
+export const applyFindingOverrides = (report, edits, reviewer, source) => {
+    let current = report;
+    const allEntries = [];
+    edits.forEach(({ findingIndex, changes, note }) => {
+        const { report: next, entries } = applyFindingOverride(current, findingIndex, changes, reviewer, note);
+        current = next;
+        allEntries.push(...entries.map(entry => source ? { ...entry, source } : entry));
+    });
+    if (allEntries.length === 0) return { report, entries: allEntries };
+    return { report: { ...current, overrideLog: [...(report.overrideLog || []), ...allEntries] }, entries: allEntries };
+};
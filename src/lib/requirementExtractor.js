@@ -0,0 +1,122 @@
+// --- LOCAL REQUIREMENT EXTRACTION ---
+// A rule-based pass over the RFQ text that needs no model: "shall / must / is required to /
+// mandatory" statements, requirement IDs ("REQ-012") and numbered items under requirement
+// headings. It cannot judge compliance, but it gives an independent list to check the AI's
+// findings against, so skipped requirements show up as coverage gaps instead of disappearing.
+
+import { clauseAt } from './documents.js';
+import { normalizeRequirement, requirementSimilarity } from './matching.js';
+import { CLAUSE_START } from './structure.js';
+
+const MANDATORY = /\b(?:shall|must|is required to|are required to|will be required to|is mandatory|are mandatory|mandatory)\b/i;
+// Obligations on the buyer are not something the bid has to answer.
+const BUYER_SUBJECT = /^(?:the\s+)?(?:client|employer|purchaser|buyer|owner|contracting authority|procuring entity|evaluation committee)\s+(?:shall|must|will|may)\b/i;
+const REQUIREMENT_ID = /^(?:REQ|FR|NFR|TR|SR)[-_ ]?\d+[a-z]?\b/i;
+const REQUIREMENT_HEADING = /requirement|specification|scope of (?:work|supply|services)|deliverable|obligation|mandatory/i;
+const LIST_MARKER = /^(?:[-*•]|\(?[a-z0-9]{1,3}[.)])\s+/i;
+const SENTENCE = /(?:[^.!?]|[.!?]+(?=\S))+[.!?]*/g;
+const ABBREVIATION_END = /\b(?:e\.g|i\.e|etc|no|nos|approx|incl|min|max|vs|cf|ref|art|cl|para)\.$/i;
+
+const MIN_WORDS = 4;
+const MAX_STATEMENT_CHARS = 400;
+export const COVERAGE_MATCH_THRESHOLD = 0.5;
+
+const stripMarkers = (text) => text.replace(/^\s*(?:#{1,6}\s+)?/, '').replace(CLAUSE_START, '').replace(LIST_MARKER, '').trim();
+
+// Sentences of one line with their offsets. Numbers like "4.2.3" do not end a sentence because
+// the split needs whitespace after the stop; common abbreviations ("e.g.", "No.") are rejoined.
+const sentencesOf = (line, lineStart) => {
+    const out = [];
+    let match;
+    SENTENCE.lastIndex = 0;
+    while ((match = SENTENCE.exec(line)) !== null) {
+        if (!match[0].trim()) { SENTENCE.lastIndex += 1; continue; }
+        const lead = match[0].length - match[0].trimStart().length;
+        const sentence = { text: match[0].trim(), start: lineStart + match.index + lead, end: lineStart + match.index + match[0].trimEnd().length };
+        const previous = out[out.length - 1];
+        if (previous && ABBREVIATION_END.test(previous.text)) {
+            previous.text = line.slice(previous.start - lineStart, sentence.end - lineStart);
+            previous.end = sentence.end;
+        } else out.push(sentence);
+    }
+    return out;
+};
+
+const isStatement = (text) => stripMarkers(text).split(/\s+/).length >= MIN_WORDS;
+
+const tableRowText = (line) => line.split(/(?<!\\)\|/).map(cell => cell.trim()).filter(Boolean).join(' | ');
+
+// Returns [{ id, text, clause, label, start, end, reason }] in document order, cached per document.
+export const extractRequirements = (document) => {
+    if (!document?.segments) return [];
+    if (document._requirements) return document._requirements;
+    const found = [];
+    const seen = new Set();
+    const add = (text, start, end, reason) => {
+        const clean = text.replace(/\s+/g, ' ').trim().slice(0, MAX_STATEMENT_CHARS);
+        const key = normalizeRequirement(stripMarkers(clean));
+        if (!key || seen.has(key) || !isStatement(clean)) return;
+        if (BUYER_SUBJECT.test(stripMarkers(clean))) return;
+        seen.add(key);
+        const segmentIndex = document.segments.findIndex(seg => start >= seg.start && start <= seg.end);
+        found.push({ id: found.length + 1, text: clean, clause: clauseAt(document, start), label: document.segments[segmentIndex]?.label || null, start, end, reason });
+    };
+
+    let heading = '';
+    document.segments.forEach(seg => {
+        let offset = seg.start;
+        document.text.slice(seg.start, seg.end).split('\n').forEach(line => {
+            const lineStart = offset;
+            offset += line.length + 1;
+            const trimmed = line.trim();
+            if (!trimmed) return;
+            if (/^#{1,6}\s/.test(trimmed)) { heading = trimmed; return; }
+            if (trimmed.startsWith('|')) {
+                if (/^\|[\s|:-]+\|$/.test(trimmed)) return;
+                const row = tableRowText(trimmed);
+                if (MANDATORY.test(row) || REQUIREMENT_ID.test(row)) add(row, lineStart, lineStart + line.length, 'table');
+                return;
+            }
+            const body = stripMarkers(trimmed);
+            if (REQUIREMENT_ID.test(body)) { add(trimmed, lineStart, lineStart + line.length, 'id'); return; }
+            const numbered = CLAUSE_START.test(trimmed) || LIST_MARKER.test(trimmed);
+            const sentences = sentencesOf(line, lineStart);
+            const mandatory = sentences.filter(sentence => MANDATORY.test(sentence.text));
+            if (mandatory.length > 0) mandatory.forEach(sentence => add(sentence.text, sentence.start, sentence.end, 'keyword'));
+            else if (numbered && REQUIREMENT_HEADING.test(heading)) add(trimmed, lineStart, lineStart + line.length, 'numbered');
+        });
+    });
+    Object.defineProperty(document, '_requirements', { value: found, enumerable: false });
+    return found;
+};
+
+const overlaps = (citation, requirement) => citation && typeof citation.start === 'number' && citation.start < requirement.end && requirement.start < citation.end;
+
+const containsEither = (a, b) => {
+    const x = normalizeRequirement(a);
+    const y = normalizeRequirement(stripMarkers(b));
+    return x.length >= 20 && y.length >= 20 && (x.includes(y) || y.includes(x));
+};
+
+// A requirement is covered when a finding cites the same passage or quotes (nearly) the same text.
+export const isRequirementCovered = (requirement, items) => items.some(item =>
+    overlaps(item.citation, requirement) ||
+    containsEither(item.text, requirement.text) ||
+    requirementSimilarity(item.text, stripMarkers(requirement.text)) >= COVERAGE_MATCH_THRESHOLD
+);
+
+// Splits the extracted requirements into covered ones and gaps. `findings` are audit findings
+// (with rfqCitation); `superseded` are clauses addenda replaced or deleted, which need no finding.
+export const findCoverageGaps = (requirements, findings = [], superseded = []) => {
+    const items = [
+        ...findings.map(f => ({ text: f.requirementFromRFQ, citation: f.rfqCitation })),
+        ...superseded.map(s => ({ text: s.originalText, citation: s.originalCitation }))
+    ];
+    const gaps = [];
+    let covered = 0;
+    requirements.forEach(requirement => {
+        if (isRequirementCovered(requirement, items)) covered += 1;
+        else gaps.push(requirement);
+    });
+    return { covered, gaps };
+};
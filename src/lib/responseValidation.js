@@ -0,0 +1,213 @@
+// --- AI RESPONSE VALIDATION ---
+// The model is asked for JSON matching a Gemini-style responseSchema (type OBJECT / ARRAY /
+// STRING / NUMBER / INTEGER / BOOLEAN, enum, properties, required) but does not always comply.
+// parseModelJson recovers truncated or fenced JSON; coerceToSchema fixes what it safely can
+// (string scores, enum casing, single values for lists) and reports everything else per field.
+
+import { FLAG_DEFAULT_SCORES } from './overrides.js';
+
+export const ISSUE_SEVERITY = { REPAIRED: 'REPAIRED', INVALID: 'INVALID' };
+
+export class ModelResponseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ModelResponseError';
+    }
+}
+
+const stripFences = (text) => text.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+
+// Cuts a truncated document back to the last complete value and closes the open brackets.
+// Returns null when the text is not a truncation (balanced but otherwise broken).
+const closeTruncatedJson = (text) => {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+    let stringIsKey = false;
+    let expectingKey = false;
+    let safe = null;
+    const snapshot = (pos) => { safe = { pos, closers: stack.map(c => c === '{' ? '}' : ']').reverse().join('') }; };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') { inString = false; if (!stringIsKey) snapshot(i + 1); }
+            continue;
+        }
+        if (ch === '"') { inString = true; stringIsKey = stack[stack.length - 1] === '{' && expectingKey; }
+        else if (ch === '{') { stack.push('{'); expectingKey = true; }
+        else if (ch === '[') { stack.push('['); expectingKey = false; }
+        else if (ch === '}' || ch === ']') { stack.pop(); expectingKey = false; snapshot(i + 1); }
+        else if (ch === ':') expectingKey = false;
+        else if (ch === ',') { snapshot(i); expectingKey = stack[stack.length - 1] === '{'; }
+    }
+    if ((stack.length === 0 && !inString) || !safe) return null;
+    return text.slice(0, safe.pos) + safe.closers;
+};
+
+// Returns { value, repaired } or throws ModelResponseError with the parser's reason.
+export const parseModelJson = (rawText) => {
+    const text = stripFences(String(rawText || '')).trim();
+    if (!text) throw new ModelResponseError('AI response was empty.');
+    let parseError;
+    try { return { value: JSON.parse(text), repaired: false }; } catch (e) { parseError = e; }
+
+    // Prose around the object ("Here is the JSON: {...}").
+    const start = text.search(/[{[]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start > 0 || (end !== -1 && end < text.length - 1)) {
+        try { return { value: JSON.parse(text.slice(start, end + 1)), repaired: true }; } catch { /* fall through to truncation repair */ }
+    }
+    const closed = start === -1 ? null : closeTruncatedJson(text.slice(start));
+    if (closed) {
+        try { return { value: JSON.parse(closed), repaired: true }; } catch { /* reported below */ }
+    }
+    throw new ModelResponseError(`AI response is not valid JSON and could not be repaired (${parseError.message}).`);
+};
+
+const canonicalEnum = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const describeValue = (value) => {
+    const text = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+    return text && text.length > 40 ? `${text.slice(0, 40)}…` : text;
+};
+
+const joinPath = (path, key) => path ? `${path}.${key}` : key;
+
+// Text holding one number ("0.75", "85%", "1,200") or a fraction ("1/2", "3 / 4") becomes that
+// number. Ranges ("0.5-0.7") and text with several numbers are ambiguous: NaN, so the value is
+// dropped and, when required, re-requested.
+const parseNumberText = (text) => {
+    const compact = text.replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+    const fraction = compact.match(/^[^\d-]*(-?\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)[^\d]*$/);
+    if (fraction) return Number(fraction[2]) ? Number(fraction[1]) / Number(fraction[2]) : NaN;
+    const numbers = compact.match(/-?\d+(?:\.\d+)?/g) || [];
+    return numbers.length === 1 ? Number(numbers[0]) : NaN;
+};
+
+// Returns { value, issues: [{ path, severity, message }], missing: [path] }. A value that cannot
+// be used comes back as undefined so the caller can drop it.
+export const coerceToSchema = (input, schema, path = '') => {
+    const issues = [];
+    const missing = [];
+    const type = String(schema?.type || '').toUpperCase();
+    const where = path || 'response';
+    const repaired = (message) => issues.push({ path: where, severity: ISSUE_SEVERITY.REPAIRED, message });
+    const invalid = (message) => issues.push({ path: where, severity: ISSUE_SEVERITY.INVALID, message });
+
+    if (input === undefined || input === null) return { value: undefined, issues, missing };
+
+    const coerce = () => {
+        switch (type) {
+            case 'OBJECT': {
+                if (typeof input !== 'object' || Array.isArray(input)) { invalid(`Expected an object, got ${describeValue(input)}; value dropped.`); return undefined; }
+                const result = { ...input };
+                Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+                    const child = coerceToSchema(input[key], propSchema, joinPath(path, key));
+                    issues.push(...child.issues);
+                    missing.push(...child.missing);
+                    if (child.value === undefined) delete result[key];
+                    else result[key] = child.value;
+                });
+                (schema.required || []).forEach(key => { if (result[key] === undefined) missing.push(joinPath(path, key)); });
+                return result;
+            }
+            case 'ARRAY': {
+                let list = input;
+                if (!Array.isArray(list)) {
+                    list = [input];
+                    repaired('Expected a list; wrapped the single value.');
+                }
+                return list.reduce((acc, item, i) => {
+                    const child = coerceToSchema(item, schema.items || {}, `${path}[${i}]`);
+                    issues.push(...child.issues);
+                    missing.push(...child.missing);
+                    if (child.value !== undefined) acc.push(child.value);
+                    else if (item !== null && item !== undefined) invalid(`Item ${i + 1} dropped.`);
+                    return acc;
+                }, []);
+            }
+            case 'STRING': {
+                let text = input;
+                if (typeof input === 'number' || typeof input === 'boolean') { text = String(input); repaired(`Converted ${typeof input} to text.`); }
+                else if (typeof input !== 'string') {
+                    if (Array.isArray(input) && input.every(v => typeof v === 'string')) { text = input.join('; '); repaired('Joined a list into text.'); }
+                    else { invalid(`Expected text, got ${describeValue(input)}; value dropped.`); return undefined; }
+                }
+                if (!schema.enum || schema.enum.includes(text)) return text;
+                const match = schema.enum.find(option => canonicalEnum(option) === canonicalEnum(text));
+                if (match) { repaired(`Normalized ${describeValue(text)} to "${match}".`); return match; }
+                invalid(`${describeValue(text)} is not one of ${schema.enum.join(', ')}; value dropped.`);
+                return undefined;
+            }
+            case 'NUMBER':
+            case 'INTEGER': {
+                let number = input;
+                if (typeof input === 'boolean') number = input ? 1 : 0;
+                else if (typeof input === 'string') number = parseNumberText(input);
+                if (typeof number !== 'number' || !Number.isFinite(number)) { invalid(`Expected a number, got ${describeValue(input)}; value dropped.`); return undefined; }
+                if (type === 'INTEGER' && !Number.isInteger(number)) number = Math.round(number);
+                if (number !== input) repaired(`Converted ${describeValue(input)} to ${number}.`);
+                return number;
+            }
+            case 'BOOLEAN': {
+                if (typeof input === 'boolean') return input;
+                const text = String(input).trim().toLowerCase();
+                if (['true', 'yes', '1'].includes(text)) { repaired(`Converted ${describeValue(input)} to true.`); return true; }
+                if (['false', 'no', '0'].includes(text)) { repaired(`Converted ${describeValue(input)} to false.`); return false; }
+                invalid(`Expected true/false, got ${describeValue(input)}; value dropped.`);
+                return undefined;
+            }
+            default:
+                return input;
+        }
+    };
+    return { value: coerce(), issues, missing };
+};
+
+// Schema containing only the named top-level properties, for re-requesting missing fields.
+export const pickSchemaFields = (schema, fields) => ({
+    ...schema,
+    properties: Object.fromEntries(fields.filter(f => schema.properties?.[f]).map(f => [f, schema.properties[f]])),
+    required: fields
+});
+
+export const isTopLevelPath = (path) => !/[.[]/.test(path);
+
+const flagForScore = (score) => score >= 1 ? 'COMPLIANT' : score <= 0 ? 'NON-COMPLIANT' : 'PARTIAL';
+
+// Audit-specific consistency fixes the schema cannot express: scores on 0-1, a flag and
+// score on every finding, and no finding without requirement text.
+export const reconcileAuditFindings = (report) => {
+    const issues = [];
+    if (!Array.isArray(report.findings)) return { report, issues };
+    const findings = [];
+    report.findings.forEach((finding, i) => {
+        const path = `findings[${i}]`;
+        if (!String(finding.requirementFromRFQ || '').trim()) {
+            issues.push({ path, severity: ISSUE_SEVERITY.INVALID, message: 'Finding has no requirement text; dropped.' });
+            return;
+        }
+        const fixed = { ...finding };
+        if (typeof fixed.complianceScore === 'number' && (fixed.complianceScore > 1 || fixed.complianceScore < 0)) {
+            const scaled = fixed.complianceScore > 1 && fixed.complianceScore <= 100 ? fixed.complianceScore / 100 : Math.min(1, Math.max(0, fixed.complianceScore));
+            issues.push({ path: `${path}.complianceScore`, severity: ISSUE_SEVERITY.REPAIRED, message: `Score ${fixed.complianceScore} is outside 0-1; using ${scaled}.` });
+            fixed.complianceScore = scaled;
+        }
+        if (!fixed.flag && typeof fixed.complianceScore === 'number') {
+            fixed.flag = flagForScore(fixed.complianceScore);
+            issues.push({ path: `${path}.flag`, severity: ISSUE_SEVERITY.REPAIRED, message: `Missing flag derived from score: ${fixed.flag}.` });
+        } else if (fixed.flag && typeof fixed.complianceScore !== 'number') {
+            fixed.complianceScore = FLAG_DEFAULT_SCORES[fixed.flag];
+            issues.push({ path: `${path}.complianceScore`, severity: ISSUE_SEVERITY.REPAIRED, message: `Missing score derived from flag: ${fixed.complianceScore}.` });
+        } else if (!fixed.flag) {
+            fixed.flag = 'NON-COMPLIANT';
+            fixed.complianceScore = 0;
+            issues.push({ path, severity: ISSUE_SEVERITY.INVALID, message: 'Finding has neither flag nor score; treated as NON-COMPLIANT for review.' });
+        }
+        findings.push(fixed);
+    });
+    return { report: { ...report, findings }, issues };
+};
@@ -0,0 +1,91 @@
+// --- REVISION DIFF ---
+// Finding-level diff between two audits of the same RFQ. Requirements are paired with the
+// fuzzy matcher because the model rewords them between runs.
+
+import { matchRequirements } from './matching.js';
+import { getReportScore } from './scoring.js';
+
+const FLAG_RANK = { 'NON-COMPLIANT': 0, 'PARTIAL': 1, 'COMPLIANT': 2 };
+
+const categoryScores = (report) => {
+    const totals = {};
+    (report.findings || []).forEach(f => {
+        const category = f.category || 'OTHER';
+        if (!totals[category]) totals[category] = { sum: 0, count: 0 };
+        totals[category].sum += Number(f.complianceScore) || 0;
+        totals[category].count += 1;
+    });
+    return Object.fromEntries(Object.entries(totals).map(([c, t]) => [c, { percentage: parseFloat(((t.sum / t.count) * 100).toFixed(1)), count: t.count }]));
+};
+
+const diffStrings = (before = [], after = []) => {
+    const matched = matchRequirements(after, before, 0.5);
+    const kept = new Set(matched.values());
+    return {
+        added: after.filter((_, i) => !matched.has(i)),
+        resolved: before.filter((_, j) => !kept.has(j)),
+        unchanged: after.filter((_, i) => matched.has(i))
+    };
+};
+
+// `base` is the older revision and `target` the newer one.
+export const diffReports = (base, target) => {
+    const baseFindings = base.findings || [];
+    const targetFindings = target.findings || [];
+    const matched = matchRequirements(targetFindings.map(f => f.requirementFromRFQ), baseFindings.map(f => f.requirementFromRFQ));
+    const claimed = new Set(matched.values());
+
+    const moved = [];
+    const scoreChanged = [];
+    let unchanged = 0;
+    matched.forEach((baseIndex, targetIndex) => {
+        const before = baseFindings[baseIndex];
+        const after = targetFindings[targetIndex];
+        const entry = {
+            requirement: after.requirementFromRFQ,
+            previousRequirement: before.requirementFromRFQ,
+            category: after.category || before.category || 'OTHER',
+            fromFlag: before.flag, toFlag: after.flag,
+            fromScore: before.complianceScore, toScore: after.complianceScore
+        };
+        if (before.flag !== after.flag) {
+            moved.push({ ...entry, direction: (FLAG_RANK[after.flag] ?? 0) > (FLAG_RANK[before.flag] ?? 0) ? 'IMPROVED' : 'REGRESSED' });
+        } else if (Number(before.complianceScore) !== Number(after.complianceScore)) {
+            scoreChanged.push({ ...entry, direction: Number(after.complianceScore) > Number(before.complianceScore) ? 'IMPROVED' : 'REGRESSED' });
+        } else {
+            unchanged += 1;
+        }
+    });
+
+    const baseCategories = categoryScores(base);
+    const targetCategories = categoryScores(target);
+    const categories = [...new Set([...Object.keys(baseCategories), ...Object.keys(targetCategories)])].sort().map(category => ({
+        category,
+        before: baseCategories[category]?.percentage ?? null,
+        after: targetCategories[category]?.percentage ?? null,
+        delta: baseCategories[category] && targetCategories[category]
+            ? parseFloat((targetCategories[category].percentage - baseCategories[category].percentage).toFixed(1))
+            : null
+    }));
+
+    const baseScore = getReportScore(base);
+    const targetScore = getReportScore(target);
+    const persuasionDelta = typeof base.persuasionScore === 'number' && typeof target.persuasionScore === 'number'
+        ? target.persuasionScore - base.persuasionScore
+        : null;
+
+    return {
+        moved,
+        scoreChanged,
+        unchanged,
+        added: targetFindings.filter((_, i) => !matched.has(i)),
+        removed: baseFindings.filter((_, j) => !claimed.has(j)),
+        categories,
+        overall: {
+            before: baseScore.rawPercentage, after: targetScore.rawPercentage,
+            weightedBefore: baseScore.weightedPercentage, weightedAfter: targetScore.weightedPercentage
+        },
+        persuasion: { before: base.persuasionScore, after: target.persuasionScore, delta: persuasionDelta },
+        legalRiskAlerts: diffStrings(base.legalRiskAlerts, target.legalRiskAlerts)
+    };
+};
@@ -0,0 +1,55 @@
+// --- RFQ QUALITY (INITIATOR) HELPERS ---
+// Buyer-side audits review the RFQ on its own. Large RFQs go through the same section
+// split as bidder audits; the per-section issue lists are merged here.
+
+import { normalizeRequirement } from './matching.js';
+
+export const SEVERITY_RANK = { 'HIGH': 0, 'MEDIUM': 1, 'LOW': 2 };
+
+export const countIssues = (report) => (report.issues || []).reduce((acc, issue) => {
+    acc[issue.severity] = (acc[issue.severity] || 0) + 1;
+    return acc;
+}, { 'HIGH': 0, 'MEDIUM': 0, 'LOW': 0 });
+
+const unique = (lists) => {
+    const seen = new Set();
+    return lists.flat().filter(item => {
+        const key = normalizeRequirement(item);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
+
+export const mergeRfqQualityReports = (sectionReports) => {
+    const reports = sectionReports.filter(Boolean);
+    if (reports.length === 0) return null;
+    if (reports.length === 1) return reports[0];
+
+    const byClause = new Map();
+    reports.forEach((report, sectionIndex) => (report.issues || []).forEach(issue => {
+        const key = `${issue.issueType}|${normalizeRequirement(issue.clauseText)}`;
+        const existing = byClause.get(key);
+        if (!existing || (SEVERITY_RANK[issue.severity] ?? 3) < (SEVERITY_RANK[existing.severity] ?? 3)) {
+            byClause.set(key, { ...issue, rfqSection: sectionIndex + 1 });
+        }
+    }));
+    const issues = [...byClause.values()].sort((a, b) => (SEVERITY_RANK[a.severity] ?? 3) - (SEVERITY_RANK[b.severity] ?? 3));
+
+    const scored = reports.filter(r => typeof r.qualityScore === 'number');
+    const qualityScore = scored.length > 0 ? Math.round(scored.reduce((sum, r) => sum + r.qualityScore, 0) / scored.length) : undefined;
+    const merged = {
+        ...reports[0],
+        qualityScore,
+        evaluationCriteriaFound: unique(reports.map(r => r.evaluationCriteriaFound || [])),
+        missingEvaluationCriteria: unique(reports.map(r => r.missingEvaluationCriteria || [])),
+        issues,
+        sectionCount: reports.length
+    };
+    // Criteria that one section flagged as missing but another section defines are not missing.
+    merged.missingEvaluationCriteria = merged.missingEvaluationCriteria.filter(missing =>
+        !merged.evaluationCriteriaFound.some(found => normalizeRequirement(found).includes(normalizeRequirement(missing))));
+    const counts = countIssues(merged);
+    merged.executiveSummary = `Multi-pass review across ${reports.length} RFQ sections found ${issues.length} issues: ${counts['HIGH']} high, ${counts['MEDIUM']} medium and ${counts['LOW']} low severity.`;
+    return merged;
+};
@@ -0,0 +1,68 @@
+// --- SCORING ---
+
+export const getCompliancePercentage = (report) => {
+    const findings = report.findings || [];
+    const totalScore = findings.reduce((sum, item) => sum + (item.complianceScore || 0), 0);
+    const maxScore = findings.length * 1;
+    return maxScore > 0 ? parseFloat(((totalScore / maxScore) * 100).toFixed(1)) : 0;
+};
+
+// --- WEIGHTED SCORING PROFILES ---
+// A profile weights findings per CATEGORY_ENUM value, marks knock-out requirements (by
+// category or by keyword in the requirement text) that fail the whole bid when not met,
+// and optionally sets a pass threshold on the weighted percentage.
+// Shape: { name, categoryWeights: { LEGAL: 3, ... }, knockoutCategories: [], knockoutKeywords: [],
+//          knockoutOnPartial: false, passThreshold: 70 | null }
+
+export const DEFAULT_SCORING_PROFILE = {
+    id: 'default',
+    name: 'Flat (every requirement = 1 point)',
+    categoryWeights: {},
+    knockoutCategories: [],
+    knockoutKeywords: [],
+    knockoutOnPartial: false,
+    passThreshold: null
+};
+
+export const SCORE_STATUS = { PASS: 'PASS', FAIL: 'FAIL', KNOCKED_OUT: 'KNOCKED_OUT' };
+
+export const getCategoryWeight = (profile, category) => {
+    const weight = Number(profile.categoryWeights?.[category || 'OTHER']);
+    return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+};
+
+export const isKnockoutFinding = (profile, finding) => {
+    if ((profile.knockoutCategories || []).includes(finding.category || 'OTHER')) return true;
+    const requirement = (finding.requirementFromRFQ || '').toLowerCase();
+    return (profile.knockoutKeywords || []).some(keyword => keyword && requirement.includes(keyword.toLowerCase()));
+};
+
+export const computeWeightedScore = (report, profile = DEFAULT_SCORING_PROFILE) => {
+    const findings = report.findings || [];
+    let weightedTotal = 0;
+    let weightedMax = 0;
+    const knockouts = [];
+    findings.forEach((finding, index) => {
+        const weight = getCategoryWeight(profile, finding.category);
+        const score = Number(finding.complianceScore) || 0;
+        weightedTotal += score * weight;
+        weightedMax += weight;
+        const failed = profile.knockoutOnPartial ? score < 1 : score <= 0;
+        if (failed && isKnockoutFinding(profile, finding)) knockouts.push(index);
+    });
+    const weightedPercentage = weightedMax > 0 ? parseFloat(((weightedTotal / weightedMax) * 100).toFixed(1)) : 0;
+    const hasThreshold = typeof profile.passThreshold === 'number';
+    let status = null;
+    if (knockouts.length > 0) status = SCORE_STATUS.KNOCKED_OUT;
+    else if (hasThreshold) status = weightedPercentage >= profile.passThreshold ? SCORE_STATUS.PASS : SCORE_STATUS.FAIL;
+    return {
+        rawPercentage: getCompliancePercentage(report),
+        weightedPercentage,
+        knockouts,
+        status,
+        profileName: profile.name
+    };
+};
+
+// Reports keep a snapshot of the profile they were audited with; older reports fall back to flat scoring.
+export const getReportScore = (report) => computeWeightedScore(report, report.scoringProfile || DEFAULT_SCORING_PROFILE);
@@ -0,0 +1,34 @@
+// --- STORAGE ---
+// One repository interface over the persistence backends, so the app never touches Firestore
+// directly. Every backend returns:
+//   auth            onChange(callback) -> unsubscribe, register(email, password), signIn(email, password), signOut(),
+//                   getIdToken() -> token for the API server, or null
+//   users           get(uid), create(uid, profile), update(uid, changes), list()
+//   workspaces      create(uid, name, member) -> workspace, join(uid, inviteCode, member) -> workspaceId,
+//                   get(workspaceId), getMember(workspaceId, uid), subscribeMembers(workspaceId, callback, onError)
+//                   -> unsubscribe, setMemberRole(workspaceId, uid, role), removeMember(workspaceId, uid),
+//                   rotateInviteCode(workspaceId, oldCode) -> code, adoptLegacyReports(uid, workspaceId, authorName) -> count
+//   usage           subscribe(workspaceId, callback, onError) -> unsubscribe, reserve(uid, role, sections) -> auditId
+//   reports         subscribe({ workspaceId, all }, callback, onError) -> unsubscribe, add(workspaceId, report) -> id,
+//                   updateFindings(report, findings, overrideEntries), saveNormalizedValues(report, { bidValue, contractTerm }),
+//                   remove(report)
+//   admin           applyAction({ uid, action, params, reason }) -> log entry, subscribeLog(callback, onError) -> unsubscribe
+//   scoringProfiles subscribe(uid, callback, onError) -> unsubscribe, save(uid, profile, profileId?) -> id, remove(uid, profileId)
+// The backend is chosen per deployment with VITE_STORAGE_BACKEND (firestore | indexeddb);
+// VITE_FIREBASE_AUTH_EMULATOR / VITE_FIRESTORE_EMULATOR point Firestore at the local emulators.
+
+import { createFirestoreStorage } from './firestoreStorage.js';
+import { createIndexedDbStorage } from './indexedDbStorage.js';
+
+export const STORAGE_BACKEND = { FIRESTORE: 'firestore', INDEXEDDB: 'indexeddb' };
+
+// env: Vite's import.meta.env. firebaseConfigJson: the injected __firebase_config string, if any.
+export const createStorage = (env = {}, firebaseConfigJson = null) => {
+    const backend = String(env.VITE_STORAGE_BACKEND || STORAGE_BACKEND.FIRESTORE).trim().toLowerCase();
+    if (backend === STORAGE_BACKEND.INDEXEDDB) return createIndexedDbStorage();
+    if (backend !== STORAGE_BACKEND.FIRESTORE) throw new Error(`Unknown VITE_STORAGE_BACKEND "${backend}". Use one of: ${Object.values(STORAGE_BACKEND).join(', ')}.`);
+    const emulators = env.VITE_FIREBASE_AUTH_EMULATOR || env.VITE_FIRESTORE_EMULATOR
+        ? { auth: env.VITE_FIREBASE_AUTH_EMULATOR || null, firestore: env.VITE_FIRESTORE_EMULATOR || null }
+        : null;
+    return createFirestoreStorage(firebaseConfigJson ? JSON.parse(firebaseConfigJson) : null, emulators);
+};
@@ -0,0 +1,217 @@
+// --- STRUCTURED TEXT ---
+// Tender documents are read as blocks (headings, numbered clauses, list items, tables) rather
+// than one flattened run of words, so clause numbers like "4.2.3" stay at the start of their
+// line and pricing tables reach the model row by row. Blocks are rendered as light Markdown:
+// "## Heading", "4.2.3 Clause text", "- item" and "| cell | cell |" rows.
+
+export const BLOCK = { HEADING: 'heading', PARAGRAPH: 'paragraph', LIST_ITEM: 'listItem', TABLE: 'table' };
+
+// "4.2.3", "12.1" or "Clause 7" / "Section 4" at the start of a line.
+export const CLAUSE_START = /^(?:(?:clause|section|article)\s+\d{1,3}(?:\.\d{1,3})*|\d{1,3}(?:\.\d{1,3})+)\.?(?=[\s)])/i;
+const BULLET_START = /^(?:[•▪●◦‣∙·*–-]|\(?[a-z0-9ivx]{1,4}[.)])\s+/i;
+
+const squash = (text) => String(text || '').replace(/[ \t\u00a0]+/g, ' ').trim();
+const tableCell = (text) => squash(text).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+
+const renderTable = (rows) => {
+    const width = Math.max(...rows.map(row => row.length));
+    const line = (row) => `| ${Array.from({ length: width }, (_, i) => tableCell(row[i] ?? '')).join(' | ')} |`;
+    return [line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+};
+
+export const renderBlock = (block) => {
+    switch (block.type) {
+        case BLOCK.HEADING: return `${'#'.repeat(Math.min(6, Math.max(1, block.level || 1)))} ${block.text}`;
+        case BLOCK.LIST_ITEM: return `${'  '.repeat(block.depth || 0)}${block.marker} ${block.text}`;
+        case BLOCK.TABLE: return renderTable(block.rows);
+        default: return block.text;
+    }
+};
+
+export const renderBlocks = (blocks) => blocks.map(renderBlock).join('\n\n');
+
+// --- HTML (mammoth's DOCX output, .html uploads, HTML email bodies) ---
+const SKIPPED_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD']);
+const CONTAINER_ELEMENTS = new Set(['BODY', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'ASIDE', 'NAV', 'FORM', 'FIGURE', 'CENTER', 'DL']);
+const TEXT_BLOCK_ELEMENTS = new Set(['P', 'BLOCKQUOTE', 'PRE', 'ADDRESS', 'DT', 'DD', 'FIGCAPTION', 'CAPTION']);
+
+// Inline text with <br> kept as line breaks.
+const inlineText = (node) => {
+    let text = '';
+    Array.from(node.childNodes).forEach(child => {
+        if (child.nodeType === 3) text += child.data;
+        else if (child.nodeType === 1 && child.tagName === 'BR') text += '\n';
+        else if (child.nodeType === 1 && !SKIPPED_ELEMENTS.has(child.tagName)) text += inlineText(child);
+    });
+    return text;
+};
+
+const cleanInline = (text) => text.split('\n').map(squash).filter(Boolean).join('\n');
+
+const tableRows = (table) => {
+    const rows = [];
+    const collect = (el) => [...el.children].forEach(child => {
+        if (child.tagName === 'TR') rows.push(child);
+        else if (['THEAD', 'TBODY', 'TFOOT'].includes(child.tagName)) collect(child);
+    });
+    collect(table);
+    return rows.map(tr => [...tr.children].filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH').flatMap(cell => {
+        const span = Math.min(20, parseInt(cell.getAttribute('colspan') || '1', 10) || 1);
+        return [cleanInline(inlineText(cell)), ...Array(span - 1).fill('')];
+    })).filter(row => row.some(Boolean));
+};
+
+// Word's multi-level numbering arrives as nested <ol>; the item path becomes the clause number.
+const walkList = (list, depth, path, blocks) => {
+    const ordered = list.tagName === 'OL';
+    let n = (parseInt(list.getAttribute('start') || '1', 10) || 1) - 1;
+    [...list.children].filter(child => child.tagName === 'LI').forEach(item => {
+        n += 1;
+        const itemPath = ordered ? [...path, n] : path;
+        const marker = !ordered ? '-' : itemPath.length > 1 ? itemPath.join('.') : `${n}.`;
+        const nested = [];
+        const own = [];
+        Array.from(item.childNodes).forEach(child => (child.nodeType === 1 && ['OL', 'UL', 'TABLE'].includes(child.tagName) ? nested : own).push(child));
+        const text = cleanInline(own.map(child => child.nodeType === 3 ? child.data : child.nodeType === 1 ? (TEXT_BLOCK_ELEMENTS.has(child.tagName) ? `${inlineText(child)}\n` : inlineText(child)) : '').join(''));
+        if (text) blocks.push({ type: BLOCK.LIST_ITEM, depth, marker, text });
+        nested.forEach(child => {
+            if (child.tagName === 'TABLE') pushTable(child, blocks);
+            else walkList(child, depth + 1, itemPath, blocks);
+        });
+    });
+};
+
+const pushTable = (table, blocks) => {
+    const rows = tableRows(table);
+    if (rows.length === 0) return;
+    // Layout tables with a single cell per row are really just paragraphs.
+    if (rows.every(row => row.filter(Boolean).length <= 1)) rows.forEach(row => blocks.push({ type: BLOCK.PARAGRAPH, text: row.filter(Boolean).join('') }));
+    else blocks.push({ type: BLOCK.TABLE, rows });
+};
+
+const walkBlocks = (node, blocks) => {
+    let pending = '';
+    const flush = () => {
+        const text = cleanInline(pending);
+        if (text) blocks.push({ type: BLOCK.PARAGRAPH, text });
+        pending = '';
+    };
+    Array.from(node.childNodes).forEach(child => {
+        if (child.nodeType === 3) { pending += child.data; return; }
+        if (child.nodeType !== 1 || SKIPPED_ELEMENTS.has(child.tagName)) return;
+        const tag = child.tagName;
+        if (tag === 'BR') { pending += '\n'; return; }
+        const heading = tag.match(/^H([1-6])$/);
+        if (heading) {
+            flush();
+            const text = squash(inlineText(child).replace(/\n/g, ' '));
+            if (text) blocks.push({ type: BLOCK.HEADING, level: Number(heading[1]), text });
+        } else if (TEXT_BLOCK_ELEMENTS.has(tag) || tag === 'LI') {
+            flush();
+            const text = cleanInline(inlineText(child));
+            if (text) blocks.push({ type: BLOCK.PARAGRAPH, text });
+        } else if (tag === 'OL' || tag === 'UL') {
+            flush();
+            walkList(child, 0, [], blocks);
+        } else if (tag === 'TABLE') {
+            flush();
+            pushTable(child, blocks);
+        } else if (CONTAINER_ELEMENTS.has(tag)) {
+            flush();
+            walkBlocks(child, blocks);
+        } else {
+            pending += inlineText(child);
+        }
+    });
+    flush();
+};
+
+export const htmlToBlocks = (html) => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const blocks = [];
+    if (doc.body) walkBlocks(doc.body, blocks);
+    return blocks;
+};
+
+// --- PDF (pdf.js text items with positions) ---
+// Items are grouped into lines by baseline and ordered by x. Glyph runs closer than a fraction
+// of the font size are joined without a space (pdf.js splits words at ligatures, which used to
+// produce "Veri fi cation"); gaps wider than COLUMN_GAP font sizes start a new table cell.
+const WORD_GAP = 0.15;
+const COLUMN_GAP = 2;
+const PARAGRAPH_GAP = 1.6;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+};
+
+const toLines = (items) => {
+    const glyphs = items
+        .filter(item => item.str && item.str.trim())
+        .map(item => ({ text: item.str, x: item.transform[4], y: item.transform[5], width: item.width || 0, size: Math.abs(item.transform[3]) || item.height || 10 }))
+        .sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+    glyphs.forEach(glyph => {
+        const line = lines.find(l => Math.abs(l.y - glyph.y) <= Math.min(l.size, glyph.size) * 0.5);
+        if (line) { line.glyphs.push(glyph); line.size = Math.max(line.size, glyph.size); }
+        else lines.push({ y: glyph.y, size: glyph.size, glyphs: [glyph] });
+    });
+    return lines.sort((a, b) => b.y - a.y).map(line => {
+        const sorted = line.glyphs.sort((a, b) => a.x - b.x);
+        const cells = [''];
+        let end = null;
+        sorted.forEach(glyph => {
+            const gap = end === null ? 0 : glyph.x - end;
+            if (end !== null && gap > line.size * COLUMN_GAP) cells.push('');
+            else if (end !== null && gap > line.size * WORD_GAP && !/\s$/.test(cells[cells.length - 1]) && !/^\s/.test(glyph.text)) cells[cells.length - 1] += ' ';
+            cells[cells.length - 1] += glyph.text;
+            end = Math.max(end ?? -Infinity, glyph.x + glyph.width);
+        });
+        return { y: line.y, size: line.size, x: sorted[0].x, cells: cells.map(squash).filter(Boolean) };
+    }).filter(line => line.cells.length > 0);
+};
+
+// Two side-by-side text columns look like a two-cell table; real tables have short cells.
+const isColumnLayout = (rows) => rows.length >= 5 && rows.every(row => row.length === 2)
+    && rows.reduce((sum, row) => sum + row[0].length + row[1].length, 0) / (rows.length * 2) > 35;
+
+const joinWrapped = (text, next) => /[A-Za-z]-$/.test(text) && /^[a-z]/.test(next) ? text.slice(0, -1) + next : `${text} ${next}`;
+
+export const pdfItemsToBlocks = (items) => {
+    const lines = toLines(items);
+    const bodySize = median(lines.map(line => line.size)) || 10;
+    const blocks = [];
+    let paragraph = null;
+    let table = null;
+    let previous = null;
+    const endParagraph = () => { if (paragraph) blocks.push(paragraph); paragraph = null; };
+    const endTable = () => {
+        if (!table) return;
+        if (table.rows.length === 1) blocks.push({ type: BLOCK.PARAGRAPH, text: table.rows[0].join('  ') });
+        else if (isColumnLayout(table.rows)) [0, 1].forEach(col => blocks.push({ type: BLOCK.PARAGRAPH, text: table.rows.map(row => row[col]).reduce(joinWrapped) }));
+        else blocks.push({ type: BLOCK.TABLE, rows: table.rows });
+        table = null;
+    };
+
+    lines.forEach(line => {
+        const text = line.cells.join(' ');
+        const gap = previous ? previous.y - line.y : 0;
+        if (line.cells.length > 1) {
+            endParagraph();
+            table = table || { rows: [] };
+            table.rows.push(line.cells);
+        } else if (line.size >= bodySize * 1.2 && text.length < 120 && !CLAUSE_START.test(text)) {
+            endParagraph(); endTable();
+            blocks.push({ type: BLOCK.HEADING, level: line.size >= bodySize * 1.5 ? 1 : 2, text });
+        } else {
+            endTable();
+            const startsNew = !paragraph || gap > previous.size * PARAGRAPH_GAP || CLAUSE_START.test(text) || BULLET_START.test(text) || Math.abs(line.size - previous.size) > bodySize * 0.2;
+            if (startsNew) { endParagraph(); paragraph = { type: BLOCK.PARAGRAPH, text: text.replace(/^[•▪●◦‣∙·]\s*/, '- ') }; }
+            else paragraph.text = joinWrapped(paragraph.text, text);
+        }
+        previous = line;
+    });
+    endParagraph(); endTable();
+    return blocks;
+};
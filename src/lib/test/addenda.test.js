@@ -0,0 +1,88 @@
+// RFQ sets with addenda: later documents take precedence over the clauses they replace or delete.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRfqSet, splitRfqSetSections, applyPrecedence, describeRfqSet, AMENDMENT_STATUS, CHANGE_TYPE } from '../addenda.js';
+import { buildDocument, attachCitations, SEGMENT } from '../documents.js';
+import { ISSUE_SEVERITY } from '../responseValidation.js';
+
+const BASE = buildDocument('RFQ.pdf', ['Delivery within 30 days of award.', 'Bidders shall hold ISO 9001 certification.'], SEGMENT.PAGE);
+const ADDENDUM_1 = buildDocument('Addendum 1.pdf', ['Clause 1 is replaced: delivery within 45 days of award.'], SEGMENT.PAGE);
+const ADDENDUM_2 = buildDocument('Addendum 2.pdf', ['Clause 1 is replaced again: delivery within 60 days of award.', 'A site visit is mandatory.'], SEGMENT.PAGE);
+
+const rfqSet = buildRfqSet(BASE, [ADDENDUM_1, ADDENDUM_2]);
+
+const finding = (requirementFromRFQ, extra = {}) => ({ requirementFromRFQ, flag: 'COMPLIANT', complianceScore: 1, ...extra });
+
+describe('buildRfqSet', () => {
+    test('returns a lone RFQ unchanged', () => {
+        assert.equal(buildRfqSet(BASE), BASE);
+        assert.deepEqual(describeRfqSet(BASE), []);
+    });
+
+    test('keeps the documents in issue order and labels every part with its file', () => {
+        assert.deepEqual(describeRfqSet(rfqSet), [
+            { name: 'RFQ.pdf', precedence: 0 }, { name: 'Addendum 1.pdf', precedence: 1 }, { name: 'Addendum 2.pdf', precedence: 2 }
+        ]);
+        assert.deepEqual(rfqSet.segments.map(seg => seg.label), ['RFQ.pdf › Page 1', 'RFQ.pdf › Page 2', 'Addendum 1.pdf › Page 1', 'Addendum 2.pdf › Page 1', 'Addendum 2.pdf › Page 2']);
+    });
+});
+
+describe('splitRfqSetSections', () => {
+    test('gives each section only the documents issued after it', () => {
+        const sections = splitRfqSetSections(rfqSet);
+        assert.deepEqual(sections.map(section => [section.index, section.addendum]), [[0, undefined], [1, 'Addendum 1.pdf'], [2, 'Addendum 2.pdf']]);
+        assert.match(sections[0].amendments, /Addendum 1\.pdf[\s\S]*Addendum 2\.pdf/);
+        assert.match(sections[1].amendments, /Addendum 2\.pdf/);
+        assert.doesNotMatch(sections[1].amendments, /Addendum 1\.pdf/);
+        assert.equal(sections[2].amendments, undefined);
+    });
+});
+
+describe('applyPrecedence', () => {
+    const report = {
+        findings: attachCitations([
+            finding('Delivery within 30 days of award.'),
+            finding('Clause 1 is replaced: delivery within 45 days of award.', { amendmentStatus: AMENDMENT_STATUS.AMENDED, amendedBy: 'addendum 1' }),
+            finding('Clause 1 is replaced again: delivery within 60 days of award.', { amendmentStatus: AMENDMENT_STATUS.AMENDED, amendedBy: 'Addendum_2' }),
+            finding('Bidders shall hold ISO 9001 certification.'),
+            finding('A site visit is mandatory.')
+        ], rfqSet, null),
+        supersededRequirements: [
+            { originalText: 'Delivery within 30 days of award.', changedBy: 'Addendum 1', changeType: CHANGE_TYPE.REPLACED },
+            { originalText: 'Clause 1 is replaced: delivery within 45 days of award.', changedBy: 'Addendum 2.pdf', changeType: CHANGE_TYPE.REPLACED }
+        ]
+    };
+
+    test('scores only the requirement in force and reports the ones a later document replaced', () => {
+        const { report: settled, issues } = applyPrecedence(report, rfqSet);
+        assert.deepEqual(settled.findings.map(f => [f.requirementSource, f.amendmentStatus, f.amendedBy]), [
+            ['Addendum 2.pdf', AMENDMENT_STATUS.AMENDED, 'Addendum 2.pdf'],
+            ['RFQ.pdf', AMENDMENT_STATUS.ORIGINAL, undefined],
+            ['Addendum 2.pdf', AMENDMENT_STATUS.ADDED, 'Addendum 2.pdf']
+        ]);
+        assert.deepEqual(issues.map(issue => [issue.path, issue.severity]), [['findings[0]', ISSUE_SEVERITY.REPAIRED], ['findings[1]', ISSUE_SEVERITY.REPAIRED]]);
+        assert.match(issues[1].message, /replaced by Addendum 2\.pdf/);
+    });
+
+    test('names the documents on each side of a superseded clause', () => {
+        const { report: settled } = applyPrecedence(report, rfqSet);
+        assert.deepEqual(settled.supersededRequirements.map(item => [item.originalSource, item.changedBy, item.changedByPrecedence]), [
+            ['RFQ.pdf', 'Addendum 1.pdf', 1],
+            ['Addendum 1.pdf', 'Addendum 2.pdf', 2]
+        ]);
+        assert.equal(settled.supersededRequirements[0].originalCitation.label, 'RFQ.pdf › Page 1');
+    });
+
+    test('never lets an earlier document override a later one', () => {
+        const { report: settled } = applyPrecedence({
+            findings: attachCitations([finding('Clause 1 is replaced: delivery within 45 days of award.')], rfqSet, null),
+            supersededRequirements: [{ originalText: 'Clause 1 is replaced: delivery within 45 days of award.', changedBy: 'RFQ.pdf', changeType: CHANGE_TYPE.DELETED }]
+        }, rfqSet);
+        assert.equal(settled.findings.length, 1);
+    });
+
+    test('leaves a report on a lone RFQ as it is', () => {
+        assert.deepEqual(applyPrecedence(report, BASE), { report, issues: [] });
+    });
+});
@@ -0,0 +1,96 @@
+// Parsing the model's free-text bid value and contract duration into the stored fields.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBidValue, parseContractDuration, needsNormalization, getNormalizedValue, TAX_BASIS, NORMALIZATION_VERSION } from '../bidValues.js';
+
+const value = (text) => {
+    const { amount, currency, taxBasis } = parseBidValue(text);
+    return { amount, currency, taxBasis };
+};
+
+const term = (text) => {
+    const { months, optionMonths } = parseContractDuration(text);
+    return { months, optionMonths };
+};
+
+describe('parseBidValue', () => {
+    test('reads currency codes, symbols, prefixed dollars and names on either side of the amount', () => {
+        assert.deepEqual(value('USD 450,000'), { amount: 450000, currency: 'USD', taxBasis: TAX_BASIS.UNSPECIFIED });
+        assert.equal(value('1,250,000 SAR').currency, 'SAR');
+        assert.deepEqual([value('€ 450.000').amount, value('€ 450.000').currency], [450000, 'EUR']);
+        assert.equal(value('450 000 €').amount, 450000);
+        assert.equal(value('£12,500.50').amount, 12500.5);
+        assert.equal(value('A$ 2.5M').currency, 'AUD');
+        assert.equal(value('4 million euros').currency, 'EUR');
+        assert.equal(value("CHF 1'250'000").amount, 1250000);
+        assert.deepEqual(value('1.250.000,00 EUR'), { amount: 1250000, currency: 'EUR', taxBasis: TAX_BASIS.UNSPECIFIED });
+    });
+
+    test('applies magnitude words', () => {
+        assert.equal(value('USD 1.2M').amount, 1200000);
+        assert.equal(value('Estimated at 850k').amount, 850000);
+        assert.equal(value('approx. $ 9.9bn').amount, 9900000000);
+        assert.equal(value('EUR 1.250M').amount, 1250000);
+        assert.deepEqual(value('Rs. 2 crore'), { amount: 20000000, currency: 'INR', taxBasis: TAX_BASIS.UNSPECIFIED });
+    });
+
+    test('reads the tax basis, ignoring the rate', () => {
+        assert.equal(value('USD 1.2M excl. VAT').taxBasis, TAX_BASIS.EXCLUSIVE);
+        assert.equal(value('Total: 12,500.50 GBP + VAT').taxBasis, TAX_BASIS.EXCLUSIVE);
+        assert.deepEqual(value('AED 3,200,000 (inclusive of 5% VAT)'), { amount: 3200000, currency: 'AED', taxBasis: TAX_BASIS.INCLUSIVE });
+        assert.equal(value('€ 450.000 incl. 19% VAT').amount, 450000);
+    });
+
+    test('skips leading years, clause and lot numbers for the amount next to the currency', () => {
+        assert.deepEqual(value('2025 budget: USD 4M'), { amount: 4000000, currency: 'USD', taxBasis: TAX_BASIS.UNSPECIFIED });
+        assert.equal(value('FY2026 estimate 3.5m').amount, 3500000);
+        assert.equal(value('Clause 12: total 1,250,000 SAR').amount, 1250000);
+        assert.equal(value('Lot 2 USD 4M').amount, 4000000);
+        assert.equal(value('In 2024 the value was 120000').amount, 120000);
+        assert.equal(value('Valid until 2026').amount, null);
+    });
+
+    test('takes the first figure of a range and the currency next to it', () => {
+        assert.equal(value('USD 1.2M – 1.5M').amount, 1200000);
+        assert.deepEqual(value('EUR 1.2M (approx. USD 1.3M)'), { amount: 1200000, currency: 'EUR', taxBasis: TAX_BASIS.UNSPECIFIED });
+    });
+
+    test('leaves unreadable values empty', () => {
+        assert.deepEqual(value('Not specified'), { amount: null, currency: null, taxBasis: TAX_BASIS.UNSPECIFIED });
+        assert.deepEqual(value(undefined), { amount: null, currency: null, taxBasis: TAX_BASIS.UNSPECIFIED });
+    });
+});
+
+describe('parseContractDuration', () => {
+    test('reads plain durations in years, months and multiples', () => {
+        assert.deepEqual(term('36 months'), { months: 36, optionMonths: 0 });
+        assert.deepEqual(term('3 years'), { months: 36, optionMonths: 0 });
+        assert.deepEqual(term('2 x 12 months'), { months: 24, optionMonths: 0 });
+    });
+
+    test('counts every part after the first of "3+1+1" as an option', () => {
+        assert.deepEqual(term('3+1+1 years'), { months: 36, optionMonths: 24 });
+    });
+
+    test('reads worded option counts', () => {
+        assert.deepEqual(term('two 1-year options'), { months: null, optionMonths: 24 });
+        assert.deepEqual(term('1 year with two 1-year extension options'), { months: 12, optionMonths: 24 });
+        assert.deepEqual(term('18 months + 6 optional'), { months: 18, optionMonths: 6 });
+    });
+
+    test('ignores calendar years', () => {
+        assert.deepEqual(term('starting 2025, 3 years'), { months: 36, optionMonths: 0 });
+        assert.deepEqual(term('Until 2027'), { months: null, optionMonths: null });
+    });
+});
+
+describe('stored values', () => {
+    test('values parsed by an older parser are parsed again', () => {
+        const report = { grandTotalValue: '2025 budget: USD 4M', contractDuration: '3 years' };
+        const stale = { ...report, bidValue: { raw: report.grandTotalValue, amount: 2025, currency: 'USD', version: 1 }, contractTerm: { raw: '3 years', months: 36, optionMonths: 0, version: 1 } };
+        assert.equal(NORMALIZATION_VERSION, 2);
+        assert.equal(needsNormalization(stale), true);
+        assert.equal(getNormalizedValue(stale), 4000000);
+    });
+});
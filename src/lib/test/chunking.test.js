@@ -0,0 +1,67 @@
+// Merging the per-section audit reports of a multi-section RFQ.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeSectionReports } from '../chunking.js';
+
+const finding = (requirementFromRFQ, flag, complianceScore, extra = {}) => ({ requirementFromRFQ, flag, complianceScore, bidEvidenceQuote: '', ...extra });
+
+const section = (...findings) => ({ projectTitle: 'Data centre cooling', findings });
+
+describe('mergeSectionReports', () => {
+    test('keeps the non-compliant verdict when another section judged the same requirement compliant', () => {
+        const merged = mergeSectionReports([
+            section(finding('The bidder shall hold ISO 9001.', 'COMPLIANT', 95, { bidEvidenceQuote: 'We are ISO 9001 certified.' })),
+            section(finding('The bidder shall hold ISO 9001!', 'NON-COMPLIANT', 10)),
+            section(finding('the bidder shall hold ISO 9001', 'PARTIAL', 60))
+        ]);
+        assert.equal(merged.findings.length, 1);
+        const [kept] = merged.findings;
+        assert.equal(kept.flag, 'NON-COMPLIANT');
+        assert.equal(kept.rfqSection, 2);
+        assert.deepEqual(kept.conflictingVerdicts, [
+            { rfqSection: 1, flag: 'COMPLIANT', complianceScore: 95 },
+            { rfqSection: 3, flag: 'PARTIAL', complianceScore: 60 }
+        ]);
+        assert.match(merged.executiveSummary, /1 unique requirements: 0 compliant, 0 partial and 1 non-compliant/);
+    });
+
+    test('counts a finding without a flag, or with one it does not recognise, as non-compliant', () => {
+        const merged = mergeSectionReports([
+            section(finding('Deliver within 30 days', 'COMPLIANT', 90), finding('Site visit attended', 'N/A', 0)),
+            section(finding('Deliver within 30 days', undefined, 0))
+        ]);
+        assert.equal(merged.findings[0].rfqSection, 2);
+        assert.equal(merged.findings[0].conflictingVerdicts[0].flag, 'COMPLIANT');
+        assert.match(merged.executiveSummary, /2 unique requirements: 0 compliant, 0 partial and 2 non-compliant/);
+    });
+
+    test('between equal verdicts prefers the one quoting the bid, then the lower score', () => {
+        const merged = mergeSectionReports([
+            section(finding('Warranty of 5 years', 'PARTIAL', 40), finding('24/7 support', 'PARTIAL', 70)),
+            section(finding('Warranty of 5 years', 'PARTIAL', 60, { bidEvidenceQuote: 'A 5-year warranty applies.' }), finding('24/7 support', 'PARTIAL', 50))
+        ]);
+        const [warranty, support] = merged.findings;
+        assert.equal(warranty.bidEvidenceQuote, 'A 5-year warranty applies.');
+        assert.equal(support.complianceScore, 50);
+        assert.equal(warranty.conflictingVerdicts, undefined);
+        assert.equal(support.conflictingVerdicts, undefined);
+    });
+
+    test('keeps requirements listed by one section only as they are', () => {
+        const merged = mergeSectionReports([section(finding('Requirement A', 'COMPLIANT', 90)), section(finding('Requirement B', 'PARTIAL', 50))]);
+        assert.deepEqual(merged.findings.map(f => [f.requirementFromRFQ, f.rfqSection]), [['Requirement A', 1], ['Requirement B', 2]]);
+        assert.equal(merged.sectionCount, 2);
+    });
+
+    test('labels findings with the RFQ section each report covers, not its place among the usable reports', () => {
+        const merged = mergeSectionReports([
+            null,
+            { ...section(finding('Requirement A', 'COMPLIANT', 90)), sectionIndex: 1 },
+            { ...section(finding('Requirement B', 'PARTIAL', 50)), sectionIndex: 2 }
+        ]);
+        assert.deepEqual(merged.findings.map(f => [f.requirementFromRFQ, f.rfqSection]), [['Requirement A', 2], ['Requirement B', 3]]);
+        assert.equal('sectionIndex' in merged, false);
+        assert.equal('sectionIndex' in mergeSectionReports([null, section()]), false);
+    });
+});
@@ -0,0 +1,48 @@
+// Comparing several bids against one RFQ: the requirement-by-bid matrix and the ranking.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildComparisonMatrix, rankBids } from '../comparison.js';
+
+const finding = (requirementFromRFQ, flag, complianceScore, category = 'TECHNICAL') => ({ requirementFromRFQ, flag, complianceScore, category });
+
+const bid = (name, findings, extra = {}) => ({ name, report: { findings, ...extra } });
+
+const KNOCKOUT_PROFILE = { name: 'Legal knock-outs', categoryWeights: {}, knockoutCategories: ['LEGAL'], knockoutKeywords: [], knockoutOnPartial: false, passThreshold: null };
+
+describe('rankBids', () => {
+    test('ranks by weighted score, then by fewer non-compliant findings', () => {
+        const ranking = rankBids([
+            bid('Acme', [finding('A', 'PARTIAL', 0.5), finding('B', 'PARTIAL', 0.5)]),
+            bid('Bolt', [finding('A', 'COMPLIANT', 1), finding('B', 'NON-COMPLIANT', 0)]),
+            bid('Crane', [finding('A', 'COMPLIANT', 1), finding('B', 'COMPLIANT', 0.9)])
+        ]);
+        assert.deepEqual(ranking.map(entry => [entry.name, entry.weightedPercentage, entry.nonCompliant]), [['Crane', 95, 0], ['Acme', 50, 0], ['Bolt', 50, 1]]);
+        assert.deepEqual(ranking.map(entry => entry.bidIndex), [2, 0, 1]);
+    });
+
+    test('puts a knocked-out bid below every eligible one, even with the best score', () => {
+        const ranking = rankBids([
+            bid('Acme', [finding('Insurance', 'NON-COMPLIANT', 0, 'LEGAL'), ...Array.from({ length: 9 }, (_, i) => finding(`Spec ${i}`, 'COMPLIANT', 1))], { scoringProfile: KNOCKOUT_PROFILE }),
+            bid('Bolt', [finding('Insurance', 'COMPLIANT', 1, 'LEGAL'), finding('Spec', 'NON-COMPLIANT', 0)], { scoringProfile: KNOCKOUT_PROFILE })
+        ]);
+        assert.deepEqual(ranking.map(entry => [entry.name, entry.weightedPercentage, entry.knockedOut]), [['Bolt', 50, false], ['Acme', 90, true]]);
+    });
+
+    test('puts bids whose audit failed last', () => {
+        const ranking = rankBids([{ name: 'Acme', report: null, error: 'AI returned no usable audit.' }, bid('Bolt', [finding('A', 'NON-COMPLIANT', 0)])]);
+        assert.deepEqual(ranking.map(entry => [entry.name, entry.error]), [['Bolt', null], ['Acme', 'AI returned no usable audit.']]);
+    });
+});
+
+describe('buildComparisonMatrix', () => {
+    test('aligns differently worded requirements into one row with a cell per bid', () => {
+        const rows = buildComparisonMatrix([
+            bid('Acme', [finding('The bidder shall hold ISO 9001 certification.', 'COMPLIANT', 1), finding('Five-year warranty', 'PARTIAL', 0.5)]),
+            bid('Bolt', [finding('Bidder must hold ISO 9001 certification', 'NON-COMPLIANT', 0)])
+        ]);
+        assert.equal(rows.length, 2);
+        assert.deepEqual(rows[0].cells.map(cell => cell?.flag), ['COMPLIANT', 'NON-COMPLIANT']);
+        assert.deepEqual(rows[1].cells, [{ flag: 'PARTIAL', complianceScore: 0.5, findingIndex: 1 }, null]);
+    });
+});
@@ -0,0 +1,49 @@
+// CSV export and import: RFC 4180 quoting, the formula-injection guard and round trips of findings.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, parseCsv, objectsToCsv } from '../csv.js';
+import { findingsToRows } from '../findingsSheet.js';
+
+describe('toCsv', () => {
+    test('quotes cells with commas, quotes, line breaks or edge whitespace', () => {
+        assert.equal(toCsv([['a,b', 'say "yes"', 'line 1\nline 2', ' padded', 'plain', null, 0]]),
+            '"a,b","say ""yes""","line 1\nline 2"," padded",plain,,0\r\n');
+    });
+
+    test('prefixes text that would start a formula, but not negative numbers', () => {
+        assert.equal(toCsv([['=HYPERLINK("http://x")', '+1', '-2', '@SUM(A1)', -2]]),
+            '"\'=HYPERLINK(""http://x"")",\'+1,\'-2,\'@SUM(A1),-2\r\n');
+    });
+
+    test('uses the first object\'s keys as the header', () => {
+        assert.equal(objectsToCsv([{ name: 'Acme', score: 90 }, { name: 'Bolt, Inc.', score: 75 }]), 'name,score\r\nAcme,90\r\n"Bolt, Inc.",75\r\n');
+        assert.equal(objectsToCsv([]), '');
+    });
+});
+
+describe('parseCsv', () => {
+    test('reads back what toCsv wrote, guard apostrophes included', () => {
+        const rows = [['Requirement', 'Note'], ['ISO 9001, current', 'He said "fine"\r\nthen left'], ['=1+1', ' spaced '], ['', '-5']];
+        assert.deepEqual(parseCsv(toCsv(rows)), rows);
+    });
+
+    test('strips a byte-order mark and accepts LF line endings and a missing final newline', () => {
+        assert.deepEqual(parseCsv('\uFEFFa,b\nc,"d"'), [['a', 'b'], ['c', 'd']]);
+    });
+
+    test('keeps an apostrophe the guard did not add', () => {
+        assert.deepEqual(parseCsv("'quoted',rock 'n' roll\r\n"), [["'quoted'", "rock 'n' roll"]]);
+    });
+});
+
+describe('findings export', () => {
+    test('round-trips requirement text that needs escaping', () => {
+        const report = { findings: [{ requirementFromRFQ: '=cmd|\' /C calc\'!A0', bidResponseSummary: 'Yes, "all" of it\nsee annex', flag: 'PARTIAL', complianceScore: 0.5 }] };
+        const rows = findingsToRows(report);
+        const [, parsed] = parseCsv(toCsv(rows));
+        assert.equal(parsed[1], '=cmd|\' /C calc\'!A0');
+        assert.equal(parsed[2], 'Yes, "all" of it\nsee annex');
+        assert.deepEqual([parsed[0], parsed[3], parsed[4]], ['1', 'PARTIAL', '0.5']);
+    });
+});
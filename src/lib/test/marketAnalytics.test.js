@@ -0,0 +1,98 @@
+// Market analytics over saved reports: regions, risk themes, score distributions and filters.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRegion, getRiskThemes, buildMarketAnalytics, filterReports, EMPTY_MARKET_FILTERS, UNSPECIFIED } from '../marketAnalytics.js';
+
+const bidAudit = (complianceScore, extra = {}) => ({
+    reportType: 'BIDDER',
+    findings: [{ requirementFromRFQ: 'ISO 9001', flag: complianceScore >= 1 ? 'COMPLIANT' : 'PARTIAL', complianceScore }],
+    ...extra
+});
+
+const rfqReview = (extra = {}) => ({ reportType: 'INITIATOR', qualityScore: 15, findings: [], ...extra });
+
+const countIn = (histogram) => histogram.reduce((sum, bucket) => sum + bucket.count, 0);
+
+describe('getRegion', () => {
+    test('uses the last part of the location', () => {
+        assert.equal(getRegion('Houston, TX, USA'), 'USA');
+        assert.equal(getRegion('Rotterdam (Port area), Netherlands '), 'Netherlands');
+        assert.equal(getRegion('Singapore'), 'Singapore');
+    });
+
+    test('groups blank and placeholder locations as unspecified', () => {
+        for (const location of ['', undefined, 'N/A', 'Lagos, not specified']) assert.equal(getRegion(location), UNSPECIFIED, String(location));
+    });
+});
+
+describe('getRiskThemes', () => {
+    test('counts a risk under every theme it mentions', () => {
+        assert.deepEqual(getRiskThemes('Unlimited liability and liquidated damages for late delivery'), [
+            'Liability & indemnity', 'Penalties & liquidated damages', 'Schedule & delivery'
+        ]);
+    });
+
+    test('falls back to Other, and to nothing for a blank risk', () => {
+        assert.deepEqual(getRiskThemes('Key staff may leave'), ['Other']);
+        assert.deepEqual(getRiskThemes('none'), []);
+    });
+
+    test('tallies each theme once per report', () => {
+        const { riskThemes } = buildMarketAnalytics([
+            bidAudit(1, { primaryRisk: 'Payment terms of 120 days and a retention of 10%' }),
+            bidAudit(1, { primaryRisk: 'Late payment penalties' })
+        ]);
+        assert.deepEqual(riskThemes.slice(0, 2), [{ label: 'Payment terms', count: 2 }, { label: 'Penalties & liquidated damages', count: 1 }]);
+    });
+});
+
+describe('buildMarketAnalytics', () => {
+    const reports = [
+        bidAudit(1, { grandTotalValue: 'USD 100,000' }),
+        bidAudit(0.5, { grandTotalValue: 'USD 300,000', persuasionScore: 70 }),
+        rfqReview({ grandTotalValue: 'USD 200,000', persuasionScore: 10 })
+    ];
+
+    test('leaves RFQ reviews out of the score distributions', () => {
+        const analytics = buildMarketAnalytics(reports);
+        assert.equal(countIn(analytics.scoreHistogram), 2);
+        assert.equal(analytics.scoreHistogram[9].count, 1);
+        assert.equal(analytics.scoreHistogram[5].count, 1);
+        assert.equal(countIn(analytics.persuasionHistogram), 1);
+        assert.equal(analytics.summary.avgScore, 75);
+        assert.equal(analytics.summary.avgPersuasion, 70);
+    });
+
+    test('takes the median value over every report with a readable value', () => {
+        const { summary } = buildMarketAnalytics([...reports, bidAudit(1, { grandTotalValue: 'to be confirmed' })]);
+        assert.equal(summary.count, 4);
+        assert.equal(summary.valuedCount, 3);
+        assert.equal(summary.medianValue, 200000);
+        assert.equal(buildMarketAnalytics(reports.slice(0, 2)).summary.medianValue, 200000);
+        assert.equal(buildMarketAnalytics([]).summary.medianValue, null);
+    });
+});
+
+describe('filterReports', () => {
+    const reports = [
+        bidAudit(1, { projectLocation: 'Houston, TX, USA', timestamp: Date.UTC(2025, 0, 15), grandTotalValue: 'USD 50,000' }),
+        bidAudit(1, { projectLocation: 'Lyon, France', timestamp: Date.UTC(2025, 2, 1), grandTotalValue: 'EUR 2,000,000' }),
+        rfqReview({ projectLocation: 'Austin, usa', timestamp: Date.UTC(2025, 5, 30) })
+    ];
+    const filter = (filters) => filterReports(reports, { ...EMPTY_MARKET_FILTERS, ...filters }).map(report => report.projectLocation);
+
+    test('matches the region whatever its case', () => {
+        assert.deepEqual(filter({ region: 'USA' }), ['Houston, TX, USA', 'Austin, usa']);
+    });
+
+    test('keeps dates within the range, both ends included', () => {
+        assert.deepEqual(filter({ from: '2025-01-15', to: '2025-03-01' }), ['Houston, TX, USA', 'Lyon, France']);
+    });
+
+    test('compares values in the base currency and drops reports without one', () => {
+        assert.deepEqual(filter({ minValue: '1000000' }), ['Lyon, France']);
+        assert.deepEqual(filter({ maxValue: '1000000' }), ['Houston, TX, USA']);
+        assert.equal(filterReports(reports).length, 3);
+    });
+});
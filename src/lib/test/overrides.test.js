@@ -0,0 +1,64 @@
+// Reviewer overrides of AI findings and the append-only override log they leave behind.
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFindingOverride, applyFindingOverrides, isOverridden } from '../overrides.js';
+
+const NOW = 1_700_000_000_000;
+const REVIEWER = { uid: 'uid_rae', name: 'Rae Reviewer' };
+const EARLIER_ENTRY = { findingIndex: 1, requirement: 'Warranty', field: 'flag', oldValue: 'PARTIAL', newValue: 'COMPLIANT', changedBy: { uid: 'uid_olive', name: 'Olive Owner' }, changedAt: NOW - 1000 };
+
+const report = () => ({
+    findings: [
+        { requirementFromRFQ: 'ISO 9001', flag: 'COMPLIANT', complianceScore: 1, category: 'LEGAL' },
+        { requirementFromRFQ: 'Warranty', flag: 'COMPLIANT', complianceScore: 1, overriddenFields: ['flag'], aiOriginal: { flag: 'PARTIAL' } }
+    ],
+    overrideLog: [EARLIER_ENTRY]
+});
+
+describe('applyFindingOverride', () => {
+    before(() => mock.method(Date, 'now', () => NOW));
+    after(() => mock.restoreAll());
+
+    test('keeps the AI value, marks the field and appends one entry per changed field', () => {
+        const original = report();
+        const { report: updated, entries } = applyFindingOverride(original, 0, { flag: 'PARTIAL', complianceScore: '0.5', category: 'LEGAL' }, REVIEWER);
+        assert.deepEqual(entries.map(entry => [entry.field, entry.oldValue, entry.newValue]), [['flag', 'COMPLIANT', 'PARTIAL'], ['complianceScore', 1, 0.5]]);
+        assert.deepEqual(entries[0].changedBy, REVIEWER);
+        assert.equal(entries[0].changedAt, NOW);
+        assert.deepEqual(updated.findings[0].aiOriginal, { flag: 'COMPLIANT', complianceScore: 1 });
+        assert.equal(isOverridden(updated.findings[0], 'flag'), true);
+        assert.deepEqual(updated.overrideLog, [EARLIER_ENTRY, ...entries]);
+        assert.deepEqual(original, report());
+    });
+
+    test('never rewrites earlier log entries, even when a change is undone', () => {
+        const { report: updated, entries } = applyFindingOverride(report(), 1, { flag: 'PARTIAL' }, REVIEWER, '  Warranty is only three years.  ');
+        assert.equal(isOverridden(updated.findings[1], 'flag'), false);
+        assert.deepEqual(updated.findings[1].aiOriginal, { flag: 'PARTIAL' });
+        assert.deepEqual(entries.map(entry => [entry.field, entry.newValue]), [['flag', 'PARTIAL'], ['reviewerNote', 'Warranty is only three years.']]);
+        assert.deepEqual(updated.overrideLog.slice(0, 1), [EARLIER_ENTRY]);
+        assert.equal(updated.overrideLog.length, 3);
+    });
+
+    test('returns the report untouched when nothing changes', () => {
+        const original = report();
+        for (const [index, changes] of [[0, { flag: 'COMPLIANT', complianceScore: '1' }], [5, { flag: 'PARTIAL' }]]) {
+            const result = applyFindingOverride(original, index, changes, REVIEWER, ' ');
+            assert.equal(result.report, original);
+            assert.deepEqual(result.entries, []);
+        }
+    });
+});
+
+describe('applyFindingOverrides', () => {
+    test('applies a batch and appends its entries once, tagged with their source', () => {
+        const { report: updated, entries } = applyFindingOverrides(report(), [
+            { findingIndex: 0, changes: { flag: 'NON-COMPLIANT' } },
+            { findingIndex: 0, changes: { complianceScore: 0 }, note: 'Certificate expired.' }
+        ], REVIEWER, 'spreadsheet');
+        assert.deepEqual(entries.map(entry => [entry.field, entry.source]), [['flag', 'spreadsheet'], ['complianceScore', 'spreadsheet'], ['reviewerNote', 'spreadsheet']]);
+        assert.deepEqual(updated.overrideLog, [EARLIER_ENTRY, ...entries]);
+        assert.deepEqual(updated.findings[0].aiOriginal, { flag: 'COMPLIANT', complianceScore: 1 });
+    });
+});
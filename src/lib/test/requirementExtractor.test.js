@@ -0,0 +1,64 @@
+// Rule-based requirement extraction from RFQ text and the coverage check against audit findings.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractRequirements, findCoverageGaps } from '../requirementExtractor.js';
+import { buildDocument, buildCitation, SEGMENT } from '../documents.js';
+
+const rfq = () => buildDocument('RFQ.pdf', [
+    [
+        '## 1. Background',
+        'The client operates three pumping stations. The Employer shall provide site access within 5 days.',
+        '## 4. Technical Requirements',
+        '4.1 Pumps rated for 500 m3/h at 40 m head',
+        '4.2 Spare parts kept on site for two years',
+        'The contractor must supply a warranty of five years, e.g. for motors. Prices are firm.'
+    ].join('\n'),
+    [
+        '| ID | Requirement |',
+        '|----|----|',
+        '| REQ-012 | Remote monitoring via SCADA interface |',
+        '| Note | Colour is blue |',
+        'Bidders are required to attend a site visit. It must.'
+    ].join('\n')
+], SEGMENT.PAGE);
+
+describe('extractRequirements', () => {
+    test('finds mandatory sentences, requirement IDs and numbered items under requirement headings', () => {
+        assert.deepEqual(extractRequirements(rfq()).map(r => [r.text, r.reason, r.label]), [
+            ['4.1 Pumps rated for 500 m3/h at 40 m head', 'numbered', 'Page 1'],
+            ['4.2 Spare parts kept on site for two years', 'numbered', 'Page 1'],
+            ['The contractor must supply a warranty of five years, e.g. for motors.', 'keyword', 'Page 1'],
+            ['REQ-012 | Remote monitoring via SCADA interface', 'table', 'Page 2'],
+            ['Bidders are required to attend a site visit.', 'keyword', 'Page 2']
+        ]);
+    });
+
+    test('skips the buyer\'s own obligations, statements without a mandatory word and fragments', () => {
+        const texts = extractRequirements(rfq()).map(r => r.text).join('\n');
+        assert.doesNotMatch(texts, /Employer|Prices are firm|Colour is blue|It must/);
+    });
+
+    test('records the clause in force and caches the result on the document', () => {
+        const document = rfq();
+        const requirements = extractRequirements(document);
+        assert.deepEqual(requirements.map(r => r.clause), ['4.1', '4.2', '4.2', '4.2', '4.2']);
+        assert.equal(document.text.slice(requirements[2].start, requirements[2].end), requirements[2].text);
+        assert.equal(extractRequirements(document), requirements);
+        assert.deepEqual(extractRequirements({ text: 'Bidders shall comply.' }), []);
+    });
+});
+
+describe('findCoverageGaps', () => {
+    test('counts a requirement covered by a cited passage, a close rewording or a superseded clause', () => {
+        const document = rfq();
+        const findings = [
+            { requirementFromRFQ: 'Pump duty point', rfqCitation: buildCitation(document, ['Pumps rated for 500 m3/h at 40 m head']) },
+            { requirementFromRFQ: 'Contractor must supply a five-year warranty for motors' }
+        ];
+        const superseded = [{ originalText: 'Bidders are required to attend a site visit.' }];
+        const { covered, gaps } = findCoverageGaps(extractRequirements(document), findings, superseded);
+        assert.equal(covered, 3);
+        assert.deepEqual(gaps.map(r => r.text), ['4.2 Spare parts kept on site for two years', 'REQ-012 | Remote monitoring via SCADA interface']);
+    });
+});
@@ -0,0 +1,122 @@
+// Recovering and validating the model's JSON answers against the response schemas.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseModelJson, coerceToSchema, reconcileAuditFindings, pickSchemaFields, ModelResponseError, ISSUE_SEVERITY } from '../responseValidation.js';
+
+const SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        projectTitle: { type: 'STRING' },
+        findings: {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    requirementFromRFQ: { type: 'STRING' },
+                    complianceScore: { type: 'NUMBER' },
+                    flag: { type: 'STRING', enum: ['COMPLIANT', 'PARTIAL', 'NON-COMPLIANT'] }
+                },
+                required: ['requirementFromRFQ', 'complianceScore']
+            }
+        },
+        complexity: { type: 'INTEGER' },
+        needsSiteVisit: { type: 'BOOLEAN' }
+    },
+    required: ['projectTitle', 'findings']
+};
+
+describe('parseModelJson', () => {
+    test('parses plain and fenced JSON without marking it repaired', () => {
+        assert.deepEqual(parseModelJson('{"a":1}'), { value: { a: 1 }, repaired: false });
+        assert.deepEqual(parseModelJson('```json\n{"a":1}\n```'), { value: { a: 1 }, repaired: false });
+    });
+
+    test('drops prose around the object', () => {
+        assert.deepEqual(parseModelJson('Here is the audit: {"a":1} Hope this helps.'), { value: { a: 1 }, repaired: true });
+    });
+
+    test('cuts a truncated answer back to its last complete value', () => {
+        const { value, repaired } = parseModelJson('{"projectTitle":"Cooling","findings":[{"requirementFromRFQ":"ISO 9001","flag":"COMPLIANT"},{"requirementFromRFQ":"24/7 sup');
+        assert.equal(repaired, true);
+        assert.deepEqual(value, { projectTitle: 'Cooling', findings: [{ requirementFromRFQ: 'ISO 9001', flag: 'COMPLIANT' }] });
+    });
+
+    test('does not keep a dangling key without its value', () => {
+        assert.deepEqual(parseModelJson('{"projectTitle":"Cooling","findings"').value, { projectTitle: 'Cooling' });
+    });
+
+    test('throws when the answer cannot be repaired', () => {
+        assert.throws(() => parseModelJson(''), ModelResponseError);
+        assert.throws(() => parseModelJson('I could not read the RFQ.'), /could not be repaired/);
+        assert.throws(() => parseModelJson('{"a": 1,, "b": 2}'), ModelResponseError);
+    });
+});
+
+describe('coerceToSchema', () => {
+    const number = (input, type = 'NUMBER') => coerceToSchema(input, { type });
+
+    test('converts text holding one number or a fraction', () => {
+        assert.equal(number('0.75').value, 0.75);
+        assert.equal(number('Score: 0.5').value, 0.5);
+        assert.equal(number('1,200').value, 1200);
+        assert.equal(number('1/2').value, 0.5);
+        assert.equal(number('3 / 4').value, 0.75);
+        assert.equal(number('7.6', 'INTEGER').value, 8);
+        assert.equal(number('0.5').issues[0].severity, ISSUE_SEVERITY.REPAIRED);
+    });
+
+    test('drops ranges and other ambiguous numbers instead of taking the first one', () => {
+        for (const input of ['0.5-0.7', '0.5 to 0.7', '2 of 3 items, 0.6', '1/0', 'high']) {
+            const { value, issues } = number(input);
+            assert.equal(value, undefined, input);
+            assert.equal(issues[0].severity, ISSUE_SEVERITY.INVALID);
+        }
+    });
+
+    test('normalizes enum spelling and drops values outside the enum', () => {
+        const flag = { type: 'STRING', enum: ['COMPLIANT', 'PARTIAL', 'NON-COMPLIANT'] };
+        assert.equal(coerceToSchema('non compliant', flag).value, 'NON-COMPLIANT');
+        assert.equal(coerceToSchema('Partial', flag).value, 'PARTIAL');
+        assert.equal(coerceToSchema('MAYBE', flag).value, undefined);
+    });
+
+    test('converts booleans, lists and scalars where the intent is clear', () => {
+        assert.equal(coerceToSchema('yes', { type: 'BOOLEAN' }).value, true);
+        assert.equal(coerceToSchema('perhaps', { type: 'BOOLEAN' }).value, undefined);
+        assert.deepEqual(coerceToSchema('ISO 9001', { type: 'ARRAY', items: { type: 'STRING' } }).value, ['ISO 9001']);
+        assert.equal(coerceToSchema(['a', 'b'], { type: 'STRING' }).value, 'a; b');
+    });
+
+    test('reports required fields that are missing or unusable, at any depth', () => {
+        const { value, missing } = coerceToSchema({ findings: [{ requirementFromRFQ: 'ISO 9001', complianceScore: '0.4-0.6' }], complexity: 'n/a' }, SCHEMA);
+        assert.deepEqual(missing, ['findings[0].complianceScore', 'projectTitle']);
+        assert.equal('complexity' in value, false);
+        assert.deepEqual(value.findings, [{ requirementFromRFQ: 'ISO 9001' }]);
+    });
+
+    test('narrows a schema to the fields being re-requested', () => {
+        const narrowed = pickSchemaFields(SCHEMA, ['projectTitle']);
+        assert.deepEqual(Object.keys(narrowed.properties), ['projectTitle']);
+        assert.deepEqual(narrowed.required, ['projectTitle']);
+    });
+});
+
+describe('reconcileAuditFindings', () => {
+    test('rescales percentages, fills in flag or score from the other and drops findings without text', () => {
+        const { report, issues } = reconcileAuditFindings({
+            findings: [
+                { requirementFromRFQ: 'ISO 9001', complianceScore: 85 },
+                { requirementFromRFQ: 'Warranty', flag: 'PARTIAL' },
+                { requirementFromRFQ: 'Insurance' },
+                { requirementFromRFQ: '  ', flag: 'COMPLIANT', complianceScore: 1 }
+            ]
+        });
+        assert.deepEqual(report.findings.map(f => [f.requirementFromRFQ, f.flag, f.complianceScore]), [
+            ['ISO 9001', 'PARTIAL', 0.85],
+            ['Warranty', 'PARTIAL', 0.5],
+            ['Insurance', 'NON-COMPLIANT', 0]
+        ]);
+        assert.equal(issues.filter(issue => issue.severity === ISSUE_SEVERITY.INVALID).length, 2);
+    });
+});
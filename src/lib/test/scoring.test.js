@@ -0,0 +1,65 @@
+// Weighted scoring against a profile: category weights, knock-out requirements and the pass threshold.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeWeightedScore, getReportScore, isKnockoutFinding, DEFAULT_SCORING_PROFILE, SCORE_STATUS } from '../scoring.js';
+
+const finding = (requirementFromRFQ, category, complianceScore) => ({ requirementFromRFQ, category, complianceScore });
+
+const PROFILE = {
+    name: 'Public works',
+    categoryWeights: { LEGAL: 3, TECHNICAL: 1, OTHER: 0 },
+    knockoutCategories: ['LEGAL'],
+    knockoutKeywords: ['Bid Bond'],
+    knockoutOnPartial: false,
+    passThreshold: 70
+};
+
+describe('computeWeightedScore', () => {
+    test('weights each finding by its category and leaves the raw percentage flat', () => {
+        const score = computeWeightedScore({ findings: [finding('Insurance cover', 'LEGAL', 1), finding('Pump capacity', 'TECHNICAL', 0), finding('Logo on cover', 'OTHER', 0)] }, PROFILE);
+        assert.equal(score.weightedPercentage, 75);
+        assert.equal(score.rawPercentage, 33.3);
+        assert.equal(score.status, SCORE_STATUS.PASS);
+        assert.equal(score.profileName, 'Public works');
+    });
+
+    test('knocks out a bid that fails a knock-out category, whatever its weighted score', () => {
+        const score = computeWeightedScore({ findings: [finding('Pump capacity', 'TECHNICAL', 1), finding('Signed declaration', 'LEGAL', 0)] }, { ...PROFILE, categoryWeights: { TECHNICAL: 10 } });
+        assert.equal(score.weightedPercentage, 90.9);
+        assert.deepEqual(score.knockouts, [1]);
+        assert.equal(score.status, SCORE_STATUS.KNOCKED_OUT);
+    });
+
+    test('matches knock-out keywords in the requirement text without regard to case', () => {
+        const score = computeWeightedScore({ findings: [finding('A bid bond of 5% is required', 'TECHNICAL', 0), finding('Pump capacity', 'TECHNICAL', 0)] }, PROFILE);
+        assert.deepEqual(score.knockouts, [0]);
+    });
+
+    test('a partial knock-out finding passes unless the profile knocks out on partial', () => {
+        const report = { findings: [finding('Signed declaration', 'LEGAL', 0.5)] };
+        assert.equal(computeWeightedScore(report, { ...PROFILE, passThreshold: null }).status, null);
+        assert.equal(computeWeightedScore(report, { ...PROFILE, knockoutOnPartial: true }).status, SCORE_STATUS.KNOCKED_OUT);
+    });
+
+    test('fails a bid below the pass threshold', () => {
+        const score = computeWeightedScore({ findings: [finding('Pump capacity', 'TECHNICAL', 0.5)] }, PROFILE);
+        assert.equal(score.status, SCORE_STATUS.FAIL);
+    });
+});
+
+describe('isKnockoutFinding', () => {
+    test('treats a finding without a category as OTHER and ignores empty keywords', () => {
+        assert.equal(isKnockoutFinding({ knockoutCategories: ['OTHER'] }, finding('Anything', undefined, 0)), true);
+        assert.equal(isKnockoutFinding({ knockoutKeywords: [''] }, finding('Anything', 'TECHNICAL', 0)), false);
+    });
+});
+
+describe('getReportScore', () => {
+    test('uses the profile saved on the report, or flat scoring for older reports', () => {
+        const findings = [finding('Signed declaration', 'LEGAL', 0), finding('Pump capacity', 'TECHNICAL', 1)];
+        assert.equal(getReportScore({ findings, scoringProfile: PROFILE }).status, SCORE_STATUS.KNOCKED_OUT);
+        const flat = getReportScore({ findings });
+        assert.deepEqual([flat.weightedPercentage, flat.status, flat.profileName], [50, null, DEFAULT_SCORING_PROFILE.name]);
+    });
+});
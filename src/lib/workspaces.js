@@ -0,0 +1,62 @@
+// --- WORKSPACES ---
+// A workspace is a company account: it owns the report library, the audit quota and the
+// subscription, and its members share them. Members hold one workspace role; the global
+// ADMIN role on the user profile is separate and only covers the operator's admin dashboard.
+// New members join by invite code and start as viewers until the owner promotes them.
+
+export const WORKSPACE_ROLE = {
+    OWNER: 'OWNER',
+    BID_MANAGER: 'BID_MANAGER',
+    REVIEWER: 'REVIEWER',
+    VIEWER: 'VIEWER'
+};
+
+export const WORKSPACE_ROLE_ORDER = [WORKSPACE_ROLE.OWNER, WORKSPACE_ROLE.BID_MANAGER, WORKSPACE_ROLE.REVIEWER, WORKSPACE_ROLE.VIEWER];
+
+export const WORKSPACE_ROLE_LABELS = {
+    OWNER: 'Owner',
+    BID_MANAGER: 'Bid Manager',
+    REVIEWER: 'Reviewer',
+    VIEWER: 'Viewer'
+};
+
+export const DEFAULT_JOIN_ROLE = WORKSPACE_ROLE.VIEWER;
+
+export const WORKSPACE_ACTION = {
+    RUN_AUDIT: 'RUN_AUDIT',
+    SAVE_REPORT: 'SAVE_REPORT',
+    DELETE_REPORT: 'DELETE_REPORT',
+    OVERRIDE_FINDINGS: 'OVERRIDE_FINDINGS',
+    MANAGE_MEMBERS: 'MANAGE_MEMBERS',
+    MANAGE_BILLING: 'MANAGE_BILLING'
+};
+
+// Running an audit spends the workspace's quota, so reviewers and viewers can't start one.
+// Keep in step with AUDIT_ROLES in server/quota.js and the Firestore rules.
+const PERMISSIONS = {
+    OWNER: Object.values(WORKSPACE_ACTION),
+    BID_MANAGER: [WORKSPACE_ACTION.RUN_AUDIT, WORKSPACE_ACTION.SAVE_REPORT, WORKSPACE_ACTION.DELETE_REPORT, WORKSPACE_ACTION.OVERRIDE_FINDINGS],
+    REVIEWER: [WORKSPACE_ACTION.OVERRIDE_FINDINGS],
+    VIEWER: []
+};
+
+export const canWorkspace = (role, action) => Boolean(PERMISSIONS[role]?.includes(action));
+
+// No 0/O or 1/I, so codes survive being read out over the phone.
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_LENGTH = 8;
+
+export const generateInviteCode = () => {
+    const chars = Array.from(crypto.getRandomValues(new Uint8Array(INVITE_LENGTH)), byte => INVITE_ALPHABET[byte % INVITE_ALPHABET.length]);
+    return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+// Accepts codes typed in lower case, with spaces or without the dash.
+export const normalizeInviteCode = (code) => {
+    const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return chars.length === INVITE_LENGTH ? `${chars.slice(0, 4)}-${chars.slice(4)}` : '';
+};
+
+// Reports saved before workspaces only carry ownerId; fall back to the member list for a name.
+export const getReportAuthor = (report, members = []) =>
+    report.authorName || members.find(member => member.uid === report.ownerId)?.name || 'Unknown author';
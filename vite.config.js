@@ -1,6 +1,32 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+
+// The OCR language model is served from our own origin at /tessdata (dev server and build
+// output) so scanned PDFs are read without calling any third-party CDN.
+const TESSDATA_FILE = 'eng.traineddata.gz'
+const tessdataSource = require.resolve(`@tesseract.js-data/eng/4.0.0_best_int/${TESSDATA_FILE}`)
+
+const localTessdata = () => ({
+  name: 'local-tessdata',
+  configureServer(server) {
+    server.middlewares.use(`/tessdata/${TESSDATA_FILE}`, (req, res) => {
+      res.setHeader('Content-Type', 'application/octet-stream')
+      res.end(readFileSync(tessdataSource))
+    })
+  },
+  generateBundle() {
+    this.emitFile({ type: 'asset', fileName: `tessdata/${TESSDATA_FILE}`, source: readFileSync(tessdataSource) })
+  },
+})
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), localTessdata()],
+  // The API server (npm run server) holds the model key and enforces quotas.
+  server: {
+    proxy: { '/api': `http://localhost:${process.env.API_PORT || 8787}` },
+  },
 })